@@ -332,7 +332,18 @@ function M.ssns()
   local buffer_info = UiQuery.query_buffers[bufnr]
   local last_database = buffer_info and buffer_info.last_database
 
-  return build_connection_display(server, database, last_database)
+  local display = build_connection_display(server, database, last_database)
+
+  -- Connection lost: the backend is reconnecting or gave up
+  if display ~= '' and server.connection_lost then
+    if server.connection_state == "connecting" then
+      return display .. ' (reconnecting...)'
+    elseif server.connection_state == "error" then
+      return display .. ' (disconnected)'
+    end
+  end
+
+  return display
 end
 
 -- Color function for the component - returns dynamic color based on connection
@@ -4,7 +4,7 @@
 local AsyncRPC = {}
 
 ---Pending callbacks indexed by callback ID
----@type table<string, { on_complete: function, on_error: function?, started_at: number }>
+---@type table<string, { on_complete: function, on_error: function?, started_at: number, on_columns: function?, on_rows: function?, on_message: function?, manual_next: boolean?, cancelling: boolean? }>
 local pending_callbacks = {}
 
 ---Generate unique callback ID
@@ -29,20 +29,41 @@ function AsyncRPC.handle_callback(callback_id, result, err)
   pending_callbacks[callback_id] = nil
 
   -- Normalize the result to match Connection.execute format
-  -- Node.js returns { resultSets, metadata, error } but Lua adapters expect { success, resultSets, metadata, error }
+  -- Node.js returns { resultSets, metadata, messages, errors, error } but Lua adapters expect { success, resultSets, metadata, messages, errors, error }
   local normalized_result = result
   if result and type(result) == "table" then
     -- Check if there was a SQL error in the result
     local error_obj = result.error
-    if type(error_obj) == "table" and error_obj.message then
+    if result.status == "cancelled" or callback.cancelling then
+      -- Cancelling is not a failure: on_complete gets the partial results,
+      -- recognisable by cancelled = true / error.code == "ECANCEL"
       normalized_result = {
         success = false,
-        resultSets = {},
+        cancelled = true,
+        resultSets = result.resultSets or {},
         metadata = result.metadata or {},
+        messages = result.messages or {},
+        errors = result.errors or {},
+        error = {
+          message = "Query cancelled",
+          code = "ECANCEL",
+        }
+      }
+    elseif type(error_obj) == "table" and error_obj.message then
+      normalized_result = {
+        success = false,
+        timed_out = error_obj.code == "ETIMEOUT",
+        resultSets = result.resultSets or {},
+        metadata = result.metadata or {},
+        messages = result.messages or {},
+        errors = result.errors or {},
         error = {
           message = tostring(error_obj.message),
           code = error_obj.code,
+          severity = error_obj.severity,
+          state = error_obj.state,
           lineNumber = error_obj.lineNumber,
+          column = error_obj.column,
           procName = error_obj.procName
         }
       }
@@ -52,6 +73,7 @@ function AsyncRPC.handle_callback(callback_id, result, err)
         success = true,
         resultSets = result.resultSets or {},
         metadata = result.metadata or {},
+        messages = result.messages or {},
         error = nil
       }
     end
@@ -67,12 +89,65 @@ function AsyncRPC.handle_callback(callback_id, result, err)
   end)
 end
 
+---Handle a streaming event from Node.js (column metadata, a row batch or a server message)
+---Called via plugin.nvim.call('luaeval', ...) for queries started with execute_stream
+---Result set indexes are converted to 1-based before reaching the handlers
+---@param callback_id string The callback ID
+---@param event table { type: "columns"|"rows"|"message", resultSetIndex: number?, columns: table?, rows: table?, message: table? }
+function AsyncRPC.handle_stream(callback_id, event)
+  local callback = pending_callbacks[callback_id]
+  if not callback or callback.cancelling or type(event) ~= "table" then
+    return
+  end
+
+  local result_set_index = (event.resultSetIndex or 0) + 1
+
+  vim.schedule(function()
+    if event.type == "columns" then
+      if callback.on_columns then
+        callback.on_columns(event.columns or {}, result_set_index)
+      end
+    elseif event.type == "rows" then
+      if callback.on_rows then
+        callback.on_rows(event.rows or {}, result_set_index)
+      end
+      -- Ask for the next batch unless the caller paces the stream itself
+      if not callback.manual_next and pending_callbacks[callback_id] and not callback.cancelling then
+        AsyncRPC.stream_next(callback_id)
+      end
+    elseif event.type == "message" then
+      if callback.on_message and event.message then
+        callback.on_message(event.message)
+      end
+    end
+  end)
+end
+
+---Request the next row batch of a streamed query
+---@param callback_id string The callback ID from execute_stream
+---@return boolean resumed True if the query was still running
+function AsyncRPC.stream_next(callback_id)
+  local ok, result = pcall(function()
+    return vim.fn.SSNSStreamNext({ callback_id })
+  end)
+  return ok and type(result) == "table" and result.resumed == true
+end
+
 ---@class AsyncRPCOpts
----@field on_complete fun(result: table, error: string?)? Completion callback
+---@field on_complete fun(result: table, error: string?)? Completion callback (a cancelled query completes with result.cancelled = true)
 ---@field on_error fun(error: string)? Error callback
----@field timeout_ms number? Timeout in milliseconds (default: 60000)
+---@field timeout_ms number? Timeout in milliseconds (default: 60000); the query is cancelled in Node.js when it expires
 ---@field use_cache boolean? Use query cache (default: true)
 ---@field ttl number? Cache TTL
+---@field stream boolean? Deliver rows in batches (see execute_stream)
+---@field batch_size number? Rows per streamed batch (default: 500)
+---@field max_rows number? Rows kept per result set; result sets past it get truncated = true
+---@field query_timeout_ms number? Server-side query timeout, overrides the connection's options.query_timeout_ms (0 = none)
+---@field collect_stats boolean? Collect IO and time statistics into result.metadata.stats
+---@field on_columns fun(columns: table, result_set_index: number)? Streamed column metadata
+---@field on_rows fun(rows: table[], result_set_index: number)? Streamed row batch
+---@field on_message fun(message: table)? Streamed server message { text, severity, lineNumber, procName, timestamp } (PRINT, notices, warnings)
+---@field manual_next boolean? Caller requests batches with stream_next() (default: automatic)
 
 ---Track if we've shown the unavailable warning
 local shown_unavailable_warning = false
@@ -178,6 +253,10 @@ function AsyncRPC.execute_async(connection_config, query, opts)
   pending_callbacks[callback_id] = {
     on_complete = opts.on_complete,
     on_error = opts.on_error,
+    on_columns = opts.on_columns,
+    on_rows = opts.on_rows,
+    on_message = opts.on_message,
+    manual_next = opts.manual_next,
     started_at = vim.loop.hrtime(),
   }
 
@@ -187,8 +266,12 @@ function AsyncRPC.execute_async(connection_config, query, opts)
     vim.defer_fn(function()
       local callback = pending_callbacks[callback_id]
       if callback then
-        -- Still pending - timed out
+        -- Still pending - timed out. Abort it in Node.js first, otherwise the
+        -- statement keeps running on the server with nobody waiting for it
         pending_callbacks[callback_id] = nil
+        pcall(function()
+          return vim.fn.SSNSCancelQuery({ callback_id })
+        end)
         vim.schedule(function()
           if callback.on_error then
             callback.on_error("Query timed out after " .. (timeout_ms / 1000) .. " seconds")
@@ -200,12 +283,19 @@ function AsyncRPC.execute_async(connection_config, query, opts)
     end, timeout_ms)
   end
 
-  -- Serialize connection config to JSON
+  -- Serialize connection config and execute options to JSON
   local config_json = vim.fn.json_encode(connection_config)
+  local options_json = vim.fn.json_encode({
+    stream = opts.stream == true,
+    batchSize = opts.batch_size,
+    maxRows = opts.max_rows,
+    timeoutMs = opts.query_timeout_ms,
+    collectStats = opts.collect_stats,
+  })
 
   -- Call Node.js async function (returns immediately)
   local success, result = pcall(function()
-    return vim.fn.SSNSExecuteQueryAsync({ config_json, query, callback_id })
+    return vim.fn.SSNSExecuteQueryAsync({ config_json, query, callback_id, options_json })
   end)
 
   if not success then
@@ -235,17 +325,41 @@ function AsyncRPC.execute_async(connection_config, query, opts)
   return callback_id
 end
 
+---Execute a query asynchronously, receiving rows in batches instead of one result
+---on_columns fires once per result set, then on_rows per batch, and on_message for
+---each server message as it arrives; on_complete gets the final metadata/error (its
+---resultSets is empty). No timeout by default since the consumer paces the stream.
+---@param connection_config table The connection configuration
+---@param query string The SQL query
+---@param opts AsyncRPCOpts? Options (on_columns, on_rows, on_message, batch_size, manual_next)
+---@return string callback_id Callback ID for stream_next/cancellation
+function AsyncRPC.execute_stream(connection_config, query, opts)
+  opts = vim.tbl_extend("force", { timeout_ms = 0 }, opts or {}, { stream = true })
+  return AsyncRPC.execute_async(connection_config, query, opts)
+end
+
 ---Cancel a pending async query
+---Aborts the statement in Node.js (SSNSCancelQuery). The callback stays pending
+---(marked as cancelling) so handle_callback can deliver the cancelled result.
 ---@param callback_id string The callback ID
 ---@return boolean cancelled True if callback was pending and cancelled
 function AsyncRPC.cancel(callback_id)
   local callback = pending_callbacks[callback_id]
-  if callback then
-    pending_callbacks[callback_id] = nil
-    -- Note: The query will still complete in Node.js, but the callback won't be invoked
-    return true
+  if not callback or callback.cancelling then
+    return false
   end
-  return false
+
+  callback.cancelling = true
+  -- Ask Node.js to abort the running statement on the server
+  local success = pcall(function()
+    return vim.fn.SSNSCancelQuery({ callback_id })
+  end)
+
+  if not success then
+    -- Node.js is unreachable, so no result will arrive - report the cancel now
+    AsyncRPC.handle_callback(callback_id, { status = "cancelled" }, nil)
+  end
+  return true
 end
 
 ---Get number of pending callbacks
@@ -266,8 +380,15 @@ function AsyncRPC.is_pending(callback_id)
 end
 
 ---Clear all pending callbacks (for cleanup)
+---Their queries are aborted in Node.js, which would otherwise keep them running.
 function AsyncRPC.clear_all()
+  local callback_ids = vim.tbl_keys(pending_callbacks)
   pending_callbacks = {}
+  for _, callback_id in ipairs(callback_ids) do
+    pcall(function()
+      return vim.fn.SSNSCancelQuery({ callback_id })
+    end)
+  end
 end
 
 return AsyncRPC
@@ -23,6 +23,7 @@ local ConnectionState = {
 ---@field databases DbClass[]? Array of database objects
 ---@field error_message string? Error message if connection failed
 ---@field last_connected_at number? Timestamp of last successful connection
+---@field connection_lost boolean? Set while the backend reconnects after losing the connection
 local ServerClass = setmetatable({}, { __index = BaseDbObject })
 ServerClass.__index = ServerClass
 
@@ -118,6 +119,7 @@ function ServerClass:connect()
 
   -- Mark as connected
   self.connection_state = ConnectionState.CONNECTED
+  self.connection_lost = nil
   self.last_connected_at = os.time()
 
   -- Try loading from hierarchy cache for instant tree population
@@ -191,6 +193,7 @@ function ServerClass:disconnect()
 
   self.connection = nil
   self.connection_state = ConnectionState.DISCONNECTED
+  self.connection_lost = nil
   self.last_connected_at = nil
 
   -- Clear loaded databases (will need to reconnect and reload)
@@ -514,6 +517,7 @@ function ServerClass:connect_async(opts)
       -- Connection successful - create/get connection from pool
       server_self.connection = Connection.get_or_create(server_self.connection_config)
       server_self.connection_state = ConnectionState.CONNECTED
+      server_self.connection_lost = nil
       server_self.last_connected_at = os.time()
 
       if opts.on_complete then
@@ -220,30 +220,24 @@ function Resolver.get_columns(table_obj, connection)
     local obj_name = table_obj.name or table_obj.table_name or table_obj.view_name
     local obj_schema = table_obj.schema or table_obj.schema_name
 
-    -- Try SSNSGetMetadata RPC (pass JSON-encoded config)
-    local config_json = vim.fn.json_encode(connection.connection_config)
-    local rpc_success, metadata = pcall(function()
-      return vim.fn.SSNSGetMetadata({
-        config_json,
-        'columns',
-        obj_name,
-        obj_schema
-      })
-    end)
+    -- Try SSNSGetMetadata RPC (normalized metadata, same shape for every database type)
+    local object_type = table_obj.object_type == "view" and "view" or "table"
+    local Connection = require('nvim-ssns.connection')
+    local rpc_success, metadata = pcall(Connection.get_metadata, connection.connection_config, object_type, obj_name, obj_schema)
 
-    if rpc_success and metadata and type(metadata) == 'table' then
+    if rpc_success and type(metadata) == 'table' and type(metadata.columns) == 'table' then
       -- Parse metadata into ColumnClass-like objects
       local cols = {}
-      for _, col_data in ipairs(metadata) do
+      for i, col_data in ipairs(metadata.columns) do
         table.insert(cols, {
-          name = col_data.name or col_data.column_name,
-          column_name = col_data.name or col_data.column_name,
-          data_type = col_data.data_type or col_data.type,
-          nullable = col_data.nullable or col_data.is_nullable,
-          is_primary_key = col_data.is_primary_key or col_data.is_pk,
-          is_foreign_key = col_data.is_foreign_key or col_data.is_fk,
-          ordinal_position = col_data.ordinal_position,
-          default_value = col_data.default_value,
+          name = col_data.name,
+          column_name = col_data.name,
+          data_type = col_data.type,
+          nullable = col_data.nullable,
+          is_primary_key = col_data.isPrimaryKey,
+          is_foreign_key = col_data.isForeignKey,
+          ordinal_position = i,
+          default_value = col_data.defaultValue,
         })
       end
       debug_log(string.format("[RESOLVER] get_columns: Got %d columns from RPC", #cols))
@@ -13,6 +13,8 @@
 ---@field semantic_highlighting SemanticHighlightingConfig Semantic highlighting configuration
 ---@field formatter FormatterConfig SQL formatter configuration
 ---@field async AsyncConfig Async execution configuration
+---@field backend_log BackendLogConfig Node.js backend debug log configuration
+---@field drivers DriversConfig Node.js database drivers: extra driver modules and open connection limits
 
 ---@class UiConfig
 ---@field position string Window position: "left", "right", "float"
@@ -164,6 +166,18 @@
 ---@field query_timeout_ms number Timeout for user query execution in milliseconds (default: 300000 = 5 minutes)
 ---@field metadata_timeout_ms number Timeout for metadata loading in milliseconds (default: 60000)
 
+---@class BackendLogConfig Node.js backend debug log (ssns_debug.log) configuration
+---@field level string Log level: "off" | "error" | "info" | "debug" (default: "info")
+---@field max_query_length number Characters of query text written per entry (default: 500, 0 = unlimited)
+---@field max_file_size_kb number Size in KB at which the log is rotated (default: 5120, 0 = never)
+---@field max_files number Rotated log files kept (default: 3)
+
+---@class DriversConfig Node.js database drivers, set up when the backend starts
+---@field directories string[] Directories whose .js files and subdirectories are driver modules (default: {})
+---@field packages string[] npm package names of driver modules, resolved from the backend (default: {})
+---@field idle_timeout_ms number Close a connection's driver and pool after this long unused (default: 600000, 0 = never)
+---@field max_live number Drivers kept open at once; the least recently used idle ones are closed beyond it (default: 8, 0 = no cap)
+
 ---@class QueryHistoryConfig
 ---@field enabled boolean Enable query history tracking (default: true)
 ---@field max_buffers number Maximum buffer histories to keep (default: 100)
@@ -1345,6 +1359,22 @@ local default_config = {
     query_timeout_ms = 300000,       -- Timeout for user query execution (5 minutes)
     metadata_timeout_ms = 60000,     -- Timeout for metadata loading (1 minute)
   },
+
+  -- Node.js backend debug log (secrets are always redacted)
+  backend_log = {
+    level = "info",                  -- "off"|"error"|"info"|"debug"
+    max_query_length = 500,          -- Characters of query text per entry (0 = unlimited)
+    max_file_size_kb = 5120,         -- Rotate the log at this size (0 = never)
+    max_files = 3,                   -- Rotated log files kept
+  },
+
+  -- Extra database drivers for the Node.js backend (see rplugin/node/ssns-db/drivers/factory.js)
+  drivers = {
+    directories = {},                -- e.g. { "~/.config/nvim/ssns-drivers" }
+    packages = {},                   -- e.g. { "ssns-driver-duckdb" }
+    idle_timeout_ms = 600000,        -- Close connections unused this long (0 = never)
+    max_live = 8,                    -- Connections kept open at once, least recently used closed first (0 = no cap)
+  },
 }
 
 ---@class Config
@@ -1366,6 +1396,29 @@ function Config.setup(user_config)
   -- Update cache TTL
   local Cache = require('nvim-ssns.cache')
   Cache.default_ttl = Config.current.cache.ttl
+
+  Config.export_backend_log()
+
+  -- Driver modules are loaded from the environment as well
+  local drivers = Config.current.drivers
+  local directories = vim.tbl_map(function(dir)
+    return vim.fn.fnamemodify(vim.fn.expand(dir), ":p")
+  end, drivers.directories or {})
+  vim.env.SSNS_DRIVER_DIRS = vim.fn.json_encode(directories)
+  vim.env.SSNS_DRIVER_PACKAGES = vim.fn.json_encode(drivers.packages or {})
+  vim.env.SSNS_DRIVER_IDLE_TIMEOUT_MS = tostring(drivers.idle_timeout_ms)
+  vim.env.SSNS_DRIVER_MAX_LIVE = tostring(drivers.max_live)
+end
+
+---Export the backend_log settings to the environment
+---The Node.js host reads its log settings from the environment it starts with;
+---a running host is updated through Connection.configure_logging().
+function Config.export_backend_log()
+  local backend_log = Config.current.backend_log
+  vim.env.SSNS_LOG_LEVEL = backend_log.level
+  vim.env.SSNS_LOG_MAX_QUERY_LENGTH = tostring(backend_log.max_query_length)
+  vim.env.SSNS_LOG_MAX_SIZE = tostring(backend_log.max_file_size_kb * 1024)
+  vim.env.SSNS_LOG_MAX_FILES = tostring(backend_log.max_files)
 end
 
 ---Get current configuration
@@ -1790,6 +1843,45 @@ function Config.validate(config)
     end
   end
 
+  -- Validate backend log configuration (if provided)
+  if config.backend_log then
+    if config.backend_log.level then
+      local valid_levels = { off = true, error = true, info = true, debug = true }
+      if not valid_levels[config.backend_log.level] then
+        return false, "backend_log.level must be 'off', 'error', 'info', or 'debug'"
+      end
+    end
+    for _, field in ipairs({ "max_query_length", "max_file_size_kb", "max_files" }) do
+      local value = config.backend_log[field]
+      if value ~= nil and (type(value) ~= "number" or value < 0 or value % 1 ~= 0) then
+        return false, string.format("backend_log.%s must be a non-negative integer", field)
+      end
+    end
+  end
+
+  -- Validate driver module configuration (if provided)
+  if config.drivers then
+    for _, field in ipairs({ "directories", "packages" }) do
+      local value = config.drivers[field]
+      if value ~= nil then
+        if type(value) ~= "table" then
+          return false, string.format("drivers.%s must be a list of strings", field)
+        end
+        for _, item in ipairs(value) do
+          if type(item) ~= "string" or item == "" then
+            return false, string.format("drivers.%s must be a list of strings", field)
+          end
+        end
+      end
+    end
+    for _, field in ipairs({ "idle_timeout_ms", "max_live" }) do
+      local value = config.drivers[field]
+      if value ~= nil and (type(value) ~= "number" or value < 0 or value % 1 ~= 0) then
+        return false, string.format("drivers.%s must be a non-negative integer", field)
+      end
+    end
+  end
+
   return true, nil
 end
 
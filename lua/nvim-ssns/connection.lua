@@ -79,11 +79,15 @@ end
 ---Execute a query using Node.js backend
 ---@param connection_config ConnectionData The connection configuration
 ---@param query string The SQL query to execute
----@param opts table? Options { use_cache: boolean?, ttl: number? }
----@return table result Node.js result object { success, resultSets, metadata, error }
+---@param opts table? Options { use_cache: boolean?, ttl: number?, max_rows: number?, query_timeout_ms: number?, collect_stats: boolean? }
+---@return table result Node.js result object { success, resultSets, metadata, messages, errors, error }
 function Connection.execute(connection_config, query, opts)
   opts = opts or {}
   local use_cache = opts.use_cache == nil and true or opts.use_cache -- Default to true
+  -- Statistics describe one run, so they are never served from the cache
+  if opts.collect_stats then
+    use_cache = false
+  end
   local ttl = opts.ttl -- Optional custom TTL
 
   -- Handle USE statement - modify connection config if needed
@@ -106,6 +110,14 @@ function Connection.execute(connection_config, query, opts)
 
   -- Call Node.js RPC function SSNSExecuteQuery
   local success, raw_result = pcall(function()
+    if opts.max_rows or opts.query_timeout_ms or opts.collect_stats then
+      local options_json = vim.fn.json_encode({
+        maxRows = opts.max_rows,
+        timeoutMs = opts.query_timeout_ms,
+        collectStats = opts.collect_stats,
+      })
+      return vim.fn.SSNSExecuteQuery({config_json, final_query, options_json})
+    end
     return vim.fn.SSNSExecuteQuery({config_json, final_query})
   end)
 
@@ -144,12 +156,17 @@ function Connection.execute(connection_config, query, opts)
   if type(error_obj) == "table" and error_obj.message then
     return {
       success = false,
-      resultSets = {},
+      resultSets = raw_result.resultSets or {},
       metadata = raw_result.metadata or {},
+      messages = raw_result.messages or {},
+      errors = raw_result.errors or {},
       error = {
         message = tostring(error_obj.message),
         code = error_obj.code,
+        severity = error_obj.severity,
+        state = error_obj.state,
         lineNumber = error_obj.lineNumber,
+        column = error_obj.column,
         procName = error_obj.procName
       }
     }
@@ -160,6 +177,7 @@ function Connection.execute(connection_config, query, opts)
     success = true,
     resultSets = raw_result.resultSets or raw_result["resultSets"] or {},
     metadata = raw_result.metadata or {},
+    messages = raw_result.messages or {},
     error = nil
   }
 
@@ -171,6 +189,379 @@ function Connection.execute(connection_config, query, opts)
   return result
 end
 
+---Convert a raw SSNSExecute* RPC result to { success, resultSets, metadata, messages, errors, error }
+---@param success boolean pcall status of the RPC call
+---@param raw_result any Value returned by the RPC call
+---@return table result
+local function normalize_execute_result(success, raw_result)
+  if not success or type(raw_result) ~= "table" then
+    return {
+      success = false,
+      resultSets = {},
+      metadata = {},
+      error = {
+        message = success and ("Unexpected result type from Node.js: " .. type(raw_result))
+          or ("Node.js RPC call failed: " .. tostring(raw_result)),
+      }
+    }
+  end
+
+  local error_obj = raw_result.error
+  if type(error_obj) == "table" and error_obj.message then
+    return {
+      success = false,
+      resultSets = raw_result.resultSets or {},
+      metadata = raw_result.metadata or {},
+      messages = raw_result.messages or {},
+      errors = raw_result.errors or {},
+      error = {
+        message = tostring(error_obj.message),
+        code = error_obj.code,
+        severity = error_obj.severity,
+        state = error_obj.state,
+        lineNumber = error_obj.lineNumber,
+        column = error_obj.column,
+        procName = error_obj.procName
+      }
+    }
+  end
+
+  return {
+    success = true,
+    resultSets = raw_result.resultSets or {},
+    metadata = raw_result.metadata or {},
+    messages = raw_result.messages or {},
+    error = nil
+  }
+end
+
+---Execute a query with bound parameters using Node.js backend
+---Results are not cached. Use vim.NIL for NULL values in positional lists.
+---@param connection_config ConnectionData The connection configuration
+---@param query string The SQL query, using the database's placeholders (@name, :name, $1, ?)
+---@param params table Positional list or named table; values may be { value = ..., type = "int" }
+---@param opts table? Options { max_rows: number?, query_timeout_ms: number?, collect_stats: boolean? }
+---@return table result Node.js result object { success, resultSets, metadata, error }
+function Connection.execute_parameterized(connection_config, query, params, opts)
+  opts = opts or {}
+
+  local config_json = vim.fn.json_encode(connection_config)
+  local params_json = vim.fn.json_encode(params or {})
+  local options_json = vim.fn.json_encode({
+    maxRows = opts.max_rows,
+    timeoutMs = opts.query_timeout_ms,
+    collectStats = opts.collect_stats,
+  })
+
+  local success, raw_result = pcall(function()
+    return vim.fn.SSNSExecuteParameterized({config_json, query, params_json, options_json})
+  end)
+
+  return normalize_execute_result(success, raw_result)
+end
+
+---Session state last reported by Node.js, keyed by session id
+---@type table<string, {transactionCount: number, inTransaction: boolean, failed: boolean}>
+Connection.sessions = {}
+
+---Open a session pinned to one dedicated connection
+---Queries run with execute_in_session share the connection, so a transaction
+---can span several calls until end_session.
+---@param connection_config ConnectionData The connection configuration
+---@return string? session_id Session id, nil on failure
+---@return string? error_message Error message if the session could not be opened
+function Connection.begin_session(connection_config)
+  local config_json = vim.fn.json_encode(connection_config)
+
+  local success, raw_result = pcall(function()
+    return vim.fn.SSNSBeginSession({config_json})
+  end)
+
+  if not success or type(raw_result) ~= "table" then
+    return nil, "Node.js RPC call failed: " .. tostring(raw_result)
+  end
+  if type(raw_result.error) == "table" and raw_result.error.message then
+    return nil, tostring(raw_result.error.message)
+  end
+
+  Connection.sessions[raw_result.sessionId] = raw_result.state
+  return raw_result.sessionId, nil
+end
+
+---Execute a query on a session's connection
+---@param session_id string Id from begin_session
+---@param query string The SQL query
+---@param opts table? Options { max_rows: number?, query_timeout_ms: number?, params: table?, collect_stats: boolean? }
+---@return table result Node.js result object { success, resultSets, metadata, error, session }
+function Connection.execute_in_session(session_id, query, opts)
+  opts = opts or {}
+
+  local options_json = vim.fn.json_encode({
+    maxRows = opts.max_rows,
+    timeoutMs = opts.query_timeout_ms,
+    params = opts.params,
+    collectStats = opts.collect_stats,
+  })
+
+  local success, raw_result = pcall(function()
+    return vim.fn.SSNSExecuteInSession({session_id, query, options_json})
+  end)
+
+  local result = normalize_execute_result(success, raw_result)
+  if success and type(raw_result) == "table" and type(raw_result.session) == "table" then
+    Connection.sessions[session_id] = raw_result.session
+    result.session = raw_result.session
+  end
+  return result
+end
+
+---Commit or roll back a session's transaction and release its connection
+---@param session_id string Id from begin_session
+---@param action "commit"|"rollback"? Default: rollback
+---@return boolean success
+---@return string? error_message
+function Connection.end_session(session_id, action)
+  local success, raw_result = pcall(function()
+    return vim.fn.SSNSEndSession({session_id, action or "rollback"})
+  end)
+
+  if not success or type(raw_result) ~= "table" then
+    return false, "Node.js RPC call failed: " .. tostring(raw_result)
+  end
+
+  -- The connection is released even when the commit fails
+  Connection.sessions[session_id] = nil
+  if type(raw_result.error) == "table" and raw_result.error.message then
+    return false, tostring(raw_result.error.message)
+  end
+  return raw_result.success == true, nil
+end
+
+---Check whether a session has an uncommitted transaction (for statusline warnings)
+---@param session_id string? Id from begin_session
+---@return boolean open
+---@return number transaction_count @@TRANCOUNT-style nesting level
+function Connection.has_open_transaction(session_id)
+  local state = session_id and Connection.sessions[session_id]
+  if type(state) ~= "table" then
+    return false, 0
+  end
+  return state.inTransaction == true, tonumber(state.transactionCount) or 0
+end
+
+---Get normalized metadata for a database object using Node.js backend
+---The shape is the same for every database type: { objectType, schema, name,
+---columns, indexes, constraints, parameters, returnType, definition }
+---@param connection_config ConnectionData The connection configuration
+---@param object_type "table"|"view"|"procedure"|"function"
+---@param object_name string Object name
+---@param schema_name string? Schema name (nil = the driver's default schema)
+---@return table? metadata Normalized metadata, nil on failure
+---@return string? error_message Error message if the lookup failed
+function Connection.get_metadata(connection_config, object_type, object_name, schema_name)
+  local config_json = vim.fn.json_encode(connection_config)
+
+  local success, raw_result = pcall(function()
+    return vim.fn.SSNSGetMetadata({config_json, object_type, object_name, schema_name or vim.NIL})
+  end)
+
+  if not success or type(raw_result) ~= "table" then
+    return nil, "Node.js RPC call failed: " .. tostring(raw_result)
+  end
+  if raw_result.error then
+    return nil, tostring(raw_result.error)
+  end
+  return raw_result, nil
+end
+
+---Get every table, view, column, key, routine and synonym of a database in one call
+---Snapshot shape: { database, fingerprint, unchanged, tables, routines, synonyms }.
+---When known_fingerprint still matches, only { database, fingerprint, unchanged = true }
+---comes back and the cached snapshot can be kept.
+---@param connection_config ConnectionData The connection configuration
+---@param database string? Database name (nil = the connection's database)
+---@param schemas string[]? Limit to these schemas (nil = all user schemas)
+---@param known_fingerprint string? Fingerprint of a previously fetched snapshot
+---@return table? snapshot Schema snapshot, nil on failure
+---@return string? error_message Error message if the snapshot failed
+function Connection.get_schema_snapshot(connection_config, database, schemas, known_fingerprint)
+  local config_json = vim.fn.json_encode(connection_config)
+  local schemas_json = schemas and #schemas > 0 and vim.fn.json_encode(schemas) or vim.NIL
+
+  local success, raw_result = pcall(function()
+    return vim.fn.SSNSGetSchemaSnapshot({config_json, database or vim.NIL, schemas_json, known_fingerprint or vim.NIL})
+  end)
+
+  if not success or type(raw_result) ~= "table" then
+    return nil, "Node.js RPC call failed: " .. tostring(raw_result)
+  end
+  if raw_result.error then
+    return nil, tostring(raw_result.error)
+  end
+  return raw_result, nil
+end
+
+---Get the execution plan of a query
+---Plan shape: { format, actual, statements = { { text, root } }, raw }, where every
+---node has operator, estimatedRows, actualRows, cost, object, predicates, warnings
+---and children. With opts.actual the query runs inside a rolled-back transaction.
+---@param connection_config ConnectionData The connection configuration
+---@param query string Query to explain
+---@param opts table? { actual = boolean }
+---@return table? plan Normalized plan, nil on failure
+---@return string? error_message Error message if the plan could not be fetched
+function Connection.explain(connection_config, query, opts)
+  local config_json = vim.fn.json_encode(connection_config)
+  local options_json = vim.fn.json_encode({ actual = opts and opts.actual or false })
+
+  local success, raw_result = pcall(function()
+    return vim.fn.SSNSExplain({config_json, query, options_json})
+  end)
+
+  if not success or type(raw_result) ~= "table" then
+    return nil, "Node.js RPC call failed: " .. tostring(raw_result)
+  end
+  if raw_result.error then
+    return nil, tostring(raw_result.error)
+  end
+  return raw_result, nil
+end
+
+---List the database types the Node.js backend has drivers for
+---Includes drivers loaded from the `drivers` config; modules that failed to
+---load are reported in load_errors.
+---@return table[]? types { type, aliases, source } per driver, nil on failure
+---@return string? error_message Error message if the backend could not be asked
+---@return table[]? load_errors { source, message } per driver module that failed to load
+function Connection.get_supported_types()
+  local success, raw_result = pcall(function()
+    return vim.fn.SSNSGetSupportedTypes({})
+  end)
+
+  if not success or type(raw_result) ~= "table" then
+    return nil, "Node.js RPC call failed: " .. tostring(raw_result), nil
+  end
+  if raw_result.error then
+    return nil, tostring(raw_result.error), nil
+  end
+  return raw_result.types or {}, nil, raw_result.errors or {}
+end
+
+---Report whether each driver and its optional modules load
+---Loads every driver on the backend to check for missing npm packages.
+---@return table[]? drivers { type, aliases, source, state, error, moduleName, dependencies } per driver, nil on failure
+---@return string? error_message Error message if the backend could not be asked
+---@return table[]? load_errors { source, message } per driver module that failed to load
+function Connection.get_driver_status()
+  local success, raw_result = pcall(function()
+    return vim.fn.SSNSDriverStatus({})
+  end)
+
+  if not success or type(raw_result) ~= "table" then
+    return nil, "Node.js RPC call failed: " .. tostring(raw_result), nil
+  end
+  if raw_result.error then
+    return nil, tostring(raw_result.error), nil
+  end
+  return raw_result.drivers or {}, nil, raw_result.errors or {}
+end
+
+---Change the backend log settings without restarting the Node.js host
+---Merged into the backend_log config, so a restarted host keeps them too.
+---@param backend_log table Any of level, max_query_length, max_file_size_kb, max_files (see BackendLogConfig)
+---@return table? settings Settings the backend now uses, nil on failure
+---@return string? error_message Error message if the settings were rejected or the backend could not be asked
+function Connection.configure_logging(backend_log)
+  local Config = require('nvim-ssns.config')
+  local valid, validation_err = Config.validate({ backend_log = backend_log })
+  if not valid then
+    return nil, validation_err
+  end
+
+  local current = vim.tbl_extend("force", Config.current.backend_log, backend_log)
+  Config.current.backend_log = current
+  Config.export_backend_log()
+
+  local success, raw_result = pcall(function()
+    return vim.fn.SSNSConfigureLogging({ {
+      level = current.level,
+      maxQueryLength = current.max_query_length,
+      maxFileSize = current.max_file_size_kb * 1024,
+      maxFiles = current.max_files,
+    } })
+  end)
+
+  if not success or type(raw_result) ~= "table" then
+    return nil, "Node.js RPC call failed: " .. tostring(raw_result)
+  end
+  if raw_result.error then
+    return nil, tostring(raw_result.error)
+  end
+  return raw_result.settings, nil
+end
+
+---Apply a connection state change pushed by the backend
+---A driver that lost its connection reports "reconnecting", then "connected"
+---or "error". Servers on the same host (the same file for SQLite) follow it,
+---and the tree and statusline are redrawn. Other changes (a first connect,
+---a requested close) are already tracked by the server itself.
+---@param event table { key, type, host, instance, port, database, state, error }
+function Connection.handle_state_change(event)
+  if type(event) ~= "table" then
+    return
+  end
+
+  -- Fields sent as null arrive as vim.NIL
+  local function value(field)
+    if field == nil or field == vim.NIL then
+      return nil
+    end
+    return tostring(field)
+  end
+
+  vim.schedule(function()
+    local Cache = require('nvim-ssns.cache')
+    local ConnectionState = require('nvim-ssns.classes.server').ConnectionState
+    local changed = false
+
+    for _, server in ipairs(Cache.get_all_servers()) do
+      local config = server.connection_config or {}
+      local target = config.server or {}
+      local matches = config.type == event.type
+        and value(target.host) == value(event.host)
+        and value(target.instance) == value(event.instance)
+        and value(target.port) == value(event.port)
+        and (value(event.host) ~= nil or value(target.database) == value(event.database))
+
+      if matches then
+        if event.state == "reconnecting" and server.connection_state == ConnectionState.CONNECTED then
+          server.connection_state = ConnectionState.CONNECTING
+          server.connection_lost = true
+          changed = true
+        elseif event.state == "error" and server.connection_lost then
+          server.connection_state = ConnectionState.ERROR
+          server.error_message = value(event.error) or "Connection lost"
+          changed = true
+        elseif event.state == "connected" and server.connection_lost then
+          server.connection_state = ConnectionState.CONNECTED
+          server.connection_lost = nil
+          server.error_message = nil
+          server.last_connected_at = os.time()
+          changed = true
+        end
+      end
+    end
+
+    if changed then
+      local UiBuffer = require('nvim-ssns.ui.core.buffer')
+      if UiBuffer.is_open() then
+        require('nvim-ssns.ui.core.tree').render()
+      end
+      vim.cmd('redrawstatus')
+    end
+  end)
+end
+
 ---Execute multiple queries in sequence
 ---@param connection_config ConnectionData The connection configuration
 ---@param queries string[] Array of queries to execute
@@ -193,6 +584,36 @@ function Connection.execute_batch(connection_config, queries)
   return all_results, nil
 end
 
+---Concatenate the server messages (PRINT output, notices) of chunk results in order
+---@param results table[] Array of result objects
+---@return table[] messages
+local function concat_messages(results)
+  local messages = {}
+  for _, result in ipairs(results) do
+    for _, message in ipairs(result.messages or {}) do
+      table.insert(messages, message)
+    end
+  end
+  return messages
+end
+
+---Shift the error line numbers of a chunk result to lines of the whole query
+---@param result table Failed chunk result
+---@param start_line number? Line of the query where the chunk starts
+local function offset_error_lines(result, start_line)
+  if not start_line then
+    return
+  end
+  local errors = vim.list_extend({ result.error }, result.errors or {})
+  for _, error_obj in ipairs(errors) do
+    -- Convert lineNumber to Lua number (may come as userdata from Node.js)
+    local line_num = tonumber(error_obj.lineNumber)
+    if line_num then
+      error_obj.lineNumber = line_num + start_line - 1
+    end
+  end
+end
+
 ---Execute query with buffer database context
 ---Handles multi-database queries with USE statements and GO separators
 ---@param connection_config ConnectionData The connection configuration
@@ -251,16 +672,13 @@ function Connection.execute_with_buffer_context(connection_config, query, buffer
         result.error.batch_number = chunk.batch_number
         result.error.chunk_database = chunk.database
 
-        -- Adjust error line number to account for removed USE statements
+        -- Adjust error line numbers to account for removed USE statements
         -- and position within original query
-        if result.error.lineNumber and chunk.start_line then
-          -- Convert lineNumber to Lua number (may come as userdata from Node.js)
-          local line_num = tonumber(result.error.lineNumber)
-          if line_num then
-            result.error.lineNumber = line_num + chunk.start_line - 1
-          end
-        end
+        offset_error_lines(result, chunk.start_line)
       end
+      -- Keep the messages of the chunks that ran before this one
+      table.insert(all_results, result)
+      result.messages = concat_messages(all_results)
       return result, last_database
     end
 
@@ -355,7 +773,8 @@ function combine_multi_chunk_results(results, metadata)
   return {
     success = true,
     resultSets = all_result_sets,
-    metadata = combined_metadata
+    metadata = combined_metadata,
+    messages = concat_messages(results)
   }
 end
 
@@ -572,6 +991,7 @@ end
 ---@class RPCAsyncBufferContextOpts
 ---@field on_complete fun(result: table, last_database: string|nil, error: string?)? Completion callback
 ---@field timeout_ms number? Timeout per chunk in milliseconds (default: 60000)
+---@field on_chunk_start fun(callback_id: string)? Called with each chunk's RPC callback ID (for cancellation)
 
 ---Execute query with buffer context using truly non-blocking RPC async
 ---Handles multi-database queries with USE statements and GO separators
@@ -693,20 +1113,25 @@ function Connection.execute_with_buffer_context_rpc_async(connection_config, que
           error_obj.batch_number = chunk.batch_number
           error_obj.chunk_database = chunk.database
 
-          -- Adjust error line number to account for removed USE statements
+          -- Adjust error line numbers to account for removed USE statements
           -- and position within original query
-          if error_obj.lineNumber and chunk.start_line then
-            local line_num = tonumber(error_obj.lineNumber)
-            if line_num then
-              error_obj.lineNumber = line_num + chunk.start_line - 1
-            end
+          if result then
+            offset_error_lines(result, chunk.start_line)
+          end
+
+          -- Keep the messages of the chunks that ran before this one
+          if result then
+            table.insert(all_results, result)
           end
 
           if opts.on_complete then
             opts.on_complete({
               success = false,
-              resultSets = {},
+              cancelled = result and result.cancelled or nil,
+              resultSets = result and result.resultSets or {},
               metadata = result and result.metadata or {},
+              messages = concat_messages(all_results),
+              errors = result and result.errors or {},
               error = error_obj
             }, last_database, nil)
           end
@@ -735,6 +1160,10 @@ function Connection.execute_with_buffer_context_rpc_async(connection_config, que
       end,
     })
 
+    if opts.on_chunk_start then
+      opts.on_chunk_start(callback_id)
+    end
+
     -- Track first callback ID for the caller
     if chunk_idx == 1 then
       first_callback_id = callback_id
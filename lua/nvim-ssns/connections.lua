@@ -14,6 +14,24 @@
 ---@field ssl boolean? Enable SSL connections (optional)
 ---@field timeout number? Connection timeout in seconds (optional)
 ---@field trust_server_certificate boolean? Bypass certificate validation (optional)
+---@field sqlite_engine string? SQLite only: "sqljs" (default, in memory) or "native" (better-sqlite3, file opened in place)
+---@field journal_mode string? SQLite native only: journal mode set on open, e.g. "wal" (optional)
+---@field busy_timeout_ms number? SQLite native only: wait for locks held by other processes (default: 5000)
+---@field pool PoolOptionsConfig? Connection pool limits and timeouts (SQL Server, PostgreSQL, MySQL)
+---@field socket SocketOptionsConfig? Socket settings (SQL Server, PostgreSQL, MySQL)
+
+---@class PoolOptionsConfig
+---@field min number? Connections kept open (default: driver's - 0, MySQL keeps idle connections up to max)
+---@field max number? Connections open at most (default: 10)
+---@field idle_timeout_ms number? Close connections unused this long, at least 1 (default: 30000)
+---@field acquire_timeout_ms number? Wait for a free pooled connection, at least 1 (default: 30000, not MySQL)
+---@field connect_timeout_ms number? Wait for a new connection, at least 1 (default: 15000)
+---@field keepalive boolean? TCP keepalive on pooled connections (default: true, always on for SQL Server)
+
+---@class SocketOptionsConfig
+---@field packet_size number? SQL Server only: TDS packet size in bytes, 512 to 32767 (default: driver's)
+---@field keepalive_delay_ms number? Idle time before the first keepalive probe (PostgreSQL, MySQL)
+---@field app_name string? Application name shown by the server (default: "Sql Server NeoVim Studio | SSNS vX")
 
 ---@class ConnectionData
 ---@field name string Connection display name
@@ -91,6 +91,35 @@ function M.check()
     })
   end
 
+  -- Check that each database driver and its optional modules load
+  local drivers, drivers_err, load_errors = require("nvim-ssns.connection").get_driver_status()
+  if drivers then
+    for _, driver in ipairs(drivers) do
+      local name = driver.type
+      if driver.source ~= "builtin" then
+        name = name .. " (" .. driver.source .. ")"
+      end
+      if driver.state == "loaded" then
+        ok_fn("Database driver loaded: " .. name)
+        for _, dependency in ipairs(driver.dependencies or {}) do
+          if not dependency.available then
+            warn_fn(string.format("%s unavailable for %s: %s", dependency.module, name, dependency.usedFor), {
+              dependency.error or "Unknown error",
+              "Install it in rplugin/node/ssns-db: npm install " .. dependency.module,
+            })
+          end
+        end
+      else
+        error_fn("Database driver unavailable: " .. name, { driver.error or "Unknown error" })
+      end
+    end
+    for _, load_error in ipairs(load_errors or {}) do
+      warn_fn("Driver module failed to load: " .. load_error.source, { load_error.message })
+    end
+  else
+    warn_fn("Could not check database drivers", { drivers_err })
+  end
+
   -- Check nvim-float dependency
   local nvim_float_ok = pcall(require, "nvim-float")
   if nvim_float_ok then
@@ -242,6 +242,119 @@ function MetadataDiskCache.save_all_dirty_sync()
   MetadataDiskCache._pending = {}
 end
 
+---Get the file path of a database's schema snapshot
+---@param conn_key string Connection key
+---@param database string? Database name
+---@return string path Full path to the snapshot JSON file
+function MetadataDiskCache.get_snapshot_path(conn_key, database)
+  local filename = MetadataDiskCache.sanitize_filename(conn_key .. ':snapshot:' .. (database or ''))
+  return MetadataDiskCache.get_base_dir() .. '/' .. filename
+end
+
+---Load a cached schema snapshot from disk (synchronous)
+---@param conn_key string Connection key
+---@param database string? Database name
+---@return {snapshot: table, schemas: string[]?, saved_at: number}? cached Nil when missing or unreadable
+function MetadataDiskCache.load_snapshot(conn_key, database)
+  local path = MetadataDiskCache.get_snapshot_path(conn_key, database)
+
+  local f = io.open(path, 'r')
+  if not f then
+    return nil
+  end
+
+  local content = f:read('*a')
+  f:close()
+
+  local ok, data = pcall(vim.fn.json_decode, content or '')
+  if not ok or type(data) ~= 'table' or data.version ~= 1 or type(data.snapshot) ~= 'table' then
+    os.remove(path)
+    return nil
+  end
+
+  return {
+    snapshot = data.snapshot,
+    schemas = data.schemas ~= vim.NIL and data.schemas or nil,
+    saved_at = data.saved_at,
+  }
+end
+
+---Save a schema snapshot to disk asynchronously with atomic write
+---@param conn_key string Connection key
+---@param database string? Database name
+---@param snapshot table Snapshot from Connection.get_schema_snapshot
+---@param schemas string[]? Schema filter the snapshot was taken with
+function MetadataDiskCache.save_snapshot_async(conn_key, database, snapshot, schemas)
+  local base_dir = MetadataDiskCache.get_base_dir()
+  local path = MetadataDiskCache.get_snapshot_path(conn_key, database)
+  local temp_path = path .. '.tmp'
+
+  local ok_encode, json = pcall(vim.fn.json_encode, {
+    version = 1,
+    connection_key = conn_key,
+    saved_at = os.time(),
+    schemas = schemas or vim.NIL,
+    snapshot = snapshot,
+  })
+  if not ok_encode then
+    vim.notify('SSNS: Failed to encode schema snapshot: ' .. tostring(json), vim.log.levels.WARN)
+    return
+  end
+
+  FileIO.mkdir_async(base_dir, function(mkdir_ok, mkdir_err)
+    if not mkdir_ok then
+      vim.notify('SSNS: Failed to create metadata cache dir: ' .. tostring(mkdir_err), vim.log.levels.WARN)
+      return
+    end
+
+    FileIO.write_async(temp_path, json, function(write_result)
+      if not write_result.success then
+        vim.notify('SSNS: Failed to write schema snapshot: ' .. tostring(write_result.error), vim.log.levels.WARN)
+        return
+      end
+
+      -- Atomic rename (Windows: remove target first)
+      os.remove(path)
+      FileIO.rename_async(temp_path, path, function(rename_ok)
+        if not rename_ok and not os.rename(temp_path, path) then
+          os.remove(temp_path)
+        end
+      end)
+    end)
+  end)
+end
+
+---Get a database's schema snapshot, downloading it only when the schema changed
+---The cached snapshot's fingerprint is sent to the backend; if it still matches,
+---the cached copy is returned without transferring the catalog again.
+---@param connection_config ConnectionData The connection configuration
+---@param conn_key string Connection key
+---@param database string? Database name (nil = the connection's database)
+---@param schemas string[]? Limit to these schemas
+---@return table? snapshot Current snapshot, nil on failure
+---@return string? error_message Error message if the snapshot failed
+function MetadataDiskCache.get_schema_snapshot(connection_config, conn_key, database, schemas)
+  local Connection = require('nvim-ssns.connection')
+
+  local cached = MetadataDiskCache.load_snapshot(conn_key, database)
+  if cached and not vim.deep_equal(cached.schemas or {}, schemas or {}) then
+    cached = nil
+  end
+
+  local snapshot, err = Connection.get_schema_snapshot(
+    connection_config, database, schemas, cached and cached.snapshot.fingerprint or nil)
+  if not snapshot then
+    return nil, err
+  end
+
+  if snapshot.unchanged and cached then
+    return cached.snapshot, nil
+  end
+
+  MetadataDiskCache.save_snapshot_async(conn_key, database, snapshot, schemas)
+  return snapshot, nil
+end
+
 ---Clear disk cache for a specific connection
 ---@param conn_key string Connection key
 function MetadataDiskCache.clear(conn_key)
@@ -259,6 +372,20 @@ function MetadataDiskCache.clear(conn_key)
   -- Delete disk file
   local path = MetadataDiskCache.get_file_path(conn_key)
   os.remove(path)
+
+  -- Delete schema snapshots of every database of this connection
+  local base_dir = MetadataDiskCache.get_base_dir()
+  local snapshot_prefix = MetadataDiskCache.sanitize_filename(conn_key .. ':snapshot'):gsub('%.json$', '')
+  local handle = uv.fs_scandir(base_dir)
+  if handle then
+    while true do
+      local name = uv.fs_scandir_next(handle)
+      if not name then break end
+      if vim.startswith(name, snapshot_prefix) and name:match('%.json$') then
+        os.remove(base_dir .. '/' .. name)
+      end
+    end
+  end
 end
 
 ---Clear all disk cache files
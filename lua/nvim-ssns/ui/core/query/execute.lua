@@ -17,6 +17,10 @@ local QueryResults
 ---@type table<number, string> bufnr -> task_id
 local active_query_tasks = {}
 
+---RPC callback ID of the chunk currently running in Node.js (for server-side cancel)
+---@type table<number, string> bufnr -> callback_id
+local active_rpc_callbacks = {}
+
 ---Get or create a results buffer for a query buffer
 ---@param query_bufnr number Query buffer number
 ---@return number results_bufnr Results buffer number
@@ -101,10 +105,12 @@ function QueryExecute.cancel_query(bufnr)
       cancelled = true
     end
 
-    -- Cancel pending RPC callback (query continues in Node.js but callback won't fire)
-    if AsyncRPC.cancel(task_id) then
+    -- Cancel pending RPC callback (query is aborted in Node.js, callback reports the cancel)
+    local rpc_callback_id = active_rpc_callbacks[bufnr]
+    if rpc_callback_id and AsyncRPC.cancel(rpc_callback_id) then
       cancelled = true
     end
+    active_rpc_callbacks[bufnr] = nil
 
     -- Also try to cancel via Async module (for blocking fallback path)
     if Async.cancel(task_id, "Query cancelled by user") then
@@ -300,9 +306,10 @@ function QueryExecute.execute_query(bufnr, visual)
   local function handle_completion(result, last_database, err, execution_time_ms)
     -- Clear task tracking
     active_query_tasks[bufnr] = nil
+    active_rpc_callbacks[bufnr] = nil
 
     -- Handle cancellation
-    if err and (err:match("cancelled") or err:match("Operation cancelled") or err:match("timed out")) then
+    if (result and result.cancelled) or err and (err:match("cancelled") or err:match("Operation cancelled") or err:match("timed out")) then
       QueryResults.show_cancelled(results_bufnr, execution_time_ms)
       return
     end
@@ -351,7 +358,7 @@ function QueryExecute.execute_query(bufnr, visual)
 
       -- Display detailed error with structured information
       -- Pass selection_start_line offset for error line adjustment
-      QueryExecute.display_error(error_obj, sql, bufnr, selection_start_line)
+      QueryExecute.display_error(error_obj, sql, bufnr, selection_start_line, result and result.messages, result and result.errors)
       return
     end
 
@@ -419,6 +426,9 @@ function QueryExecute.execute_query(bufnr, visual)
       buffer_db,
       {
         timeout_ms = 300000, -- 5 minutes for long queries
+        on_chunk_start = function(callback_id)
+          active_rpc_callbacks[bufnr] = callback_id
+        end,
         on_complete = function(result, last_database, err)
           -- Calculate execution time
           local end_time = vim.loop.hrtime()
@@ -502,29 +512,52 @@ function QueryExecute.execute_statement_under_cursor(bufnr)
   local result = adapter:execute(server.connection, sql)
 
   if not result.success then
-    QueryExecute.display_error(result.error, sql, bufnr)
+    QueryExecute.display_error(result.error, sql, bufnr, nil, result.messages, result.errors)
     return
   end
 
   QueryResults.display_results(result, sql, nil, bufnr)
 end
 
+---Remove the ODBC driver prefix from an error message
+---@param message string? Error message
+---@return string
+local function clean_error_message(message)
+  local clean_message = message or "Unknown error"
+  -- Pattern: "[Microsoft][ODBC Driver 17 for SQL Server][SQL Server]Actual message"
+  local sql_msg = clean_message:match("%[SQL Server%](.+)$")
+  if sql_msg then
+    clean_message = sql_msg
+  end
+  return clean_message
+end
+
+---Format where an error was raised, e.g. "line 3, column 7"
+---@param error table Error object { lineNumber, column }
+---@return string? location nil when the error has no line number
+local function format_error_location(error)
+  if not error.lineNumber or error.lineNumber == vim.NIL then
+    return nil
+  end
+  if error.column and error.column ~= vim.NIL then
+    return string.format("line %s, column %s", tostring(error.lineNumber), tostring(error.column))
+  end
+  return "line " .. tostring(error.lineNumber)
+end
+
 ---Display query error with structured information
----@param error table Error object { message, code, lineNumber, procName }
+---@param error table Error object { message, code, severity, state, lineNumber, column, procName }
 ---@param sql string The SQL that was executed
 ---@param query_bufnr number The query buffer number
 ---@param selection_start_line number? The 1-based line where the selection started (for offset adjustment)
-function QueryExecute.display_error(error, sql, query_bufnr, selection_start_line)
+---@param messages table[]? Server messages (PRINT output, notices) raised before the error
+---@param errors table[]? Every error the batch raised, in order (error is one of them)
+function QueryExecute.display_error(error, sql, query_bufnr, selection_start_line, messages, errors)
   -- Default to line 1 if not provided (no offset)
   selection_start_line = selection_start_line or 1
 
   -- Clean up error message - remove ODBC driver prefix
-  local clean_message = error.message or "Unknown error"
-  -- Pattern: "[Microsoft][ODBC Driver 17 for SQL Server][SQL Server]Actual message"
-  local sql_msg = clean_message:match("%[SQL Server%](.+)$")
-  if sql_msg then
-    clean_message = sql_msg
-  end
+  local clean_message = clean_error_message(error.message)
 
   -- Show error notification
   local error_msg = clean_message
@@ -614,6 +647,10 @@ function QueryExecute.display_error(error, sql, query_bufnr, selection_start_lin
     table.insert(lines, "Line Number: " .. tostring(error.lineNumber))
   end
 
+  if error.column and error.column ~= vim.NIL then
+    table.insert(lines, "Column: " .. tostring(error.column))
+  end
+
   if error.procName and error.procName ~= vim.NIL then
     table.insert(lines, "Procedure: " .. tostring(error.procName))
   end
@@ -621,6 +658,24 @@ function QueryExecute.display_error(error, sql, query_bufnr, selection_start_lin
   table.insert(lines, "")
   table.insert(lines, "=================")
 
+  -- Batches that kept going after an error (SQL Server) list every error
+  if type(errors) == "table" and #errors > 1 then
+    table.insert(lines, "")
+    table.insert(lines, string.format("%d errors:", #errors))
+    for i, err in ipairs(errors) do
+      local location = format_error_location(err)
+      local prefix = location and string.format("%d. (%s) ", i, location) or string.format("%d. ", i)
+      table.insert(lines, prefix .. (clean_error_message(err.message):gsub("\n", " ")))
+    end
+  end
+
+  if type(messages) == "table" and #messages > 0 then
+    table.insert(lines, "")
+    for _, message in ipairs(messages) do
+      vim.list_extend(lines, vim.split(tostring(message.text or ""), "\n", { plain = true }))
+    end
+  end
+
   -- Set lines in buffer
   vim.api.nvim_buf_set_option(result_buf, 'modifiable', true)
   vim.api.nvim_buf_set_lines(result_buf, 0, -1, false, lines)
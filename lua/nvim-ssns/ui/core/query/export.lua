@@ -1334,6 +1334,7 @@ end
 local TYPE_CATEGORY_MAP = {
   -- Integer types
   int = "integer",
+  integer = "integer",
   bigint = "integer",
   smallint = "integer",
   tinyint = "integer",
@@ -1363,9 +1364,11 @@ local TYPE_CATEGORY_MAP = {
   datetime2 = "datetime",
   smalldatetime = "datetime",
   timestamp = "datetime",
+  timestamptz = "datetime",
 
   -- Time types
   time = "time",
+  timetz = "time",
 
   -- Boolean types
   bit = "boolean",
@@ -1405,6 +1408,11 @@ local function get_type_category(sql_type)
     return nil
   end
 
+  -- Array types (e.g. "integer[]") are exported as literals, not styled by element type
+  if sql_type:match("%[%]$") then
+    return nil
+  end
+
   -- Normalize type string (lowercase, strip size info)
   local normalized = sql_type:lower():match("^(%w+)")
   if normalized then
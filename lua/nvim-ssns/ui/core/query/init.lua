@@ -478,6 +478,10 @@ function UiQuery.setup_buffer_auto_save(bufnr)
         UiQuery.auto_save_timers[bufnr]:stop()
         UiQuery.auto_save_timers[bufnr] = nil
       end
+      -- Abort a query still running for the buffer, so Node.js releases it
+      if QueryExecute.is_query_running(bufnr) then
+        QueryExecute.cancel_query(bufnr)
+      end
       -- Clean up the autocmd group
       vim.api.nvim_del_augroup_by_id(augroup)
     end,
@@ -700,8 +704,8 @@ UiQuery.execute_statement_under_cursor = function(bufnr)
   QueryExecute.execute_statement_under_cursor(bufnr)
 end
 
-UiQuery.display_error = function(error, sql, query_bufnr, selection_start_line)
-  QueryExecute.display_error(error, sql, query_bufnr, selection_start_line)
+UiQuery.display_error = function(error, sql, query_bufnr, selection_start_line, messages, errors)
+  QueryExecute.display_error(error, sql, query_bufnr, selection_start_line, messages, errors)
 end
 
 -- Results module delegation
@@ -713,8 +717,8 @@ UiQuery.toggle_results = function(query_bufnr)
   QueryResults.toggle_results(query_bufnr)
 end
 
-UiQuery.format_results_styled = function(resultSets, sql, execution_time_ms, query_metadata)
-  return QueryResults.format_results_styled(resultSets, sql, execution_time_ms, query_metadata)
+UiQuery.format_results_styled = function(resultSets, sql, execution_time_ms, query_metadata, messages)
+  return QueryResults.format_results_styled(resultSets, sql, execution_time_ms, query_metadata, messages)
 end
 
 UiQuery.format_single_result_set_styled = function(result_set, columns_metadata, builder, results_config)
@@ -377,15 +377,34 @@ function QueryResults.format_single_result_set_styled(result_set, columns_metada
   return result_width
 end
 
+---Styles of server messages by severity (others use "text")
+local MESSAGE_STYLES = {
+  warning = "warning",
+  error = "error",
+}
+
+---Add server messages (PRINT output, notices, warnings) one line per text line
+---@param builder ContentBuilder
+---@param messages table[] Messages { text, severity, lineNumber, procName, timestamp }
+local function add_server_messages(builder, messages)
+  for _, message in ipairs(messages) do
+    local style = MESSAGE_STYLES[message.severity] or "text"
+    for _, line in ipairs(vim.split(tostring(message.text or ""), "\n", { plain = true })) do
+      builder:styled(line, style)
+    end
+  end
+end
+
 ---Format all result sets with ContentBuilder for styled display
 ---@param resultSets table Array of result set objects
 ---@param sql string? The SQL query (unused but kept for API compatibility)
 ---@param execution_time_ms number? Execution time in milliseconds
 ---@param query_metadata table? Query metadata including rowsAffected and timing
+---@param messages table[]? Server messages shown after the result sets
 ---@return ContentBuilder builder ContentBuilder with all styled content
 ---@return table[] result_set_ranges Array of {start_line, end_line, index} for cursor-based result set detection
 ---@return table<number, ResultCellMap> cell_maps Map of result set index to cell map for visual selection
-function QueryResults.format_results_styled(resultSets, sql, execution_time_ms, query_metadata)
+function QueryResults.format_results_styled(resultSets, sql, execution_time_ms, query_metadata, messages)
   local ContentBuilder = require('nvim-float.content')
   local Config = require('nvim-ssns.config')
   local results_config = Config.get_results()
@@ -443,6 +462,11 @@ function QueryResults.format_results_styled(resultSets, sql, execution_time_ms,
       builder:blank()
     end
 
+    if type(messages) == "table" and #messages > 0 then
+      add_server_messages(builder, messages)
+      builder:blank()
+    end
+
     -- Add total execution time
     local ms = (query_metadata and query_metadata.total_execution_time_ms) or execution_time_ms
     if ms then
@@ -616,6 +640,11 @@ function QueryResults.format_results_styled(resultSets, sql, execution_time_ms,
     local end_line = builder:line_count()
     table.insert(result_set_ranges, { start_line = start_line, end_line = end_line, index = i })
 
+    -- Row cap reached in the backend (maxRows)
+    if resultSet.truncated then
+      builder:styled(string.format("Showing first %d of %d rows", row_count, resultSet.totalRowsSeen or row_count), "muted")
+    end
+
     ::continue_result_set::
   end
 
@@ -644,6 +673,11 @@ function QueryResults.format_results_styled(resultSets, sql, execution_time_ms,
     end
   end
 
+  if type(messages) == "table" and #messages > 0 then
+    builder:blank()
+    add_server_messages(builder, messages)
+  end
+
   -- Add total execution time at the end
   if total_ms then
     builder:blank()
@@ -671,6 +705,7 @@ function QueryResults.display_results(result, sql, execution_time_ms, query_bufn
     sql = sql,
     execution_time_ms = execution_time_ms,
     metadata = result.metadata,
+    messages = result.messages,
   }
 
   -- Use pre-created results buffer if provided, otherwise find/create one
@@ -719,7 +754,7 @@ function QueryResults.display_results(result, sql, execution_time_ms, query_bufn
   pcall(vim.api.nvim_buf_set_var, result_buf, 'ssns_query_bufnr', query_bufnr)
 
   -- Format results with styled ContentBuilder (also returns line ranges and cell maps)
-  local builder, result_set_ranges, cell_maps = QueryResults.format_results_styled(result.resultSets, sql, execution_time_ms, result.metadata)
+  local builder, result_set_ranges, cell_maps = QueryResults.format_results_styled(result.resultSets, sql, execution_time_ms, result.metadata, result.messages)
 
   -- Store result set ranges for cursor-based export
   UiQuery.buffer_results[query_bufnr].result_set_ranges = result_set_ranges
@@ -863,7 +898,8 @@ function QueryResults.toggle_results(query_bufnr)
       stored.resultSets,
       stored.sql,
       stored.execution_time_ms,
-      stored.metadata
+      stored.metadata,
+      stored.messages
     )
 
     -- Update stored ranges and cell maps in case they weren't saved before
@@ -45,6 +45,15 @@ local AUTH_TYPES = {
   },
 }
 
+-- Authentication options for driver types not listed above (drivers from the `drivers` config)
+local DEFAULT_AUTH_TYPES = {
+  { id = "sql", label = "Username/Password" },
+  { id = "none", label = "No Authentication" },
+}
+
+-- Database types the backend has drivers for (fetched once, see get_db_types)
+local available_db_types = nil
+
 -- Default ports
 local DEFAULT_PORTS = {
   sqlserver = 1433,
@@ -163,11 +172,46 @@ local function form_state_from_connection(connection)
   }
 end
 
+---Get the database type options the backend has drivers for
+---Built-in types come first, in DB_TYPES order; other drivers are listed by
+---their type name. Falls back to DB_TYPES when the backend cannot be asked.
+---@return table[] types { id, label, icon }
+local function get_db_types()
+  if available_db_types then
+    return available_db_types
+  end
+
+  local types = require('nvim-ssns.connection').get_supported_types()
+  if not types then
+    return DB_TYPES
+  end
+
+  local remaining = {}
+  for _, driver in ipairs(types) do
+    remaining[driver.type] = true
+  end
+
+  available_db_types = {}
+  for _, t in ipairs(DB_TYPES) do
+    if remaining[t.id] then
+      table.insert(available_db_types, t)
+      remaining[t.id] = nil
+    end
+  end
+  for _, driver in ipairs(types) do
+    if remaining[driver.type] then
+      table.insert(available_db_types, { id = driver.type, label = driver.type, icon = "" })
+    end
+  end
+
+  return available_db_types
+end
+
 ---Get type label and icon for a db_type
 ---@param db_type string
 ---@return string label, string icon
 local function get_type_info(db_type)
-  for _, t in ipairs(DB_TYPES) do
+  for _, t in ipairs(get_db_types()) do
     if t.id == db_type then
       return t.label, t.icon
     end
@@ -180,7 +224,7 @@ end
 ---@param auth_type string
 ---@return string label
 local function get_auth_label(db_type, auth_type)
-  local auth_opts = AUTH_TYPES[db_type] or {}
+  local auth_opts = AUTH_TYPES[db_type] or DEFAULT_AUTH_TYPES
   for _, a in ipairs(auth_opts) do
     if a.id == auth_type then
       return a.label
@@ -671,7 +715,7 @@ function AddServerUI.show_new_connection_form_with_state(form_state, edit_connec
   -- Server Type dropdown (embedded container)
   cb:blank()
   local db_type_options = {}
-  for _, t in ipairs(DB_TYPES) do
+  for _, t in ipairs(get_db_types()) do
     table.insert(db_type_options, { value = t.id, label = t.icon .. " " .. t.label })
   end
   cb:embedded_dropdown("db_type", {
@@ -682,7 +726,7 @@ function AddServerUI.show_new_connection_form_with_state(form_state, edit_connec
     on_change = function(key, value)
       AddServerUI._sync_inputs_to_form_state(form_state)
       form_state.db_type = value
-      local auth_opts = AUTH_TYPES[value]
+      local auth_opts = AUTH_TYPES[value] or DEFAULT_AUTH_TYPES
       if auth_opts and #auth_opts > 0 then
         form_state.auth_type = auth_opts[1].id
       end
@@ -737,7 +781,7 @@ function AddServerUI.show_new_connection_form_with_state(form_state, edit_connec
 
   -- Authentication dropdown (not for SQLite, embedded container)
   if not is_sqlite then
-    local auth_opts = AUTH_TYPES[form_state.db_type] or {}
+    local auth_opts = AUTH_TYPES[form_state.db_type] or DEFAULT_AUTH_TYPES
     local auth_options = {}
     for _, a in ipairs(auth_opts) do
       table.insert(auth_options, { value = a.id, label = a.label })
@@ -1,3 +1,23 @@
+const ResultStream = require('./result-stream');
+const { ssnsLog } = require('../ssns-log');
+
+// Error codes meaning the connection itself is gone: socket errors, and the
+// codes mssql/tedious and mysql2 give a dropped connection
+const CONNECTION_ERROR_CODES = new Set([
+  'ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'EPIPE', 'ETIMEDOUT', 'EHOSTUNREACH',
+  'ENETUNREACH', 'ENETDOWN', 'ENOTCONN', 'ESOCKET', 'ECONNCLOSED', 'ENOTOPEN',
+  'PROTOCOL_CONNECTION_LOST'
+]);
+// Messages of the same failures when the code was not kept
+const CONNECTION_ERROR_PATTERN = /connection (?:terminated|lost|is closed)|closed state|\b(?:ECONNRESET|EPIPE|ETIMEDOUT|EHOSTUNREACH|ENETUNREACH)\b/i;
+
+// A connection unused for this long is pinged before the next operation
+const PING_AFTER_IDLE_MS = 60000;
+// How long a ping may take before the connection counts as lost
+const PING_TIMEOUT_MS = 5000;
+// Wait before the second connect attempt of a reconnect
+const RECONNECT_BACKOFF_MS = 1000;
+
 /**
  * BaseDriver - Abstract base class for database drivers
  *
@@ -11,11 +31,27 @@ class BaseDriver {
    * @param {Object} config.server - Server connection details
    * @param {Object} config.auth - Authentication details
    * @param {Object} [config.options] - Additional connection options
+   * @param {number} [config.options.query_timeout_ms] - Default query timeout (0 = none)
    */
   constructor(config) {
     this.config = config;
     this.pool = null;
     this.isConnected = false;
+    this.activeRequests = new Map();
+    this.health = {
+      state: 'disconnected',
+      connectedAt: null,
+      lastError: null,
+      errorCount: 0
+    };
+    this.stateListener = null;
+    this.lastUsedAt = 0;
+    // Counts successful connects, so an operation can tell its connection was replaced
+    this.connectionGeneration = 0;
+    // Operations running through withReconnect(), so the driver is not closed under them
+    this.runningOperations = 0;
+    this.validating = null;
+    this.reconnecting = null;
   }
 
   /**
@@ -36,31 +72,349 @@ class BaseDriver {
     throw new Error('BaseDriver.disconnect() must be implemented by subclass');
   }
 
+  /**
+   * Describe the state of this driver's connection
+   * Drivers with their own pool tracking add to this.
+   * @returns {Object} { state, connected, connectedAt, lastError, errorCount }
+   */
+  getHealth() {
+    return Object.assign({}, this.health, { connected: this.isConnected });
+  }
+
+  /**
+   * Set the function told about connection state changes
+   * @param {Function|null} listener - ({ state, error }) => void, where state is
+   *   'connecting', 'connected', 'degraded' (pool up, but a connection failed),
+   *   'reconnecting', 'error' or 'disconnected' and error the last error message
+   */
+  onStateChange(listener) {
+    this.stateListener = listener;
+  }
+
+  /**
+   * Change the health state, telling the listener when it changed
+   * @param {string} state - New state (see onStateChange)
+   */
+  setHealthState(state) {
+    if (this.health.state === state) {
+      return;
+    }
+    this.health.state = state;
+
+    if (this.stateListener) {
+      try {
+        this.stateListener({
+          state: state,
+          error: this.health.lastError ? this.health.lastError.message : null
+        });
+      } catch (err) {
+        ssnsLog(`[base] State listener failed: ${err && err.stack ? err.stack : err}`, 'error');
+      }
+    }
+  }
+
+  /**
+   * Record a successful connect in the health state
+   */
+  recordHealthConnected() {
+    this.connectionGeneration++;
+    this.health.connectedAt = Date.now();
+    this.health.lastError = null;
+    this.lastUsedAt = Date.now();
+    this.setHealthState('connected');
+  }
+
+  /**
+   * Record a connection or pool error in the health state
+   * @param {Error|Object} err - Error raised while connecting, acquiring or querying
+   * @param {string} state - New state ('error' when not connected, 'degraded' when the pool is up)
+   */
+  recordHealthError(err, state) {
+    this.health.errorCount++;
+    this.health.lastError = {
+      message: err.message || String(err),
+      code: err.code || null,
+      at: Date.now()
+    };
+    this.setHealthState(state);
+  }
+
+  /**
+   * Check whether an error means the connection itself is gone
+   * Drivers add their database's codes to the socket errors recognized here.
+   *
+   * @param {Error|Object} err - Thrown error, or the error object of a result
+   * @returns {boolean}
+   */
+  isConnectionError(err) {
+    if (!err) {
+      return false;
+    }
+    return CONNECTION_ERROR_CODES.has(err.code) || CONNECTION_ERROR_PATTERN.test(err.message || '');
+  }
+
+  /**
+   * Check the connection with a trivial query
+   * @returns {Promise<void>}
+   * @throws {Error|Object} The query's error, or ETIMEDOUT after PING_TIMEOUT_MS
+   */
+  async ping() {
+    let timer = null;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        const error = new Error(`Ping timed out after ${PING_TIMEOUT_MS} ms`);
+        error.code = 'ETIMEDOUT';
+        reject(error);
+      }, PING_TIMEOUT_MS);
+    });
+
+    try {
+      const result = await Promise.race([this.execute('SELECT 1', { timeoutMs: PING_TIMEOUT_MS }), timeout]);
+      if (result.error) {
+        throw result.error;
+      }
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Connect again after the connection was lost
+   *
+   * The old pool or connection is closed first (waiting at most
+   * PING_TIMEOUT_MS). A failed attempt is retried once after
+   * RECONNECT_BACKOFF_MS. Concurrent callers share one reconnect.
+   *
+   * @returns {Promise<void>}
+   * @throws {Error} The second attempt's error
+   */
+  reconnect() {
+    if (!this.reconnecting) {
+      this.reconnecting = this.connectAgain().finally(() => {
+        this.reconnecting = null;
+      });
+    }
+    return this.reconnecting;
+  }
+
+  /**
+   * Close the lost connection and connect again (see reconnect)
+   * @returns {Promise<void>}
+   */
+  async connectAgain() {
+    this.setHealthState('reconnecting');
+    // Sessions still holding pooled connections can keep the close waiting
+    let timer = null;
+    const closeTimeout = new Promise(resolve => {
+      timer = setTimeout(resolve, PING_TIMEOUT_MS);
+    });
+    try {
+      await Promise.race([this.disconnect(), closeTimeout]);
+    } catch (err) {
+      ssnsLog(`[base] Closing the lost connection failed: ${err.message}`, 'error');
+    } finally {
+      clearTimeout(timer);
+    }
+    this.isConnected = false;
+
+    try {
+      await this.connect();
+    } catch (err) {
+      ssnsLog(`[base] Reconnect failed, retrying in ${RECONNECT_BACKOFF_MS} ms: ${err.message}`, 'info');
+      this.setHealthState('reconnecting');
+      await new Promise(resolve => setTimeout(resolve, RECONNECT_BACKOFF_MS));
+      try {
+        await this.connect();
+      } catch (retryErr) {
+        this.recordHealthError(retryErr, 'error');
+        throw retryErr;
+      }
+    }
+    ssnsLog(`[base] Reconnected ${this.getType()} driver`, 'info');
+  }
+
+  /**
+   * Make sure the connection still works before an operation
+   *
+   * A driver that lost its connection reconnects. One unused for
+   * PING_AFTER_IDLE_MS, or degraded by a pool error, is pinged first and
+   * reconnects when the ping shows the connection is gone (a dropped VPN, a
+   * restarted server or an idle-killed session). A driver that never
+   * connected is left to connect on its own. Concurrent callers share one check.
+   *
+   * @returns {Promise<void>}
+   * @throws {Error} If reconnecting failed
+   */
+  validateConnection() {
+    if (!this.validating) {
+      this.validating = this.checkConnection().finally(() => {
+        this.validating = null;
+      });
+    }
+    return this.validating;
+  }
+
+  /**
+   * Ping or reconnect as needed (see validateConnection)
+   * @returns {Promise<void>}
+   */
+  async checkConnection() {
+    if (!this.isConnected) {
+      if (this.health.connectedAt) {
+        await this.reconnect();
+      }
+      return;
+    }
+
+    if (this.health.state !== 'degraded' && Date.now() - this.lastUsedAt < PING_AFTER_IDLE_MS) {
+      return;
+    }
+
+    try {
+      await this.ping();
+      this.lastUsedAt = Date.now();
+      this.setHealthState('connected');
+    } catch (err) {
+      // SELECT 1 only fails when the connection does, a timeout included
+      ssnsLog(`[base] Ping failed, reconnecting: ${err.message}`, 'info');
+      this.recordHealthError(err, 'reconnecting');
+      await this.reconnect();
+    }
+  }
+
+  /**
+   * Run an operation, reconnecting around it when the connection broke
+   *
+   * The connection is checked first (see validateConnection). When the
+   * operation then fails on a lost connection, the driver marks itself
+   * disconnected and reconnects before the error is returned, so the next
+   * operation works. The operation itself only runs again with
+   * options.retry, for reads that are safe to repeat; a failed reconnect is
+   * left for the next operation to retry.
+   *
+   * @param {Function} work - () => Promise of the operation's result; a
+   *   result carrying a connection error in result.error counts as lost too
+   * @param {Object} [options]
+   * @param {boolean} [options.retry] - Run work again after reconnecting
+   * @returns {Promise<*>} Result of work
+   */
+  async withReconnect(work, options = {}) {
+    this.runningOperations++;
+    try {
+      return await this.runWithReconnect(work, options);
+    } finally {
+      this.runningOperations--;
+    }
+  }
+
+  /**
+   * Body of withReconnect(), counted in runningOperations
+   * @param {Function} work - () => Promise of the operation's result
+   * @param {Object} options - See withReconnect()
+   * @returns {Promise<*>} Result of work
+   */
+  async runWithReconnect(work, options) {
+    await this.validateConnection();
+    const generation = this.connectionGeneration;
+
+    let lostError = null;
+    let result;
+    try {
+      result = await work();
+    } catch (err) {
+      if (!this.isConnectionError(err)) {
+        throw err;
+      }
+      lostError = err;
+    }
+    if (!lostError && result && this.isConnectionError(result.error)) {
+      lostError = result.error;
+    }
+    if (!lostError) {
+      this.lastUsedAt = Date.now();
+      return result;
+    }
+
+    let reconnected = false;
+    if (this.isConnected && this.connectionGeneration !== generation) {
+      // Another operation already replaced the connection this one ran on
+      reconnected = true;
+    } else {
+      ssnsLog(`[base] Connection lost: ${lostError.message}`, 'error');
+      this.isConnected = false;
+      this.recordHealthError(lostError, 'disconnected');
+      try {
+        await this.reconnect();
+        reconnected = true;
+      } catch (err) {
+        ssnsLog(`[base] Reconnect failed: ${err.message}`, 'error');
+      }
+    }
+
+    if (reconnected && options.retry) {
+      return work();
+    }
+    if (result) {
+      return result;
+    }
+    throw lostError;
+  }
+
   /**
    * Execute a SQL query and return structured results
    *
    * @param {string} query - SQL query to execute
    * @param {Object} options - Execution options
+   * @param {string} [options.requestId] - Id used to abort the query through cancel()
+   * @param {number} [options.maxRows] - Rows kept per result set; extra rows are
+   *   dropped while fetching (see executeCollected())
+   * @param {number} [options.timeoutMs] - Query timeout, overrides
+   *   config.options.query_timeout_ms (0 = none, see queryTimeout())
+   * @param {Array|Object} [options.params] - Positional or named parameters,
+   *   bound natively by each driver (see params.js)
+   * @param {Object} [options.session] - Session from beginSession(); the query
+   *   runs on the session's connection instead of a pooled one
+   * @param {boolean} [options.collectStats] - Collect the database's IO and time
+   *   statistics for the query into metadata.stats (SQL Server, PostgreSQL, MySQL)
    * @returns {Promise<Object>} Result object with structure:
    * {
    *   resultSets: [
    *     {
-   *       columns: { colName: { type, nullable, precision, scale }, ... },
+   *       columns: { colName: { type, nullable, precision, scale,
+   *         sourceSchema, sourceTable, sourceColumn, isPrimaryKey }, ... },
+   *         (source fields are set by drivers that report them, null for
+   *         computed columns)
    *       rows: [ { colName: value, ... }, ... ],
-   *       rowCount: number
+   *       rowCount: number,
+   *       totalRowsSeen: number (only with maxRows),
+   *       truncated: boolean (only with maxRows)
    *     }
    *   ],
    *   metadata: {
    *     executionTime: number (ms),
-   *     rowsAffected: [number, ...]
+   *     rowsAffected: [number, ...],
+   *     stats: Object (only with collectStats, see stats.js)
    *   },
+   *   messages: [
+   *     { text, severity ('info', 'notice', 'warning', ...), lineNumber,
+   *       procName, timestamp (ISO 8601) }, ...
+   *   ] (PRINT output, notices and warnings, also when the query failed),
+   *   errors: [
+   *     { message, code, severity, state, lineNumber, column, procName }, ...
+   *   ] (every error the batch raised, in order; line and column are 1-based
+   *     and relative to the submitted text, see errors.js),
    *   error: null | {
    *     message: string,
-   *     code: number,
+   *     code: number | string ('ECANCEL' when cancelled, 'ETIMEOUT' when timed out),
+   *     severity: number | string,
+   *     state: number | string,
    *     lineNumber: number,
+   *     column: number,
    *     procName: string
-   *   }
+   *   } (the error reported as the cause, normally the last of errors)
    * }
+   * When the query fails, resultSets holds the result sets completed before
+   * the failure.
    * @throws {Error} Must be implemented by subclass
    */
   async execute(query, options = {}) {
@@ -68,14 +422,350 @@ class BaseDriver {
   }
 
   /**
-   * Get metadata for a database object (table, view, etc.)
+   * Execute a SQL query with bound parameters
+   *
+   * @param {string} query - SQL query using the driver's placeholders
+   * @param {Array|Object} params - Positional array or named object (see params.js)
+   * @param {Object} options - Execution options (see execute())
+   * @returns {Promise<Object>} Result object shaped like execute()
+   */
+  async executeParameterized(query, params, options = {}) {
+    return this.execute(query, Object.assign({}, options, { params: params }));
+  }
+
+  /**
+   * Execute a SQL query and deliver rows in batches instead of one result object
+   *
+   * Column metadata is delivered first for each result set, then rows in
+   * batches of options.batchSize. The next batch is not produced until the
+   * Promise returned by onRows settles.
+   *
+   * This default implementation buffers through execute() and replays the
+   * result sets; drivers override it with native streaming.
+   *
+   * @param {string} query - SQL query to execute
+   * @param {Object} handlers - Consumer callbacks
+   * @param {Function} handlers.onColumns - (columns, resultSetIndex) => Promise|void
+   * @param {Function} handlers.onRows - (rows, resultSetIndex) => Promise|void
+   * @param {Function} [handlers.onMessage] - (message) => Promise|void, for
+   *   each server message as it arrives
+   * @param {Object} options - Execution options (see execute())
+   * @param {number} [options.batchSize] - Rows per onRows call (default: 500)
+   * @returns {Promise<Object>} { resultSets, metadata, messages, errors, error } where
+   *   resultSets holds { rowCount, totalRowsSeen, truncated } per result set (no rows)
+   */
+  async executeStream(query, handlers, options = {}) {
+    const stream = new ResultStream(handlers, options);
+    const result = await this.execute(query, Object.assign({}, options, { maxRows: undefined }));
+
+    for (const message of result.messages || []) {
+      stream.message(message);
+    }
+    for (const resultSet of result.resultSets) {
+      stream.columns(resultSet.columns);
+      for (const row of resultSet.rows) {
+        const delivered = stream.row(row);
+        if (delivered) await delivered;
+      }
+    }
+
+    await stream.end();
+    return {
+      resultSets: stream.summaries(),
+      metadata: result.metadata,
+      messages: stream.messages,
+      errors: result.errors || [],
+      error: result.error
+    };
+  }
+
+  /**
+   * Execute through executeStream() and collect the delivered rows
+   *
+   * Drivers route execute() here when options.maxRows is set, so rows past
+   * the cap are dropped as the native driver produces them rather than after
+   * the whole result has been buffered. Result sets delivered before an error
+   * are kept.
+   *
+   * @param {string} query - SQL query to execute
+   * @param {Object} options - Execution options (see execute())
+   * @returns {Promise<Object>} Result object shaped like execute()
+   */
+  async executeCollected(query, options = {}) {
+    const resultSets = [];
+
+    const result = await this.executeStream(query, {
+      onColumns: (columns, index) => {
+        resultSets[index] = { columns: columns, rows: [] };
+      },
+      onRows: (rows, index) => {
+        for (const row of rows) {
+          resultSets[index].rows.push(row);
+        }
+      }
+    }, options);
+
+    (result.resultSets || []).forEach((summary, index) => {
+      if (resultSets[index]) {
+        Object.assign(resultSets[index], summary);
+      }
+    });
+
+    return {
+      resultSets: resultSets.filter(Boolean),
+      metadata: result.metadata,
+      messages: result.messages || [],
+      errors: result.errors || [],
+      error: result.error
+    };
+  }
+
+  /**
+   * Abort an in-flight query started with options.requestId
+   *
+   * @param {string} requestId - Id passed to execute()
+   * @returns {Promise<boolean>} True if a running query was found and aborted
+   */
+  async cancel(requestId) {
+    const entry = this.activeRequests.get(requestId);
+    if (!entry) {
+      return false;
+    }
+
+    entry.cancelled = true;
+    await entry.abort();
+    return true;
+  }
+
+  /**
+   * Register the abort function for an in-flight query
+   * Drivers call this once the native request handle exists.
+   *
+   * @param {string} [requestId] - Id passed to execute() (no-op when absent)
+   * @param {Function} abort - Driver-specific abort function, may return a Promise
+   */
+  trackRequest(requestId, abort) {
+    if (!requestId) return;
+    this.activeRequests.set(requestId, { abort, cancelled: false });
+  }
+
+  /**
+   * Forget an in-flight query once it has settled
+   *
+   * @param {string} [requestId] - Id passed to execute()
+   */
+  untrackRequest(requestId) {
+    if (!requestId) return;
+    this.activeRequests.delete(requestId);
+  }
+
+  /**
+   * Check whether cancel() was called for an in-flight query
+   *
+   * @param {string} [requestId] - Id passed to execute()
+   * @returns {boolean}
+   */
+  isCancelled(requestId) {
+    const entry = requestId ? this.activeRequests.get(requestId) : null;
+    return !!(entry && entry.cancelled);
+  }
+
+  /**
+   * Build the error object reported for a query aborted through cancel()
+   * @returns {Object} Error object with code 'ECANCEL'
+   */
+  cancelledError() {
+    return {
+      message: 'Query cancelled by user',
+      code: 'ECANCEL',
+      severity: null,
+      state: null,
+      lineNumber: null,
+      column: null,
+      procName: null
+    };
+  }
+
+  /**
+   * Build an entry of a result's messages array
+   * @param {string} text - Message text
+   * @param {string} severity - 'info', 'notice', 'warning', ...
+   * @param {number} [lineNumber] - Line in the batch or routine that raised it
+   * @param {string} [procName] - Routine that raised it
+   * @returns {Object} { text, severity, lineNumber, procName, timestamp }
+   */
+  serverMessage(text, severity, lineNumber = null, procName = null) {
+    return {
+      text: text,
+      severity: severity,
+      lineNumber: lineNumber || null,
+      procName: procName || null,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Check out a dedicated connection for session-pinned execution
+   *
+   * Queries given the returned handle as options.session all run on the same
+   * connection, so a transaction can span several execute() calls.
+   *
+   * @returns {Promise<Object>} Driver-specific session handle
+   * @throws {Error} Must be implemented by subclass
+   */
+  async beginSession() {
+    throw new Error('BaseDriver.beginSession() must be implemented by subclass');
+  }
+
+  /**
+   * Report the open-transaction state of a session
+   *
+   * @param {Object} session - Handle from beginSession()
+   * @returns {Promise<Object>} {
+   *   transactionCount: number (@@TRANCOUNT-style nesting level, 0 = none),
+   *   inTransaction: boolean,
+   *   failed: boolean (the transaction can only be rolled back)
+   * }
+   * @throws {Error} Must be implemented by subclass
+   */
+  async getSessionState(session) {
+    throw new Error('BaseDriver.getSessionState() must be implemented by subclass');
+  }
+
+  /**
+   * Get the statement that commits or rolls back a session's open transaction
+   * @param {string} action - 'commit' or 'rollback'
+   * @returns {string} SQL statement
+   */
+  sessionEndStatement(action) {
+    return action === 'commit' ? 'COMMIT' : 'ROLLBACK';
+  }
+
+  /**
+   * Give a session's connection back after endSession()
+   * @param {Object} session - Handle from beginSession()
+   * @returns {Promise<void>}
+   * @throws {Error} Must be implemented by subclass
+   */
+  async releaseSession(session) {
+    throw new Error('BaseDriver.releaseSession() must be implemented by subclass');
+  }
+
+  /**
+   * End a session, committing or rolling back its open transaction
+   *
+   * A transaction that can no longer be committed is rolled back and
+   * reported as an error. The connection is released either way.
+   *
+   * @param {Object} session - Handle from beginSession()
+   * @param {string} action - 'commit' or 'rollback'
+   * @returns {Promise<Object>} { error: null | { message, code, ... } }
+   */
+  async endSession(session, action) {
+    if (action !== 'commit' && action !== 'rollback') {
+      throw new Error(`Invalid session end action: ${action} (expected commit or rollback)`);
+    }
+
+    let error = null;
+    try {
+      const state = await this.getSessionState(session);
+      if (state.inTransaction) {
+        const rollbackOnly = action === 'commit' && state.failed;
+        const result = await this.execute(this.sessionEndStatement(rollbackOnly ? 'rollback' : action), { session });
+        error = result.error;
+        if (!error && rollbackOnly) {
+          error = {
+            message: 'Transaction could not be committed and was rolled back',
+            code: 'ETXFAILED',
+            lineNumber: null,
+            procName: null
+          };
+        }
+      }
+    } finally {
+      await this.releaseSession(session);
+    }
+
+    return { error: error };
+  }
+
+  /**
+   * Resolve the timeout of a query
+   * options.timeoutMs wins over the connection's config.options.query_timeout_ms.
+   *
+   * @param {Object} options - Execution options passed to execute()
+   * @returns {number} Timeout in milliseconds (0 = no timeout)
+   */
+  queryTimeout(options = {}) {
+    const connectionOptions = this.config.options || {};
+    const value = this.hasTimeoutOverride(options)
+      ? options.timeoutMs
+      : connectionOptions.query_timeout_ms;
+
+    const timeoutMs = Number(value);
+    return Number.isFinite(timeoutMs) && timeoutMs > 0 ? Math.floor(timeoutMs) : 0;
+  }
+
+  /**
+   * Check whether execute() was given its own timeout instead of the connection default
+   * @param {Object} options - Execution options passed to execute()
+   * @returns {boolean}
+   */
+  hasTimeoutOverride(options = {}) {
+    return options.timeoutMs !== undefined && options.timeoutMs !== null;
+  }
+
+  /**
+   * Call abort once a query has been running for timeoutMs
+   * For drivers without a native timeout, or to stop work the native one leaves running.
+   *
+   * @param {number} timeoutMs - Timeout from queryTimeout() (0 = never fires)
+   * @param {Function} abort - Driver-specific abort function, may return a Promise
+   * @returns {Object} { timeoutMs, timedOut: boolean, clear: Function }
+   */
+  startWatchdog(timeoutMs, abort) {
+    const watchdog = { timeoutMs: timeoutMs, timedOut: false, timer: null };
+
+    if (timeoutMs > 0) {
+      watchdog.timer = setTimeout(() => {
+        watchdog.timedOut = true;
+        Promise.resolve()
+          .then(abort)
+          .catch(() => {});
+      }, timeoutMs);
+    }
+
+    watchdog.clear = () => clearTimeout(watchdog.timer);
+    return watchdog;
+  }
+
+  /**
+   * Build the error object reported for a query that exceeded its timeout
+   * @param {number} timeoutMs - Timeout from queryTimeout()
+   * @returns {Object} Error object with code 'ETIMEOUT'
+   */
+  timeoutError(timeoutMs) {
+    return {
+      message: `Query timed out after ${timeoutMs} ms`,
+      code: 'ETIMEOUT',
+      severity: null,
+      state: null,
+      lineNumber: null,
+      column: null,
+      procName: null
+    };
+  }
+
+  /**
+   * Get metadata for a database object (table, view, procedure, function)
    * Used for IntelliSense features
    *
    * @param {string} objectType - Type of object ('table', 'view', 'procedure', 'function')
    * @param {string} objectName - Name of the object
    * @param {string} schemaName - Schema name (optional)
-   * @returns {Promise<Object>} Metadata object with structure:
+   * @returns {Promise<Object>} Normalized metadata (see metadata.js):
    * {
+   *   objectType: string, schema: string | null, name: string,
    *   columns: [
    *     {
    *       name: string,
@@ -89,8 +779,13 @@ class BaseDriver {
    *       scale: number | null
    *     }
    *   ],
-   *   indexes: [ ... ],
-   *   constraints: [ ... ]
+   *   indexes: [{ name, columns: string[], isUnique, isPrimary, isClustered, indexType }],
+   *   constraints: [{ name, type, columns: string[], referencedSchema, referencedTable,
+   *                   referencedColumns: string[] | null, checkClause }],
+   *   parameters: [{ name, type, direction: 'IN'|'OUT'|'INOUT', defaultValue, hasDefault,
+   *                  ordinalPosition, maxLength, precision, scale }],
+   *   returnType: string | null,
+   *   definition: string | null
    * }
    * @throws {Error} Must be implemented by subclass
    */
@@ -98,6 +793,40 @@ class BaseDriver {
     throw new Error('BaseDriver.getMetadata() must be implemented by subclass');
   }
 
+  /**
+   * Get every table, view, column, key, routine and synonym of a database
+   *
+   * Reads the catalog with a few set-based queries instead of one
+   * getMetadata() call per object. The fingerprint is computed first from
+   * cheap catalog aggregates; when it equals knownFingerprint the rest is
+   * skipped and { unchanged: true } is returned.
+   *
+   * @param {string|null} database - Database to describe (null: the connection's)
+   * @param {string[]|null} [schemas] - Limit to these schemas (null: all user schemas)
+   * @param {string|null} [knownFingerprint] - Fingerprint of the caller's cached snapshot
+   * @returns {Promise<Object>} Snapshot (see metadata.js)
+   * @throws {Error} Must be implemented by subclass
+   */
+  async getSchemaSnapshot(database, schemas = null, knownFingerprint = null) {
+    throw new Error('BaseDriver.getSchemaSnapshot() must be implemented by subclass');
+  }
+
+  /**
+   * Get the execution plan of a query
+   *
+   * The estimated plan is compiled without running the query. The actual
+   * plan runs it, inside a transaction that is rolled back afterwards.
+   *
+   * @param {string} query - SQL query to explain
+   * @param {Object} [options] - Explain options
+   * @param {boolean} [options.actual] - Run the query and report actual row counts
+   * @returns {Promise<Object>} Plan (see plan.js)
+   * @throws {Error} Must be implemented by subclass
+   */
+  async explain(query, options = {}) {
+    throw new Error('BaseDriver.explain() must be implemented by subclass');
+  }
+
   /**
    * Get the database type identifier
    * @returns {string} Database type ('sqlserver', 'postgres', 'mysql', 'sqlite')
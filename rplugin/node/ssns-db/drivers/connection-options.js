@@ -0,0 +1,160 @@
+/**
+ * Pool and socket settings shared by the networked drivers (SQL Server,
+ * PostgreSQL, MySQL)
+ *
+ * Read from the connection's config.options:
+ * {
+ *   pool: {
+ *     min: number (connections kept open, default: the driver's),
+ *     max: number (connections open at most, default 10),
+ *     idle_timeout_ms: number (close a connection unused this long, default 30000),
+ *     acquire_timeout_ms: number (wait for a free pooled connection, default 30000),
+ *     connect_timeout_ms: number (wait for a new connection, default 15000),
+ *     keepalive: boolean (TCP keepalive on pooled connections, default true)
+ *   },
+ *   socket: {
+ *     packet_size: number (TDS packet size in bytes, 512 to 32767),
+ *     keepalive_delay_ms: number (idle time before the first keepalive probe),
+ *     app_name: string (application name the server shows for the session)
+ *   }
+ * }
+ * A setting a database has no equivalent for is ignored: packet_size only
+ * applies to SQL Server, MySQL has no acquire timeout, PostgreSQL waits for a
+ * pooled and a new connection under one timeout (the larger of the two), and
+ * tedious always keeps alive every 30 s. Without min each driver keeps its
+ * own baseline (0 for SQL Server and PostgreSQL, every idle connection up to
+ * max for MySQL). Timeouts are at least 1 ms: the drivers read 0 differently
+ * (no timeout, or their default), so it is rejected. Values of the wrong
+ * type or range, and unknown keys, are errors.
+ */
+
+const packageJson = require('../package.json');
+
+// Pool settings: default and the range accepted
+const POOL_SETTINGS = {
+  min: { default: null, min: 0 },
+  max: { default: 10, min: 1 },
+  idle_timeout_ms: { default: 30000, min: 1 },
+  acquire_timeout_ms: { default: 30000, min: 1 },
+  connect_timeout_ms: { default: 15000, min: 1 }
+};
+
+// TDS packet sizes tedious accepts
+const PACKET_SIZE_RANGE = { min: 512, max: 32767 };
+
+/**
+ * Get the application name to display in database connections
+ * Shows as "Sql Server NeoVim Studio | SSNS vX.X.X" in Activity Monitor/sp_who2
+ * and pg_stat_activity
+ * @returns {string} The formatted application name
+ */
+function defaultAppName() {
+  const version = packageJson.version || '0.0.0';
+  return `Sql Server NeoVim Studio | SSNS v${version}`;
+}
+
+/**
+ * Check an integer setting
+ * @param {string} name - Setting path, for the error
+ * @param {*} value - Value given
+ * @param {number} min - Smallest value accepted
+ * @param {number} [max] - Largest value accepted
+ * @returns {number}
+ * @throws {Error} If value is not an integer in range
+ */
+function integerSetting(name, value, min, max = Infinity) {
+  if (!Number.isInteger(value) || value < min || value > max) {
+    const range = max === Infinity ? `>= ${min}` : `from ${min} to ${max}`;
+    throw new Error(`Invalid config.options.${name}: expected an integer ${range}, got ${JSON.stringify(value)}`);
+  }
+  return value;
+}
+
+/**
+ * Check that a settings block is a table holding only known keys
+ * @param {string} name - Block name ('pool' or 'socket')
+ * @param {*} block - Value given
+ * @param {Array<string>} known - Keys accepted
+ * @returns {Object} The block ({} when not given)
+ * @throws {Error} If it is not an object or holds an unknown key
+ */
+function settingsBlock(name, block, known) {
+  // An empty Lua table arrives as an empty array
+  if (block === undefined || block === null || (Array.isArray(block) && block.length === 0)) {
+    return {};
+  }
+  if (typeof block !== 'object' || Array.isArray(block)) {
+    throw new Error(`Invalid config.options.${name}: expected a table of settings`);
+  }
+  const unknown = Object.keys(block).filter(key => !known.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown config.options.${name} setting: ${unknown.join(', ')} (expected ${known.join(', ')})`);
+  }
+  return block;
+}
+
+/**
+ * Read and validate the pool and socket settings of a connection
+ *
+ * @param {Object} config - Connection configuration
+ * @returns {Object} {
+ *   pool: { min (null = driver default), max, idleTimeoutMs, acquireTimeoutMs, connectTimeoutMs, keepAlive },
+ *   socket: { packetSize (null = driver default), keepAliveDelayMs (null = driver default), appName }
+ * }
+ * @throws {Error} If a setting is invalid
+ */
+function readConnectionOptions(config) {
+  const options = (config && config.options) || {};
+  const pool = settingsBlock('pool', options.pool, Object.keys(POOL_SETTINGS).concat('keepalive'));
+  const socket = settingsBlock('socket', options.socket, ['packet_size', 'keepalive_delay_ms', 'app_name']);
+
+  const poolValue = (name) => pool[name] === undefined
+    ? POOL_SETTINGS[name].default
+    : integerSetting(`pool.${name}`, pool[name], POOL_SETTINGS[name].min);
+
+  const result = {
+    pool: {
+      min: poolValue('min'),
+      max: poolValue('max'),
+      idleTimeoutMs: poolValue('idle_timeout_ms'),
+      acquireTimeoutMs: poolValue('acquire_timeout_ms'),
+      connectTimeoutMs: poolValue('connect_timeout_ms'),
+      keepAlive: true
+    },
+    socket: {
+      packetSize: null,
+      keepAliveDelayMs: null,
+      appName: defaultAppName()
+    }
+  };
+
+  if (result.pool.min !== null && result.pool.min > result.pool.max) {
+    throw new Error(`Invalid config.options.pool: min (${result.pool.min}) is larger than max (${result.pool.max})`);
+  }
+  if (pool.keepalive !== undefined) {
+    if (typeof pool.keepalive !== 'boolean') {
+      throw new Error(`Invalid config.options.pool.keepalive: expected true or false, got ${JSON.stringify(pool.keepalive)}`);
+    }
+    result.pool.keepAlive = pool.keepalive;
+  }
+
+  if (socket.packet_size !== undefined) {
+    result.socket.packetSize = integerSetting('socket.packet_size', socket.packet_size, PACKET_SIZE_RANGE.min, PACKET_SIZE_RANGE.max);
+  }
+  if (socket.keepalive_delay_ms !== undefined) {
+    result.socket.keepAliveDelayMs = integerSetting('socket.keepalive_delay_ms', socket.keepalive_delay_ms, 0);
+  }
+  if (socket.app_name !== undefined) {
+    if (typeof socket.app_name !== 'string' || socket.app_name.trim() === '') {
+      throw new Error('Invalid config.options.socket.app_name: expected a non-empty string');
+    }
+    result.socket.appName = socket.app_name;
+  }
+
+  return result;
+}
+
+module.exports = {
+  readConnectionOptions,
+  defaultAppName
+};
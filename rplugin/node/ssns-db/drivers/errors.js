@@ -0,0 +1,86 @@
+/**
+ * Error position helpers shared by the drivers
+ *
+ * Query results list every error a batch raised in `errors`, each shaped as
+ * { message, code, severity, state, lineNumber, column, procName }. Line and
+ * column are 1-based and relative to the submitted text (null when the
+ * database does not report a position); `error` stays the one reported as
+ * the cause. Databases report positions as a character offset (PostgreSQL),
+ * a line within the failing statement (MySQL) or not at all (SQLite), so
+ * drivers convert them with these helpers.
+ */
+
+const { maskSql } = require('./params');
+
+/**
+ * Convert a character offset into a line and column
+ * @param {string} text - Submitted SQL text
+ * @param {number} offset - 0-based offset into text
+ * @returns {{lineNumber: number, column: number}} 1-based position
+ */
+function lineColumnAt(text, offset) {
+  const lines = text.slice(0, Math.max(0, Math.min(offset, text.length))).split('\n');
+  return { lineNumber: lines.length, column: lines[lines.length - 1].length + 1 };
+}
+
+/**
+ * Skip whitespace and comments
+ * @param {string} text - SQL text
+ * @param {number} offset - Offset to start from
+ * @param {Object} [maskOptions] - Dialect options for maskSql()
+ * @returns {number} Offset of the next SQL token (text.length if none)
+ */
+function skipBlank(text, offset, maskOptions = {}) {
+  const rest = maskSql(text.slice(offset), maskOptions).search(/\S/);
+  return rest === -1 ? text.length : offset + rest;
+}
+
+/**
+ * Find where each statement of a script starts
+ *
+ * Splits at semicolons outside strings, quoted identifiers and comments, so
+ * a routine body holding semicolons counts as several statements.
+ *
+ * @param {string} text - SQL text
+ * @param {Object} [maskOptions] - Dialect options for maskSql()
+ * @returns {number[]} Offset of the first token of each non-empty statement
+ */
+function statementOffsets(text, maskOptions = {}) {
+  const masked = maskSql(text, maskOptions);
+  const offsets = [];
+  let start = 0;
+
+  for (let i = 0; i <= masked.length; i++) {
+    if (i === masked.length || masked[i] === ';') {
+      const lead = masked.slice(start, i).search(/\S/);
+      if (lead !== -1) {
+        offsets.push(start + lead);
+      }
+      start = i + 1;
+    }
+  }
+
+  return offsets;
+}
+
+/**
+ * Locate the text an error message quotes as near '...' / near "..."
+ * @param {string} text - Submitted SQL text
+ * @param {number} from - Offset of the failing statement
+ * @param {string} message - Error message
+ * @returns {number} Offset of the quoted text, or -1 when not found
+ */
+function findNearText(text, from, message) {
+  const near = /near (['"])([\s\S]*?)\1(?: at line \d+)?(?::|$)/.exec(message || '');
+  if (!near || near[2] === '') {
+    return -1;
+  }
+  return text.indexOf(near[2], from);
+}
+
+module.exports = {
+  lineColumnAt,
+  skipBlank,
+  statementOffsets,
+  findNearText
+};
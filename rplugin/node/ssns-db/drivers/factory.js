@@ -1,28 +1,306 @@
 /**
  * Driver Factory - Create the appropriate database driver based on config type
  *
- * Supports:
- * - SQL Server (type: "sqlserver")
+ * Drivers are looked up in a registry by type or alias. Built in:
+ * - SQL Server (type: "sqlserver", alias "mssql")
  * - MySQL (type: "mysql")
- * - SQLite (type: "sqlite")
- * - PostgreSQL (type: "postgres")
+ * - SQLite (type: "sqlite"; sql.js, or better-sqlite3 with options.sqlite_engine = "native")
+ * - PostgreSQL (type: "postgres", alias "postgresql")
+ *
+ * More drivers are loaded from the directories and npm packages named by the
+ * SSNS_DRIVER_DIRS and SSNS_DRIVER_PACKAGES environment variables (JSON lists,
+ * set from the `drivers` plugin config). A driver module exports either
+ *   function register({ registerDriver, BaseDriver, ResultStream }) { ... }
+ * or
+ *   { type, aliases, Driver }
+ * where the driver class extends the BaseDriver it is given.
+ *
+ * Built-in drivers are required on first use, so a missing npm package only
+ * breaks its own database type. Using it then fails with an error whose code
+ * is 'EDRIVERUNAVAILABLE', naming the package to install.
  */
+const fs = require('fs');
+const path = require('path');
 const { ssnsLog } = require('../ssns-log');
-const SqlServerDriver = require('./sqlserver');
-const MySQLDriver = require('./mysql');
-const SQLiteDriver = require('./sqlite');
-const PostgresDriver = require('./postgres');
+const BaseDriver = require('./base');
+const ResultStream = require('./result-stream');
+
+// Methods a driver has to implement (BaseDriver's versions throw)
+const REQUIRED_METHODS = ['connect', 'disconnect', 'execute', 'getMetadata', 'getType'];
+
+// Registered drivers by type:
+// { type, aliases, DriverClass, load, resolve, dependencies, source, state, error }
+// where state is 'not-loaded', 'loaded' or 'unavailable' (error says why)
+const registry = new Map();
+// Type of every registered name (types and aliases)
+const names = new Map();
+// Driver modules that failed to load: { source, message }
+const loadErrors = [];
+let modulesLoaded = false;
+
+/**
+ * Check that a class can serve as a driver
+ * @param {string} type - Type being registered
+ * @param {Function} DriverClass - Driver class
+ * @throws {Error} If it does not extend BaseDriver or leaves a required method out
+ */
+function validateDriverClass(type, DriverClass) {
+  if (typeof DriverClass !== 'function' || !(DriverClass.prototype instanceof BaseDriver)) {
+    throw new Error(`Driver for ${type} must be a class extending BaseDriver`);
+  }
+
+  const missing = REQUIRED_METHODS.filter(method =>
+    typeof DriverClass.prototype[method] !== 'function' || DriverClass.prototype[method] === BaseDriver.prototype[method]);
+  if (missing.length > 0) {
+    throw new Error(`Driver for ${type} does not implement: ${missing.join(', ')}`);
+  }
+}
+
+/**
+ * Register a driver class for a database type
+ *
+ * Registering a type again replaces its driver, so a driver module can
+ * override a built-in one. An alias already taken by another type is an error.
+ *
+ * @param {string} type - Database type (config.type), case-insensitive
+ * @param {Array<string>} aliases - Other names accepted for the type
+ * @param {Function} DriverClass - Class extending BaseDriver
+ * @param {Object} [options]
+ * @param {Function} [options.resolve] - (config, DriverClass) => class to
+ *   instantiate, for types served by several classes (see resolveSqliteDriver)
+ * @param {string} [options.source] - Where the driver came from ('builtin', a path or package)
+ * @throws {Error} If the type, aliases or class are invalid
+ */
+function registerDriver(type, aliases, DriverClass, options = {}) {
+  validateDriverClass(String(type || '').toLowerCase(), DriverClass);
+  addEntry(type, aliases, Object.assign({}, options, { DriverClass }));
+}
+
+/**
+ * Add a registry entry for a database type
+ * @param {string} type - Database type, case-insensitive
+ * @param {Array<string>} aliases - Other names accepted for the type
+ * @param {Object} options
+ * @param {Function} [options.DriverClass] - Driver class, when already loaded
+ * @param {Function} [options.load] - () => driver class, required on first use
+ * @param {Function} [options.resolve] - (config, DriverClass) => class to instantiate
+ * @param {Function} [options.dependencies] - () => optional modules' status (see getDriverStatus)
+ * @param {string} [options.source] - Where the driver came from
+ * @throws {Error} If the type or aliases are invalid
+ */
+function addEntry(type, aliases, options) {
+  const name = String(type || '').toLowerCase();
+  if (!name) {
+    throw new Error('Driver type must be a non-empty string');
+  }
+
+  const aliasNames = (aliases || []).map(alias => String(alias).toLowerCase()).filter(alias => alias && alias !== name);
+  for (const alias of [name, ...aliasNames]) {
+    const owner = names.get(alias);
+    if (owner && owner !== name) {
+      throw new Error(`Driver name ${alias} is already registered for ${owner}`);
+    }
+  }
+
+  const previous = registry.get(name);
+  if (previous) {
+    previous.aliases.forEach(alias => names.delete(alias));
+    ssnsLog(`[factory] Replacing ${name} driver from ${previous.source} with ${options.source || 'builtin'}`, 'info');
+  }
+
+  registry.set(name, {
+    type: name,
+    aliases: aliasNames,
+    DriverClass: options.DriverClass || null,
+    load: options.load || null,
+    resolve: options.resolve || null,
+    dependencies: options.dependencies || null,
+    source: options.source || 'builtin',
+    state: options.DriverClass ? 'loaded' : 'not-loaded',
+    error: null
+  });
+  [name, ...aliasNames].forEach(alias => names.set(alias, name));
+}
+
+/**
+ * Name the npm package a failed require() was looking for
+ * @param {Error} err - Error thrown by require()
+ * @returns {string|null} Package name, or null when the error is not a missing package
+ */
+function missingModuleName(err) {
+  const match = err && err.code === 'MODULE_NOT_FOUND' && /Cannot find module '([^']+)'/.exec(err.message);
+  if (!match || match[1].startsWith('.') || path.isAbsolute(match[1])) {
+    return null;
+  }
+  const parts = match[1].split('/');
+  return match[1].startsWith('@') ? parts.slice(0, 2).join('/') : parts[0];
+}
+
+/**
+ * Build the error raised when a driver cannot be loaded
+ * @param {string} type - Database type
+ * @param {Error} err - Load failure
+ * @returns {Error} Error with code 'EDRIVERUNAVAILABLE', driverType and moduleName
+ */
+function driverUnavailableError(type, err) {
+  const moduleName = missingModuleName(err);
+  const reason = moduleName
+    ? `install ${moduleName} (npm install ${moduleName} in rplugin/node/ssns-db)`
+    : String((err && err.message) || err).split('\n')[0];
+  const error = new Error(`Driver for ${type} unavailable: ${reason}`);
+  error.code = 'EDRIVERUNAVAILABLE';
+  error.driverType = type;
+  error.moduleName = moduleName;
+  return error;
+}
+
+/**
+ * Load a registry entry's driver class on first use
+ *
+ * A failed load is not remembered as final: the next call tries again, so
+ * installing the missing package takes effect without restarting.
+ *
+ * @param {Object} entry - Registry entry
+ * @returns {Function} Driver class
+ * @throws {Error} EDRIVERUNAVAILABLE error if it cannot be loaded
+ */
+function loadEntry(entry) {
+  if (entry.DriverClass) {
+    return entry.DriverClass;
+  }
+
+  try {
+    const DriverClass = entry.load();
+    validateDriverClass(entry.type, DriverClass);
+    entry.DriverClass = DriverClass;
+    entry.state = 'loaded';
+    entry.error = null;
+    ssnsLog(`[factory] Loaded ${entry.type} driver`);
+    return DriverClass;
+  } catch (err) {
+    ssnsLog(`[factory] Failed to load ${entry.type} driver: ${err && err.stack ? err.stack : err}`, 'error');
+    entry.state = 'unavailable';
+    entry.error = driverUnavailableError(entry.type, err);
+    throw entry.error;
+  }
+}
+
+/**
+ * Pick the SQLite driver class: native when requested and loadable, else sql.js
+ * @param {Object} config - Connection configuration
+ * @param {Function} SQLiteDriver - sql.js driver class
+ * @returns {Function} Driver class
+ */
+function resolveSqliteDriver(config, SQLiteDriver) {
+  const engine = String((config.options && config.options.sqlite_engine) || 'sqljs').toLowerCase();
+  if (engine !== 'sqljs' && engine !== 'native') {
+    throw new Error(`Invalid sqlite_engine: ${engine} (expected sqljs or native)`);
+  }
+
+  if (engine === 'native') {
+    const NativeSQLiteDriver = require('./sqlite-native');
+    if (NativeSQLiteDriver.isAvailable()) {
+      return NativeSQLiteDriver;
+    }
+    ssnsLog(`[factory] Native SQLite unavailable, falling back to sql.js: ${NativeSQLiteDriver.unavailableReason()}`, 'info');
+  }
+  return SQLiteDriver;
+}
+
+/**
+ * Read a JSON list of strings from an environment variable
+ * @param {string} name - Variable name
+ * @returns {Array<string>}
+ */
+function envList(name) {
+  if (!process.env[name]) {
+    return [];
+  }
+  try {
+    const value = JSON.parse(process.env[name]);
+    return Array.isArray(value) ? value.filter(item => typeof item === 'string' && item !== '') : [];
+  } catch (err) {
+    loadErrors.push({ source: name, message: `Invalid JSON list: ${err.message}` });
+    return [];
+  }
+}
+
+/**
+ * Load one driver module and let it register its drivers
+ * @param {string} specifier - Path or package name passed to require()
+ * @param {string} source - Recorded as the source of its drivers
+ */
+function loadDriverModule(specifier, source) {
+  const exported = require(specifier);
+  const api = {
+    BaseDriver: BaseDriver,
+    ResultStream: ResultStream,
+    registerDriver: (type, aliases, DriverClass, options = {}) =>
+      registerDriver(type, aliases, DriverClass, Object.assign({}, options, { source }))
+  };
+
+  if (typeof exported === 'function' && !(exported.prototype instanceof BaseDriver)) {
+    exported(api);
+  } else if (exported && exported.type && exported.Driver) {
+    api.registerDriver(exported.type, exported.aliases || [], exported.Driver);
+  } else {
+    throw new Error('Driver module must export a register(api) function or { type, aliases, Driver }');
+  }
+}
+
+/**
+ * Load the configured driver modules, once
+ *
+ * Every .js file and subdirectory of a driver directory is loaded as a
+ * module. A module that fails is recorded in loadErrors and skipped.
+ */
+function loadDriverModules() {
+  if (modulesLoaded) {
+    return;
+  }
+  modulesLoaded = true;
+
+  const load = (specifier, source) => {
+    try {
+      loadDriverModule(specifier, source);
+      ssnsLog(`[factory] Loaded driver module ${source}`);
+    } catch (err) {
+      ssnsLog(`[factory] Failed to load driver module ${source}: ${err && err.stack ? err.stack : err}`, 'error');
+      loadErrors.push({ source: source, message: String(err.message || err).split('\n')[0] });
+    }
+  };
+
+  for (const directory of envList('SSNS_DRIVER_DIRS')) {
+    let entries;
+    try {
+      entries = fs.readdirSync(directory, { withFileTypes: true });
+    } catch (err) {
+      loadErrors.push({ source: directory, message: `Cannot read driver directory: ${err.message}` });
+      continue;
+    }
+    entries
+      .filter(entry => entry.isDirectory() || (entry.isFile() && entry.name.endsWith('.js')))
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .forEach(entry => load(path.resolve(directory, entry.name), path.join(directory, entry.name)));
+  }
+
+  for (const packageName of envList('SSNS_DRIVER_PACKAGES')) {
+    load(packageName, packageName);
+  }
+}
 
 /**
  * Get the appropriate driver for a connection config
  *
  * @param {Object} config - Connection configuration object
- * @param {string} config.type - Database type ("sqlserver", "mysql", "sqlite", "postgres")
+ * @param {string} config.type - Database type (a registered type or alias)
  * @param {Object} config.server - Server connection details
  * @param {Object} config.auth - Authentication details
  * @param {Object} [config.options] - Additional connection options
+ * @param {string} [config.options.sqlite_engine] - SQLite only: 'sqljs' (default) or 'native'
  * @returns {BaseDriver} Driver instance
- * @throws {Error} If config is invalid or type is unsupported
+ * @throws {Error} If config is invalid or type is unsupported, or an
+ *   EDRIVERUNAVAILABLE error if the driver's packages cannot be loaded
  */
 function getDriver(config) {
   ssnsLog(`[factory] getDriver called with config type: ${config && config.type}`);
@@ -37,42 +315,21 @@ function getDriver(config) {
     throw new Error('Invalid config: missing type field');
   }
 
-  const dbType = config.type.toLowerCase();
-
-  // SQL Server
-  if (dbType === 'sqlserver' || dbType === 'mssql') {
-    ssnsLog('[factory] Creating SQL Server driver');
-    return new SqlServerDriver(config);
-  }
-
-  // MySQL
-  if (dbType === 'mysql') {
-    ssnsLog('[factory] Creating MySQL driver');
-    return new MySQLDriver(config);
-  }
-
-  // SQLite
-  if (dbType === 'sqlite') {
-    ssnsLog('[factory] Creating SQLite driver');
-    return new SQLiteDriver(config);
-  }
+  loadDriverModules();
+  const entry = registry.get(names.get(config.type.toLowerCase()));
 
-  // PostgreSQL
-  if (dbType === 'postgres' || dbType === 'postgresql') {
-    ssnsLog('[factory] Creating PostgreSQL driver');
-    return new PostgresDriver(config);
+  if (!entry) {
+    ssnsLog(`[factory] Unsupported database type: ${config.type}`);
+    throw new Error(
+      `Unsupported database type: ${config.type}\n` +
+      `Supported types:\n` +
+      getSupportedTypes().map(type => `  - ${type}`).join('\n')
+    );
   }
 
-  // Unknown database type
-  ssnsLog(`[factory] Unsupported database type: ${config.type}`);
-  throw new Error(
-    `Unsupported database type: ${config.type}\n` +
-    `Supported types:\n` +
-    `  - sqlserver\n` +
-    `  - mysql\n` +
-    `  - sqlite\n` +
-    `  - postgres`
-  );
+  const DriverClass = entry.resolve ? entry.resolve(config, loadEntry(entry)) : loadEntry(entry);
+  ssnsLog(`[factory] Creating ${entry.type} driver (${DriverClass.name})`);
+  return new DriverClass(config);
 }
 
 /**
@@ -83,8 +340,8 @@ function getDriver(config) {
  */
 function isSupported(dbType) {
   ssnsLog(`[factory] isSupported called with: ${dbType}`);
-  const supported = ['sqlserver', 'mssql', 'mysql', 'sqlite', 'postgres', 'postgresql'];
-  const result = supported.includes(dbType.toLowerCase());
+  loadDriverModules();
+  const result = names.has(String(dbType).toLowerCase());
   ssnsLog(`[factory] isSupported result: ${result}`);
   return result;
 }
@@ -92,15 +349,107 @@ function isSupported(dbType) {
 /**
  * Get list of supported database types
  *
- * @returns {Array<string>} List of supported database types
+ * @returns {Array<string>} Registered types (aliases not included)
  */
 function getSupportedTypes() {
   ssnsLog('[factory] getSupportedTypes called');
-  return ['sqlserver', 'mysql', 'sqlite', 'postgres'];
+  loadDriverModules();
+  return Array.from(registry.keys());
+}
+
+/**
+ * Describe the registered drivers and the driver modules that failed to load
+ *
+ * @returns {Object} { types: [{ type, aliases, source }], errors: [{ source, message }] }
+ */
+function getDriverInfo() {
+  loadDriverModules();
+  return {
+    types: Array.from(registry.values()).map(entry => ({
+      type: entry.type,
+      aliases: entry.aliases.slice(),
+      source: entry.source
+    })),
+    errors: loadErrors.slice()
+  };
+}
+
+/**
+ * Report the load state of every registered driver
+ *
+ * Built-in drivers not used yet are loaded to check them, which is what a
+ * health check wants to know. Each driver also lists the optional modules
+ * some of its connections need.
+ *
+ * @returns {Object} {
+ *   drivers: [{ type, aliases, source, state, error, moduleName,
+ *     dependencies: [{ module, usedFor, available, error }] }],
+ *   errors: [{ source, message }] (driver modules that failed to load)
+ * }
+ */
+function getDriverStatus() {
+  loadDriverModules();
+  const drivers = Array.from(registry.values()).map(entry => {
+    try {
+      loadEntry(entry);
+    } catch (err) {
+      // Recorded on the entry
+    }
+
+    let dependencies = [];
+    if (entry.state === 'loaded' && entry.dependencies) {
+      try {
+        dependencies = entry.dependencies(entry.DriverClass);
+      } catch (err) {
+        ssnsLog(`[factory] Failed to check ${entry.type} dependencies: ${err.message}`, 'error');
+      }
+    }
+
+    return {
+      type: entry.type,
+      aliases: entry.aliases.slice(),
+      source: entry.source,
+      state: entry.state,
+      error: entry.error ? entry.error.message : null,
+      moduleName: entry.error ? entry.error.moduleName : null,
+      dependencies: dependencies
+    };
+  });
+
+  return { drivers: drivers, errors: loadErrors.slice() };
 }
 
+addEntry('sqlserver', ['mssql'], {
+  load: () => require('./sqlserver'),
+  dependencies: (SqlServerDriver) => [{
+    module: 'msnodesqlv8',
+    usedFor: 'Windows authentication (falls back to tedious over NTLM)',
+    available: SqlServerDriver.isNativeAvailable(),
+    error: SqlServerDriver.nativeUnavailableReason()
+  }]
+});
+addEntry('mysql', [], { load: () => require('./mysql') });
+addEntry('sqlite', [], {
+  load: () => require('./sqlite'),
+  resolve: resolveSqliteDriver,
+  dependencies: () => {
+    const NativeSQLiteDriver = require('./sqlite-native');
+    const available = NativeSQLiteDriver.isAvailable();
+    return [{
+      module: 'better-sqlite3',
+      usedFor: 'sqlite_engine = "native" (falls back to sql.js)',
+      available: available,
+      error: available ? null : String(NativeSQLiteDriver.unavailableReason()).split('\n')[0]
+    }];
+  }
+});
+addEntry('postgres', ['postgresql'], { load: () => require('./postgres') });
+
 module.exports = {
   getDriver,
   isSupported,
-  getSupportedTypes
+  getSupportedTypes,
+  getDriverInfo,
+  getDriverStatus,
+  registerDriver
 };
@@ -0,0 +1,269 @@
+/**
+ * Normalized object metadata shared by the drivers' getMetadata()
+ *
+ * Every driver returns the same shape for every object type, so callers never
+ * need per-dialect handling:
+ * {
+ *   objectType, schema, name,
+ *   columns: [{ name, type, nullable, defaultValue, isPrimaryKey, isForeignKey, ... }],
+ *   indexes: [{ name, columns, isUnique, isPrimary, isClustered, indexType }],
+ *   constraints: [{ name, type, columns, referencedSchema, referencedTable,
+ *                   referencedColumns, checkClause }],
+ *   parameters: [{ name, type, direction, defaultValue, hasDefault,
+ *                  ordinalPosition, maxLength, precision, scale }],
+ *   returnType: string | null,
+ *   definition: string | null
+ * }
+ *
+ * Constraint types are 'PRIMARY KEY', 'FOREIGN KEY', 'UNIQUE' and 'CHECK';
+ * parameter directions are 'IN', 'OUT' and 'INOUT'. Lists that do not apply
+ * to an object type are empty.
+ *
+ * getSchemaSnapshot() returns a whole database in a more compact form:
+ * {
+ *   database, fingerprint, unchanged: false,
+ *   tables: [{ schema, name, type: 'table'|'view', columns: [{ name, type, nullable }],
+ *              primaryKey: string[] | null,
+ *              foreignKeys: [{ name, columns, referencedSchema, referencedTable, referencedColumns }] }],
+ *   routines: [{ schema, name, type: 'procedure'|'function', returnType }],
+ *   synonyms: [{ schema, name, target }]
+ * }
+ * When the caller's fingerprint still matches, only
+ * { database, fingerprint, unchanged: true } is returned.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Build a metadata object, filling everything not given with empty values
+ *
+ * @param {string} objectType - 'table', 'view', 'procedure' or 'function'
+ * @param {string|null} schema - Schema (or database) name
+ * @param {string} name - Object name
+ * @param {Object} [parts] - Any of columns, indexes, constraints, parameters, returnType, definition
+ * @returns {Object} Normalized metadata
+ */
+function buildMetadata(objectType, schema, name, parts = {}) {
+  return {
+    objectType: objectType,
+    schema: schema || null,
+    name: name,
+    columns: parts.columns || [],
+    indexes: parts.indexes || [],
+    constraints: parts.constraints || [],
+    parameters: parts.parameters || [],
+    returnType: parts.returnType || null,
+    definition: parts.definition || null
+  };
+}
+
+/**
+ * Group one-row-per-column index rows into indexes
+ * Rows must be ordered by index, then by key position.
+ *
+ * @param {Array<Object>} rows - { indexName, columnName, isUnique, isPrimary, isClustered, indexType }
+ * @returns {Array<Object>} { name, columns, isUnique, isPrimary, isClustered, indexType }
+ */
+function groupIndexRows(rows) {
+  const indexes = new Map();
+
+  for (const row of rows) {
+    if (!indexes.has(row.indexName)) {
+      indexes.set(row.indexName, {
+        name: row.indexName,
+        columns: [],
+        isUnique: !!row.isUnique,
+        isPrimary: !!row.isPrimary,
+        isClustered: !!row.isClustered,
+        indexType: row.indexType || null
+      });
+    }
+    if (row.columnName !== null && row.columnName !== undefined) {
+      indexes.get(row.indexName).columns.push(row.columnName);
+    }
+  }
+
+  return Array.from(indexes.values());
+}
+
+/**
+ * Group one-row-per-column constraint rows into constraints
+ * Rows must be ordered by constraint, then by key position.
+ *
+ * @param {Array<Object>} rows - { constraintName, constraintType, columnName,
+ *   referencedSchema, referencedTable, referencedColumn, checkClause }
+ * @returns {Array<Object>} { name, type, columns, referencedSchema, referencedTable,
+ *   referencedColumns, checkClause }
+ */
+function groupConstraintRows(rows) {
+  const constraints = new Map();
+
+  for (const row of rows) {
+    if (!constraints.has(row.constraintName)) {
+      const isForeignKey = row.constraintType === 'FOREIGN KEY';
+      constraints.set(row.constraintName, {
+        name: row.constraintName,
+        type: row.constraintType,
+        columns: [],
+        referencedSchema: isForeignKey ? row.referencedSchema || null : null,
+        referencedTable: isForeignKey ? row.referencedTable || null : null,
+        referencedColumns: isForeignKey ? [] : null,
+        checkClause: row.checkClause || null
+      });
+    }
+
+    const constraint = constraints.get(row.constraintName);
+    if (row.columnName !== null && row.columnName !== undefined) {
+      constraint.columns.push(row.columnName);
+    }
+    if (constraint.referencedColumns && row.referencedColumn !== null && row.referencedColumn !== undefined) {
+      constraint.referencedColumns.push(row.referencedColumn);
+    }
+  }
+
+  return Array.from(constraints.values());
+}
+
+/**
+ * Build a normalized parameter
+ * @param {Object} fields - { name, type, direction, defaultValue, hasDefault, ordinalPosition, maxLength, precision, scale }
+ * @returns {Object} Parameter with every field present
+ */
+function buildParameter(fields) {
+  const direction = String(fields.direction || 'IN').toUpperCase();
+  const defaultValue = fields.defaultValue === undefined ? null : fields.defaultValue;
+
+  return {
+    name: fields.name,
+    type: fields.type || null,
+    direction: direction === 'OUT' || direction === 'INOUT' ? direction : 'IN',
+    defaultValue: defaultValue,
+    hasDefault: fields.hasDefault !== undefined ? !!fields.hasDefault : defaultValue !== null,
+    ordinalPosition: fields.ordinalPosition !== undefined ? fields.ordinalPosition : null,
+    maxLength: fields.maxLength !== undefined ? fields.maxLength : null,
+    precision: fields.precision !== undefined ? fields.precision : null,
+    scale: fields.scale !== undefined ? fields.scale : null
+  };
+}
+
+/**
+ * Reduce catalog values (counts, dates, checksums) to a short fingerprint
+ * @param {Array<*>} parts - Values that change whenever the schema changes
+ * @returns {string} Hex digest
+ */
+function schemaFingerprint(parts) {
+  const text = JSON.stringify(parts.map(part => (part instanceof Date ? part.toISOString() : part)));
+  return crypto.createHash('sha1').update(text).digest('hex').slice(0, 16);
+}
+
+/**
+ * Key a relation by schema and name
+ * @private
+ */
+function relationKey(schema, name) {
+  return `${schema || ''}\u0000${name}`;
+}
+
+/**
+ * Assemble a schema snapshot from set-based catalog rows
+ *
+ * @param {string|null} database - Database the snapshot describes
+ * @param {string} fingerprint - schemaFingerprint() of the database
+ * @param {Object} rows - Catalog rows, each list ordered as noted:
+ * @param {Array<Object>} rows.relations - { schema, name, type: 'table'|'view' }
+ * @param {Array<Object>} rows.columns - { schema, table, name, type, nullable }, by column position
+ * @param {Array<Object>} [rows.keys] - { schema, table, constraintName, constraintType ('PRIMARY KEY'
+ *   or 'FOREIGN KEY'), columnName, referencedSchema, referencedTable, referencedColumn },
+ *   by constraint, then key position
+ * @param {Array<Object>} [rows.routines] - { schema, name, type: 'procedure'|'function', returnType }
+ * @param {Array<Object>} [rows.synonyms] - { schema, name, target }
+ * @returns {Object} Snapshot (see above)
+ */
+function buildSnapshot(database, fingerprint, rows) {
+  const tables = new Map();
+
+  for (const row of rows.relations) {
+    tables.set(relationKey(row.schema, row.name), {
+      schema: row.schema || null,
+      name: row.name,
+      type: row.type,
+      columns: [],
+      primaryKey: null,
+      foreignKeys: []
+    });
+  }
+
+  for (const row of rows.columns) {
+    const table = tables.get(relationKey(row.schema, row.table));
+    if (table) {
+      table.columns.push({
+        name: row.name,
+        type: row.type,
+        nullable: row.nullable === true || row.nullable === 1 || row.nullable === 'YES'
+      });
+    }
+  }
+
+  const keyRows = new Map();
+  for (const row of rows.keys || []) {
+    const key = relationKey(row.schema, row.table);
+    if (!keyRows.has(key)) keyRows.set(key, []);
+    keyRows.get(key).push(row);
+  }
+  for (const [key, tableKeyRows] of keyRows) {
+    const table = tables.get(key);
+    if (!table) continue;
+
+    for (const constraint of groupConstraintRows(tableKeyRows)) {
+      if (constraint.type === 'PRIMARY KEY') {
+        table.primaryKey = constraint.columns;
+      } else if (constraint.type === 'FOREIGN KEY') {
+        table.foreignKeys.push({
+          name: constraint.name,
+          columns: constraint.columns,
+          referencedSchema: constraint.referencedSchema,
+          referencedTable: constraint.referencedTable,
+          referencedColumns: constraint.referencedColumns
+        });
+      }
+    }
+  }
+
+  return {
+    database: database || null,
+    fingerprint: fingerprint,
+    unchanged: false,
+    tables: Array.from(tables.values()),
+    routines: (rows.routines || []).map(row => ({
+      schema: row.schema || null,
+      name: row.name,
+      type: row.type,
+      returnType: row.returnType || null
+    })),
+    synonyms: (rows.synonyms || []).map(row => ({
+      schema: row.schema || null,
+      name: row.name,
+      target: row.target
+    }))
+  };
+}
+
+/**
+ * Snapshot reply when the caller's cached copy is still current
+ * @param {string|null} database - Database name
+ * @param {string} fingerprint - Current fingerprint
+ * @returns {Object} { database, fingerprint, unchanged: true }
+ */
+function unchangedSnapshot(database, fingerprint) {
+  return { database: database || null, fingerprint: fingerprint, unchanged: true };
+}
+
+module.exports = {
+  buildMetadata,
+  groupIndexRows,
+  groupConstraintRows,
+  buildParameter,
+  schemaFingerprint,
+  buildSnapshot,
+  unchangedSnapshot
+};
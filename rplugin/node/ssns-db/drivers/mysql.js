@@ -1,5 +1,235 @@
 const mysql = require('mysql2/promise');
 const BaseDriver = require('./base');
+const { ssnsLog } = require('../ssns-log');
+const ResultStream = require('./result-stream');
+const { normalizeParams } = require('./params');
+const { lineColumnAt, statementOffsets, findNearText } = require('./errors');
+const { planNode, buildPlan } = require('./plan');
+const { buildStats, counterDeltas } = require('./stats');
+const { readConnectionOptions } = require('./connection-options');
+const {
+  buildMetadata, groupIndexRows, groupConstraintRows, buildParameter,
+  schemaFingerprint, buildSnapshot, unchangedSnapshot
+} = require('./metadata');
+
+// Column definition flags (mysql_com.h)
+const NOT_NULL_FLAG = 1;
+const PRI_KEY_FLAG = 2;
+const UNIQUE_KEY_FLAG = 4;
+const AUTO_INCREMENT_FLAG = 512;
+
+// SHOW WARNINGS levels as result message severities
+const WARNING_SEVERITIES = { Note: 'info', Warning: 'warning', Error: 'error' };
+
+// mysql2 gave up waiting on the query (client-side timeout option)
+const CLIENT_TIMEOUT_CODE = 'PROTOCOL_SEQUENCE_TIMEOUT';
+// The server stopped the query at max_execution_time
+const SERVER_TIMEOUT_CODE = 'ER_QUERY_TIMEOUT';
+// Server status flag set while a transaction is open (OK packet serverStatus)
+const SERVER_STATUS_IN_TRANS = 1;
+// Error numbers of a lost session: ER_SERVER_SHUTDOWN, ER_CONNECTION_KILLED (MariaDB),
+// CR_SERVER_GONE_ERROR, CR_SERVER_LOST, ER_CLIENT_INTERACTION_TIMEOUT (wait_timeout)
+const CONNECTION_LOST_ERRNOS = new Set([1053, 1927, 2006, 2013, 4031]);
+
+// Backslash escapes apply in every MySQL string literal (see maskSql)
+const MYSQL_MASK_OPTIONS = { backslashEscapes: true };
+
+// Session status counters reported with collectStats
+const SESSION_STATUS_COUNTERS = [
+  'Handler_read_first', 'Handler_read_key', 'Handler_read_last', 'Handler_read_next',
+  'Handler_read_prev', 'Handler_read_rnd', 'Handler_read_rnd_next',
+  'Handler_write', 'Handler_update', 'Handler_delete',
+  'Created_tmp_tables', 'Created_tmp_disk_tables',
+  'Select_full_join', 'Select_full_range_join', 'Select_range', 'Select_range_check', 'Select_scan',
+  'Sort_merge_passes', 'Sort_range', 'Sort_rows', 'Sort_scan',
+  'Bytes_received', 'Bytes_sent'
+];
+
+// EXPLAIN FORMAT=JSON operations applied to the plan below them
+const PLAN_OPERATIONS = {
+  ordering_operation: 'Sort',
+  grouping_operation: 'Group',
+  duplicates_removal: 'Distinct',
+  windowing: 'Window',
+  buffer_result: 'Buffer',
+  union_result: 'Union',
+  materialized_from_subquery: 'Materialize'
+};
+// EXPLAIN FORMAT=JSON keys holding lists of subplans
+const PLAN_LISTS = new Set([
+  'query_specifications', 'attached_subqueries', 'optimized_away_subqueries',
+  'select_list_subqueries', 'having_subqueries', 'order_by_subqueries', 'update_value_subqueries'
+]);
+// EXPLAIN access types as operator names
+const ACCESS_TYPES = {
+  ALL: 'Table scan',
+  index: 'Full index scan',
+  range: 'Index range scan',
+  index_merge: 'Index merge',
+  ref: 'Index lookup',
+  ref_or_null: 'Index lookup (or NULL)',
+  eq_ref: 'Unique index lookup',
+  const: 'Constant row',
+  system: 'System table',
+  fulltext: 'Fulltext index',
+  unique_subquery: 'Unique subquery',
+  index_subquery: 'Index subquery'
+};
+
+/**
+ * Convert the subplans of an EXPLAIN FORMAT=JSON object to plan nodes
+ * @param {Object} object - query_block, table or operation object
+ * @returns {Array<Object>} Plan nodes (see plan.js)
+ */
+function jsonPlanChildren(object) {
+  const children = [];
+
+  for (const [key, value] of Object.entries(object)) {
+    if (key === 'query_block') {
+      children.push(jsonPlanBlock(value));
+    } else if (key === 'table') {
+      children.push(jsonPlanTable(value));
+    } else if (key === 'nested_loop') {
+      const tables = value.flatMap(jsonPlanChildren);
+      children.push(planNode({
+        operator: 'Nested loop',
+        estimatedRows: tables.length > 0 ? tables[tables.length - 1].estimatedRows : null,
+        cost: tables.length > 0 ? tables[tables.length - 1].cost : null,
+        children: tables
+      }));
+    } else if (PLAN_OPERATIONS[key]) {
+      const warnings = [];
+      if (value.using_filesort) warnings.push('Using filesort');
+      if (value.using_temporary_table) warnings.push('Using temporary table');
+      children.push(planNode({ operator: PLAN_OPERATIONS[key], warnings, children: jsonPlanChildren(value) }));
+    } else if (PLAN_LISTS.has(key) && Array.isArray(value)) {
+      children.push(...value.flatMap(jsonPlanChildren));
+    }
+  }
+
+  return children;
+}
+
+/**
+ * Convert an EXPLAIN FORMAT=JSON query_block to a plan node
+ * @param {Object} block - query_block object
+ * @returns {Object} Plan node (see plan.js)
+ */
+function jsonPlanBlock(block) {
+  return planNode({
+    operator: block.select_id ? `Query block #${block.select_id}` : 'Query block',
+    cost: block.cost_info && block.cost_info.query_cost,
+    warnings: block.message ? [block.message] : [],
+    children: jsonPlanChildren(block)
+  });
+}
+
+/**
+ * Convert an EXPLAIN FORMAT=JSON table access to a plan node
+ * The cost is the prefix cost, which includes the tables joined before it.
+ *
+ * @param {Object} table - table object
+ * @returns {Object} Plan node (see plan.js)
+ */
+function jsonPlanTable(table) {
+  const predicates = [];
+  if (table.ref) predicates.push(`Ref: ${table.key} = ${table.ref.join(', ')}`);
+  if (table.index_condition) predicates.push(`Index condition: ${table.index_condition}`);
+  if (table.attached_condition) predicates.push(`Filter: ${table.attached_condition}`);
+
+  const warnings = table.message ? [table.message] : [];
+  if (table.using_join_buffer) warnings.push(`Using join buffer (${table.using_join_buffer})`);
+
+  return planNode({
+    operator: ACCESS_TYPES[table.access_type] || table.access_type || 'Table access',
+    estimatedRows: table.rows_produced_per_join,
+    cost: table.cost_info && table.cost_info.prefix_cost,
+    object: table.key ? `${table.table_name} (${table.key})` : table.table_name,
+    predicates: predicates,
+    warnings: warnings,
+    children: jsonPlanChildren(table)
+  });
+}
+
+/**
+ * Split an EXPLAIN ANALYZE line description into operator, object and predicates
+ *
+ * "Filter: (t.a > 1)" is a filter; "Index lookup on t using idx (a=1)"
+ * names the table and index; anything else is kept whole as the operator.
+ *
+ * @param {string} description - Line text without its cost and timing
+ * @returns {Object} { operator, object, predicates }
+ */
+function treeOperator(description) {
+  const filter = /^Filter: (.*)$/.exec(description);
+  if (filter) {
+    return { operator: 'Filter', object: null, predicates: [description] };
+  }
+
+  const access = /^(.*?) on (\S+)(?: using (\S+))?(.*)$/.exec(description);
+  if (access) {
+    const condition = access[4].trim();
+    return {
+      operator: access[1],
+      object: access[3] ? `${access[2]} (${access[3]})` : access[2],
+      predicates: condition ? [`${access[1]}: ${condition}`] : []
+    };
+  }
+
+  return { operator: description, object: null, predicates: [] };
+}
+
+/**
+ * Convert EXPLAIN ANALYZE tree text to plan nodes
+ *
+ * Each line reads "-> description  (cost=C rows=R) (actual time=T rows=N loops=L)",
+ * indented four spaces per level. Actual rows are averaged over the loops,
+ * so they are multiplied back.
+ *
+ * @param {string} text - EXPLAIN ANALYZE output
+ * @returns {Array<Object>} Top-level plan nodes (see plan.js)
+ */
+function treePlanNodes(text) {
+  const roots = [];
+  const stack = [];
+
+  for (const line of text.split('\n')) {
+    const match = /^(\s*)-> (.*)$/.exec(line);
+    if (!match) {
+      continue;
+    }
+
+    const estimate = /\s*\(cost=([\d.e+-]+)(?:\.\.([\d.e+-]+))? rows=([\d.e+-]+)\)/.exec(match[2]);
+    const actual = /\s*\(actual time=[\d.e+-]+\.\.[\d.e+-]+ rows=([\d.e+-]+) loops=(\d+)\)/.exec(match[2]);
+    const neverExecuted = /\s*\(never executed\)/.exec(match[2]);
+    let description = match[2];
+    for (const part of [estimate, actual, neverExecuted]) {
+      if (part) description = description.replace(part[0], '');
+    }
+
+    let actualRows = null;
+    if (actual) {
+      actualRows = Math.round(Number(actual[1]) * Number(actual[2]));
+    } else if (neverExecuted) {
+      actualRows = 0;
+    }
+
+    const node = planNode(Object.assign(treeOperator(description.trim()), {
+      estimatedRows: estimate && estimate[3],
+      actualRows: actualRows,
+      cost: estimate && (estimate[2] || estimate[1])
+    }));
+
+    const depth = match[1].length;
+    while (stack.length > 0 && stack[stack.length - 1].depth >= depth) {
+      stack.pop();
+    }
+    (stack.length > 0 ? stack[stack.length - 1].node.children : roots).push(node);
+    stack.push({ depth, node });
+  }
+
+  return roots;
+}
 
 /**
  * MySQLDriver - MySQL database driver using mysql2 package
@@ -23,6 +253,10 @@ class MySQLDriver extends BaseDriver {
    * @param {string} [config.auth.password] - Password
    * @param {Object} [config.options] - Additional options
    * @param {boolean} [config.options.ssl] - Use SSL
+   * @param {number} [config.options.query_timeout_ms] - Default query timeout (default: none)
+   * @param {Object} [config.options.pool] - Pool limits, timeouts and keepalive (see connection-options.js)
+   * @param {Object} [config.options.socket] - keepalive_delay_ms and app_name (packet_size is ignored)
+   * @throws {Error} If a pool or socket setting is invalid
    */
   constructor(config) {
     super(config);
@@ -32,26 +266,40 @@ class MySQLDriver extends BaseDriver {
   /**
    * Build mysql2 configuration from connection config
    *
+   * Every idle_timeout_ms mysql2 closes free connections beyond maxIdle
+   * (pool.min when given, else up to max are kept) and any left idle that
+   * long. It has no acquire timeout: waiting callers queue until a connection
+   * is free.
+   *
    * @param {Object} config - Connection configuration
    * @returns {Object} mysql2 config object
+   * @throws {Error} If a pool or socket setting is invalid
    */
   buildMysqlConfig(config) {
     const server = config.server || {};
     const auth = config.auth || {};
     const options = config.options || {};
+    const { pool, socket } = readConnectionOptions(config);
 
     const mysqlConfig = {
       host: server.host || 'localhost',
       port: server.port || 3306,
       database: server.database || 'mysql',
       waitForConnections: true,
-      connectionLimit: 10,
+      connectionLimit: pool.max,
+      idleTimeout: pool.idleTimeoutMs,
       queueLimit: 0,
-      enableKeepAlive: true,
-      keepAliveInitialDelay: 0,
+      connectTimeout: pool.connectTimeoutMs,
+      enableKeepAlive: pool.keepAlive,
+      keepAliveInitialDelay: socket.keepAliveDelayMs !== null ? socket.keepAliveDelayMs : 0,
+      connectAttributes: { program_name: socket.appName }, // Shown in performance_schema.session_connect_attrs
       multipleStatements: true  // Enable multiple result sets
     };
 
+    if (pool.min !== null) {
+      mysqlConfig.maxIdle = pool.min;
+    }
+
     // Authentication
     mysqlConfig.user = auth.username || 'root';
     mysqlConfig.password = auth.password || '';
@@ -61,7 +309,6 @@ class MySQLDriver extends BaseDriver {
       mysqlConfig.ssl = { rejectUnauthorized: false };
     }
 
-    console.error('[DEBUG] MySQL config:', JSON.stringify(mysqlConfig, null, 2));
     return mysqlConfig;
   }
 
@@ -73,40 +320,89 @@ class MySQLDriver extends BaseDriver {
       return; // Already connected
     }
 
-    try {
-      this.pool = mysql.createPool(this.mysqlConfig);
+    const pool = mysql.createPool(this.mysqlConfig);
+
+    // A pooled connection losing its socket is dropped from the pool; note it
+    pool.on('connection', (connection) => {
+      connection.on('error', (err) => {
+        if (pool !== this.pool) return;
+        this.recordHealthError(err, 'degraded');
+      });
+    });
 
+    this.setHealthState('connecting');
+    try {
       // Test connection
-      const connection = await this.pool.getConnection();
+      const connection = await pool.getConnection();
       connection.release();
 
+      this.pool = pool;
       this.isConnected = true;
+      this.recordHealthConnected();
     } catch (err) {
       this.isConnected = false;
+      this.recordHealthError(err, 'error');
+      pool.end().catch(() => {});
       throw new Error(`MySQL connection failed: ${err.message}`);
     }
   }
 
   /**
    * Close connection pool
+   * The pool is detached first, so a reconnect can open a new one while it closes.
    */
   async disconnect() {
     if (this.pool) {
-      await this.pool.end();
+      const pool = this.pool;
       this.pool = null;
       this.isConnected = false;
+      this.setHealthState('disconnected');
+      await pool.end();
     }
   }
 
+  /**
+   * Check whether an error means the connection itself is gone
+   * Adds the server and client error numbers of a lost session, and mysql2's
+   * fatal errors (after which the connection cannot be used), to the base checks.
+   *
+   * @param {Error|Object} err - Thrown error, or the error object of a result
+   * @returns {boolean}
+   */
+  isConnectionError(err) {
+    if (super.isConnectionError(err)) {
+      return true;
+    }
+    return !!err && (err.fatal === true || CONNECTION_LOST_ERRNOS.has(err.errno) || CONNECTION_LOST_ERRNOS.has(err.code));
+  }
+
   /**
    * Execute SQL query with structured result sets
    *
+   * The query runs on a dedicated pooled connection so that cancel() can
+   * issue KILL QUERY against its thread id. The same happens when the query
+   * outlives its timeout, and the connection is then discarded (see
+   * releaseConnection). Warnings and notes left by the query are read back
+   * with SHOW WARNINGS (see fetchWarnings). MySQL stops a batch at its first
+   * error, which is reported with the results of the statements before it.
+   * options.collectStats adds metadata.stats from session status counters
+   * (see collectSessionStats).
+   *
    * @param {string} query - SQL query to execute
-   * @param {Object} options - Execution options
+   * @param {Object} options - Execution options (maxRows: see executeCollected)
    * @returns {Promise<Object>} Structured result object
    */
   async execute(query, options = {}) {
+    // Row-limited results are collected from the streaming path
+    if (options.maxRows > 0) {
+      return this.executeCollected(query, options);
+    }
+
     const startTime = Date.now();
+    const requestId = options.requestId;
+    let connection = null;
+    let queryError = null;
+    let statsBefore = null;
 
     try {
       // Ensure connection
@@ -114,8 +410,13 @@ class MySQLDriver extends BaseDriver {
         await this.connect();
       }
 
+      connection = options.session ? options.session.connection : await this.pool.getConnection();
+      const threadId = Number(connection.threadId);
+      this.trackRequest(requestId, () => this.killQuery(threadId));
+      statsBefore = options.collectStats ? await this.snapshotSessionStatus(connection).catch(err => err) : null;
+
       // Execute query
-      const [rows, fields] = await this.pool.query(query);
+      const { results, error } = await this.collectQuery(connection.connection, this.buildQueryOptions(query, options));
 
       const endTime = Date.now();
       const executionTime = endTime - startTime;
@@ -123,99 +424,546 @@ class MySQLDriver extends BaseDriver {
       // MySQL returns results differently based on query type
       // SELECT: array of row objects
       // INSERT/UPDATE/DELETE: ResultSetHeader object
-      // Multiple statements: array of [rows, fields] pairs
-
-      let resultSets = [];
+      const headers = [];
+      const resultSets = results.map((result) => {
+        if (result.fields) {
+          return this.formatResultSet(result.rows, result.fields);
+        }
+        headers.push(result);
+        return {
+          columns: {},
+          rows: [],
+          rowCount: result.affectedRows || 0
+        };
+      });
 
-      // Check if this is a multi-statement result
-      if (Array.isArray(rows) && rows.length > 0 && Array.isArray(rows[0])) {
-        // Multiple result sets
-        for (let i = 0; i < rows.length; i++) {
-          const rowSet = rows[i];
-          const fieldSet = fields[i];
+      let errors = [];
+      if (error) {
+        queryError = error;
+        error.statementIndex = results.length;
+        errors = [this.formatError(error, options, query)];
+      }
 
-          if (Array.isArray(rowSet)) {
-            // SELECT result
-            resultSets.push(this.formatResultSet(rowSet, fieldSet));
-          } else {
-            // INSERT/UPDATE/DELETE result (ResultSetHeader)
-            resultSets.push({
-              columns: {},
-              rows: [],
-              rowCount: rowSet.affectedRows || 0
-            });
-          }
-        }
-      } else {
-        // Single result set
-        if (Array.isArray(rows)) {
-          // SELECT result
-          resultSets.push(this.formatResultSet(rows, fields));
-        } else {
-          // INSERT/UPDATE/DELETE result
-          resultSets.push({
-            columns: {},
-            rows: [],
-            rowCount: rows.affectedRows || 0
-          });
-        }
+      // Warnings first: reading the status counters clears them
+      const messages = error ? [] : await this.fetchWarnings(connection, headers, resultSets.length);
+      const metadata = {
+        executionTime: executionTime,
+        rowsAffected: resultSets.map(rs => rs.rowCount)
+      };
+      if (statsBefore) {
+        metadata.stats = await this.collectSessionStats(connection, statsBefore, queryError);
       }
 
       return {
         resultSets: resultSets,
-        metadata: {
-          executionTime: executionTime,
-          rowsAffected: resultSets.map(rs => rs.rowCount)
-        },
-        error: null
+        metadata: metadata,
+        messages: messages,
+        errors: errors,
+        error: errors.length > 0 ? errors[0] : null
       };
 
     } catch (err) {
       const endTime = Date.now();
       const executionTime = endTime - startTime;
+      const error = this.formatError(err, options);
+      queryError = err;
+
+      const metadata = {
+        executionTime: executionTime,
+        rowsAffected: []
+      };
+      if (statsBefore) {
+        metadata.stats = await this.collectSessionStats(connection, statsBefore, queryError);
+      }
 
       return {
         resultSets: [],
-        metadata: {
-          executionTime: executionTime,
-          rowsAffected: []
-        },
-        error: {
-          message: err.message || 'Unknown error',
-          code: err.errno || err.code || null,
-          lineNumber: null, // MySQL doesn't provide line numbers
-          procName: null,
-          sqlState: err.sqlState || null
+        metadata: metadata,
+        messages: [],
+        errors: [error],
+        error: error
+      };
+    } finally {
+      this.untrackRequest(requestId);
+      if (connection) {
+        await this.releaseConnection(connection, queryError, options.session);
+      }
+    }
+  }
+
+  /**
+   * Run a query on the callback connection, collecting every statement's result
+   *
+   * mysql2's promise API drops the results of earlier statements when a
+   * later one fails, so they are collected from the query events instead.
+   *
+   * @param {Object} rawConnection - Callback connection owning the socket
+   * @param {Object} queryOptions - Options from buildQueryOptions()
+   * @returns {Promise<Object>} { results, error } where results holds
+   *   { rows, fields } per result set and the ResultSetHeader of other statements
+   */
+  collectQuery(rawConnection, queryOptions) {
+    return new Promise((resolve) => {
+      const results = [];
+      let current = null;
+      let firstError = null;
+
+      const emitter = rawConnection.query(queryOptions);
+      emitter.on('fields', (fields) => {
+        // fields is undefined right before an INSERT/UPDATE/DELETE header
+        current = fields ? { rows: [], fields: fields } : null;
+        if (current) {
+          results.push(current);
         }
+      });
+      emitter.on('result', (row) => {
+        if (current) {
+          current.rows.push(row);
+        } else {
+          results.push(row);
+        }
+      });
+      emitter.on('error', (err) => {
+        firstError = firstError || err;
+        // No 'end' follows a client-side timeout
+        if (err.code === CLIENT_TIMEOUT_CODE) {
+          resolve({ results, error: firstError });
+        }
+      });
+      emitter.on('end', () => resolve({ results, error: firstError }));
+    });
+  }
+
+  /**
+   * Execute SQL query, delivering rows in batches as mysql2 parses them
+   *
+   * Uses the query event emitter of the underlying (callback) connection and
+   * pauses the socket while a batch is being consumed.
+   *
+   * @param {string} query - SQL query to execute
+   * @param {Object} handlers - { onColumns, onRows, onMessage } (see BaseDriver.executeStream)
+   * @param {Object} options - Execution options
+   * @returns {Promise<Object>} { resultSets, metadata, messages, errors, error }
+   */
+  async executeStream(query, handlers, options = {}) {
+    const startTime = Date.now();
+    const requestId = options.requestId;
+    const stream = new ResultStream(handlers, options);
+    let connection = null;
+    let queryError = null;
+    let statsBefore = null;
+
+    try {
+      // Ensure connection
+      if (!this.isConnected) {
+        await this.connect();
+      }
+
+      connection = options.session ? options.session.connection : await this.pool.getConnection();
+      const threadId = Number(connection.threadId);
+      this.trackRequest(requestId, () => this.killQuery(threadId));
+      statsBefore = options.collectStats ? await this.snapshotSessionStatus(connection).catch(err => err) : null;
+
+      // The promise wrapper exposes the callback connection that owns the socket
+      const rawConnection = connection.connection;
+      stream.setSource(() => rawConnection.pause(), () => rawConnection.resume());
+
+      // Per statement: affected rows, or the index of the result set it produced
+      const statements = [];
+      const headers = [];
+      queryError = await new Promise((resolve) => {
+        let firstError = null;
+        let currentFields;
+
+        const emitter = rawConnection.query(this.buildQueryOptions(query, options));
+        emitter.on('fields', (fields) => {
+          // fields is undefined right before an INSERT/UPDATE/DELETE header
+          currentFields = fields;
+          if (fields) {
+            stream.columns(this.formatColumns(fields));
+            statements.push({ resultSetIndex: stream.resultSetIndex });
+          }
+        });
+        emitter.on('result', (row) => {
+          if (currentFields) {
+            stream.row(row);
+          } else {
+            headers.push(row);
+            statements.push(row.affectedRows || 0);
+          }
+        });
+        emitter.on('error', (err) => {
+          firstError = firstError || err;
+          // No 'end' follows a client-side timeout
+          if (err.code === CLIENT_TIMEOUT_CODE) {
+            resolve(firstError);
+          }
+        });
+        emitter.on('end', () => resolve(firstError));
+      });
+
+      if (!queryError) {
+        const warnings = await this.fetchWarnings(connection, headers, statements.length);
+        warnings.forEach(warning => stream.message(warning));
+      }
+
+      const rowCounts = await stream.end();
+      let errors = [];
+      if (queryError) {
+        queryError.statementIndex = statements.length;
+        errors = [this.formatError(queryError, options, query)];
+      }
+
+      const metadata = {
+        executionTime: Date.now() - startTime,
+        rowsAffected: statements.map(entry => (typeof entry === 'number' ? entry : rowCounts[entry.resultSetIndex]))
+      };
+      if (statsBefore) {
+        metadata.stats = await this.collectSessionStats(connection, statsBefore, queryError);
+      }
+
+      return {
+        resultSets: stream.summaries(),
+        metadata: metadata,
+        messages: stream.messages,
+        errors: errors,
+        error: errors.length > 0 ? errors[0] : null
+      };
+
+    } catch (err) {
+      const error = this.formatError(err, options);
+      queryError = err;
+      await stream.end().catch(() => {});
+
+      const metadata = {
+        executionTime: Date.now() - startTime,
+        rowsAffected: []
       };
+      if (statsBefore) {
+        metadata.stats = await this.collectSessionStats(connection, statsBefore, queryError);
+      }
+
+      return {
+        resultSets: stream.summaries(),
+        metadata: metadata,
+        messages: stream.messages,
+        errors: [error],
+        error: error
+      };
+    } finally {
+      this.untrackRequest(requestId);
+      if (connection) {
+        await this.releaseConnection(connection, queryError, options.session);
+      }
+    }
+  }
+
+  /**
+   * Read the warnings and notes left by the last statement of a query
+   *
+   * OK packets carry a warning count, so SHOW WARNINGS is skipped when every
+   * statement returned one with no warnings; result sets do not report it.
+   * Failures to read them are ignored.
+   *
+   * @param {Object} connection - Connection the query ran on
+   * @param {Array<Object>} headers - ResultSetHeader of each non-SELECT statement
+   * @param {number} statementCount - Statements in the query
+   * @returns {Promise<Array<Object>>} Messages from serverMessage()
+   */
+  async fetchWarnings(connection, headers, statementCount) {
+    if (headers.length === statementCount && headers.every(header => !header.warningStatus)) {
+      return [];
+    }
+
+    try {
+      const [rows] = await connection.query('SHOW WARNINGS');
+      return rows.map(row => this.serverMessage(
+        `${row.Message} (${row.Code})`,
+        WARNING_SEVERITIES[row.Level] || String(row.Level).toLowerCase()
+      ));
+    } catch (err) {
+      return [];
+    }
+  }
+
+  /**
+   * Read the session status counters listed in SESSION_STATUS_COUNTERS
+   * @param {Object} connection - Connection the query runs on
+   * @returns {Promise<Object>} { Variable_name: value }
+   */
+  async readSessionStatus(connection) {
+    const names = SESSION_STATUS_COUNTERS.map(name => `'${name}'`).join(', ');
+    const [rows] = await connection.query(`SHOW SESSION STATUS WHERE Variable_name IN (${names})`);
+    const status = {};
+    rows.forEach((row) => {
+      status[row.Variable_name] = Number(row.Value);
+    });
+    return status;
+  }
+
+  /**
+   * Read the session status before a query
+   * SHOW STATUS moves some counters itself, so it is read twice to measure by how much.
+   * @param {Object} connection - Connection the query runs on
+   * @returns {Promise<Object>} { status, overhead }
+   */
+  async snapshotSessionStatus(connection) {
+    const first = await this.readSessionStatus(connection);
+    const second = await this.readSessionStatus(connection);
+    return { status: second, overhead: counterDeltas(first, second) };
+  }
+
+  /**
+   * Build metadata.stats for a query from the session status read before it
+   *
+   * MySQL has no per-statement IO or CPU figures on the session; the counters
+   * are handler calls, temporary tables, sorts and bytes. Failures are
+   * reported as stats.error instead of failing the query.
+   *
+   * @param {Object} connection - Connection the query ran on
+   * @param {Object|Error} before - Snapshot from snapshotSessionStatus(), or the error reading it
+   * @param {Error|null} queryError - Error the query failed with, if any
+   * @returns {Promise<Object>} Stats (see stats.js)
+   */
+  async collectSessionStats(connection, before, queryError) {
+    if (before instanceof Error) {
+      return buildStats('session-status', { error: `Failed to read session status: ${before.message}` });
     }
+    // The connection is still busy with the timed-out query
+    if (queryError && queryError.code === CLIENT_TIMEOUT_CODE) {
+      return buildStats('session-status', { error: 'Session status is not available after a timeout' });
+    }
+
+    try {
+      const after = await this.readSessionStatus(connection);
+      return buildStats('session-status', { counters: counterDeltas(before.status, after, before.overhead) });
+    } catch (err) {
+      return buildStats('session-status', { error: `Failed to read session status: ${err.message}` });
+    }
+  }
+
+  /**
+   * Build mysql2 query options carrying the query timeout and parameters
+   *
+   * Positional parameters bind to ? placeholders; named parameters bind to
+   * :name placeholders through mysql2's namedPlaceholders option.
+   *
+   * @param {string} query - SQL query to execute
+   * @param {Object} options - Execution options
+   * @returns {Object} { sql, timeout, values, namedPlaceholders } (unused keys omitted)
+   */
+  buildQueryOptions(query, options = {}) {
+    const queryOptions = { sql: query };
+    const timeoutMs = this.queryTimeout(options);
+    if (timeoutMs > 0) {
+      queryOptions.timeout = timeoutMs;
+    }
+
+    const { named, list } = normalizeParams(options.params);
+    if (named && list.length > 0) {
+      queryOptions.namedPlaceholders = true;
+      queryOptions.values = {};
+      list.forEach((param) => {
+        queryOptions.values[param.name] = param.value;
+      });
+    } else if (list.length > 0) {
+      queryOptions.values = list.map(param => param.value);
+    }
+
+    return queryOptions;
+  }
+
+  /**
+   * Return a connection to the pool
+   *
+   * After a client-side timeout mysql2 has stopped listening while the server
+   * may still be running the query, so the query is killed and the connection
+   * destroyed instead of being reused.
+   *
+   * Session connections stay checked out until releaseSession(), unless
+   * they have to be destroyed.
+   *
+   * @param {PoolConnection} connection - Connection from pool.getConnection()
+   * @param {Error|null} queryError - Error the query failed with, if any
+   * @param {Object} [session] - Session the connection belongs to, if any
+   */
+  async releaseConnection(connection, queryError, session = null) {
+    if (!queryError || queryError.code !== CLIENT_TIMEOUT_CODE) {
+      if (!session) {
+        connection.release();
+      }
+      return;
+    }
+
+    await this.killQuery(Number(connection.threadId));
+    connection.destroy();
+  }
+
+  /**
+   * Abort the statement running on a connection with KILL QUERY
+   *
+   * KILL goes over its own short-lived connection: the pool may have no free
+   * connection while the statement holds one, and waiting for one would never
+   * end (mysql2 has no acquire timeout). Failures are only logged, as the
+   * query may already have finished.
+   *
+   * @param {number} threadId - Thread id of the connection running the query
+   * @returns {Promise<void>}
+   */
+  async killQuery(threadId) {
+    const { host, port, user, password, ssl, connectTimeout } = this.mysqlConfig;
+    let connection = null;
+    try {
+      connection = await mysql.createConnection({ host, port, user, password, ssl, connectTimeout });
+      await connection.query(`KILL QUERY ${Number(threadId)}`);
+    } catch (err) {
+      ssnsLog(`[mysql] KILL QUERY ${threadId} failed: ${err.message}`, 'info');
+    } finally {
+      if (connection) {
+        connection.destroy();
+      }
+    }
+  }
+
+  /**
+   * Check out a dedicated pool connection for a session
+   * @returns {Promise<Object>} { connection }
+   */
+  async beginSession() {
+    if (!this.isConnected) {
+      await this.connect();
+    }
+    return { connection: await this.pool.getConnection() };
+  }
+
+  /**
+   * Read the in-transaction flag from the server status of a no-op statement
+   * @param {Object} session - Handle from beginSession()
+   * @returns {Promise<Object>} { transactionCount, inTransaction, failed }
+   */
+  async getSessionState(session) {
+    const [header] = await session.connection.query('DO 0');
+    const inTransaction = (header.serverStatus & SERVER_STATUS_IN_TRANS) !== 0;
+    return {
+      transactionCount: inTransaction ? 1 : 0,
+      inTransaction: inTransaction,
+      failed: false
+    };
+  }
+
+  /**
+   * Close a session's connection instead of returning it to the pool,
+   * so its temp tables and session variables cannot leak into pooled queries
+   * @param {Object} session - Handle from beginSession()
+   */
+  async releaseSession(session) {
+    session.connection.destroy();
+  }
+
+  /**
+   * Build the error object for a failed query
+   *
+   * MySQL reports syntax errors as "near '...' at line N", N counted from the
+   * start of the failing statement. err.statementIndex (statements completed
+   * before the error) locates that statement in the query; other errors point
+   * at its first token.
+   *
+   * @param {Error} err - Error raised by mysql2
+   * @param {Object} options - Execution options
+   * @param {string} [query] - Submitted SQL text
+   * @returns {Object} Structured error
+   */
+  formatError(err, options = {}, query = null) {
+    if (this.isCancelled(options.requestId)) {
+      return this.cancelledError();
+    }
+    if (err.code === CLIENT_TIMEOUT_CODE || err.code === SERVER_TIMEOUT_CODE) {
+      return this.timeoutError(this.queryTimeout(options));
+    }
+
+    const position = this.getErrorPosition(err, query);
+
+    return {
+      message: err.message || 'Unknown error',
+      code: err.errno || err.code || null,
+      severity: 'error',
+      state: err.sqlState || null,
+      lineNumber: position.lineNumber,
+      column: position.column,
+      procName: null,
+      sqlState: err.sqlState || null
+    };
+  }
+
+  /**
+   * Locate a query error in the submitted text (see formatError)
+   * @param {Error} err - Error raised by mysql2
+   * @param {string} [query] - Submitted SQL text
+   * @returns {Object} { lineNumber, column }, null when unknown
+   */
+  getErrorPosition(err, query) {
+    const offsets = query && err.statementIndex !== undefined ? statementOffsets(query, MYSQL_MASK_OPTIONS) : [];
+    const start = offsets[err.statementIndex];
+    if (start === undefined) {
+      return { lineNumber: null, column: null };
+    }
+
+    const near = findNearText(query, start, err.message);
+    if (near !== -1) {
+      return lineColumnAt(query, near);
+    }
+
+    const statementPosition = lineColumnAt(query, start);
+    const line = /at line (\d+)$/.exec(err.message || '');
+    if (line) {
+      return { lineNumber: statementPosition.lineNumber + parseInt(line[1], 10) - 1, column: null };
+    }
+    return statementPosition;
   }
 
   /**
    * Format a result set with column metadata
    */
   formatResultSet(rows, fields) {
+    return {
+      columns: this.formatColumns(fields),
+      rows: rows || [],
+      rowCount: rows ? rows.length : 0
+    };
+  }
+
+  /**
+   * Build column metadata from mysql2 field packets
+   *
+   * Columns read straight from a table carry their source database, table
+   * (orgTable, not the alias) and column plus key flags; computed columns
+   * have no source and null key information.
+   */
+  formatColumns(fields) {
     const columns = {};
 
     if (fields && fields.length > 0) {
       fields.forEach((field, index) => {
+        const fromTable = Boolean(field.orgTable && field.orgName);
         columns[field.name] = {
           index: index,
           name: field.name,
           type: this.mapMySQLType(field.type),
           length: field.length,
-          nullable: (field.flags & 1) === 0, // NOT_NULL flag is 1
+          nullable: (field.flags & NOT_NULL_FLAG) === 0,
           flags: field.flags,
-          decimals: field.decimals
+          decimals: field.decimals,
+          sourceSchema: fromTable ? field.schema || null : null,
+          sourceTable: fromTable ? field.orgTable : null,
+          sourceColumn: fromTable ? field.orgName : null,
+          isPrimaryKey: fromTable ? (field.flags & PRI_KEY_FLAG) !== 0 : null,
+          isUnique: fromTable ? (field.flags & UNIQUE_KEY_FLAG) !== 0 : null,
+          identity: (field.flags & AUTO_INCREMENT_FLAG) !== 0
         };
       });
     }
 
-    return {
-      columns: columns,
-      rows: rows || [],
-      rowCount: rows ? rows.length : 0
-    };
+    return columns;
   }
 
   /**
@@ -258,6 +1006,11 @@ class MySQLDriver extends BaseDriver {
 
   /**
    * Get metadata for database object (for IntelliSense)
+   *
+   * @param {string} objectType - 'table', 'view', 'procedure', 'function'
+   * @param {string} objectName - Object name
+   * @param {string} schemaName - Database name (default: the configured database)
+   * @returns {Promise<Object>} Normalized metadata (see metadata.js)
    */
   async getMetadata(objectType, objectName, schemaName = null) {
     try {
@@ -268,49 +1021,361 @@ class MySQLDriver extends BaseDriver {
       const database = schemaName || this.mysqlConfig.database;
 
       if (objectType === 'table' || objectType === 'view') {
-        // Query information_schema for column metadata
-        const query = `
-          SELECT
-            c.COLUMN_NAME as name,
-            c.DATA_TYPE as type,
-            c.CHARACTER_MAXIMUM_LENGTH as maxLength,
-            c.NUMERIC_PRECISION as precision,
-            c.NUMERIC_SCALE as scale,
-            c.IS_NULLABLE as nullable,
-            c.COLUMN_DEFAULT as defaultValue,
-            c.COLUMN_KEY as columnKey,
-            c.EXTRA as extra
-          FROM INFORMATION_SCHEMA.COLUMNS c
-          WHERE c.TABLE_SCHEMA = ?
-            AND c.TABLE_NAME = ?
-          ORDER BY c.ORDINAL_POSITION
-        `;
-
-        const [rows] = await this.pool.query(query, [database, objectName]);
-
-        return {
-          columns: rows.map(row => ({
-            name: row.name,
-            type: row.type,
-            maxLength: row.maxLength,
-            precision: row.precision,
-            scale: row.scale,
-            nullable: row.nullable === 'YES',
-            defaultValue: row.defaultValue,
-            isPrimaryKey: row.columnKey === 'PRI',
-            isForeignKey: row.columnKey === 'MUL',
-            isAutoIncrement: row.extra.includes('auto_increment')
-          }))
-        };
+        return await this.getRelationMetadata(objectType, objectName, database);
+      }
+      if (objectType === 'procedure' || objectType === 'function') {
+        return await this.getRoutineMetadata(objectType, objectName, database);
       }
 
-      return { columns: [] };
+      return buildMetadata(objectType, database, objectName);
 
     } catch (err) {
       throw new Error(`Failed to get metadata: ${err.message}`);
     }
   }
 
+  /**
+   * Get columns, indexes, constraints and definition of a table or view
+   */
+  async getRelationMetadata(objectType, objectName, database) {
+    // Query information_schema for column metadata
+    const columnsQuery = `
+      SELECT
+        c.COLUMN_NAME as name,
+        c.DATA_TYPE as type,
+        c.CHARACTER_MAXIMUM_LENGTH as maxLength,
+        c.NUMERIC_PRECISION as \`precision\`,
+        c.NUMERIC_SCALE as scale,
+        c.IS_NULLABLE as nullable,
+        c.COLUMN_DEFAULT as defaultValue,
+        c.COLUMN_KEY as columnKey,
+        c.EXTRA as extra
+      FROM INFORMATION_SCHEMA.COLUMNS c
+      WHERE c.TABLE_SCHEMA = ?
+        AND c.TABLE_NAME = ?
+      ORDER BY c.ORDINAL_POSITION
+    `;
+
+    // InnoDB clusters rows on the primary key
+    const indexesQuery = `
+      SELECT
+        s.INDEX_NAME AS indexName,
+        s.COLUMN_NAME AS columnName,
+        s.NON_UNIQUE = 0 AS isUnique,
+        s.INDEX_NAME = 'PRIMARY' AS isPrimary,
+        s.INDEX_NAME = 'PRIMARY' AND t.ENGINE = 'InnoDB' AS isClustered,
+        s.INDEX_TYPE AS indexType
+      FROM INFORMATION_SCHEMA.STATISTICS s
+      JOIN INFORMATION_SCHEMA.TABLES t
+        ON t.TABLE_SCHEMA = s.TABLE_SCHEMA
+        AND t.TABLE_NAME = s.TABLE_NAME
+      WHERE s.TABLE_SCHEMA = ?
+        AND s.TABLE_NAME = ?
+      ORDER BY s.INDEX_NAME, s.SEQ_IN_INDEX
+    `;
+
+    const constraintsQuery = `
+      SELECT
+        tc.CONSTRAINT_NAME AS constraintName,
+        tc.CONSTRAINT_TYPE AS constraintType,
+        k.COLUMN_NAME AS columnName,
+        k.REFERENCED_TABLE_SCHEMA AS referencedSchema,
+        k.REFERENCED_TABLE_NAME AS referencedTable,
+        k.REFERENCED_COLUMN_NAME AS referencedColumn
+      FROM INFORMATION_SCHEMA.TABLE_CONSTRAINTS tc
+      LEFT JOIN INFORMATION_SCHEMA.KEY_COLUMN_USAGE k
+        ON k.CONSTRAINT_SCHEMA = tc.CONSTRAINT_SCHEMA
+        AND k.CONSTRAINT_NAME = tc.CONSTRAINT_NAME
+        AND k.TABLE_NAME = tc.TABLE_NAME
+      WHERE tc.TABLE_SCHEMA = ?
+        AND tc.TABLE_NAME = ?
+      ORDER BY tc.CONSTRAINT_NAME, k.ORDINAL_POSITION
+    `;
+
+    const definitionQuery = `
+      SELECT VIEW_DEFINITION AS definition
+      FROM INFORMATION_SCHEMA.VIEWS
+      WHERE TABLE_SCHEMA = ?
+        AND TABLE_NAME = ?
+    `;
+
+    const params = [database, objectName];
+    const [columnRows] = await this.pool.query(columnsQuery, params);
+    const [indexRows] = await this.pool.query(indexesQuery, params);
+    const [constraintRows] = await this.pool.query(constraintsQuery, params);
+    const [definitionRows] = await this.pool.query(definitionQuery, params);
+
+    const constraints = groupConstraintRows(constraintRows);
+    await this.addCheckClauses(constraints, database, objectName);
+
+    return buildMetadata(objectType, database, objectName, {
+      columns: columnRows.map(row => ({
+        name: row.name,
+        type: row.type,
+        maxLength: row.maxLength,
+        precision: row.precision,
+        scale: row.scale,
+        nullable: row.nullable === 'YES',
+        defaultValue: row.defaultValue,
+        isPrimaryKey: row.columnKey === 'PRI',
+        isForeignKey: row.columnKey === 'MUL',
+        isAutoIncrement: row.extra.includes('auto_increment')
+      })),
+      indexes: groupIndexRows(indexRows),
+      constraints: constraints,
+      definition: definitionRows.length > 0 ? definitionRows[0].definition : null
+    });
+  }
+
+  /**
+   * Fill checkClause of CHECK constraints
+   * INFORMATION_SCHEMA.CHECK_CONSTRAINTS only exists from MySQL 8.0.16 /
+   * MariaDB 10.2; older servers keep checkClause null.
+   *
+   * @param {Array<Object>} constraints - Grouped constraints (modified in place)
+   * @param {string} database - Database name
+   * @param {string} objectName - Table name
+   */
+  async addCheckClauses(constraints, database, objectName) {
+    const checks = constraints.filter(constraint => constraint.type === 'CHECK');
+    if (checks.length === 0) {
+      return;
+    }
+
+    try {
+      const [rows] = await this.pool.query(
+        `SELECT cc.CONSTRAINT_NAME AS name, cc.CHECK_CLAUSE AS checkClause
+         FROM INFORMATION_SCHEMA.CHECK_CONSTRAINTS cc
+         JOIN INFORMATION_SCHEMA.TABLE_CONSTRAINTS tc
+           ON tc.CONSTRAINT_SCHEMA = cc.CONSTRAINT_SCHEMA
+           AND tc.CONSTRAINT_NAME = cc.CONSTRAINT_NAME
+         WHERE tc.TABLE_SCHEMA = ?
+           AND tc.TABLE_NAME = ?
+           AND tc.CONSTRAINT_TYPE = 'CHECK'`,
+        [database, objectName]
+      );
+      for (const check of checks) {
+        const row = rows.find(candidate => candidate.name === check.name);
+        check.checkClause = row ? row.checkClause : null;
+      }
+    } catch (err) {
+      // Server without CHECK_CONSTRAINTS
+    }
+  }
+
+  /**
+   * Get parameters, return type and definition of a procedure or function
+   */
+  async getRoutineMetadata(objectType, objectName, database) {
+    const routineType = objectType === 'procedure' ? 'PROCEDURE' : 'FUNCTION';
+
+    const [routineRows] = await this.pool.query(
+      `SELECT DTD_IDENTIFIER AS returnType, ROUTINE_DEFINITION AS body
+       FROM INFORMATION_SCHEMA.ROUTINES
+       WHERE ROUTINE_SCHEMA = ?
+         AND ROUTINE_NAME = ?
+         AND ROUTINE_TYPE = ?`,
+      [database, objectName, routineType]
+    );
+    if (routineRows.length === 0) {
+      return buildMetadata(objectType, database, objectName);
+    }
+
+    // Parameter 0 is a function's return value
+    const [parameterRows] = await this.pool.query(
+      `SELECT
+         PARAMETER_NAME AS name,
+         DTD_IDENTIFIER AS type,
+         PARAMETER_MODE AS mode,
+         ORDINAL_POSITION AS ordinalPosition,
+         CHARACTER_MAXIMUM_LENGTH AS maxLength,
+         NUMERIC_PRECISION AS \`precision\`,
+         NUMERIC_SCALE AS scale
+       FROM INFORMATION_SCHEMA.PARAMETERS
+       WHERE SPECIFIC_SCHEMA = ?
+         AND SPECIFIC_NAME = ?
+         AND ROUTINE_TYPE = ?
+         AND ORDINAL_POSITION > 0
+       ORDER BY ORDINAL_POSITION`,
+      [database, objectName, routineType]
+    );
+
+    return buildMetadata(objectType, database, objectName, {
+      // MySQL routine parameters cannot have defaults
+      parameters: parameterRows.map(row => buildParameter({
+        name: row.name,
+        type: row.type,
+        direction: row.mode,
+        hasDefault: false,
+        ordinalPosition: row.ordinalPosition,
+        maxLength: row.maxLength,
+        precision: row.precision,
+        scale: row.scale
+      })),
+      returnType: routineRows[0].returnType,
+      definition: await this.getRoutineDefinition(routineType, objectName, database, routineRows[0].body)
+    });
+  }
+
+  /**
+   * Get the full CREATE statement of a routine
+   * Falls back to the routine body when SHOW CREATE is not permitted.
+   *
+   * @param {string} routineType - 'PROCEDURE' or 'FUNCTION'
+   * @param {string} objectName - Routine name
+   * @param {string} database - Database name
+   * @param {string|null} body - ROUTINE_DEFINITION from INFORMATION_SCHEMA
+   * @returns {Promise<string|null>}
+   */
+  async getRoutineDefinition(routineType, objectName, database, body) {
+    try {
+      const [rows] = await this.pool.query(`SHOW CREATE ${routineType} ${mysql.escapeId(database)}.${mysql.escapeId(objectName)}`);
+      const definition = rows.length > 0 ? rows[0][`Create ${routineType === 'PROCEDURE' ? 'Procedure' : 'Function'}`] : null;
+      return definition || body;
+    } catch (err) {
+      return body;
+    }
+  }
+
+  /**
+   * Get a schema snapshot of a database (see BaseDriver.getSchemaSnapshot)
+   *
+   * MySQL schemas are databases: `schemas` selects several databases at
+   * once, otherwise `database` (or the configured one) is read. The
+   * fingerprint combines counts, the latest CREATE_TIME (ALTER TABLE rebuilds
+   * the table) and LAST_ALTERED, and CRC32 sums over column and key
+   * definitions.
+   */
+  async getSchemaSnapshot(database, schemas = null, knownFingerprint = null) {
+    try {
+      if (!this.isConnected) {
+        await this.connect();
+      }
+
+      const snapshotDatabase = database || this.mysqlConfig.database;
+      const databases = schemas && schemas.length > 0 ? schemas : [snapshotDatabase];
+
+      const [fingerprintRows] = await this.pool.query(`
+        SELECT
+          (SELECT CONCAT(COUNT(*), ':', COALESCE(MAX(CREATE_TIME), ''), ':',
+                         COALESCE(SUM(CRC32(CONCAT_WS(':', TABLE_SCHEMA, TABLE_NAME, TABLE_TYPE))), 0))
+           FROM INFORMATION_SCHEMA.TABLES WHERE TABLE_SCHEMA IN (?)) AS relations,
+          (SELECT CONCAT(COUNT(*), ':',
+                         COALESCE(SUM(CRC32(CONCAT_WS(':', TABLE_SCHEMA, TABLE_NAME, COLUMN_NAME, COLUMN_TYPE,
+                                                      IS_NULLABLE, ORDINAL_POSITION))), 0))
+           FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_SCHEMA IN (?)) AS \`columns\`,
+          (SELECT CONCAT(COUNT(*), ':',
+                         COALESCE(SUM(CRC32(CONCAT_WS(':', TABLE_SCHEMA, TABLE_NAME, CONSTRAINT_NAME, COLUMN_NAME,
+                                                      REFERENCED_TABLE_NAME, REFERENCED_COLUMN_NAME))), 0))
+           FROM INFORMATION_SCHEMA.KEY_COLUMN_USAGE WHERE TABLE_SCHEMA IN (?)) AS keyColumns,
+          (SELECT CONCAT(COUNT(*), ':', COALESCE(MAX(LAST_ALTERED), ''))
+           FROM INFORMATION_SCHEMA.ROUTINES WHERE ROUTINE_SCHEMA IN (?)) AS routines
+      `, [databases, databases, databases, databases]);
+      const stats = fingerprintRows[0];
+      const fingerprint = schemaFingerprint([stats.relations, stats.columns, stats.keyColumns, stats.routines]);
+
+      if (knownFingerprint && knownFingerprint === fingerprint) {
+        return unchangedSnapshot(snapshotDatabase, fingerprint);
+      }
+
+      const [relations] = await this.pool.query(`
+        SELECT TABLE_SCHEMA AS \`schema\`, TABLE_NAME AS name,
+               CASE TABLE_TYPE WHEN 'VIEW' THEN 'view' ELSE 'table' END AS type
+        FROM INFORMATION_SCHEMA.TABLES
+        WHERE TABLE_SCHEMA IN (?)
+        ORDER BY TABLE_SCHEMA, TABLE_NAME
+      `, [databases]);
+
+      const [columns] = await this.pool.query(`
+        SELECT TABLE_SCHEMA AS \`schema\`, TABLE_NAME AS \`table\`, COLUMN_NAME AS name,
+               COLUMN_TYPE AS type, IS_NULLABLE AS nullable
+        FROM INFORMATION_SCHEMA.COLUMNS
+        WHERE TABLE_SCHEMA IN (?)
+        ORDER BY TABLE_SCHEMA, TABLE_NAME, ORDINAL_POSITION
+      `, [databases]);
+
+      const [keys] = await this.pool.query(`
+        SELECT
+          kcu.TABLE_SCHEMA AS \`schema\`,
+          kcu.TABLE_NAME AS \`table\`,
+          kcu.CONSTRAINT_NAME AS constraintName,
+          tc.CONSTRAINT_TYPE AS constraintType,
+          kcu.COLUMN_NAME AS columnName,
+          kcu.REFERENCED_TABLE_SCHEMA AS referencedSchema,
+          kcu.REFERENCED_TABLE_NAME AS referencedTable,
+          kcu.REFERENCED_COLUMN_NAME AS referencedColumn
+        FROM INFORMATION_SCHEMA.KEY_COLUMN_USAGE kcu
+        JOIN INFORMATION_SCHEMA.TABLE_CONSTRAINTS tc
+          ON tc.CONSTRAINT_SCHEMA = kcu.CONSTRAINT_SCHEMA
+          AND tc.TABLE_NAME = kcu.TABLE_NAME
+          AND tc.CONSTRAINT_NAME = kcu.CONSTRAINT_NAME
+        WHERE kcu.TABLE_SCHEMA IN (?)
+          AND tc.CONSTRAINT_TYPE IN ('PRIMARY KEY', 'FOREIGN KEY')
+        ORDER BY kcu.TABLE_SCHEMA, kcu.TABLE_NAME, kcu.CONSTRAINT_NAME, kcu.ORDINAL_POSITION
+      `, [databases]);
+
+      const [routines] = await this.pool.query(`
+        SELECT ROUTINE_SCHEMA AS \`schema\`, ROUTINE_NAME AS name,
+               LOWER(ROUTINE_TYPE) AS type, DTD_IDENTIFIER AS returnType
+        FROM INFORMATION_SCHEMA.ROUTINES
+        WHERE ROUTINE_SCHEMA IN (?)
+        ORDER BY ROUTINE_SCHEMA, ROUTINE_NAME
+      `, [databases]);
+
+      return buildSnapshot(snapshotDatabase, fingerprint, { relations, columns, keys, routines });
+
+    } catch (err) {
+      throw new Error(`Failed to get schema snapshot: ${err.message}`);
+    }
+  }
+
+  /**
+   * Get the execution plan of a query (see BaseDriver.explain)
+   *
+   * The estimated plan comes from EXPLAIN FORMAT=JSON (raw: the JSON
+   * document). MySQL reports actual row counts only as EXPLAIN ANALYZE tree
+   * text (raw: the text), which runs in a transaction that is rolled back.
+   *
+   * @param {string} query - SQL query to explain (a single statement)
+   * @param {Object} [options] - { actual }
+   * @returns {Promise<Object>} Plan (see plan.js)
+   */
+  async explain(query, options = {}) {
+    let connection = null;
+
+    try {
+      if (!this.isConnected) {
+        await this.connect();
+      }
+
+      connection = await this.pool.getConnection();
+      const text = query.trim();
+
+      if (options.actual) {
+        await connection.query('START TRANSACTION');
+        const [rows] = await connection.query(`EXPLAIN ANALYZE ${query}`);
+        const raw = rows[0].EXPLAIN;
+        const roots = treePlanNodes(raw);
+        const root = roots.length === 1 ? roots[0] : planNode({ operator: 'Query', children: roots });
+        return buildPlan('mysql-tree', true, [{ text: text, root: root }], raw);
+      }
+
+      const [rows] = await connection.query(`EXPLAIN FORMAT=JSON ${query}`);
+      const raw = JSON.parse(rows[0].EXPLAIN);
+      return buildPlan('mysql-json', false, [{ text: text, root: jsonPlanBlock(raw.query_block) }], raw);
+
+    } catch (err) {
+      throw new Error(`Failed to get execution plan: ${err.message}`);
+    } finally {
+      if (connection) {
+        if (options.actual) {
+          await connection.query('ROLLBACK').catch(() => {});
+        }
+        connection.release();
+      }
+    }
+  }
+
   /**
    * Get database type identifier
    * @returns {string}
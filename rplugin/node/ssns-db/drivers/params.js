@@ -0,0 +1,314 @@
+/**
+ * Query parameter helpers shared by the drivers
+ *
+ * Parameters are passed to execute() as options.params:
+ * - Positional: an array, bound in order ([1, 'abc'])
+ * - Named: an object keyed by parameter name ({ id: 1 }), with or without
+ *   the placeholder prefix (@id, :id, $id)
+ *
+ * Any value may be given as { value, type } where type is a hint using the
+ * type names the drivers report for result columns (int, nvarchar, bigint,
+ * jsonb, bytea, ...). Hints coerce the JSON value before it is bound, and the
+ * SQL Server driver also uses them to pick the declared parameter type.
+ */
+
+// Parameter names accepted for named binding (after the prefix is removed)
+const PARAM_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// Reported type names grouped by how their values are coerced
+const TYPE_CATEGORIES = {
+  integer: ['int', 'integer', 'smallint', 'tinyint', 'tiny', 'short', 'long', 'int24', 'year'],
+  bigint: ['bigint', 'longlong'],
+  float: ['float', 'real', 'double', 'double precision'],
+  boolean: ['bit', 'boolean', 'bool'],
+  json: ['json', 'jsonb'],
+  binary: ['binary', 'varbinary', 'image', 'bytea', 'blob', 'tiny_blob', 'medium_blob', 'long_blob']
+};
+
+/**
+ * Get the coercion category of a type hint
+ * @param {string|null} type - Type hint, e.g. 'nvarchar(50)' or 'integer'
+ * @returns {string|null} Category from TYPE_CATEGORIES, or null
+ */
+function typeCategory(type) {
+  if (!type) return null;
+
+  const baseType = String(type).toLowerCase().replace(/\(.*$/, '').trim();
+  for (const category of Object.keys(TYPE_CATEGORIES)) {
+    if (TYPE_CATEGORIES[category].includes(baseType)) {
+      return category;
+    }
+  }
+  return null;
+}
+
+/**
+ * Convert a JSON parameter value to the JavaScript type its hint implies
+ * Values that do not fit the hint are passed through for the database to reject.
+ *
+ * @param {*} value - Value received over RPC
+ * @param {string|null} type - Type hint
+ * @returns {*} Value to bind
+ */
+function coerceValue(value, type) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+
+  switch (typeCategory(type)) {
+    case 'integer':
+    case 'float':
+      if (typeof value === 'boolean') return value ? 1 : 0;
+      if (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value))) return Number(value);
+      return value;
+    case 'bigint':
+      // Strings keep precision past Number.MAX_SAFE_INTEGER
+      return typeof value === 'boolean' ? (value ? 1 : 0) : value;
+    case 'boolean':
+      if (value === 'true' || value === '1' || value === 1) return true;
+      if (value === 'false' || value === '0' || value === 0) return false;
+      return value;
+    case 'json':
+      return typeof value === 'string' ? value : JSON.stringify(value);
+    case 'binary':
+      if (typeof value === 'string') {
+        const hex = value.replace(/^(0x|\\x)/i, '');
+        if (hex.length % 2 === 0 && /^[0-9a-f]*$/i.test(hex)) {
+          return Buffer.from(hex, 'hex');
+        }
+      }
+      return value;
+    default:
+      return value;
+  }
+}
+
+/**
+ * Check whether a parameter entry is a { value, type } hint object
+ * @param {*} entry - Array element or object property from options.params
+ * @returns {boolean}
+ */
+function isTypedValue(entry) {
+  return entry !== null
+    && typeof entry === 'object'
+    && !Array.isArray(entry)
+    && !Buffer.isBuffer(entry)
+    && Object.prototype.hasOwnProperty.call(entry, 'value');
+}
+
+/**
+ * Build one normalized parameter
+ * @param {string|null} name - Parameter name (null when positional)
+ * @param {*} entry - Raw value or { value, type }
+ * @returns {Object} { name, value, type }
+ */
+function toParam(name, entry) {
+  const type = isTypedValue(entry) && entry.type ? String(entry.type) : null;
+  const rawValue = isTypedValue(entry) ? entry.value : entry;
+
+  return {
+    name: name,
+    value: coerceValue(rawValue, type),
+    type: type
+  };
+}
+
+/**
+ * Normalize options.params into a list of parameters
+ *
+ * @param {Array|Object|null} params - Positional array or named object
+ * @returns {Object} { named: boolean, list: [{ name, value, type }] }
+ * @throws {Error} If params has another shape or a name is not a valid identifier
+ */
+function normalizeParams(params) {
+  if (params === undefined || params === null) {
+    return { named: false, list: [] };
+  }
+
+  if (Array.isArray(params)) {
+    return { named: false, list: params.map(entry => toParam(null, entry)) };
+  }
+
+  if (typeof params !== 'object') {
+    throw new Error('Query parameters must be an array (positional) or an object (named)');
+  }
+
+  const list = Object.keys(params).map((key) => {
+    const name = key.replace(/^[@:$]/, '');
+    if (!PARAM_NAME_PATTERN.test(name)) {
+      throw new Error(`Invalid parameter name: ${key}`);
+    }
+    return toParam(name, params[key]);
+  });
+
+  return { named: true, list: list };
+}
+
+/**
+ * Check whether execute() was given any parameters
+ * @param {Object} options - Execution options
+ * @returns {boolean}
+ */
+function hasParams(options = {}) {
+  const params = options.params;
+  if (params === undefined || params === null) {
+    return false;
+  }
+  return Array.isArray(params) ? params.length > 0 : Object.keys(params).length > 0;
+}
+
+/**
+ * Blank out string literals, quoted identifiers and comments
+ *
+ * The result has the same length as the input, so positions found in it
+ * (e.g. placeholders) are valid in the original text. Handles '' escapes,
+ * E'' backslash escapes, "identifiers", `identifiers`, nested block comments
+ * and $tag$ dollar quoting. Backslash is an ordinary character in other
+ * strings, as in standard SQL and SQLite, unless options.backslashEscapes
+ * is set for MySQL.
+ *
+ * @param {string} query - SQL text
+ * @param {Object} [options]
+ * @param {boolean} [options.brackets] - Also blank [bracketed] identifiers (SQL Server)
+ * @param {boolean} [options.backslashEscapes] - Backslash escapes in every '' and "" string (MySQL)
+ * @returns {string} Masked SQL text
+ */
+function maskSql(query, options = {}) {
+  const chars = query.split('');
+  const length = query.length;
+  let i = 0;
+
+  const blank = (from, to) => {
+    for (let k = from; k < to && k < length; k++) {
+      if (chars[k] !== '\n') chars[k] = ' ';
+    }
+  };
+
+  while (i < length) {
+    const ch = query[i];
+    const next = query[i + 1];
+
+    if (ch === '-' && next === '-') {
+      const end = query.indexOf('\n', i);
+      const stop = end === -1 ? length : end;
+      blank(i, stop);
+      i = stop;
+    } else if (ch === '/' && next === '*') {
+      let depth = 1;
+      let j = i + 2;
+      while (j < length && depth > 0) {
+        if (query[j] === '/' && query[j + 1] === '*') {
+          depth++;
+          j += 2;
+        } else if (query[j] === '*' && query[j + 1] === '/') {
+          depth--;
+          j += 2;
+        } else {
+          j++;
+        }
+      }
+      blank(i, j);
+      i = j;
+    } else if (ch === '\'' || ch === '"' || ch === '`' || (ch === '[' && options.brackets)) {
+      const close = ch === '[' ? ']' : ch;
+      const backslashEscapes = (options.backslashEscapes && (ch === '\'' || ch === '"'))
+        || (ch === '\'' && /[eE]/.test(query[i - 1] || '') && !/\w/.test(query[i - 2] || ''));
+      let j = i + 1;
+      while (j < length) {
+        if (backslashEscapes && query[j] === '\\') {
+          j += 2;
+        } else if (query[j] === close && query[j + 1] === close) {
+          j += 2;
+        } else if (query[j] === close) {
+          j++;
+          break;
+        } else {
+          j++;
+        }
+      }
+      blank(i, j);
+      i = j;
+    } else if (ch === '$' && !/\w/.test(query[i - 1] || '')) {
+      const tag = /^\$([A-Za-z_][A-Za-z0-9_]*)?\$/.exec(query.slice(i));
+      if (!tag) {
+        i++;
+        continue;
+      }
+      const end = query.indexOf(tag[0], i + tag[0].length);
+      const stop = end === -1 ? length : end + tag[0].length;
+      blank(i, stop);
+      i = stop;
+    } else {
+      i++;
+    }
+  }
+
+  return chars.join('');
+}
+
+/**
+ * Replace named placeholders (e.g. :name) outside strings and comments
+ *
+ * @param {string} query - SQL text
+ * @param {string} prefix - Placeholder prefix character (':', '@' or '$')
+ * @param {Function} replace - (name) => replacement text, or null to keep the token
+ * @param {Object} [maskOptions] - Dialect options for maskSql()
+ * @returns {string} SQL text with placeholders replaced
+ */
+function replaceNamedPlaceholders(query, prefix, replace, maskOptions = {}) {
+  const masked = maskSql(query, maskOptions);
+  const escapedPrefix = prefix.replace(/[$]/g, '\\$');
+  const pattern = new RegExp(`${escapedPrefix}([A-Za-z_][A-Za-z0-9_]*)`, 'g');
+
+  let output = '';
+  let last = 0;
+  let match;
+
+  while ((match = pattern.exec(masked)) !== null) {
+    // Skip casts (::type) and tokens glued to identifiers (arr[1:n])
+    const before = masked[match.index - 1] || '';
+    if (/[\w:@$]/.test(before)) {
+      continue;
+    }
+
+    const replacement = replace(match[1]);
+    if (replacement === null || replacement === undefined) {
+      continue;
+    }
+
+    output += query.slice(last, match.index) + replacement;
+    last = match.index + match[0].length;
+  }
+
+  return output + query.slice(last);
+}
+
+/**
+ * Count the positional (?) parameters of one statement, as SQLite numbers them
+ * A bare ? takes the next index, ?NNN sets it explicitly.
+ *
+ * @param {string} statement - SQL text of a single statement
+ * @returns {number} Number of positional parameter slots
+ */
+function countPositionalPlaceholders(statement) {
+  const masked = maskSql(statement);
+  const pattern = /\?(\d*)/g;
+  let count = 0;
+  let match;
+
+  while ((match = pattern.exec(masked)) !== null) {
+    count = match[1] ? Math.max(count, parseInt(match[1], 10)) : count + 1;
+  }
+
+  return count;
+}
+
+module.exports = {
+  normalizeParams,
+  hasParams,
+  coerceValue,
+  typeCategory,
+  maskSql,
+  replaceNamedPlaceholders,
+  countPositionalPlaceholders
+};
@@ -0,0 +1,170 @@
+/**
+ * Normalized execution plans shared by the drivers' explain()
+ *
+ * Every driver returns the same shape, whatever its native plan format:
+ * {
+ *   format: 'showplan-xml' | 'postgres-json' | 'mysql-json' | 'mysql-tree' | 'sqlite-rows',
+ *   actual: boolean (true when the plan carries run-time row counts),
+ *   statements: [{ text, root }],
+ *   raw: the native plan, for saving (XML documents, JSON, tree text or rows)
+ * }
+ * where root and its descendants are plan nodes:
+ * {
+ *   operator: string,
+ *   estimatedRows: number | null,
+ *   actualRows: number | null (total over every execution of the operator),
+ *   cost: number | null (estimated cost of the subtree, in the database's units),
+ *   object: string | null (table or index read, e.g. 'dbo.Orders (IX_Date)'),
+ *   predicates: ['Kind: expression', ...] (e.g. 'Filter: (a > 1)'),
+ *   warnings: [string],
+ *   children: [node]
+ * }
+ */
+
+const XML_ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: '\'' };
+
+/**
+ * Build a plan node, filling everything not given with empty values
+ * @param {Object} fields - Any of the plan node fields
+ * @returns {Object} Plan node
+ */
+function planNode(fields = {}) {
+  return {
+    operator: fields.operator || 'Unknown',
+    estimatedRows: toNumber(fields.estimatedRows),
+    actualRows: toNumber(fields.actualRows),
+    cost: toNumber(fields.cost),
+    object: fields.object || null,
+    predicates: fields.predicates || [],
+    warnings: fields.warnings || [],
+    children: fields.children || []
+  };
+}
+
+/**
+ * Build the plan returned by explain()
+ * @param {string|null} format - Native plan format
+ * @param {boolean} actual - Whether the plan carries run-time counts
+ * @param {Array<Object>} statements - { text, root } per statement
+ * @param {*} raw - Native plan
+ * @returns {Object} Normalized plan
+ */
+function buildPlan(format, actual, statements = [], raw = null) {
+  return {
+    format: format,
+    actual: !!actual,
+    statements: statements,
+    raw: raw
+  };
+}
+
+/**
+ * Convert a plan value to a number
+ * @param {*} value - Number, numeric string or nothing
+ * @returns {number|null} Finite number, null otherwise
+ */
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Replace XML character and entity references
+ * @param {string} text - Attribute value
+ * @returns {string}
+ */
+function decodeXml(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (reference, name) => {
+    if (name[0] === '#') {
+      const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      return String.fromCodePoint(code);
+    }
+    return XML_ENTITIES[name] !== undefined ? XML_ENTITIES[name] : reference;
+  });
+}
+
+/**
+ * Parse an XML document into elements
+ *
+ * Only elements and attributes are kept (plans carry their data there);
+ * text content, comments and processing instructions are skipped. Namespace
+ * prefixes are dropped from element names.
+ *
+ * @param {string} xml - XML document
+ * @returns {Object|null} Root element { name, attributes, children }
+ */
+function parseXml(xml) {
+  const tokens = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!\[CDATA\[[\s\S]*?\]\]>|<!DOCTYPE[^>]*>|<(\/?)([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/g;
+  const attributePattern = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+  const root = { name: null, attributes: {}, children: [] };
+  const stack = [root];
+  let match;
+
+  while ((match = tokens.exec(xml)) !== null) {
+    if (!match[2]) {
+      continue;
+    }
+
+    const name = match[2].replace(/^[\w.-]+:/, '');
+    if (match[1]) {
+      if (stack.length > 1) {
+        stack.pop();
+      }
+      continue;
+    }
+
+    const element = { name: name, attributes: {}, children: [] };
+    let attribute;
+    attributePattern.lastIndex = 0;
+    while ((attribute = attributePattern.exec(match[3])) !== null) {
+      const value = attribute[2] !== undefined ? attribute[2] : attribute[3];
+      element.attributes[attribute[1].replace(/^[\w.-]+:/, '')] = decodeXml(value);
+    }
+
+    stack[stack.length - 1].children.push(element);
+    if (!match[4]) {
+      stack.push(element);
+    }
+  }
+
+  return root.children[0] || null;
+}
+
+/**
+ * Find every element with one of the given names, depth first
+ * Matching elements are not searched further.
+ *
+ * @param {Object} element - Element from parseXml()
+ * @param {Set<string>|string} names - Element names
+ * @returns {Array<Object>} Matching elements in document order
+ */
+function findElements(element, names) {
+  const wanted = typeof names === 'string' ? new Set([names]) : names;
+  const found = [];
+
+  const visit = (node) => {
+    for (const child of node.children) {
+      if (wanted.has(child.name)) {
+        found.push(child);
+      } else {
+        visit(child);
+      }
+    }
+  };
+  if (element) {
+    visit(element);
+  }
+
+  return found;
+}
+
+module.exports = {
+  planNode,
+  buildPlan,
+  toNumber,
+  parseXml,
+  findElements
+};
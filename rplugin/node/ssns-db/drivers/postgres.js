@@ -1,5 +1,234 @@
-const { Pool } = require('pg');
+const { Pool, Client, Query, types: pgTypes } = require('pg');
+const Cursor = require('pg-cursor');
 const BaseDriver = require('./base');
+const { ssnsLog } = require('../ssns-log');
+const ResultStream = require('./result-stream');
+const { normalizeParams, hasParams, replaceNamedPlaceholders } = require('./params');
+const { lineColumnAt } = require('./errors');
+const { planNode, buildPlan } = require('./plan');
+const { buildStats, counterDeltas, sumField } = require('./stats');
+const { readConnectionOptions } = require('./connection-options');
+const {
+  buildMetadata, groupIndexRows, groupConstraintRows, buildParameter,
+  schemaFingerprint, buildSnapshot, unchangedSnapshot
+} = require('./metadata');
+
+// SQLSTATE raised when a cursor (extended protocol) is given several statements
+const MULTIPLE_COMMANDS_SQLSTATE = '42601';
+
+// SQLSTATE query_canceled, raised by statement_timeout as well as pg_cancel_backend()
+const QUERY_CANCELED_SQLSTATE = '57014';
+
+// SQLSTATEs of a session ended by the server (admin_shutdown, crash_shutdown,
+// cannot_connect_now); class 08 (connection exception) counts as well
+const SESSION_ENDED_SQLSTATES = new Set(['57P01', '57P02', '57P03']);
+
+// Built-in type OIDs and their familiar names (user-defined types are looked up in pg_type)
+const PG_TYPE_NAMES = {
+  16: 'boolean',
+  17: 'bytea',
+  18: 'char',
+  19: 'name',
+  20: 'bigint',
+  21: 'smallint',
+  23: 'integer',
+  25: 'text',
+  26: 'oid',
+  114: 'json',
+  142: 'xml',
+  650: 'cidr',
+  700: 'real',
+  701: 'double precision',
+  790: 'money',
+  829: 'macaddr',
+  869: 'inet',
+  1000: 'boolean[]',
+  1001: 'bytea[]',
+  1005: 'smallint[]',
+  1007: 'integer[]',
+  1009: 'text[]',
+  1015: 'varchar[]',
+  1016: 'bigint[]',
+  1021: 'real[]',
+  1022: 'double precision[]',
+  1042: 'char',
+  1043: 'varchar',
+  1082: 'date',
+  1083: 'time',
+  1114: 'timestamp',
+  1115: 'timestamp[]',
+  1182: 'date[]',
+  1184: 'timestamptz',
+  1185: 'timestamptz[]',
+  1186: 'interval',
+  1231: 'numeric[]',
+  1266: 'timetz',
+  1560: 'bit',
+  1562: 'varbit',
+  1700: 'numeric',
+  2249: 'record',
+  2278: 'void',
+  2950: 'uuid',
+  2951: 'uuid[]',
+  3614: 'tsvector',
+  3615: 'tsquery',
+  3802: 'jsonb',
+  3807: 'jsonb[]',
+};
+
+// Types whose parsed JavaScript value displays as well as the server text
+const PARSED_TYPE_OIDS = new Set([16, 21, 23, 26, 700, 701]);
+
+// bytea type OID
+const BYTEA_OID = 17;
+
+/**
+ * Cache key of the table column a result field is read from
+ * @param {Object} field - pg field description (or { tableID, columnID })
+ * @returns {string|null} Key, or null for computed fields
+ */
+function sourceColumnKey(field) {
+  return field.tableID && field.columnID > 0 ? `${field.tableID}:${field.columnID}` : null;
+}
+
+/**
+ * Choose how a column value is converted for display
+ *
+ * Booleans and small numbers are parsed; bytea becomes 0x-prefixed hex (as
+ * the SQLite driver shows blobs); everything else keeps the server's text
+ * form, so timestamps stay ISO with their timezone (DateStyle=ISO), json is
+ * unchanged text and arrays are array literals such as {1,2,3}.
+ *
+ * @param {number} oid - Type OID
+ * @param {string} [format] - 'text' or 'binary'
+ * @returns {Function} (value) => display value
+ */
+function getDisplayParser(oid, format) {
+  if (PARSED_TYPE_OIDS.has(oid) || format === 'binary') {
+    return pgTypes.getTypeParser(oid, format);
+  }
+  if (oid === BYTEA_OID) {
+    return value => (value.startsWith('\\x') ? `0x${value.slice(2).toUpperCase()}` : value);
+  }
+  return value => value;
+}
+
+// EXPLAIN (FORMAT JSON) keys reported as predicates
+const PLAN_PREDICATE_KEYS = ['Index Cond', 'Recheck Cond', 'TID Cond', 'Hash Cond', 'Merge Cond', 'Join Filter', 'Filter'];
+
+/**
+ * Convert an EXPLAIN (FORMAT JSON) plan and its subplans to plan nodes
+ * Actual rows are reported per loop, so they are multiplied by the loops.
+ *
+ * @param {Object} plan - Plan object
+ * @returns {Object} Plan node (see plan.js)
+ */
+function explainPlanNode(plan) {
+  const relation = plan['Relation Name'] || plan['CTE Name'] || plan['Function Name'];
+  let object = [plan['Schema'], relation].filter(Boolean).join('.') || null;
+  if (object && plan['Alias'] && plan['Alias'] !== relation) {
+    object += ` ${plan['Alias']}`;
+  }
+  if (plan['Index Name']) {
+    // Bitmap index scans name the index only
+    object = object ? `${object} (${plan['Index Name']})` : plan['Index Name'];
+  }
+
+  const warnings = [];
+  if (plan['Sort Space Type'] === 'Disk') {
+    warnings.push(`Sort spilled to disk (${plan['Sort Space Used']} kB)`);
+  }
+
+  return planNode({
+    operator: plan['Join Type'] ? `${plan['Node Type']} (${plan['Join Type']})` : plan['Node Type'],
+    estimatedRows: plan['Plan Rows'],
+    actualRows: plan['Actual Rows'] !== undefined ? plan['Actual Rows'] * (plan['Actual Loops'] || 1) : null,
+    cost: plan['Total Cost'],
+    object: object,
+    predicates: PLAN_PREDICATE_KEYS.filter(key => plan[key]).map(key => `${key}: ${plan[key]}`),
+    warnings: warnings,
+    children: (plan['Plans'] || []).map(explainPlanNode)
+  });
+}
+
+// Leads the pg_stat_statements snapshot query, so its own entry can be told apart
+const STATS_QUERY_MARKER = '/* ssns collectStats */';
+// pg_stat_statements columns that identify an entry or are not running totals
+const STATS_SKIPPED_COLUMNS = /^(userid|dbid|queryid|toplevel|query|(min|max|mean|stddev)_.*)$/;
+
+/**
+ * Build metadata.stats from pg_stat_statements snapshots taken around a query
+ *
+ * Entries whose call count went up are the statements the query ran (plus
+ * any the same user ran in the same database meanwhile). Nested statements
+ * (toplevel false) are listed but left out of the totals.
+ *
+ * @param {Map<string, Object>} before - Snapshot from readStatementStats()
+ * @param {Map<string, Object>} after - Snapshot from readStatementStats()
+ * @returns {Object} Stats (see stats.js)
+ */
+function statementStatsDelta(before, after) {
+  const statements = [];
+  const totals = [];
+
+  for (const [key, entry] of after) {
+    const counters = counterDeltas((before.get(key) || { counters: {} }).counters, entry.counters);
+    if (!(counters.calls > 0) || entry.query.startsWith(STATS_QUERY_MARKER)) {
+      continue;
+    }
+
+    // total_time before PostgreSQL 13
+    const elapsedTime = counters.total_exec_time !== undefined ? counters.total_exec_time : counters.total_time;
+    statements.push({ query: entry.query, calls: counters.calls, elapsedTime: elapsedTime, counters: counters });
+    if (entry.toplevel !== false) {
+      totals.push(counters);
+    }
+  }
+
+  const counters = {};
+  for (const statement of totals) {
+    for (const [name, value] of Object.entries(statement)) {
+      counters[name] = Math.round(((counters[name] || 0) + value) * 1000) / 1000;
+    }
+  }
+  const sharedRead = sumField(totals, 'shared_blks_read');
+  const sharedHit = sumField(totals, 'shared_blks_hit');
+
+  return buildStats('pg_stat_statements', {
+    elapsedTime: sumField(totals, counters.total_exec_time !== undefined ? 'total_exec_time' : 'total_time'),
+    compileElapsedTime: sumField(totals, 'total_plan_time'),
+    logicalReads: sharedHit !== null || sharedRead !== null ? (sharedHit || 0) + (sharedRead || 0) : null,
+    physicalReads: sharedRead,
+    statements: statements,
+    counters: counters
+  });
+}
+
+/**
+ * pg Query that announces each result set's fields before its rows
+ */
+class StreamingQuery extends Query {
+  handleRowDescription(msg) {
+    super.handleRowDescription(msg);
+    this.emit('fields', msg.fields);
+  }
+}
+
+/**
+ * pg Query that keeps the result of each statement once it completes, so
+ * the statements before a failing one still have results to report
+ */
+class BatchQuery extends Query {
+  constructor(config, values, callback) {
+    super(config, values, callback);
+    this.completedResults = [];
+  }
+
+  handleCommandComplete(msg, connection) {
+    super.handleCommandComplete(msg, connection);
+    this.completedResults.push(this._result);
+  }
+}
 
 /**
  * PostgresDriver - PostgreSQL database driver using pg package
@@ -8,7 +237,8 @@ const BaseDriver = require('./base');
  * - Connection pooling
  * - Promise-based API
  * - Structured errors
- * - Column metadata
+ * - Column metadata (type names, nullability and source columns from the catalog)
+ * - Display-ready values (server text, hex bytea)
  */
 class PostgresDriver extends BaseDriver {
   /**
@@ -23,33 +253,55 @@ class PostgresDriver extends BaseDriver {
    * @param {string} [config.auth.password] - Password
    * @param {Object} [config.options] - Additional options
    * @param {boolean} [config.options.ssl] - Use SSL
+   * @param {number} [config.options.query_timeout_ms] - Default statement_timeout (default: none)
+   * @param {Object} [config.options.pool] - Pool limits, timeouts and keepalive (see connection-options.js)
+   * @param {Object} [config.options.socket] - keepalive_delay_ms and app_name (packet_size is ignored)
+   * @throws {Error} If a pool or socket setting is invalid
    */
   constructor(config) {
     super(config);
     this.pgConfig = this.buildPostgresConfig(config);
     this.pool = null;
+    this.typeNames = new Map();
+    this.sourceColumns = new Map();
   }
 
   /**
    * Build pg configuration from connection config
    *
+   * pg waits for a free pooled client and for a new connection under one
+   * timeout, so the larger of acquire_timeout_ms and connect_timeout_ms is used.
+   *
    * @param {Object} config - Connection configuration
    * @returns {Object} pg config object
+   * @throws {Error} If a pool or socket setting is invalid
    */
   buildPostgresConfig(config) {
     const server = config.server || {};
     const auth = config.auth || {};
     const options = config.options || {};
+    const { pool, socket } = readConnectionOptions(config);
 
     const pgConfig = {
       host: server.host || 'localhost',
       port: server.port || 5432,
       database: server.database || 'postgres',
-      max: 10,                    // Connection pool max size
-      idleTimeoutMillis: 30000,   // Close idle connections after 30s
-      connectionTimeoutMillis: 2000, // Connection timeout
+      max: pool.max,
+      idleTimeoutMillis: pool.idleTimeoutMs,
+      connectionTimeoutMillis: Math.max(pool.acquireTimeoutMs, pool.connectTimeoutMs),
+      keepAlive: pool.keepAlive,
+      application_name: socket.appName, // Shown in pg_stat_activity
+      options: '-c DateStyle=ISO',   // Timestamps as YYYY-MM-DD HH:MM:SS+TZ
+      types: { getTypeParser: getDisplayParser },
     };
 
+    if (pool.min !== null) {
+      pgConfig.min = pool.min;
+    }
+    if (pool.keepAlive && socket.keepAliveDelayMs !== null) {
+      pgConfig.keepAliveInitialDelayMillis = socket.keepAliveDelayMs;
+    }
+
     // Authentication
     pgConfig.user = auth.username || 'postgres';
     pgConfig.password = auth.password || '';
@@ -59,7 +311,12 @@ class PostgresDriver extends BaseDriver {
       pgConfig.ssl = { rejectUnauthorized: false };
     }
 
-    console.error('[DEBUG] PostgreSQL config:', JSON.stringify(pgConfig, null, 2));
+    // Connection default query timeout, sent as a startup parameter
+    const timeoutMs = this.queryTimeout();
+    if (timeoutMs > 0) {
+      pgConfig.statement_timeout = timeoutMs;
+    }
+
     return pgConfig;
   }
 
@@ -71,29 +328,62 @@ class PostgresDriver extends BaseDriver {
       return; // Already connected
     }
 
-    try {
-      this.pool = new Pool(this.pgConfig);
+    const pool = new Pool(this.pgConfig);
+
+    // An idle client losing its connection is reported here; without a
+    // listener the 'error' event would end the process
+    pool.on('error', (err) => {
+      if (pool !== this.pool) return;
+      this.recordHealthError(err, 'degraded');
+    });
 
+    this.setHealthState('connecting');
+    try {
       // Test connection
-      const client = await this.pool.connect();
+      const client = await pool.connect();
       client.release();
 
+      this.pool = pool;
       this.isConnected = true;
+      this.recordHealthConnected();
     } catch (err) {
       this.isConnected = false;
+      this.recordHealthError(err, 'error');
+      pool.end().catch(() => {});
       throw new Error(`PostgreSQL connection failed: ${err.message}`);
     }
   }
 
   /**
    * Close connection pool
+   * The pool is detached first, so a reconnect can open a new one while it closes.
    */
   async disconnect() {
     if (this.pool) {
-      await this.pool.end();
+      const pool = this.pool;
       this.pool = null;
       this.isConnected = false;
+      this.typeNames.clear();
+      this.sourceColumns.clear();
+      this.setHealthState('disconnected');
+      await pool.end();
+    }
+  }
+
+  /**
+   * Check whether an error means the connection itself is gone
+   * Adds connection exception SQLSTATEs, sessions the server ended and
+   * clients pg gave up on to the base checks.
+   *
+   * @param {Error|Object} err - Thrown error, or the error object of a result
+   * @returns {boolean}
+   */
+  isConnectionError(err) {
+    if (super.isConnectionError(err)) {
+      return true;
     }
+    const code = String((err && err.code) || '');
+    return /^08/.test(code) || SESSION_ENDED_SQLSTATES.has(code) || /not queryable/.test((err && err.message) || '');
   }
 
   /**
@@ -103,12 +393,32 @@ class PostgresDriver extends BaseDriver {
    * For single query: result is an object { rows, fields, rowCount }
    * For multiple queries: result is an array of result objects
    *
+   * The query runs on a dedicated client checked out of the pool so that
+   * cancel() can target its backend with pg_cancel_backend(), and so that a
+   * per-query timeoutMs can be applied with SET statement_timeout.
+   * NOTICE, WARNING and INFO messages raised meanwhile become result messages.
+   * PostgreSQL stops a batch at its first error, which is reported with the
+   * results of the statements completed before it.
+   * options.collectStats adds metadata.stats from pg_stat_statements (see
+   * collectStatementStats).
+   *
    * @param {string} query - SQL query to execute
-   * @param {Object} options - Execution options
+   * @param {Object} options - Execution options (maxRows: see executeCollected)
    * @returns {Promise<Object>} Structured result object
    */
   async execute(query, options = {}) {
+    // Row-limited results are collected from the streaming path
+    if (options.maxRows > 0) {
+      return this.executeCollected(query, options);
+    }
+
     const startTime = Date.now();
+    const requestId = options.requestId;
+    const messages = [];
+    const onNotice = (notice) => messages.push(this.formatNotice(notice));
+    let client = null;
+    let timeoutApplied = false;
+    let statsBefore = null;
 
     try {
       // Ensure connection
@@ -116,77 +426,575 @@ class PostgresDriver extends BaseDriver {
         await this.connect();
       }
 
+      client = options.session ? options.session.client : await this.pool.connect();
+      client.on('notice', onNotice);
+      const backendPid = client.processID;
+      this.trackRequest(requestId, () => this.cancelBackend(backendPid));
+      timeoutApplied = await this.applyStatementTimeout(client, options);
+      statsBefore = options.collectStats ? await this.readStatementStats(client).catch(err => err) : null;
+
       // Execute query - pg supports multiple statements separated by semicolons
-      const result = await this.pool.query(query);
+      // (parameterized queries are limited to a single statement)
+      const bound = this.bindParams(query, options.params);
+      const results = await this.runBatch(client, bound.text, bound.values);
 
       const endTime = Date.now();
       const executionTime = endTime - startTime;
 
-      // Check if this is a single result or multiple results
-      // pg@7.0+ returns an array for multiple statements
-      const results = Array.isArray(result) ? result : [result];
+      const metadata = {
+        executionTime: executionTime,
+        rowsAffected: results.map(res => res.rowCount || 0)
+      };
+      if (statsBefore) {
+        metadata.stats = await this.collectStatementStats(client, statsBefore);
+      }
 
-      // Format each result set
-      const resultSets = results.map(res => this.formatResultSet(res.rows, res.fields));
+      // Format each result set (after the stats, so catalog lookups are not counted)
+      const resultSets = await this.formatResults(client, results);
 
       return {
         resultSets: resultSets,
-        metadata: {
-          executionTime: executionTime,
-          rowsAffected: results.map(res => res.rowCount || 0)
-        },
+        metadata: metadata,
+        messages: messages,
+        errors: [],
         error: null
       };
 
     } catch (err) {
       const endTime = Date.now();
       const executionTime = endTime - startTime;
+      const error = this.formatError(err, query, options);
+      const completed = err.completedResults || [];
 
-      // Parse PostgreSQL error
-      const error = {
-        message: err.message || 'Unknown error',
-        code: err.code || null,
-        lineNumber: err.position ? this.getLineFromPosition(query, err.position) : null,
-        procName: null,
-        severity: err.severity || null,
-        detail: err.detail || null,
-        hint: err.hint || null,
+      const metadata = {
+        executionTime: executionTime,
+        rowsAffected: completed.map(res => res.rowCount || 0)
       };
+      if (statsBefore) {
+        metadata.stats = await this.collectStatementStats(client, statsBefore);
+      }
 
       return {
-        resultSets: [],
-        metadata: {
-          executionTime: executionTime,
-          rowsAffected: []
-        },
+        resultSets: await this.formatResults(client, completed),
+        metadata: metadata,
+        messages: messages,
+        errors: [error],
         error: error
       };
+    } finally {
+      this.untrackRequest(requestId);
+      if (client) {
+        client.removeListener('notice', onNotice);
+        await this.releaseClient(client, timeoutApplied, options.session);
+      }
     }
   }
 
   /**
-   * Convert character position to line number
+   * Run query text through a BatchQuery
+   *
+   * @param {Client} client - Checked-out pg client
+   * @param {string} text - SQL text
+   * @param {Array} [values] - Bound values
+   * @returns {Promise<Array<Result>>} One pg Result per statement; on failure
+   *   the error carries the completed ones as err.completedResults
+   */
+  runBatch(client, text, values) {
+    return new Promise((resolve, reject) => {
+      const batch = new BatchQuery(text, values, (err, result) => {
+        if (err) {
+          err.completedResults = batch.completedResults;
+          reject(err);
+        } else {
+          // pg@7.0+ returns an array for multiple statements
+          resolve(Array.isArray(result) ? result : [result]);
+        }
+      });
+      client.query(batch);
+    });
+  }
+
+  /**
+   * Format pg results as result sets
+   * @param {Client} client - Client the statements ran on, now idle
+   * @param {Array<Result>} results - pg Results
+   * @returns {Promise<Array<Object>>} Result sets
+   */
+  async formatResults(client, results) {
+    await this.describeFields(results.flatMap(res => res.fields || []), client);
+    return results.map(res => this.formatResultSet(res.rows, res.fields));
+  }
+
+  /**
+   * Execute SQL query, delivering rows in batches as they arrive
+   *
+   * A single statement runs through a pg cursor (extended protocol). Text the
+   * cursor rejects as multiple statements is re-run with the simple protocol,
+   * consuming row events while the socket is paused between batches. The
+   * simple protocol cannot bind parameters, so parameterized text is not re-run.
+   *
+   * @param {string} query - SQL query to execute
+   * @param {Object} handlers - { onColumns, onRows, onMessage } (see BaseDriver.executeStream)
+   * @param {Object} options - Execution options
+   * @returns {Promise<Object>} { resultSets, metadata, messages, errors, error }
+   */
+  async executeStream(query, handlers, options = {}) {
+    const startTime = Date.now();
+    const requestId = options.requestId;
+    let stream = new ResultStream(handlers, options);
+    const onNotice = (notice) => stream.message(this.formatNotice(notice));
+    let client = null;
+    let timeoutApplied = false;
+    let statsBefore = null;
+
+    try {
+      // Ensure connection
+      if (!this.isConnected) {
+        await this.connect();
+      }
+
+      client = options.session ? options.session.client : await this.pool.connect();
+      client.on('notice', onNotice);
+      const backendPid = client.processID;
+      this.trackRequest(requestId, () => this.cancelBackend(backendPid));
+      timeoutApplied = await this.applyStatementTimeout(client, options);
+      statsBefore = options.collectStats ? await this.readStatementStats(client).catch(err => err) : null;
+
+      let rowsAffected;
+      try {
+        rowsAffected = await this.streamCursor(client, query, stream, options.params);
+      } catch (err) {
+        const multipleStatements = err.code === MULTIPLE_COMMANDS_SQLSTATE && /multiple commands/.test(err.message);
+        if (!multipleStatements || stream.resultSetIndex >= 0 || hasParams(options)) {
+          throw err;
+        }
+        const messages = stream.messages;
+        stream = new ResultStream(handlers, options);
+        stream.messages.push(...messages);
+        rowsAffected = await this.streamSimpleQuery(client, query, stream);
+      }
+
+      await stream.end();
+
+      const metadata = {
+        executionTime: Date.now() - startTime,
+        rowsAffected: rowsAffected
+      };
+      if (statsBefore) {
+        metadata.stats = await this.collectStatementStats(client, statsBefore);
+      }
+
+      return {
+        resultSets: stream.summaries(),
+        metadata: metadata,
+        messages: stream.messages,
+        errors: [],
+        error: null
+      };
+
+    } catch (err) {
+      const error = this.formatError(err, query, options);
+      await stream.end().catch(() => {});
+
+      const metadata = {
+        executionTime: Date.now() - startTime,
+        rowsAffected: []
+      };
+      if (statsBefore) {
+        metadata.stats = await this.collectStatementStats(client, statsBefore);
+      }
+
+      return {
+        resultSets: stream.summaries(),
+        metadata: metadata,
+        messages: stream.messages,
+        errors: [error],
+        error: error
+      };
+    } finally {
+      this.untrackRequest(requestId);
+      if (client) {
+        client.removeListener('notice', onNotice);
+        await this.releaseClient(client, timeoutApplied, options.session);
+      }
+    }
+  }
+
+  /**
+   * Stream a single statement through a pg cursor, one batch per read
+   * @param {Client} client - Checked-out pg client
+   * @param {string} query - SQL query to execute
+   * @param {ResultStream} stream - Stream receiving columns and rows
+   * @param {Array|Object} [params] - options.params
+   * @returns {Promise<number[]>} Rows affected
+   */
+  async streamCursor(client, query, stream, params) {
+    const bound = this.bindParams(query, params);
+    const cursor = client.query(new Cursor(bound.text, bound.values));
+    let result = null;
+
+    while (!stream.error) {
+      const batch = await this.readCursor(cursor, stream.batchSize);
+      result = batch.result;
+
+      if (stream.resultSetIndex < 0 && result.fields.length > 0) {
+        await this.describeFields(result.fields);
+        stream.columns(this.formatColumns(result.fields));
+      }
+      if (batch.rows.length === 0) {
+        break;
+      }
+
+      for (const row of batch.rows) {
+        const delivered = stream.row(row);
+        if (delivered) await delivered;
+      }
+    }
+
+    await cursor.close();
+
+    const rowsSeen = stream.rowsSeen[0] || 0;
+    return [result && result.rowCount != null ? result.rowCount : rowsSeen];
+  }
+
+  /**
+   * Read the next batch of rows from a pg cursor
+   * @param {Cursor} cursor - Open cursor
+   * @param {number} count - Maximum rows to read
+   * @returns {Promise<Object>} { rows, result } where result carries fields and rowCount
+   */
+  readCursor(cursor, count) {
+    return new Promise((resolve, reject) => {
+      cursor.read(count, (err, rows, result) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve({ rows, result });
+        }
+      });
+    });
+  }
+
+  /**
+   * Stream multi-statement text with the simple query protocol
+   *
+   * pg does not accumulate rows when a 'row' listener is attached; the
+   * 'fields' event (see StreamingQuery) starts each result set. Its fields
+   * are described like the cursor's, while the rows after it wait.
+   *
+   * @param {Client} client - Checked-out pg client
+   * @param {string} query - SQL query to execute
+   * @param {ResultStream} stream - Stream receiving columns and rows
+   * @returns {Promise<number[]>} Rows affected per statement
+   */
+  streamSimpleQuery(client, query, stream) {
+    const socket = client.connection.stream;
+    stream.setSource(() => socket.pause(), () => socket.resume());
+
+    return new Promise((resolve, reject) => {
+      const pgQuery = client.query(new StreamingQuery(query));
+
+      pgQuery.on('fields', (fields) => {
+        // The socket stays paused until the fields are described
+        stream.columns(this.describeFields(fields).then(() => this.formatColumns(fields)));
+      });
+      pgQuery.on('row', (row) => {
+        stream.row(row);
+      });
+      pgQuery.on('error', reject);
+      pgQuery.on('end', (results) => {
+        const list = Array.isArray(results) ? results : [results];
+        resolve(list.map(res => res.rowCount || 0));
+      });
+    });
+  }
+
+  /**
+   * Build a result message from a pg 'notice' event
+   *
+   * PL/pgSQL reports where a RAISE ran as "PL/pgSQL function name(args) line N
+   * at RAISE" (innermost frame first), which gives the routine and line.
+   *
+   * @param {Object} notice - pg NoticeMessage ({ message, severity, where, ... })
+   * @returns {Object} Message from serverMessage()
+   */
+  formatNotice(notice) {
+    const frame = /PL\/pgSQL function ([^\s(]+)(?:\(.*?\))? line (\d+)/.exec(notice.where || '');
+    const procName = frame && frame[1] !== 'inline_code_block' ? frame[1] : null;
+
+    return this.serverMessage(
+      notice.message,
+      (notice.severity || 'notice').toLowerCase(),
+      frame ? parseInt(frame[2], 10) : null,
+      procName
+    );
+  }
+
+  /**
+   * Map options.params to pg's $1, $2, ... binding
+   *
+   * Positional parameters are used as is ($1 is the first value). Named
+   * parameters are written as :name and rewritten to $n placeholders
+   * outside strings and comments; :: casts are left alone.
+   *
+   * @param {string} query - SQL query
+   * @param {Array|Object} [params] - options.params
+   * @returns {Object} { text, values } for client.query()
+   */
+  bindParams(query, params) {
+    const { named, list } = normalizeParams(params);
+    if (!named) {
+      return { text: query, values: list.map(param => param.value) };
+    }
+
+    const indexes = {};
+    list.forEach((param, index) => {
+      indexes[param.name] = index + 1;
+    });
+
+    const text = replaceNamedPlaceholders(query, ':', name => (indexes[name] ? `$${indexes[name]}` : null));
+    return { text: text, values: list.map(param => param.value) };
+  }
+
+  /**
+   * Apply a per-query timeoutMs to a checked-out client
+   * Without an override the connection's startup statement_timeout applies.
+   *
+   * @param {Client} client - Checked-out pg client
+   * @param {Object} options - Execution options
+   * @returns {Promise<boolean>} True if statement_timeout was changed and must be reset
+   */
+  async applyStatementTimeout(client, options = {}) {
+    if (!this.hasTimeoutOverride(options)) {
+      return false;
+    }
+
+    await client.query(`SET statement_timeout = ${this.queryTimeout(options)}`);
+    return true;
+  }
+
+  /**
+   * Return a client to the pool, restoring its session statement_timeout
+   * A client whose timeout cannot be reset is destroyed instead of reused.
+   * Session clients stay checked out until releaseSession().
+   *
+   * @param {Client} client - Checked-out pg client
+   * @param {boolean} resetTimeout - Value returned by applyStatementTimeout()
+   * @param {Object} [session] - Session the client belongs to, if any
+   */
+  async releaseClient(client, resetTimeout, session = null) {
+    if (resetTimeout) {
+      try {
+        await client.query('RESET statement_timeout');
+      } catch (err) {
+        if (!session) {
+          client.release(err);
+        }
+        return;
+      }
+    }
+    if (!session) {
+      client.release();
+    }
+  }
+
+  /**
+   * Abort the statement running on a backend with pg_cancel_backend()
+   *
+   * The cancel goes over its own short-lived client: the pool may have no free
+   * client while the statement holds one. Failures are only logged, as the
+   * query may already have finished.
+   *
+   * @param {number} backendPid - Process id of the backend running the query
+   * @returns {Promise<void>}
+   */
+  async cancelBackend(backendPid) {
+    const client = new Client(this.pgConfig);
+    try {
+      await client.connect();
+      await client.query('SELECT pg_cancel_backend($1)', [backendPid]);
+    } catch (err) {
+      ssnsLog(`[postgres] pg_cancel_backend(${backendPid}) failed: ${err.message}`, 'info');
+    } finally {
+      client.end().catch(() => {});
+    }
+  }
+
+  /**
+   * Snapshot the pg_stat_statements entries of the current user and database
+   *
+   * Inside an open transaction the read runs in a savepoint, so a missing
+   * extension does not abort the transaction.
+   *
+   * @param {Client} client - Checked-out pg client
+   * @returns {Promise<Map<string, Object>>} { query, toplevel, counters } keyed
+   *   by queryid and toplevel (counters: running totals by column name)
+   */
+  async readStatementStats(client) {
+    const inTransaction = client.getTransactionStatus() === 'T';
+    if (inTransaction) {
+      await client.query('SAVEPOINT ssns_collect_stats');
+    }
+
+    let result;
+    try {
+      result = await client.query(`${STATS_QUERY_MARKER}
+        SELECT s.*
+        FROM pg_stat_statements s
+        WHERE s.userid = (SELECT oid FROM pg_roles WHERE rolname = current_user)
+          AND s.dbid = (SELECT oid FROM pg_database WHERE datname = current_database())
+      `);
+    } catch (err) {
+      if (inTransaction) {
+        await client.query('ROLLBACK TO SAVEPOINT ssns_collect_stats');
+      }
+      throw err;
+    }
+    if (inTransaction) {
+      await client.query('RELEASE SAVEPOINT ssns_collect_stats');
+    }
+
+    const entries = new Map();
+    for (const row of result.rows) {
+      const counters = {};
+      for (const [name, value] of Object.entries(row)) {
+        const numeric = typeof value === 'number' || (typeof value === 'string' && value !== '' && !isNaN(value));
+        if (numeric && !STATS_SKIPPED_COLUMNS.test(name)) {
+          counters[name] = Number(value);
+        }
+      }
+      entries.set(`${row.queryid}:${row.toplevel}`, { query: String(row.query || ''), toplevel: row.toplevel, counters });
+    }
+    return entries;
+  }
+
+  /**
+   * Build metadata.stats for a query from the snapshot taken before it
+   *
+   * pg_stat_statements has to be installed and loaded; EXPLAIN (ANALYZE,
+   * BUFFERS) would run the query a second time. Failures are reported as
+   * stats.error instead of failing the query.
+   *
+   * @param {Client} client - Client the query ran on
+   * @param {Map<string, Object>|Error} before - Snapshot, or the error reading it
+   * @returns {Promise<Object>} Stats (see stats.js)
+   */
+  async collectStatementStats(client, before) {
+    if (before instanceof Error) {
+      return buildStats('pg_stat_statements', { error: `pg_stat_statements is not available: ${before.message}` });
+    }
+
+    try {
+      return statementStatsDelta(before, await this.readStatementStats(client));
+    } catch (err) {
+      return buildStats('pg_stat_statements', { error: `Failed to read pg_stat_statements: ${err.message}` });
+    }
+  }
+
+  /**
+   * Check out a dedicated pool client for a session
+   * @returns {Promise<Object>} { client }
+   */
+  async beginSession() {
+    if (!this.isConnected) {
+      await this.connect();
+    }
+    return { client: await this.pool.connect() };
+  }
+
+  /**
+   * Read the transaction status the server reported with its last ReadyForQuery
+   * @param {Object} session - Handle from beginSession()
+   * @returns {Promise<Object>} { transactionCount, inTransaction, failed }
+   */
+  async getSessionState(session) {
+    // 'I' idle, 'T' in a transaction, 'E' in a failed transaction
+    const status = session.client.getTransactionStatus();
+    const inTransaction = status === 'T' || status === 'E';
+    return {
+      transactionCount: inTransaction ? 1 : 0,
+      inTransaction: inTransaction,
+      failed: status === 'E'
+    };
+  }
+
+  /**
+   * Close a session's client instead of returning it to the pool,
+   * so its temp tables and SET options cannot leak into pooled queries
+   * @param {Object} session - Handle from beginSession()
+   */
+  async releaseSession(session) {
+    session.client.release(true);
+  }
+
+  /**
+   * Build the error object for a failed query
+   *
+   * The code is the SQLSTATE, also reported as state.
+   *
+   * @param {Error} err - Error raised by pg
+   * @param {string} query - SQL query (for line numbers)
+   * @param {Object} options - Execution options
+   * @returns {Object} Structured error
+   */
+  formatError(err, query, options = {}) {
+    if (this.isCancelled(options.requestId)) {
+      return this.cancelledError();
+    }
+    if (err.code === QUERY_CANCELED_SQLSTATE && /statement timeout/.test(err.message)) {
+      return this.timeoutError(this.queryTimeout(options));
+    }
+
+    const position = this.getPosition(query, err.position);
+
+    return {
+      message: err.message || 'Unknown error',
+      code: err.code || null,
+      severity: err.severity || null,
+      state: err.code || null,
+      lineNumber: position.lineNumber,
+      column: position.column,
+      procName: null,
+      detail: err.detail || null,
+      hint: err.hint || null,
+    };
+  }
+
+  /**
+   * Convert an error position (1-based character offset) to line and column
    * @param {string} query - SQL query
    * @param {string} position - Character position
-   * @returns {number|null} Line number
+   * @returns {Object} { lineNumber, column }, null when there is no position
    */
-  getLineFromPosition(query, position) {
-    if (!position) return null;
+  getPosition(query, position) {
     const pos = parseInt(position, 10);
-    if (isNaN(pos)) return null;
+    if (!query || isNaN(pos)) {
+      return { lineNumber: null, column: null };
+    }
 
-    const lines = query.substring(0, pos).split('\n');
-    return lines.length;
+    return lineColumnAt(query, pos - 1);
   }
 
   /**
    * Format a result set with column metadata
    */
   formatResultSet(rows, fields) {
+    return {
+      columns: this.formatColumns(fields),
+      rows: rows || [],
+      rowCount: rows ? rows.length : 0
+    };
+  }
+
+  /**
+   * Build column metadata from pg field descriptions
+   */
+  formatColumns(fields) {
     const columns = {};
 
     if (fields && fields.length > 0) {
       fields.forEach((field, index) => {
+        const source = this.sourceColumns.get(sourceColumnKey(field)) || null;
         columns[field.name] = {
           index: index,
           name: field.name,
@@ -194,47 +1002,211 @@ class PostgresDriver extends BaseDriver {
           tableID: field.tableID,
           columnID: field.columnID,
           dataTypeID: field.dataTypeID,
-          nullable: true, // PostgreSQL doesn't provide this in query results
+          nullable: source ? source.nullable : true,
+          sourceSchema: source ? source.schema : null,
+          sourceTable: source ? source.table : null,
+          sourceColumn: source ? source.column : null,
+          isPrimaryKey: source ? source.isPrimaryKey : null,
         };
       });
     }
 
-    return {
-      columns: columns,
-      rows: rows || [],
-      rowCount: rows ? rows.length : 0
-    };
+    return columns;
+  }
+
+  /**
+   * Resolve type names and source columns of result fields before formatColumns()
+   *
+   * The catalog is read on `client` once its statement has finished. While
+   * the statement is still running (streamed results) a short-lived client
+   * outside the pool is used instead, so a full pool cannot block the lookup.
+   * Inside an open transaction the lookups run in a savepoint; a failed
+   * transaction is not read from. Failures leave the fields undescribed.
+   *
+   * @param {Array<Object>} fields - pg field descriptions
+   * @param {Client} [client] - Idle client the statement ran on
+   */
+  async describeFields(fields, client = null) {
+    const typeOids = this.missingTypeOids(fields);
+    const sources = this.missingSourceFields(fields);
+    if ((typeOids.length === 0 && sources.length === 0) || !this.pool) {
+      return;
+    }
+
+    if (!client) {
+      const lookupClient = new Client(this.pgConfig);
+      try {
+        await lookupClient.connect();
+        await this.resolveTypeNames(lookupClient, typeOids);
+        await this.resolveSourceColumns(lookupClient, sources);
+      } catch (err) {
+        // Fields stay undescribed
+      } finally {
+        lookupClient.end().catch(() => {});
+      }
+      return;
+    }
+
+    const status = client.getTransactionStatus();
+    if (status === 'E') {
+      return;
+    }
+    try {
+      if (status === 'T') {
+        await client.query('SAVEPOINT ssns_describe_fields');
+      }
+      await this.resolveTypeNames(client, typeOids);
+      await this.resolveSourceColumns(client, sources);
+      if (status === 'T') {
+        await client.query(client.getTransactionStatus() === 'E'
+          ? 'ROLLBACK TO SAVEPOINT ssns_describe_fields'
+          : 'RELEASE SAVEPOINT ssns_describe_fields');
+      }
+    } catch (err) {
+      // Fields stay undescribed
+    }
+  }
+
+  /**
+   * List the type OIDs of result fields that have no cached name
+   * @param {Array<Object>} fields - pg field descriptions
+   * @returns {Array<number>} OIDs to look up
+   */
+  missingTypeOids(fields) {
+    return [...new Set(fields.map(field => field.dataTypeID))]
+      .filter(oid => !PG_TYPE_NAMES[oid] && !this.typeNames.has(oid));
+  }
+
+  /**
+   * List the result fields read from a table column not cached yet
+   * @param {Array<Object>} fields - pg field descriptions
+   * @returns {Array<Object>} One field per uncached source column
+   */
+  missingSourceFields(fields) {
+    const missing = new Map();
+    for (const field of fields) {
+      const key = sourceColumnKey(field);
+      if (key && !this.sourceColumns.has(key)) {
+        missing.set(key, field);
+      }
+    }
+    return [...missing.values()];
+  }
+
+  /**
+   * Look up the table columns that result fields are read from and cache them
+   *
+   * pg reports the source table OID and attribute number of plain column
+   * references (0 for expressions). Nullability is that of the source column,
+   * so a NOT NULL column on the optional side of an outer join still reports
+   * nullable: false. Failures leave the fields without source information.
+   *
+   * @param {Client} client - Idle client to read the catalog with
+   * @param {Array<Object>} sources - Fields from missingSourceFields()
+   */
+  async resolveSourceColumns(client, sources) {
+    if (sources.length === 0) {
+      return;
+    }
+
+    const sourceQuery = `
+      SELECT
+        a.attrelid AS table_id,
+        a.attnum AS column_id,
+        n.nspname AS schema,
+        c.relname AS table_name,
+        a.attname AS column_name,
+        a.attnotnull AS not_null,
+        EXISTS (
+          SELECT 1 FROM pg_catalog.pg_constraint k
+          WHERE k.conrelid = a.attrelid AND k.contype = 'p' AND a.attnum = ANY(k.conkey)
+        ) AS is_primary_key
+      FROM pg_catalog.pg_attribute a
+      JOIN pg_catalog.pg_class c ON c.oid = a.attrelid
+      JOIN pg_catalog.pg_namespace n ON n.oid = c.relnamespace
+      WHERE (a.attrelid, a.attnum) IN (SELECT * FROM unnest($1::oid[], $2::int2[]))
+    `;
+
+    let rows;
+    try {
+      rows = (await client.query(sourceQuery, [
+        sources.map(field => field.tableID),
+        sources.map(field => field.columnID)
+      ])).rows;
+    } catch (err) {
+      return;
+    }
+
+    for (const row of rows) {
+      this.sourceColumns.set(sourceColumnKey({ tableID: row.table_id, columnID: row.column_id }), {
+        schema: row.schema,
+        table: row.table_name,
+        column: row.column_name,
+        nullable: !row.not_null,
+        isPrimaryKey: row.is_primary_key
+      });
+    }
+  }
+
+  /**
+   * Look up names of types not in PG_TYPE_NAMES and cache them for this connection
+   *
+   * Covers enums, domains, composites, ranges and their arrays. On failure
+   * the types are shown as oid(N).
+   *
+   * @param {Client} client - Idle client to read the catalog with
+   * @param {Array<number>} missing - OIDs from missingTypeOids()
+   */
+  async resolveTypeNames(client, missing) {
+    if (missing.length === 0) {
+      return;
+    }
+
+    const typesQuery = `
+      SELECT t.oid, t.typname AS name, n.nspname AS schema, t.typelem AS element, t.typcategory AS category
+      FROM pg_catalog.pg_type t
+      JOIN pg_catalog.pg_namespace n ON n.oid = t.typnamespace
+      WHERE t.oid = ANY($1::oid[])
+         OR t.oid IN (SELECT typelem FROM pg_catalog.pg_type WHERE oid = ANY($1::oid[]))
+    `;
+
+    let rows;
+    try {
+      rows = (await client.query(typesQuery, [missing])).rows;
+    } catch (err) {
+      return;
+    }
+
+    const byOid = new Map(rows.map(row => [Number(row.oid), row]));
+    const nameOf = (row) => (
+      PG_TYPE_NAMES[row.oid]
+      || (['pg_catalog', 'public'].includes(row.schema) ? row.name : `${row.schema}.${row.name}`)
+    );
+
+    for (const oid of missing) {
+      const row = byOid.get(oid);
+      if (!row) continue;
+
+      const element = row.category === 'A' ? byOid.get(Number(row.element)) : null;
+      this.typeNames.set(oid, element ? `${nameOf(element)}[]` : nameOf(row));
+    }
   }
 
   /**
    * Map PostgreSQL data type IDs to display strings
-   * Common PostgreSQL type OIDs
+   * Built-in types come from PG_TYPE_NAMES, others from resolveTypeNames()
    */
   mapPostgresType(typeId) {
-    const types = {
-      16: 'boolean',
-      20: 'bigint',
-      21: 'smallint',
-      23: 'integer',
-      25: 'text',
-      700: 'real',
-      701: 'double precision',
-      1043: 'varchar',
-      1082: 'date',
-      1083: 'time',
-      1114: 'timestamp',
-      1184: 'timestamptz',
-      1700: 'numeric',
-      2950: 'uuid',
-      3802: 'jsonb',
-      114: 'json',
-    };
-
-    return types[typeId] || `oid(${typeId})`;
+    return PG_TYPE_NAMES[typeId] || this.typeNames.get(typeId) || `oid(${typeId})`;
   }
 
   /**
    * Get metadata for database object (for IntelliSense)
+   *
+   * @param {string} objectType - 'table', 'view', 'procedure', 'function'
+   * @param {string} objectName - Object name
+   * @param {string} schemaName - Schema name (default: public)
+   * @returns {Promise<Object>} Normalized metadata (see metadata.js)
    */
   async getMetadata(objectType, objectName, schemaName = 'public') {
     try {
@@ -243,58 +1215,369 @@ class PostgresDriver extends BaseDriver {
       }
 
       if (objectType === 'table' || objectType === 'view') {
-        // Query PostgreSQL system catalogs for column metadata
-        const query = `
-          SELECT
-            a.attname AS name,
-            pg_catalog.format_type(a.atttypid, a.atttypmod) AS type,
-            a.attnotnull AS not_null,
-            pg_catalog.pg_get_expr(d.adbin, d.adrelid) AS default_value,
-            a.attnum AS ordinal_position,
-            (SELECT EXISTS (
-              SELECT 1 FROM pg_constraint
-              WHERE conrelid = a.attrelid
-              AND contype = 'p'
-              AND a.attnum = ANY(conkey)
-            )) AS is_primary_key,
-            (SELECT EXISTS (
-              SELECT 1 FROM pg_constraint
-              WHERE conrelid = a.attrelid
-              AND contype = 'f'
-              AND a.attnum = ANY(conkey)
-            )) AS is_foreign_key
-          FROM pg_catalog.pg_attribute a
-          LEFT JOIN pg_catalog.pg_attrdef d ON (a.attrelid = d.adrelid AND a.attnum = d.adnum)
-          JOIN pg_catalog.pg_class c ON a.attrelid = c.oid
-          JOIN pg_catalog.pg_namespace n ON c.relnamespace = n.oid
-          WHERE n.nspname = $1
-            AND c.relname = $2
-            AND a.attnum > 0
-            AND NOT a.attisdropped
-          ORDER BY a.attnum;
-        `;
-
-        const result = await this.pool.query(query, [schemaName, objectName]);
-
-        return {
-          columns: result.rows.map(row => ({
-            name: row.name,
-            type: row.type,
-            nullable: !row.not_null,
-            defaultValue: row.default_value,
-            isPrimaryKey: row.is_primary_key,
-            isForeignKey: row.is_foreign_key,
-          }))
-        };
+        return await this.getRelationMetadata(objectType, objectName, schemaName);
+      }
+      if (objectType === 'procedure' || objectType === 'function') {
+        return await this.getRoutineMetadata(objectType, objectName, schemaName);
       }
 
-      return { columns: [] };
+      return buildMetadata(objectType, schemaName, objectName);
 
     } catch (err) {
       throw new Error(`Failed to get metadata: ${err.message}`);
     }
   }
 
+  /**
+   * Get columns, indexes, constraints and definition of a table or view
+   */
+  async getRelationMetadata(objectType, objectName, schemaName) {
+    // Query PostgreSQL system catalogs for column metadata
+    const columnsQuery = `
+      SELECT
+        a.attname AS name,
+        pg_catalog.format_type(a.atttypid, a.atttypmod) AS type,
+        a.attnotnull AS not_null,
+        pg_catalog.pg_get_expr(d.adbin, d.adrelid) AS default_value,
+        a.attnum AS ordinal_position,
+        (SELECT EXISTS (
+          SELECT 1 FROM pg_constraint
+          WHERE conrelid = a.attrelid
+          AND contype = 'p'
+          AND a.attnum = ANY(conkey)
+        )) AS is_primary_key,
+        (SELECT EXISTS (
+          SELECT 1 FROM pg_constraint
+          WHERE conrelid = a.attrelid
+          AND contype = 'f'
+          AND a.attnum = ANY(conkey)
+        )) AS is_foreign_key
+      FROM pg_catalog.pg_attribute a
+      LEFT JOIN pg_catalog.pg_attrdef d ON (a.attrelid = d.adrelid AND a.attnum = d.adnum)
+      JOIN pg_catalog.pg_class c ON a.attrelid = c.oid
+      JOIN pg_catalog.pg_namespace n ON c.relnamespace = n.oid
+      WHERE n.nspname = $1
+        AND c.relname = $2
+        AND a.attnum > 0
+        AND NOT a.attisdropped
+      ORDER BY a.attnum;
+    `;
+
+    // Key columns only (INCLUDE columns come after indnkeyatts)
+    const indexesQuery = `
+      SELECT
+        i.relname AS "indexName",
+        COALESCE(a.attname, pg_catalog.pg_get_indexdef(ix.indexrelid, k.ord::int, true)) AS "columnName",
+        ix.indisunique AS "isUnique",
+        ix.indisprimary AS "isPrimary",
+        ix.indisclustered AS "isClustered",
+        am.amname AS "indexType"
+      FROM pg_catalog.pg_index ix
+      JOIN pg_catalog.pg_class t ON t.oid = ix.indrelid
+      JOIN pg_catalog.pg_namespace n ON n.oid = t.relnamespace
+      JOIN pg_catalog.pg_class i ON i.oid = ix.indexrelid
+      JOIN pg_catalog.pg_am am ON am.oid = i.relam
+      CROSS JOIN LATERAL unnest(ix.indkey::int2[]) WITH ORDINALITY AS k(attnum, ord)
+      LEFT JOIN pg_catalog.pg_attribute a ON a.attrelid = t.oid AND a.attnum = k.attnum AND k.attnum > 0
+      WHERE n.nspname = $1
+        AND t.relname = $2
+        AND k.ord <= ix.indnkeyatts
+      ORDER BY i.relname, k.ord;
+    `;
+
+    const constraintsQuery = `
+      SELECT
+        con.conname AS "constraintName",
+        CASE con.contype
+          WHEN 'p' THEN 'PRIMARY KEY'
+          WHEN 'f' THEN 'FOREIGN KEY'
+          WHEN 'u' THEN 'UNIQUE'
+          ELSE 'CHECK'
+        END AS "constraintType",
+        a.attname AS "columnName",
+        rn.nspname AS "referencedSchema",
+        rt.relname AS "referencedTable",
+        ra.attname AS "referencedColumn",
+        CASE WHEN con.contype = 'c' THEN pg_catalog.pg_get_constraintdef(con.oid, true) END AS "checkClause"
+      FROM pg_catalog.pg_constraint con
+      JOIN pg_catalog.pg_class t ON t.oid = con.conrelid
+      JOIN pg_catalog.pg_namespace n ON n.oid = t.relnamespace
+      LEFT JOIN LATERAL unnest(con.conkey) WITH ORDINALITY AS k(attnum, ord) ON true
+      LEFT JOIN pg_catalog.pg_attribute a ON a.attrelid = con.conrelid AND a.attnum = k.attnum
+      LEFT JOIN pg_catalog.pg_class rt ON rt.oid = con.confrelid
+      LEFT JOIN pg_catalog.pg_namespace rn ON rn.oid = rt.relnamespace
+      LEFT JOIN pg_catalog.pg_attribute ra ON ra.attrelid = con.confrelid AND ra.attnum = con.confkey[k.ord]
+      WHERE n.nspname = $1
+        AND t.relname = $2
+        AND con.contype IN ('p', 'f', 'u', 'c')
+      ORDER BY con.conname, k.ord;
+    `;
+
+    const definitionQuery = `
+      SELECT pg_catalog.pg_get_viewdef(c.oid, true) AS definition
+      FROM pg_catalog.pg_class c
+      JOIN pg_catalog.pg_namespace n ON n.oid = c.relnamespace
+      WHERE n.nspname = $1
+        AND c.relname = $2
+        AND c.relkind IN ('v', 'm');
+    `;
+
+    const params = [schemaName, objectName];
+    const columns = await this.pool.query(columnsQuery, params);
+    const indexes = await this.pool.query(indexesQuery, params);
+    const constraints = await this.pool.query(constraintsQuery, params);
+    const definition = await this.pool.query(definitionQuery, params);
+
+    return buildMetadata(objectType, schemaName, objectName, {
+      columns: columns.rows.map(row => ({
+        name: row.name,
+        type: row.type,
+        nullable: !row.not_null,
+        defaultValue: row.default_value,
+        isPrimaryKey: row.is_primary_key,
+        isForeignKey: row.is_foreign_key,
+      })),
+      indexes: groupIndexRows(indexes.rows),
+      constraints: groupConstraintRows(constraints.rows),
+      definition: definition.rows.length > 0 ? definition.rows[0].definition : null
+    });
+  }
+
+  /**
+   * Get parameters, return type and definition of a procedure or function
+   * Overloaded routines report the first overload (lowest oid).
+   */
+  async getRoutineMetadata(objectType, objectName, schemaName) {
+    const routineQuery = `
+      SELECT
+        p.proname || '_' || p.oid AS specific_name,
+        pg_catalog.pg_get_function_result(p.oid) AS return_type,
+        pg_catalog.pg_get_functiondef(p.oid) AS definition
+      FROM pg_catalog.pg_proc p
+      JOIN pg_catalog.pg_namespace n ON n.oid = p.pronamespace
+      WHERE n.nspname = $1
+        AND p.proname = $2
+        AND p.prokind IN ('f', 'p')
+      ORDER BY p.oid
+      LIMIT 1;
+    `;
+
+    const parametersQuery = `
+      SELECT
+        p.parameter_name AS name,
+        CASE WHEN p.data_type IN ('USER-DEFINED', 'ARRAY') THEN p.udt_name ELSE p.data_type END AS type,
+        p.parameter_mode AS mode,
+        p.parameter_default AS default_value,
+        p.ordinal_position,
+        p.character_maximum_length AS max_length,
+        p.numeric_precision AS precision,
+        p.numeric_scale AS scale
+      FROM information_schema.parameters p
+      WHERE p.specific_schema = $1
+        AND p.specific_name = $2
+      ORDER BY p.ordinal_position;
+    `;
+
+    const routine = await this.pool.query(routineQuery, [schemaName, objectName]);
+    if (routine.rows.length === 0) {
+      return buildMetadata(objectType, schemaName, objectName);
+    }
+
+    const { specific_name: specificName, return_type: returnType, definition } = routine.rows[0];
+    const parameters = await this.pool.query(parametersQuery, [schemaName, specificName]);
+
+    return buildMetadata(objectType, schemaName, objectName, {
+      parameters: parameters.rows.map(row => buildParameter({
+        name: row.name,
+        type: row.type,
+        direction: row.mode,
+        defaultValue: row.default_value,
+        ordinalPosition: row.ordinal_position,
+        maxLength: row.max_length,
+        precision: row.precision,
+        scale: row.scale
+      })),
+      returnType: returnType,
+      definition: definition
+    });
+  }
+
+  /**
+   * Get a schema snapshot of a database (see BaseDriver.getSchemaSnapshot)
+   *
+   * A PostgreSQL connection only sees its own database, so another database
+   * is read through a short-lived client. The catalog has no modification
+   * dates; the fingerprint hashes the identity of every relation, column,
+   * key and routine instead (hashtext sums, computed server-side).
+   */
+  async getSchemaSnapshot(database, schemas = null, knownFingerprint = null) {
+    const otherDatabase = database && database !== this.pgConfig.database;
+    let client = null;
+
+    try {
+      if (otherDatabase) {
+        client = new Client(Object.assign({}, this.pgConfig, { database: database }));
+        await client.connect();
+      } else {
+        if (!this.isConnected) {
+          await this.connect();
+        }
+        client = await this.pool.connect();
+      }
+
+      const params = [schemas && schemas.length > 0 ? schemas : null];
+      const schemaFilter = `n.nspname NOT IN ('pg_catalog', 'information_schema')
+        AND n.nspname !~ '^pg_(toast|temp)'
+        AND ($1::text[] IS NULL OR n.nspname = ANY($1::text[]))`;
+
+      const fingerprintQuery = `
+        SELECT
+          (SELECT count(*) || ':' || coalesce(sum(hashtext(c.oid || ':' || c.relname || ':' || c.relkind)), 0)
+           FROM pg_catalog.pg_class c
+           JOIN pg_catalog.pg_namespace n ON n.oid = c.relnamespace
+           WHERE c.relkind IN ('r', 'p', 'f', 'v', 'm') AND ${schemaFilter}) AS relations,
+          (SELECT count(*) || ':' || coalesce(sum(hashtext(a.attrelid || ':' || a.attname || ':' || a.atttypid
+                                                          || ':' || a.atttypmod || ':' || a.attnotnull)), 0)
+           FROM pg_catalog.pg_attribute a
+           JOIN pg_catalog.pg_class c ON c.oid = a.attrelid
+           JOIN pg_catalog.pg_namespace n ON n.oid = c.relnamespace
+           WHERE c.relkind IN ('r', 'p', 'f', 'v', 'm') AND a.attnum > 0 AND NOT a.attisdropped
+             AND ${schemaFilter}) AS columns,
+          (SELECT count(*) || ':' || coalesce(sum(hashtext(con.oid || ':' || con.conname)), 0)
+           FROM pg_catalog.pg_constraint con
+           JOIN pg_catalog.pg_namespace n ON n.oid = con.connamespace
+           WHERE con.contype IN ('p', 'f') AND ${schemaFilter}) AS keys,
+          (SELECT count(*) || ':' || coalesce(sum(hashtext(p.oid || ':' || p.proname || ':' || p.prorettype)), 0)
+           FROM pg_catalog.pg_proc p
+           JOIN pg_catalog.pg_namespace n ON n.oid = p.pronamespace
+           WHERE p.prokind IN ('f', 'p') AND ${schemaFilter}) AS routines
+      `;
+      const stats = (await client.query(fingerprintQuery, params)).rows[0];
+      const fingerprint = schemaFingerprint([stats.relations, stats.columns, stats.keys, stats.routines]);
+      const snapshotDatabase = database || this.pgConfig.database;
+
+      if (knownFingerprint && knownFingerprint === fingerprint) {
+        return unchangedSnapshot(snapshotDatabase, fingerprint);
+      }
+
+      const relationsQuery = `
+        SELECT n.nspname AS schema, c.relname AS name,
+               CASE WHEN c.relkind IN ('v', 'm') THEN 'view' ELSE 'table' END AS type
+        FROM pg_catalog.pg_class c
+        JOIN pg_catalog.pg_namespace n ON n.oid = c.relnamespace
+        WHERE c.relkind IN ('r', 'p', 'f', 'v', 'm') AND ${schemaFilter}
+        ORDER BY n.nspname, c.relname
+      `;
+
+      const columnsQuery = `
+        SELECT n.nspname AS schema, c.relname AS "table", a.attname AS name,
+               pg_catalog.format_type(a.atttypid, a.atttypmod) AS type, NOT a.attnotnull AS nullable
+        FROM pg_catalog.pg_attribute a
+        JOIN pg_catalog.pg_class c ON c.oid = a.attrelid
+        JOIN pg_catalog.pg_namespace n ON n.oid = c.relnamespace
+        WHERE c.relkind IN ('r', 'p', 'f', 'v', 'm') AND a.attnum > 0 AND NOT a.attisdropped
+          AND ${schemaFilter}
+        ORDER BY n.nspname, c.relname, a.attnum
+      `;
+
+      const keysQuery = `
+        SELECT
+          n.nspname AS schema,
+          c.relname AS "table",
+          con.conname AS "constraintName",
+          CASE con.contype WHEN 'p' THEN 'PRIMARY KEY' ELSE 'FOREIGN KEY' END AS "constraintType",
+          a.attname AS "columnName",
+          rn.nspname AS "referencedSchema",
+          rc.relname AS "referencedTable",
+          ra.attname AS "referencedColumn"
+        FROM pg_catalog.pg_constraint con
+        JOIN pg_catalog.pg_class c ON c.oid = con.conrelid
+        JOIN pg_catalog.pg_namespace n ON n.oid = c.relnamespace
+        CROSS JOIN LATERAL unnest(con.conkey) WITH ORDINALITY AS k(attnum, ord)
+        JOIN pg_catalog.pg_attribute a ON a.attrelid = con.conrelid AND a.attnum = k.attnum
+        LEFT JOIN pg_catalog.pg_class rc ON rc.oid = con.confrelid
+        LEFT JOIN pg_catalog.pg_namespace rn ON rn.oid = rc.relnamespace
+        LEFT JOIN pg_catalog.pg_attribute ra ON ra.attrelid = con.confrelid AND ra.attnum = con.confkey[k.ord]
+        WHERE con.contype IN ('p', 'f') AND ${schemaFilter}
+        ORDER BY n.nspname, c.relname, con.conname, k.ord
+      `;
+
+      const routinesQuery = `
+        SELECT n.nspname AS schema, p.proname AS name,
+               CASE p.prokind WHEN 'p' THEN 'procedure' ELSE 'function' END AS type,
+               CASE p.prokind WHEN 'p' THEN NULL ELSE pg_catalog.pg_get_function_result(p.oid) END AS "returnType"
+        FROM pg_catalog.pg_proc p
+        JOIN pg_catalog.pg_namespace n ON n.oid = p.pronamespace
+        WHERE p.prokind IN ('f', 'p') AND ${schemaFilter}
+        ORDER BY n.nspname, p.proname, p.oid
+      `;
+
+      const relations = await client.query(relationsQuery, params);
+      const columns = await client.query(columnsQuery, params);
+      const keys = await client.query(keysQuery, params);
+      const routines = await client.query(routinesQuery, params);
+
+      return buildSnapshot(snapshotDatabase, fingerprint, {
+        relations: relations.rows,
+        columns: columns.rows,
+        keys: keys.rows,
+        routines: routines.rows
+      });
+
+    } catch (err) {
+      throw new Error(`Failed to get schema snapshot: ${err.message}`);
+    } finally {
+      if (client && otherDatabase) {
+        await client.end().catch(() => {});
+      } else if (client) {
+        client.release();
+      }
+    }
+  }
+
+  /**
+   * Get the execution plan of a query (see BaseDriver.explain)
+   *
+   * Uses EXPLAIN (FORMAT JSON), adding ANALYZE for the actual plan, which
+   * runs in a transaction that is rolled back. raw is the JSON document.
+   *
+   * @param {string} query - SQL query to explain (a single statement)
+   * @param {Object} [options] - { actual }
+   * @returns {Promise<Object>} Plan (see plan.js)
+   */
+  async explain(query, options = {}) {
+    let client = null;
+
+    try {
+      if (!this.isConnected) {
+        await this.connect();
+      }
+
+      client = await this.pool.connect();
+      if (options.actual) {
+        await client.query('BEGIN');
+      }
+
+      const result = await client.query(`EXPLAIN (FORMAT JSON${options.actual ? ', ANALYZE' : ''}) ${query}`);
+      // json values are kept as server text (see getDisplayParser)
+      const value = result.rows[0]['QUERY PLAN'];
+      const raw = typeof value === 'string' ? JSON.parse(value) : value;
+
+      const statements = raw.map(entry => ({ text: query.trim(), root: explainPlanNode(entry['Plan']) }));
+      return buildPlan('postgres-json', options.actual, statements, raw);
+
+    } catch (err) {
+      throw new Error(`Failed to get execution plan: ${err.message}`);
+    } finally {
+      if (client) {
+        if (options.actual) {
+          await client.query('ROLLBACK').catch(() => {});
+        }
+        client.release();
+      }
+    }
+  }
+
   /**
    * Get database type identifier
    * @returns {string}
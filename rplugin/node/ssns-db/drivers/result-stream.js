@@ -0,0 +1,176 @@
+/**
+ * ResultStream - Batch streamed rows and apply consumer backpressure
+ *
+ * Drivers push column metadata and rows as the native driver produces them.
+ * Rows are grouped into batches of `batchSize` and handed to `onRows`; the
+ * Promise it returns must settle before the next batch is delivered. While a
+ * delivery is outstanding the source is paused (push-based drivers register
+ * pause/resume with setSource, pull-based drivers await the value returned
+ * by row()).
+ *
+ * With `maxRows`, rows past the cap are counted but dropped as they arrive,
+ * so summaries() can report truncation without ever holding the extra rows.
+ *
+ * Server messages (PRINT output, notices, warnings) are kept in `messages`
+ * and, when `onMessage` is given, delivered in order with the rows.
+ */
+
+const DEFAULT_BATCH_SIZE = 500;
+
+class ResultStream {
+  /**
+   * @param {Object} handlers - Consumer callbacks
+   * @param {Function} handlers.onColumns - (columns, resultSetIndex) => Promise|void
+   * @param {Function} handlers.onRows - (rows, resultSetIndex) => Promise|void
+   * @param {Function} [handlers.onMessage] - (message) => Promise|void
+   * @param {Object} [options] - Execution options
+   * @param {number} [options.batchSize] - Rows per onRows call (default: 500)
+   * @param {number} [options.maxRows] - Rows kept per result set (default: unlimited)
+   */
+  constructor(handlers, options = {}) {
+    this.onColumns = handlers.onColumns;
+    this.onRows = handlers.onRows;
+    this.onMessage = handlers.onMessage || null;
+    this.batchSize = options.batchSize > 0 ? options.batchSize : DEFAULT_BATCH_SIZE;
+    this.maxRows = options.maxRows > 0 ? options.maxRows : Infinity;
+
+    this.resultSetIndex = -1;
+    this.rowCounts = [];
+    this.rowsSeen = [];
+    this.buffer = [];
+    this.messages = [];
+
+    this.pending = Promise.resolve();
+    this.outstanding = 0;
+    this.error = null;
+
+    this.pauseSource = null;
+    this.resumeSource = null;
+  }
+
+  /**
+   * Register pause/resume functions of a push-based source
+   * @param {Function} pause - Stop the source from emitting rows
+   * @param {Function} resume - Let the source emit rows again
+   */
+  setSource(pause, resume) {
+    this.pauseSource = pause;
+    this.resumeSource = resume;
+  }
+
+  /**
+   * Start a new result set
+   * The metadata may still be resolving; rows received meanwhile are held back.
+   * @param {Object|Promise<Object>} columns - Column metadata keyed by column key
+   */
+  columns(columns) {
+    this.flush();
+    this.resultSetIndex++;
+    this.rowCounts.push(0);
+    this.rowsSeen.push(0);
+
+    const index = this.resultSetIndex;
+    this.enqueue(async () => this.onColumns(await columns, index));
+  }
+
+  /**
+   * Add a row to the current result set (dropped once maxRows is reached)
+   * @param {Object} row - Row object keyed by column key
+   * @returns {Promise|null} Delivery promise when a batch was flushed
+   */
+  row(row) {
+    this.rowsSeen[this.resultSetIndex]++;
+    if (this.rowCounts[this.resultSetIndex] >= this.maxRows) {
+      return null;
+    }
+
+    this.buffer.push(row);
+    this.rowCounts[this.resultSetIndex]++;
+
+    if (this.buffer.length >= this.batchSize) {
+      return this.flush();
+    }
+    return null;
+  }
+
+  /**
+   * Deliver buffered rows of the current result set
+   * @returns {Promise|null} Delivery promise, or null if nothing was buffered
+   */
+  flush() {
+    if (this.buffer.length === 0) {
+      return null;
+    }
+
+    const batch = this.buffer;
+    const index = this.resultSetIndex;
+    this.buffer = [];
+    return this.enqueue(() => this.onRows(batch, index));
+  }
+
+  /**
+   * Record a server message, delivering it after the rows received before it
+   * @param {Object} message - Message from BaseDriver.serverMessage()
+   */
+  message(message) {
+    this.messages.push(message);
+    if (this.onMessage) {
+      this.flush();
+      this.enqueue(() => this.onMessage(message));
+    }
+  }
+
+  /**
+   * Flush remaining rows and wait for the consumer to drain
+   * @returns {Promise<number[]>} Row count per result set
+   * @throws {Error} The first error raised by a consumer callback
+   */
+  async end() {
+    this.flush();
+    await this.pending;
+
+    if (this.error) {
+      throw this.error;
+    }
+    return this.rowCounts;
+  }
+
+  /**
+   * Describe each result set delivered so far
+   * @returns {Array<Object>} { rowCount, totalRowsSeen, truncated } per result set
+   */
+  summaries() {
+    return this.rowCounts.map((rowCount, index) => ({
+      rowCount: rowCount,
+      totalRowsSeen: this.rowsSeen[index],
+      truncated: this.rowsSeen[index] > rowCount
+    }));
+  }
+
+  /**
+   * Queue a consumer call behind earlier deliveries, pausing the source meanwhile
+   * @private
+   */
+  enqueue(deliver) {
+    this.outstanding++;
+    if (this.outstanding === 1 && this.pauseSource) {
+      this.pauseSource();
+    }
+
+    this.pending = this.pending
+      .then(() => (this.error ? null : deliver()))
+      .catch((err) => {
+        this.error = this.error || err;
+      })
+      .then(() => {
+        this.outstanding--;
+        if (this.outstanding === 0 && this.resumeSource) {
+          this.resumeSource();
+        }
+      });
+
+    return this.pending;
+  }
+}
+
+module.exports = ResultStream;
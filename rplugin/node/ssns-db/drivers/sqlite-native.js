@@ -0,0 +1,411 @@
+const SQLiteDriver = require('./sqlite');
+const { normalizeParams, countPositionalPlaceholders, replaceNamedPlaceholders, maskSql } = require('./params');
+const { skipBlank } = require('./errors');
+const { ssnsLog } = require('../ssns-log');
+
+// Number of rows stepped between event loop yields while executing
+const STEPS_PER_YIELD = 1000;
+
+// Journal modes accepted for config.options.journal_mode
+const JOURNAL_MODES = ['delete', 'truncate', 'persist', 'memory', 'wal', 'off'];
+
+// Default wait for a lock held by another connection or process
+const DEFAULT_BUSY_TIMEOUT_MS = 5000;
+
+// better-sqlite3 module: undefined until first use, null when it failed to load
+let nativeModule;
+let nativeLoadError = null;
+
+/**
+ * Load better-sqlite3 once, remembering why it failed
+ *
+ * The package loads its compiled binding only when a database is opened, so
+ * an in-memory database is opened to check that the binding works too.
+ *
+ * @returns {Function|null} Database constructor, or null when unavailable
+ */
+function loadNativeModule() {
+  if (nativeModule === undefined) {
+    try {
+      const Database = require('better-sqlite3');
+      new Database(':memory:').close();
+      nativeModule = Database;
+    } catch (err) {
+      nativeModule = null;
+      nativeLoadError = err;
+    }
+  }
+  return nativeModule;
+}
+
+/**
+ * Split a script into single statements
+ *
+ * Splits on semicolons outside strings, identifiers and comments, except
+ * inside the BEGIN ... END body of CREATE TRIGGER (where CASE ... END also
+ * nests). Statements holding only whitespace or comments are dropped.
+ *
+ * @param {string} query - SQL text
+ * @returns {string[]} Statement texts (each with its terminating semicolon)
+ */
+function splitStatements(query) {
+  const masked = maskSql(query);
+  const statements = [];
+  const pattern = /;|\b(BEGIN|CASE|END)\b/gi;
+  let start = 0;
+  let depth = 0;
+  let inTrigger = null;
+  let match;
+
+  const push = (end) => {
+    if (masked.slice(start, end).replace(/;/g, '').trim() !== '') {
+      statements.push(query.slice(start, end));
+    }
+    start = end;
+    inTrigger = null;
+  };
+
+  while ((match = pattern.exec(masked)) !== null) {
+    if (inTrigger === null) {
+      inTrigger = /^\s*CREATE\s+(?:TEMP(?:ORARY)?\s+)?TRIGGER\b/i.test(masked.slice(start));
+    }
+
+    if (match[0] === ';') {
+      if (depth === 0) push(match.index + 1);
+    } else if (inTrigger) {
+      depth = match[1].toUpperCase() === 'END' ? Math.max(0, depth - 1) : depth + 1;
+    }
+  }
+  push(query.length);
+
+  return statements;
+}
+
+/**
+ * Convert a bound value to one better-sqlite3 accepts
+ * @param {*} value - Coerced parameter value
+ * @returns {number|string|bigint|Buffer|null}
+ */
+function toNativeValue(value) {
+  if (value === undefined || value === null) return null;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (value instanceof Uint8Array || typeof value !== 'object') return value;
+  return JSON.stringify(value);
+}
+
+/**
+ * NativeSQLiteDriver - SQLite driver opening the database file in place
+ *
+ * Uses better-sqlite3 instead of sql.js: the file is not loaded into memory
+ * or rewritten on save, so SQLite's own locking and journaling (including
+ * WAL) apply and concurrent writers are safe. Selected with
+ * config.options.sqlite_engine = 'native'; the factory falls back to the
+ * sql.js driver when the native module cannot be loaded.
+ *
+ * better-sqlite3 allows one active statement per connection, so all database
+ * work of a driver instance is serialized.
+ */
+class NativeSQLiteDriver extends SQLiteDriver {
+  /**
+   * @param {Object} config - Connection configuration (see SQLiteDriver)
+   * @param {Object} [config.options] - Additional options
+   * @param {string} [config.options.journal_mode] - Set on open: 'wal', 'delete', ... (default: unchanged)
+   * @param {number} [config.options.busy_timeout_ms] - Wait for locks held elsewhere (default: 5000)
+   */
+  constructor(config) {
+    super(config);
+
+    const options = config.options || {};
+    this.journalMode = options.journal_mode ? String(options.journal_mode).toLowerCase() : null;
+    if (this.journalMode && !JOURNAL_MODES.includes(this.journalMode)) {
+      throw new Error(`Invalid journal_mode: ${options.journal_mode} (expected ${JOURNAL_MODES.join(', ')})`);
+    }
+    this.busyTimeout = Number.isInteger(options.busy_timeout_ms) && options.busy_timeout_ms >= 0
+      ? options.busy_timeout_ms
+      : DEFAULT_BUSY_TIMEOUT_MS;
+
+    this.queue = Promise.resolve();
+    this.lastChanges = 0;
+  }
+
+  /**
+   * Check whether better-sqlite3 can be loaded
+   * @returns {boolean}
+   */
+  static isAvailable() {
+    return loadNativeModule() !== null;
+  }
+
+  /**
+   * Why better-sqlite3 could not be loaded
+   * @returns {string|null}
+   */
+  static unavailableReason() {
+    loadNativeModule();
+    return nativeLoadError ? nativeLoadError.message : null;
+  }
+
+  /**
+   * Open the database file
+   */
+  async connect() {
+    if (this.isConnected && this.db) {
+      return;
+    }
+
+    const Database = loadNativeModule();
+    if (!Database) {
+      throw new Error(`SQLite connection failed: better-sqlite3 is not available (${nativeLoadError.message})`);
+    }
+
+    try {
+      this.db = new Database(this.dbPath, { timeout: this.busyTimeout });
+      this.db.pragma('foreign_keys = ON');
+      if (this.journalMode) {
+        this.db.pragma(`journal_mode = ${this.journalMode}`);
+      }
+
+      this.isConnected = true;
+      this.recordHealthConnected();
+      ssnsLog(`[sqlite-native] Opened ${this.dbPath} (journal_mode ${this.db.pragma('journal_mode', { simple: true })})`, 'info');
+    } catch (err) {
+      this.isConnected = false;
+      this.recordHealthError(err, 'error');
+      if (this.db) {
+        this.db.close();
+        this.db = null;
+      }
+      throw new Error(`SQLite connection failed: ${err.message}`);
+    }
+  }
+
+  /**
+   * Close the database (changes are already on disk)
+   */
+  async disconnect() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+      this.isConnected = false;
+      this.setHealthState('disconnected');
+    }
+  }
+
+  /**
+   * Run database work after everything queued before it
+   * @param {Function} work - () => Promise
+   * @returns {Promise<*>} Result of work
+   */
+  serialize(work) {
+    const run = this.queue.then(work, work);
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Run every statement in a query (see SQLiteDriver.runStatements)
+   * Unlike sql.js, a SELECT returning no rows still yields a result set.
+   */
+  async runStatements(query, isInterrupted, stream = null, params = null) {
+    return this.serialize(async () => {
+      const results = [];
+      const bindParams = this.createNativeBinder(params);
+      let steps = 0;
+      let statementStart = 0;
+      this.lastChanges = 0;
+
+      try {
+        for (const sql of splitStatements(query)) {
+          statementStart = query.indexOf(sql, statementStart);
+          const stmt = this.db.prepare(sql);
+          const values = bindParams(sql);
+
+          if (!stmt.reader) {
+            const info = values === undefined ? stmt.run() : stmt.run(values);
+            this.lastChanges = info.changes;
+            continue;
+          }
+
+          stmt.raw(true);
+          const columnInfo = stmt.columns();
+          const current = {
+            columns: columnInfo.map(column => column.name),
+            types: this.describeColumns(columnInfo),
+            values: []
+          };
+          results.push(current);
+
+          let columnsSent = false;
+          for (const row of values === undefined ? stmt.iterate() : stmt.iterate(values)) {
+            // Undeclared types are inferred from the first row
+            if (stream && !columnsSent) {
+              stream.columns(this.buildColumns(current.columns, current.types, [row]));
+              columnsSent = true;
+            }
+
+            if (stream) {
+              const delivered = stream.row(this.buildRow(current.columns, row));
+              if (delivered) {
+                await delivered;
+                if (isInterrupted()) {
+                  throw new Error('Query interrupted');
+                }
+              }
+            } else {
+              current.values.push(row);
+            }
+
+            if (++steps % STEPS_PER_YIELD === 0) {
+              await new Promise(resolve => setImmediate(resolve));
+              if (isInterrupted()) {
+                throw new Error('Query interrupted');
+              }
+            }
+          }
+
+          if (stream && !columnsSent) {
+            stream.columns(this.buildColumns(current.columns, current.types));
+          }
+        }
+      } catch (err) {
+        err.statementOffset = skipBlank(query, statementStart);
+        err.partialResults = results;
+        throw err;
+      }
+
+      return results;
+    });
+  }
+
+  /**
+   * Get the declared type and nullability of result columns
+   * better-sqlite3 reports the declared type and source table of each column.
+   *
+   * @param {Array<Object>} columnInfo - Statement.columns()
+   * @returns {Array<Object|null>} { type, nullable } or null (no declared type)
+   */
+  describeColumns(columnInfo) {
+    const notNullColumns = new Map();
+
+    return columnInfo.map((column) => {
+      if (!column.type) {
+        return null;
+      }
+      if (!column.table) {
+        return { type: column.type, nullable: true };
+      }
+
+      const key = `${column.database}\u0000${column.table}`;
+      if (!notNullColumns.has(key)) {
+        const rows = this.selectRows(
+          'SELECT name FROM pragma_table_info(?, ?) WHERE "notnull" = 1',
+          [column.table, column.database || 'main']
+        );
+        notNullColumns.set(key, new Set(rows.map(row => row.name)));
+      }
+      return { type: column.type, nullable: !notNullColumns.get(key).has(column.column) };
+    });
+  }
+
+  /**
+   * Create a function giving the parameter values of each statement
+   *
+   * Named parameters are passed to the statements that use them (as :name,
+   * @name or $name); positional values are consumed in order, one per ?.
+   *
+   * @param {Array|Object} [params] - options.params
+   * @returns {Function} (sql) => values for Statement.run()/iterate(), or undefined
+   */
+  createNativeBinder(params) {
+    const { named, list } = normalizeParams(params);
+    if (list.length === 0) {
+      return () => undefined;
+    }
+
+    if (named) {
+      const values = new Map(list.map(param => [param.name, toNativeValue(param.value)]));
+      return (sql) => {
+        const used = {};
+        for (const prefix of [':', '@', '$']) {
+          replaceNamedPlaceholders(sql, prefix, (name) => {
+            if (!values.has(name)) {
+              throw new Error(`Missing value for parameter: ${prefix}${name}`);
+            }
+            used[name] = values.get(name);
+            return null;
+          });
+        }
+        return Object.keys(used).length > 0 ? used : undefined;
+      };
+    }
+
+    let offset = 0;
+    return (sql) => {
+      const count = countPositionalPlaceholders(sql);
+      if (count === 0) return undefined;
+
+      if (offset + count > list.length) {
+        throw new Error(`Not enough parameter values: expected at least ${offset + count}, got ${list.length}`);
+      }
+      const values = list.slice(offset, offset + count).map(param => toNativeValue(param.value));
+      offset += count;
+      return values;
+    };
+  }
+
+  /**
+   * Run a catalog query and return its rows as objects keyed by column name
+   * @param {string} query - SQL text (single SELECT)
+   * @param {Array} [params] - Positional values bound to ? placeholders
+   * @returns {Array<Object>}
+   */
+  selectRows(query, params = []) {
+    return this.db.prepare(query).all(params);
+  }
+
+  /**
+   * Rows changed by the last INSERT, UPDATE or DELETE
+   * @returns {number}
+   */
+  rowsModified() {
+    return this.lastChanges;
+  }
+
+  /**
+   * Nothing to save: changes are written to the file by SQLite itself
+   */
+  saveIfModified() {
+  }
+
+  /**
+   * Check whether the database has an open transaction
+   * @returns {boolean}
+   */
+  inTransaction() {
+    return this.db.inTransaction;
+  }
+
+  /**
+   * Get metadata, queued behind running statements (see SQLiteDriver.getMetadata)
+   */
+  async getMetadata(objectType, objectName, schemaName = null) {
+    return this.serialize(() => super.getMetadata(objectType, objectName, schemaName));
+  }
+
+  /**
+   * Get a schema snapshot, queued behind running statements (see SQLiteDriver.getSchemaSnapshot)
+   */
+  async getSchemaSnapshot(database, schemas = null, knownFingerprint = null) {
+    return this.serialize(() => super.getSchemaSnapshot(database, schemas, knownFingerprint));
+  }
+
+  /**
+   * Get an execution plan, queued behind running statements (see SQLiteDriver.explain)
+   */
+  async explain(query, options = {}) {
+    return this.serialize(() => super.explain(query, options));
+  }
+}
+
+module.exports = NativeSQLiteDriver;
+module.exports.splitStatements = splitStatements;
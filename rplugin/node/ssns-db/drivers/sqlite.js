@@ -2,6 +2,69 @@ const initSqlJs = require('sql.js');
 const fs = require('fs');
 const path = require('path');
 const BaseDriver = require('./base');
+const ResultStream = require('./result-stream');
+const { normalizeParams, countPositionalPlaceholders, maskSql } = require('./params');
+const {
+  buildMetadata, groupIndexRows, groupConstraintRows,
+  schemaFingerprint, buildSnapshot, unchangedSnapshot
+} = require('./metadata');
+const { lineColumnAt, skipBlank, findNearText } = require('./errors');
+const { planNode, buildPlan } = require('./plan');
+const { ssnsLog } = require('../ssns-log');
+
+// Number of sqlite3_step calls between event loop yields while executing
+const STEPS_PER_YIELD = 1000;
+// Error BEGIN raises while a transaction is already open
+const NESTED_TRANSACTION_PATTERN = /cannot start a transaction within a transaction/i;
+
+// One identifier: "quoted", [bracketed], `backticked` or bare
+const IDENTIFIER = '(?:"(?:[^"]|"")*"|\\[[^\\]]*\\]|`(?:[^`]|``)*`|[A-Za-z_][\\w$]*)';
+// Select-list items: [qualifier.]* and [schema.][table.]column [[AS] alias]
+const STAR_ITEM = new RegExp(`^(?:(${IDENTIFIER})\\s*\\.\\s*)?\\*$`);
+const COLUMN_ITEM = new RegExp(
+  `^(?:(${IDENTIFIER})\\s*\\.\\s*)?(?:(${IDENTIFIER})\\s*\\.\\s*)?(${IDENTIFIER})(?:\\s+(?:AS\\s+)?(${IDENTIFIER}))?$`, 'i');
+// FROM-clause sources: [schema.]table [[AS] alias]
+const SOURCE_ITEM = new RegExp(
+  `^(?:(${IDENTIFIER})\\s*\\.\\s*)?(${IDENTIFIER})(?:\\s+(?:AS\\s+)?(${IDENTIFIER}))?`, 'i');
+// Words that end a FROM-clause source rather than alias it
+const SOURCE_KEYWORDS = /^(ON|USING|WHERE|NATURAL|LEFT|RIGHT|FULL|INNER|CROSS|OUTER|JOIN|INDEXED|NOT)$/i;
+// EXPLAIN QUERY PLAN table access: SCAN|SEARCH [TABLE] name [AS alias] [USING ...] [(condition)]
+const PLAN_ACCESS = /^(SCAN|SEARCH)(?: TABLE)? (\S+)(?: AS (\S+))?(?: USING (?:((?:AUTOMATIC )?(?:PARTIAL )?(?:COVERING )?INDEX) (\S+)|(INTEGER PRIMARY KEY)))?(?: \((.*)\))?$/;
+
+/**
+ * Convert an EXPLAIN QUERY PLAN detail line to plan node fields
+ *
+ * "SEARCH t USING INDEX idx (a=?)" becomes an 'Index search' on 't (idx)'
+ * with the predicate 'Search: a=?'; other lines (USE TEMP B-TREE ...,
+ * COMPOUND QUERY, subqueries) are kept whole as the operator.
+ *
+ * @param {string} detail - detail column
+ * @returns {Object} { operator, object, predicates }
+ */
+function planAccess(detail) {
+  const access = PLAN_ACCESS.exec(detail);
+  if (!access) {
+    return { operator: detail, object: null, predicates: [] };
+  }
+
+  const [, verb, table, alias, indexKind, index, rowid, condition] = access;
+  let operator;
+  if (rowid) {
+    operator = verb === 'SCAN' ? 'Rowid scan' : 'Rowid search';
+  } else if (index) {
+    const kind = indexKind.toLowerCase().replace(/ index$/, '');
+    operator = `${kind === 'index' ? 'Index' : kind[0].toUpperCase() + kind.slice(1) + ' index'} ${verb === 'SCAN' ? 'scan' : 'search'}`;
+  } else {
+    operator = verb === 'SCAN' ? 'Table scan' : 'Table search';
+  }
+
+  const name = alias ? `${table} AS ${alias}` : table;
+  return {
+    operator: operator,
+    object: index ? `${name} (${index})` : name,
+    predicates: condition ? [`Search: ${condition}`] : []
+  };
+}
 
 /**
  * SQLiteDriver - SQLite database driver using sql.js package
@@ -10,6 +73,7 @@ const BaseDriver = require('./base');
  * - WebAssembly-based SQLite (no native compilation needed)
  * - File-based connections
  * - No connection pooling needed (single-file database)
+ * - Declared (or inferred) column types, blobs as 0x-prefixed hex
  * - Structured errors
  */
 class SQLiteDriver extends BaseDriver {
@@ -25,6 +89,8 @@ class SQLiteDriver extends BaseDriver {
     this.dbPath = this.getSqliteFilePath(config);
     this.db = null;
     this.SQL = null;
+    this.unsavedChanges = false;
+    this.sessionOpen = false;
   }
 
   /**
@@ -39,7 +105,7 @@ class SQLiteDriver extends BaseDriver {
     // Try database field first, then host (for flexibility)
     let dbPath = server.database || server.host || ':memory:';
 
-    console.error('[DEBUG] SQLite database path:', dbPath);
+    ssnsLog(`[sqlite] Database path: ${dbPath}`);
 
     // Handle Windows paths
     if (process.platform === 'win32' && dbPath.startsWith('/')) {
@@ -89,8 +155,10 @@ class SQLiteDriver extends BaseDriver {
       this.db.run('PRAGMA foreign_keys = ON');
 
       this.isConnected = true;
+      this.recordHealthConnected();
     } catch (err) {
       this.isConnected = false;
+      this.recordHealthError(err, 'error');
       throw new Error(`SQLite connection failed: ${err.message}`);
     }
   }
@@ -109,21 +177,31 @@ class SQLiteDriver extends BaseDriver {
       this.db.close();
       this.db = null;
       this.isConnected = false;
+      this.setHealthState('disconnected');
     }
   }
 
   /**
    * Execute SQL query with structured result sets
    *
-   * Note: sql.js executes synchronously, but we return a Promise
-   * for consistency with other drivers
+   * Note: sql.js executes synchronously, so statements are stepped in
+   * slices (see runStatements) to let cancel() and the timeout watchdog
+   * interrupt long queries. When a statement fails, the result sets of the
+   * statements before it are still returned.
    *
    * @param {string} query - SQL query to execute
-   * @param {Object} options - Execution options
+   * @param {Object} options - Execution options (maxRows: see executeCollected)
    * @returns {Promise<Object>} Structured result object
    */
   async execute(query, options = {}) {
+    // Row-limited results are collected from the streaming path
+    if (options.maxRows > 0) {
+      return this.executeCollected(query, options);
+    }
+
     const startTime = Date.now();
+    const requestId = options.requestId;
+    let watchdog = null;
 
     try {
       // Ensure connection
@@ -131,8 +209,11 @@ class SQLiteDriver extends BaseDriver {
         await this.connect();
       }
 
-      // sql.js can execute multiple statements with exec()
-      const results = this.db.exec(query);
+      let interrupted = false;
+      this.trackRequest(requestId, () => { interrupted = true; });
+      watchdog = this.startWatchdog(this.queryTimeout(options), () => { interrupted = true; });
+
+      const results = await this.runStatements(query, () => interrupted, null, options.params);
 
       const resultSets = [];
 
@@ -141,38 +222,12 @@ class SQLiteDriver extends BaseDriver {
         resultSets.push({
           columns: {},
           rows: [],
-          rowCount: this.db.getRowsModified()
+          rowCount: this.rowsModified()
         });
       } else {
         // Process each result set
         for (const result of results) {
-          const columns = {};
-          const rows = [];
-
-          // Build column metadata
-          result.columns.forEach((colName, index) => {
-            columns[colName] = {
-              index: index,
-              name: colName,
-              type: 'unknown', // sql.js doesn't provide type info
-              nullable: true
-            };
-          });
-
-          // Build row objects
-          result.values.forEach(valueArray => {
-            const row = {};
-            result.columns.forEach((colName, index) => {
-              row[colName] = valueArray[index];
-            });
-            rows.push(row);
-          });
-
-          resultSets.push({
-            columns: columns,
-            rows: rows,
-            rowCount: rows.length
-          });
+          resultSets.push(this.buildResultSet(result));
         }
       }
 
@@ -180,10 +235,7 @@ class SQLiteDriver extends BaseDriver {
       const executionTime = endTime - startTime;
 
       // Save database after modifications
-      if (this.dbPath !== ':memory:' && resultSets.some(rs => rs.rowCount > 0)) {
-        const data = this.db.export();
-        fs.writeFileSync(this.dbPath, data);
-      }
+      this.saveIfModified(resultSets.map(rs => rs.rowCount));
 
       return {
         resultSets: resultSets,
@@ -191,31 +243,607 @@ class SQLiteDriver extends BaseDriver {
           executionTime: executionTime,
           rowsAffected: resultSets.map(rs => rs.rowCount)
         },
+        messages: [],
+        errors: [],
         error: null
       };
 
     } catch (err) {
       const endTime = Date.now();
       const executionTime = endTime - startTime;
+      const error = this.formatError(err, requestId, watchdog, query);
 
       return {
-        resultSets: [],
+        resultSets: (err.partialResults || []).map(result => this.buildResultSet(result)),
         metadata: {
           executionTime: executionTime,
           rowsAffected: []
         },
-        error: {
-          message: err.message || 'Unknown error',
-          code: err.code || null,
-          lineNumber: null, // SQLite doesn't provide line numbers
-          procName: null
-        }
+        messages: [],
+        errors: [error],
+        error: error
+      };
+    } finally {
+      this.untrackRequest(requestId);
+      if (watchdog) {
+        watchdog.clear();
+      }
+    }
+  }
+
+  /**
+   * Execute SQL query, delivering rows in batches as statements are stepped
+   *
+   * @param {string} query - SQL query to execute
+   * @param {Object} handlers - { onColumns, onRows } (see BaseDriver.executeStream)
+   * @param {Object} options - Execution options
+   * @returns {Promise<Object>} { metadata, error }
+   */
+  async executeStream(query, handlers, options = {}) {
+    const startTime = Date.now();
+    const requestId = options.requestId;
+    const stream = new ResultStream(handlers, options);
+    let watchdog = null;
+
+    try {
+      // Ensure connection
+      if (!this.isConnected) {
+        await this.connect();
+      }
+
+      let interrupted = false;
+      this.trackRequest(requestId, () => { interrupted = true; });
+      watchdog = this.startWatchdog(this.queryTimeout(options), () => { interrupted = true; });
+
+      const results = await this.runStatements(query, () => interrupted || !!stream.error, stream, options.params);
+      const rowCounts = await stream.end();
+
+      // No result sets means INSERT/UPDATE/DELETE
+      const rowsAffected = results.length === 0 ? [this.rowsModified()] : rowCounts;
+      this.saveIfModified(rowsAffected);
+
+      return {
+        resultSets: stream.summaries(),
+        metadata: {
+          executionTime: Date.now() - startTime,
+          rowsAffected: rowsAffected
+        },
+        messages: [],
+        errors: [],
+        error: null
+      };
+
+    } catch (err) {
+      const error = this.formatError(err, requestId, watchdog, query);
+      await stream.end().catch(() => {});
+
+      return {
+        resultSets: stream.summaries(),
+        metadata: {
+          executionTime: Date.now() - startTime,
+          rowsAffected: []
+        },
+        messages: [],
+        errors: [error],
+        error: error
       };
+    } finally {
+      this.untrackRequest(requestId);
+      if (watchdog) {
+        watchdog.clear();
+      }
     }
   }
 
+  /**
+   * Build a result set from a runStatements() entry
+   * @param {Object} result - { columns, types, values }
+   * @returns {Object} { columns, rows, rowCount }
+   */
+  buildResultSet(result) {
+    const rows = result.values.map(valueArray => this.buildRow(result.columns, valueArray));
+
+    return {
+      columns: this.buildColumns(result.columns, result.types, result.values),
+      rows: rows,
+      rowCount: rows.length
+    };
+  }
+
+  /**
+   * Build column metadata for a result set
+   *
+   * Columns that map to a table column get its declared type; the others
+   * get the storage class of their first non-null sample value.
+   *
+   * @param {string[]} columnNames - Names from Statement.getColumnNames()
+   * @param {Array<Object|null>} [declaredTypes] - resolveColumnTypes() result
+   * @param {Array<Array>} [sampleRows] - Raw value arrays to infer the other types from
+   * @returns {Object} Column metadata keyed by column name
+   */
+  buildColumns(columnNames, declaredTypes = [], sampleRows = []) {
+    const columns = {};
+    columnNames.forEach((colName, index) => {
+      const declared = declaredTypes[index];
+      let type = declared ? declared.type : 'unknown';
+      if (!declared) {
+        const sample = sampleRows.find(values => values[index] !== null && values[index] !== undefined);
+        type = sample ? this.inferType(sample[index]) : 'unknown';
+      }
+
+      columns[colName] = {
+        index: index,
+        name: colName,
+        type: type,
+        nullable: declared ? declared.nullable : true
+      };
+    });
+    return columns;
+  }
+
+  /**
+   * Build a row object from a value array
+   * @param {string[]} columnNames - Names from Statement.getColumnNames()
+   * @param {Array} values - Values from Statement.get()
+   * @returns {Object} Row keyed by column name
+   */
+  buildRow(columnNames, values) {
+    const row = {};
+    columnNames.forEach((colName, index) => {
+      row[colName] = this.toDisplayValue(values[index]);
+    });
+    return row;
+  }
+
+  /**
+   * Make a value JSON-safe: blobs (Uint8Array) become 0x-prefixed hex
+   * The same notation is accepted back for blob parameters (see params.js).
+   * @param {*} value - Value from Statement.get()
+   * @returns {*}
+   */
+  toDisplayValue(value) {
+    return value instanceof Uint8Array
+      ? `0x${Buffer.from(value).toString('hex').toUpperCase()}`
+      : value;
+  }
+
+  /**
+   * Find the declared type of each result column of a statement
+   *
+   * sql.js does not expose sqlite3_column_decltype, so simple SELECTs are
+   * read instead: a plain column reference ([table.]column [AS alias]) or
+   * [table.]* is looked up with pragma_table_info in the tables of the FROM
+   * clause. Expressions, subqueries and compound SELECTs are not resolved,
+   * and when the expansion does not line up with the actual columns nothing
+   * is.
+   *
+   * @param {string} sql - Statement text
+   * @param {string[]} columnNames - Result column names
+   * @returns {Array<Object|null>} { type, nullable } or null per column
+   */
+  resolveColumnTypes(sql, columnNames) {
+    const unresolved = columnNames.map(() => null);
+
+    try {
+      const select = this.parseSimpleSelect(sql);
+      if (!select) {
+        return unresolved;
+      }
+
+      const sources = select.sources.map(source => Object.assign({}, source, {
+        columns: source.table === null ? null : this.selectRows(
+          'SELECT name, type, "notnull" FROM pragma_table_info(?, ?) ORDER BY cid',
+          [source.table, source.schema || 'main']
+        )
+      }));
+      const describe = column => (column.type
+        ? { type: column.type, nullable: column.notnull === 0 }
+        : null);
+      const sourcesFor = (qualifier) => {
+        if (!qualifier) return sources;
+        const name = qualifier.toLowerCase();
+        return sources.filter(source => (source.alias || source.table || '').toLowerCase() === name);
+      };
+
+      const types = [];
+      for (const item of select.items) {
+        if (item.star) {
+          for (const source of sourcesFor(item.qualifier)) {
+            if (!source.columns || source.columns.length === 0) {
+              return unresolved;
+            }
+            source.columns.forEach(column => types.push(describe(column)));
+          }
+        } else if (item.column) {
+          const name = item.column.toLowerCase();
+          const matches = [];
+          for (const source of sourcesFor(item.qualifier)) {
+            const column = (source.columns || []).find(candidate => candidate.name.toLowerCase() === name);
+            if (column) matches.push(column);
+          }
+          types.push(matches.length === 1 ? describe(matches[0]) : null);
+        } else {
+          types.push(null);
+        }
+      }
+
+      return types.length === columnNames.length ? types : unresolved;
+
+    } catch (err) {
+      ssnsLog(`[sqlite] Could not resolve column types: ${err.message}`);
+      return unresolved;
+    }
+  }
+
+  /**
+   * Split a simple SELECT into its select-list items and FROM sources
+   *
+   * @param {string} sql - Statement text
+   * @returns {Object|null} { items: [{ star, qualifier, column }],
+   *   sources: [{ schema, table, alias }] } (table is null for subqueries),
+   *   or null when the statement is not a single SELECT ... FROM
+   */
+  parseSimpleSelect(sql) {
+    const masked = maskSql(sql, { brackets: true });
+    const head = /^\s*SELECT\s+(?:(?:DISTINCT|ALL)\s+)?/i.exec(masked);
+    if (!head) {
+      return null;
+    }
+
+    // Top-level clause keywords and commas (outside parentheses)
+    const keywords = [];
+    const commas = [];
+    let depth = 0;
+    const pattern = /[(),]|\b(FROM|WHERE|GROUP|HAVING|ORDER|LIMIT|WINDOW|UNION|INTERSECT|EXCEPT|JOIN|ON|USING)\b/gi;
+    let match;
+    while ((match = pattern.exec(masked)) !== null) {
+      if (match[0] === '(') depth++;
+      else if (match[0] === ')') depth--;
+      else if (depth === 0 && match[0] === ',') commas.push(match.index);
+      else if (depth === 0) keywords.push({ word: match[1].toUpperCase(), index: match.index });
+    }
+
+    if (keywords.some(keyword => ['UNION', 'INTERSECT', 'EXCEPT'].includes(keyword.word))) {
+      return null;
+    }
+    const from = keywords.find(keyword => keyword.word === 'FROM');
+    if (!from) {
+      return null;
+    }
+    const fromEnd = (keywords.find(keyword => keyword.index > from.index
+      && ['WHERE', 'GROUP', 'HAVING', 'ORDER', 'LIMIT', 'WINDOW'].includes(keyword.word)) || { index: sql.length }).index;
+
+    const split = (start, end, boundaries) => {
+      const parts = [];
+      let last = start;
+      for (const boundary of boundaries.filter(index => index > start && index < end)) {
+        parts.push({ start: last, end: boundary });
+        last = boundary;
+      }
+      parts.push({ start: last, end: end });
+      return parts.map(part => sql.slice(part.start, part.end).replace(/^\s*(,|JOIN\b)?\s*/i, '').trim());
+    };
+
+    const items = split(head[0].length, from.index, commas).map((text) => {
+      const star = STAR_ITEM.exec(text);
+      if (star) {
+        return { star: true, qualifier: star[1] ? this.unquoteIdentifier(star[1]) : null, column: null };
+      }
+      const column = COLUMN_ITEM.exec(text);
+      if (column) {
+        // With three parts the first is the schema, with two it is the table
+        const qualifier = column[2] || column[1];
+        return { star: false, qualifier: qualifier ? this.unquoteIdentifier(qualifier) : null, column: this.unquoteIdentifier(column[3]) };
+      }
+      return { star: false, qualifier: null, column: null };
+    });
+
+    const joins = keywords.filter(keyword => keyword.word === 'JOIN').map(keyword => keyword.index);
+    const sources = split(from.index + 4, fromEnd, commas.concat(joins).sort((a, b) => a - b))
+      .map(text => text.replace(/\s+(?:NATURAL\s+)?(?:(?:LEFT|RIGHT|FULL)\s+(?:OUTER\s+)?|INNER\s+|CROSS\s+)?$/i, ''))
+      .map((text) => {
+        const source = SOURCE_ITEM.exec(text);
+        if (!source || text.startsWith('(')) {
+          const alias = /\)\s*(?:AS\s+)?(\S+)?\s*$/i.exec(text);
+          return { schema: null, table: null, alias: alias && alias[1] ? this.unquoteIdentifier(alias[1]) : null };
+        }
+        const alias = source[3] && !SOURCE_KEYWORDS.test(source[3]) ? this.unquoteIdentifier(source[3]) : null;
+        return {
+          schema: source[1] ? this.unquoteIdentifier(source[1]) : null,
+          table: this.unquoteIdentifier(source[2]),
+          alias: alias
+        };
+      });
+
+    return { items: items, sources: sources };
+  }
+
+  /**
+   * Remove the quotes of a quoted identifier
+   * @param {string} identifier - "name", [name], `name` or name
+   * @returns {string}
+   */
+  unquoteIdentifier(identifier) {
+    const quote = identifier[0];
+    if (quote === '"' || quote === '`') {
+      return identifier.slice(1, -1).split(quote + quote).join(quote);
+    }
+    if (quote === '[') {
+      return identifier.slice(1, -1);
+    }
+    return identifier;
+  }
+
+  /**
+   * Rows changed by the last INSERT, UPDATE or DELETE
+   * @returns {number}
+   */
+  rowsModified() {
+    return this.db.getRowsModified();
+  }
+
+  /**
+   * Write the in-memory database back to its file if any rows changed
+   *
+   * export() closes and reopens the database, which would roll back an open
+   * transaction, so changes made inside one are written once it has ended.
+   *
+   * @param {number[]} rowCounts - Row counts of the executed statements
+   */
+  saveIfModified(rowCounts) {
+    if (this.dbPath === ':memory:') {
+      return;
+    }
+    if (rowCounts.some(count => count > 0)) {
+      this.unsavedChanges = true;
+    }
+    if (this.unsavedChanges && !this.inTransaction()) {
+      const data = this.db.export();
+      fs.writeFileSync(this.dbPath, data);
+      this.unsavedChanges = false;
+    }
+  }
+
+  /**
+   * Check whether the database has an open transaction
+   * sql.js does not expose sqlite3_get_autocommit, so BEGIN is attempted.
+   * Only the error SQLite raises for an already open transaction counts; any
+   * other failure is read as no transaction, so changes are still saved.
+   *
+   * @returns {boolean}
+   */
+  inTransaction() {
+    try {
+      this.db.run('BEGIN');
+    } catch (err) {
+      return NESTED_TRANSACTION_PATTERN.test(err.message || '');
+    }
+    this.db.run('ROLLBACK');
+    return false;
+  }
+
+  /**
+   * Start a session on the database
+   * sql.js has a single connection, so only one session can be open at a time.
+   *
+   * @returns {Promise<Object>} { db }
+   */
+  async beginSession() {
+    if (!this.isConnected) {
+      await this.connect();
+    }
+    if (this.sessionOpen) {
+      throw new Error('A session is already open on this SQLite database');
+    }
+    this.sessionOpen = true;
+    return { db: this.db };
+  }
+
+  /**
+   * Report whether the session's database has an open transaction
+   * @param {Object} session - Handle from beginSession()
+   * @returns {Promise<Object>} { transactionCount, inTransaction, failed }
+   */
+  async getSessionState(session) {
+    const inTransaction = this.inTransaction();
+    return {
+      transactionCount: inTransaction ? 1 : 0,
+      inTransaction: inTransaction,
+      failed: false
+    };
+  }
+
+  /**
+   * End a session, writing changes it committed to the file
+   * @param {Object} session - Handle from beginSession()
+   */
+  async releaseSession(session) {
+    this.sessionOpen = false;
+    if (this.db) {
+      this.saveIfModified([]);
+    }
+  }
+
+  /**
+   * Build the error object for a failed query
+   *
+   * SQLite reports no position; runStatements() records where the failing
+   * statement starts, refined to the token a 'near "...": syntax error'
+   * message quotes.
+   *
+   * @param {Error} err - Error thrown by sql.js
+   * @param {string} [requestId] - Id passed to execute()
+   * @param {Object} [watchdog] - Timeout watchdog from startWatchdog()
+   * @param {string} [query] - Submitted SQL text
+   * @returns {Object} Structured error
+   */
+  formatError(err, requestId, watchdog = null, query = null) {
+    if (this.isCancelled(requestId)) {
+      return this.cancelledError();
+    }
+    if (watchdog && watchdog.timedOut) {
+      return this.timeoutError(watchdog.timeoutMs);
+    }
+
+    let position = { lineNumber: null, column: null };
+    if (query && err.statementOffset !== undefined) {
+      const near = findNearText(query, err.statementOffset, err.message);
+      position = lineColumnAt(query, near === -1 ? err.statementOffset : near);
+    }
+
+    return {
+      message: err.message || 'Unknown error',
+      code: err.code || null,
+      severity: null,
+      state: null,
+      lineNumber: position.lineNumber,
+      column: position.column,
+      procName: null
+    };
+  }
+
+  /**
+   * Run every statement in a query, returning result sets shaped like db.exec()
+   *
+   * Yields to the event loop every STEPS_PER_YIELD rows so a cancel request or
+   * the timeout watchdog can be processed, then stops at the next step
+   * boundary. A single long-running step (e.g. a large aggregate) cannot be
+   * interrupted by sql.js.
+   *
+   * When a ResultStream is given, rows are pushed to it instead of being
+   * collected (the returned result sets then have empty values).
+   *
+   * An error thrown here carries statementOffset (where the failing statement
+   * starts in query) and partialResults (the result sets before it).
+   *
+   * @param {string} query - SQL text, possibly containing several statements
+   * @param {Function} isInterrupted - Returns true once the query should stop
+   * @param {ResultStream} [stream] - Stream receiving columns and rows
+   * @param {Array|Object} [params] - options.params (see createParamBinder)
+   * @returns {Promise<Array<{columns: string[], types: Array<Object|null>, values: Array[]}>>}
+   *   (types: see resolveColumnTypes)
+   */
+  async runStatements(query, isInterrupted, stream = null, params = null) {
+    const results = [];
+    const bindParams = this.createParamBinder(params);
+    const iterator = this.db.iterateStatements(query);
+    let steps = 0;
+    let statementStart = 0;
+
+    try {
+      for (const stmt of iterator) {
+        let current = null;
+
+        try {
+          bindParams(stmt);
+
+          while (stmt.step()) {
+            const values = stmt.get();
+
+            if (current === null) {
+              const columnNames = stmt.getColumnNames();
+              current = { columns: columnNames, types: this.resolveColumnTypes(stmt.getSQL(), columnNames), values: [] };
+              results.push(current);
+              // Streamed result sets infer undeclared types from their first row
+              if (stream) stream.columns(this.buildColumns(current.columns, current.types, [values]));
+            }
+
+            if (stream) {
+              const delivered = stream.row(this.buildRow(current.columns, values));
+              if (delivered) {
+                await delivered;
+                if (isInterrupted()) {
+                  throw new Error('Query interrupted');
+                }
+              }
+            } else {
+              current.values.push(values);
+            }
+
+            if (++steps % STEPS_PER_YIELD === 0) {
+              await new Promise(resolve => setImmediate(resolve));
+              if (isInterrupted()) {
+                throw new Error('Query interrupted');
+              }
+            }
+          }
+        } catch (err) {
+          stmt.free();
+          this.discardStatements(iterator);
+          throw err;
+        }
+
+        statementStart = query.length - iterator.getRemainingSQL().length;
+      }
+    } catch (err) {
+      // Statements that fail to prepare are thrown by the iterator itself
+      err.statementOffset = skipBlank(query, statementStart);
+      err.partialResults = results;
+      throw err;
+    }
+
+    return results;
+  }
+
+  /**
+   * Release a statement iterator that was abandoned part way
+   * The published sql.js build does not export StatementIterator.finalize(),
+   * so the remaining statements are prepared (not run) until the iterator
+   * frees its SQL buffer itself.
+   * @param {StatementIterator} iterator - Iterator from db.iterateStatements()
+   */
+  discardStatements(iterator) {
+    try {
+      while (!iterator.next().done) {
+        // next() frees the previously prepared statement
+      }
+    } catch (err) {
+      // A statement failed to prepare; the iterator has finalized itself
+    }
+  }
+
+  /**
+   * Create a function binding options.params to each statement of a query
+   *
+   * Named parameters are bound to every statement that uses them, written as
+   * :name, @name or $name. Positional parameters are consumed in order, each
+   * statement taking one value per ? placeholder.
+   *
+   * @param {Array|Object} [params] - options.params
+   * @returns {Function} (stmt) => void, binds the statement's parameters
+   */
+  createParamBinder(params) {
+    const { named, list } = normalizeParams(params);
+    if (list.length === 0) {
+      return () => {};
+    }
+
+    if (named) {
+      const values = {};
+      list.forEach((param) => {
+        values[`:${param.name}`] = param.value;
+        values[`@${param.name}`] = param.value;
+        values[`$${param.name}`] = param.value;
+      });
+      return stmt => stmt.bind(values);
+    }
+
+    let offset = 0;
+    return (stmt) => {
+      const count = countPositionalPlaceholders(stmt.getSQL());
+      if (count === 0) return;
+
+      if (offset + count > list.length) {
+        throw new Error(`Not enough parameter values: expected at least ${offset + count}, got ${list.length}`);
+      }
+      stmt.bind(list.slice(offset, offset + count).map(param => param.value));
+      offset += count;
+    };
+  }
+
   /**
    * Infer SQLite type from JavaScript value
+   * sql.js returns blobs as Uint8Array (Buffer is a subclass).
    */
   inferType(value) {
     if (value === null) return 'null';
@@ -223,48 +851,276 @@ class SQLiteDriver extends BaseDriver {
       return Number.isInteger(value) ? 'integer' : 'real';
     }
     if (typeof value === 'string') return 'text';
-    if (Buffer.isBuffer(value)) return 'blob';
+    if (value instanceof Uint8Array) return 'blob';
     return 'unknown';
   }
 
   /**
    * Get metadata for database object (for IntelliSense)
+   * SQLite has no procedures or functions; those get empty metadata.
+   *
+   * Names are bound as parameters of the table-valued pragma functions
+   * (pragma_table_info(?) etc.), so any identifier is safe. CHECK
+   * constraints are not exposed by pragmas and are left to the definition.
+   *
+   * @param {string} objectType - 'table', 'view', 'procedure', 'function'
+   * @param {string} objectName - Table or view name
+   * @param {string} [schemaName] - 'main' (default), 'temp' or an attached database
+   * @returns {Promise<Object>} Normalized metadata (see metadata.js), plus
+   *   triggers: [{ name, definition }] of the table or view
    */
   async getMetadata(objectType, objectName, schemaName = null) {
+    const schema = schemaName || 'main';
+
     try {
       if (!this.isConnected) {
         await this.connect();
       }
 
-      if (objectType === 'table' || objectType === 'view') {
-        // Query SQLite system tables for column metadata
-        const query = `PRAGMA table_info(${objectName})`;
-        const results = this.db.exec(query);
-
-        if (results.length === 0 || results[0].values.length === 0) {
-          return { columns: [] };
-        }
+      if (objectType !== 'table' && objectType !== 'view') {
+        return buildMetadata(objectType, schema, objectName);
+      }
 
-        // PRAGMA table_info returns: cid, name, type, notnull, dflt_value, pk
-        const columns = results[0].values.map(row => ({
-          name: row[1],
-          type: row[2],
-          nullable: row[3] === 0,
-          defaultValue: row[4],
-          isPrimaryKey: row[5] === 1,
-          isForeignKey: false, // Need separate query for FK info
-        }));
-
-        return { columns };
+      const master = `${this.quoteIdentifier(schema)}.sqlite_master`;
+      const [object] = this.selectRows(
+        `SELECT type, sql FROM ${master} WHERE type IN ('table', 'view') AND name = ?`,
+        [objectName]
+      );
+      if (!object) {
+        return buildMetadata(objectType, schema, objectName);
       }
 
-      return { columns: [] };
+      const columnRows = this.selectRows(
+        'SELECT cid, name, type, "notnull", dflt_value, pk FROM pragma_table_info(?, ?) ORDER BY cid',
+        [objectName, schema]
+      );
+      const foreignKeyRows = this.selectRows(
+        'SELECT id, seq, "table", "from", "to" FROM pragma_foreign_key_list(?, ?) ORDER BY id, seq',
+        [objectName, schema]
+      );
+      const indexRows = this.selectRows(`
+        SELECT il.name AS indexName, ii.name AS columnName, il."unique" AS isUnique,
+               il.origin AS origin, il.partial AS partial
+        FROM pragma_index_list(?, ?) il
+        JOIN pragma_index_info(il.name, ?) ii
+        ORDER BY il.name, ii.seqno
+      `, [objectName, schema, schema]);
+      const triggerRows = this.selectRows(
+        `SELECT name, sql FROM ${master} WHERE type = 'trigger' AND tbl_name = ? ORDER BY name`,
+        [objectName]
+      );
+
+      const foreignKeyByColumn = new Map(foreignKeyRows.map(row => [row.from, row]));
+      const withoutRowid = /\bWITHOUT\s+ROWID\s*;?\s*$/i.test(object.sql || '');
+
+      const columns = columnRows.map((row) => {
+        const foreignKey = foreignKeyByColumn.get(row.name);
+        return Object.assign({
+          name: row.name,
+          type: row.type,
+          nullable: row.notnull === 0,
+          defaultValue: row.dflt_value,
+          isPrimaryKey: row.pk > 0,
+          isForeignKey: !!foreignKey,
+          foreignKeyTable: foreignKey ? foreignKey.table : null,
+          foreignKeySchema: foreignKey ? schema : null
+        }, this.declaredTypeSize(row.type));
+      });
+
+      const primaryKey = columnRows
+        .filter(row => row.pk > 0)
+        .sort((a, b) => a.pk - b.pk)
+        .map(row => row.name);
+
+      const constraintRows = [];
+      primaryKey.forEach((columnName) => {
+        constraintRows.push({ constraintName: `pk_${objectName}`, constraintType: 'PRIMARY KEY', columnName: columnName });
+      });
+      indexRows.filter(row => row.origin === 'u').forEach((row) => {
+        constraintRows.push({ constraintName: row.indexName, constraintType: 'UNIQUE', columnName: row.columnName });
+      });
+      foreignKeyRows.forEach((row) => {
+        constraintRows.push({
+          constraintName: `fk_${objectName}_${row.id}`,
+          constraintType: 'FOREIGN KEY',
+          columnName: row.from,
+          referencedSchema: schema,
+          referencedTable: row.table,
+          // A NULL "to" references the parent's primary key
+          referencedColumn: row.to
+        });
+      });
+
+      return Object.assign(buildMetadata(objectType, schema, objectName, {
+        columns: columns,
+        indexes: groupIndexRows(indexRows.map(row => ({
+          indexName: row.indexName,
+          columnName: row.columnName,
+          isUnique: row.isUnique === 1,
+          isPrimary: row.origin === 'pk',
+          // WITHOUT ROWID tables are stored in their primary key b-tree
+          isClustered: row.origin === 'pk' && withoutRowid,
+          indexType: row.partial === 1 ? 'partial' : 'btree'
+        }))),
+        constraints: groupConstraintRows(constraintRows),
+        definition: object.sql
+      }), {
+        triggers: triggerRows.map(row => ({ name: row.name, definition: row.sql }))
+      });
 
     } catch (err) {
       throw new Error(`Failed to get metadata: ${err.message}`);
     }
   }
 
+  /**
+   * Read length or precision/scale from a declared type such as VARCHAR(50) or DECIMAL(10,2)
+   * @param {string} declaredType - Type as written in CREATE TABLE
+   * @returns {Object} { maxLength, precision, scale }
+   */
+  declaredTypeSize(declaredType) {
+    const size = /\(\s*(\d+)\s*(?:,\s*(\d+)\s*)?\)/.exec(declaredType || '');
+    if (!size) {
+      return { maxLength: null, precision: null, scale: null };
+    }
+    if (/CHAR|CLOB|TEXT|BINARY|BLOB/i.test(declaredType)) {
+      return { maxLength: parseInt(size[1], 10), precision: null, scale: null };
+    }
+    return {
+      maxLength: null,
+      precision: parseInt(size[1], 10),
+      scale: size[2] !== undefined ? parseInt(size[2], 10) : null
+    };
+  }
+
+  /**
+   * Quote an identifier for interpolation ("name", embedded quotes doubled)
+   * @param {string} name - Identifier
+   * @returns {string}
+   */
+  quoteIdentifier(name) {
+    return `"${String(name).replace(/"/g, '""')}"`;
+  }
+
+  /**
+   * Get a schema snapshot of the database file (see BaseDriver.getSchemaSnapshot)
+   *
+   * `database` and `schemas` are ignored: a connection is one file, reported
+   * as schema 'main'. SQLite increments schema_version on every schema
+   * change, which makes it the fingerprint. SQLite has no routines or synonyms.
+   */
+  async getSchemaSnapshot(database, schemas = null, knownFingerprint = null) {
+    try {
+      if (!this.isConnected) {
+        await this.connect();
+      }
+
+      const [stats] = this.selectRows(`
+        SELECT (SELECT schema_version FROM pragma_schema_version) AS schemaVersion,
+               (SELECT COUNT(*) FROM sqlite_master) AS objectCount
+      `);
+      const fingerprint = schemaFingerprint([this.dbPath, stats.schemaVersion, stats.objectCount]);
+
+      if (knownFingerprint && knownFingerprint === fingerprint) {
+        return unchangedSnapshot(this.dbPath, fingerprint);
+      }
+
+      const relations = this.selectRows(`
+        SELECT 'main' AS schema, name, type
+        FROM sqlite_master
+        WHERE type IN ('table', 'view') AND name NOT LIKE 'sqlite\\_%' ESCAPE '\\'
+        ORDER BY name
+      `);
+
+      const columns = this.selectRows(`
+        SELECT 'main' AS schema, m.name AS "table", p.name AS name, p.type AS type, p."notnull" = 0 AS nullable
+        FROM sqlite_master m
+        JOIN pragma_table_info(m.name) p
+        WHERE m.type IN ('table', 'view') AND m.name NOT LIKE 'sqlite\\_%' ESCAPE '\\'
+        ORDER BY m.name, p.cid
+      `);
+
+      // Primary keys are unnamed in table_info; foreign keys are numbered per table
+      const keys = this.selectRows(`
+        SELECT * FROM (
+          SELECT 'main' AS schema, m.name AS "table", 'pk_' || m.name AS constraintName,
+                 'PRIMARY KEY' AS constraintType, p.name AS columnName,
+                 NULL AS referencedSchema, NULL AS referencedTable, NULL AS referencedColumn, p.pk AS position
+          FROM sqlite_master m
+          JOIN pragma_table_info(m.name) p
+          WHERE m.type = 'table' AND p.pk > 0
+          UNION ALL
+          SELECT 'main', m.name, 'fk_' || m.name || '_' || f.id, 'FOREIGN KEY', f."from",
+                 'main', f."table", f."to", f.seq
+          FROM sqlite_master m
+          JOIN pragma_foreign_key_list(m.name) f
+          WHERE m.type = 'table'
+        )
+        ORDER BY "table", constraintName, position
+      `);
+
+      return buildSnapshot(this.dbPath, fingerprint, { relations, columns, keys });
+
+    } catch (err) {
+      throw new Error(`Failed to get schema snapshot: ${err.message}`);
+    }
+  }
+
+  /**
+   * Get the execution plan of a query (see BaseDriver.explain)
+   *
+   * SQLite only has estimated plans without row counts or costs: the
+   * EXPLAIN QUERY PLAN rows (raw) are linked into a tree by their parent id.
+   * `actual` is ignored.
+   *
+   * @param {string} query - SQL query to explain (a single statement)
+   * @param {Object} [options] - Ignored
+   * @returns {Promise<Object>} Plan (see plan.js)
+   */
+  async explain(query, options = {}) {
+    try {
+      if (!this.isConnected) {
+        await this.connect();
+      }
+
+      const rows = this.selectRows(`EXPLAIN QUERY PLAN ${query}`);
+      const root = planNode({ operator: 'QUERY PLAN' });
+      const nodes = new Map([[0, root]]);
+
+      for (const row of rows) {
+        const node = planNode(planAccess(String(row.detail)));
+        nodes.set(Number(row.id), node);
+        (nodes.get(Number(row.parent)) || root).children.push(node);
+      }
+
+      return buildPlan('sqlite-rows', false, [{ text: query.trim(), root: root }], rows);
+
+    } catch (err) {
+      throw new Error(`Failed to get execution plan: ${err.message}`);
+    }
+  }
+
+  /**
+   * Run a catalog query and return its rows as objects keyed by column name
+   * @param {string} query - SQL text (single SELECT)
+   * @param {Array} [params] - Positional values bound to ? placeholders
+   * @returns {Array<Object>}
+   */
+  selectRows(query, params = []) {
+    const statement = this.db.prepare(query);
+    try {
+      statement.bind(params);
+      const columnNames = statement.getColumnNames();
+      const rows = [];
+      while (statement.step()) {
+        rows.push(this.buildRow(columnNames, statement.get()));
+      }
+      return rows;
+    } finally {
+      statement.free();
+    }
+  }
+
   /**
    * Get database type identifier
    * @returns {string}
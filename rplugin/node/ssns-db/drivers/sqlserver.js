@@ -1,30 +1,337 @@
 const sql = require('mssql');
-const msnodesqlv8 = require('msnodesqlv8'); // Use raw msnodesqlv8, not mssql wrapper
 const BaseDriver = require('./base');
-const { ssnsLog } = require('../ssns-log');
-const packageJson = require('../package.json');
+const ResultStream = require('./result-stream');
+const { normalizeParams, maskSql } = require('./params');
+const {
+  buildMetadata, groupIndexRows, groupConstraintRows, buildParameter,
+  schemaFingerprint, buildSnapshot, unchangedSnapshot
+} = require('./metadata');
+const { planNode, buildPlan, parseXml, findElements } = require('./plan');
+const { buildStats, sumField } = require('./stats');
+const { readConnectionOptions } = require('./connection-options');
+const { ssnsLog, formatQuery } = require('../ssns-log');
+
+// Declared parameter types accepted as hints for sp_executesql, e.g. nvarchar(50), decimal(18, 2)
+const DECLARED_TYPE_PATTERN = /^[A-Za-z][A-Za-z0-9_ ]*(\(\s*(max|\d+)\s*(,\s*\d+\s*)?\))?$/i;
+
+// Batch separator line: GO, optionally followed by a repeat count
+const BATCH_SEPARATOR_PATTERN = /^[ \t]*GO(?:[ \t]+(\d+))?[ \t]*\r?$/gim;
+
+// Name of the result set column holding a showplan document
+const SHOWPLAN_COLUMN_PATTERN = /XML Showplan$/;
+// Showplan elements reported as predicates
+const SHOWPLAN_PREDICATES = new Set(['Predicate', 'SeekPredicates', 'ProbeResidual']);
+// Seek key bounds within SeekPredicates, and their comparison operators
+const SHOWPLAN_SEEK_KEYS = new Set(['Prefix', 'StartRange', 'EndRange']);
+const SHOWPLAN_SCAN_TYPES = { EQ: '=', GT: '>', GE: '>=', LT: '<', LE: '<=', IS: 'IS', ISNOT: 'IS NOT' };
+// SET STATISTICS IO message: Table 'Orders'. Scan count 1, logical reads 5, physical reads 0, ...
+const STATISTICS_IO_PATTERN = /^Table '([^']*)'\. (.*?)\.?$/;
+// SET STATISTICS TIME message: CPU time = 0 ms,  elapsed time = 3 ms.
+const STATISTICS_TIME_PATTERN = /CPU time = (\d+) ms,\s*elapsed time = (\d+) ms/;
+
+// msnodesqlv8 module (raw, not the mssql wrapper): undefined until first use,
+// null when it failed to load
+let nativeModule;
+let nativeLoadError = null;
 
 /**
- * Get the application name to display in SQL Server connections
- * Shows as "Sql Server NeoVim Studio | SSNS vX.X.X" in Activity Monitor/sp_who2
- * @returns {string} The formatted application name
+ * Load msnodesqlv8 once, remembering why it failed
+ * @returns {Object|null} msnodesqlv8 module, or null when unavailable
  */
-function getAppName() {
-  const version = packageJson.version || '0.0.0';
-  return `Sql Server NeoVim Studio | SSNS v${version}`;
+function loadNativeModule() {
+  if (nativeModule === undefined) {
+    try {
+      nativeModule = require('msnodesqlv8');
+    } catch (err) {
+      nativeModule = null;
+      nativeLoadError = err;
+      ssnsLog(`[sqlserver] msnodesqlv8 unavailable: ${String(err.message).split('\n')[0]}`, 'info');
+    }
+  }
+  return nativeModule;
+}
+
+/**
+ * Split a script into batches at GO separators
+ *
+ * As in sqlcmd, GO must stand alone on its line, optionally followed by a
+ * repeat count (GO 5). GO inside strings, [identifiers] and comments does not
+ * count. Batches holding only whitespace or comments are dropped.
+ *
+ * @param {string} query - SQL script
+ * @returns {Array<Object>} { text, startLine, count } per batch, where startLine
+ *   is the script line holding the batch's first character (1-based). Text
+ *   without separators is a single batch.
+ */
+function splitBatches(query) {
+  const masked = maskSql(query, { brackets: true });
+  const batches = [];
+  let start = 0;
+  let match;
+
+  const push = (end, count) => {
+    if (masked.slice(start, end).trim() !== '') {
+      batches.push({
+        text: query.slice(start, end),
+        startLine: query.slice(0, start).split('\n').length,
+        count: count
+      });
+    }
+  };
+
+  BATCH_SEPARATOR_PATTERN.lastIndex = 0;
+  while ((match = BATCH_SEPARATOR_PATTERN.exec(masked)) !== null) {
+    push(match.index, match[1] ? Math.max(1, parseInt(match[1], 10)) : 1);
+    start = match.index + match[0].length;
+  }
+  push(query.length, 1);
+
+  return batches.length > 0 ? batches : [{ text: query, startLine: 1, count: 1 }];
+}
+
+/**
+ * Build metadata.stats from the SET STATISTICS IO and TIME messages of a run
+ *
+ * IO counters ('Scan count 1', 'read-ahead reads 0', ...) become camelCase
+ * fields of each table, summed over the statements that read it. Times are
+ * summed over the statements, compile time apart from execution time.
+ *
+ * @param {Array<Object>} messages - Messages from formatInfoMessage()
+ * @returns {Object} Stats (see stats.js)
+ */
+function statisticsStats(messages) {
+  const tables = new Map();
+  const times = { cpuTime: null, elapsedTime: null, compileCpuTime: null, compileElapsedTime: null };
+
+  for (const message of messages) {
+    const text = String(message.text || '').trim();
+
+    const io = STATISTICS_IO_PATTERN.exec(text);
+    if (io) {
+      const table = tables.get(io[1]) || { name: io[1] };
+      for (const counter of io[2].split(/,\s*/)) {
+        const match = /^(.+?)\s+(\d+)$/.exec(counter);
+        if (match) {
+          const key = match[1].toLowerCase().replace(/[\s-]+(\w)/g, (separator, letter) => letter.toUpperCase());
+          table[key] = (table[key] || 0) + Number(match[2]);
+        }
+      }
+      tables.set(io[1], table);
+      continue;
+    }
+
+    const time = STATISTICS_TIME_PATTERN.exec(text);
+    if (time) {
+      const compile = /parse and compile/i.test(text);
+      const cpuKey = compile ? 'compileCpuTime' : 'cpuTime';
+      const elapsedKey = compile ? 'compileElapsedTime' : 'elapsedTime';
+      times[cpuKey] = (times[cpuKey] || 0) + Number(time[1]);
+      times[elapsedKey] = (times[elapsedKey] || 0) + Number(time[2]);
+    }
+  }
+
+  const tableList = Array.from(tables.values());
+  return buildStats('statistics-io-time', Object.assign(times, {
+    logicalReads: sumField(tableList, 'logicalReads'),
+    physicalReads: sumField(tableList, 'physicalReads'),
+    tables: tableList
+  }));
+}
+
+/**
+ * Strip the brackets from a showplan identifier ([dbo] -> dbo)
+ * @param {string} identifier - Bracketed identifier
+ * @returns {string}
+ */
+function unbracket(identifier) {
+  return identifier.replace(/^\[|\]$/g, '');
+}
+
+/**
+ * Format a showplan column reference, e.g. Orders.OrderDate
+ * @param {Object} element - ColumnReference element
+ * @returns {string}
+ */
+function showplanColumn(element) {
+  return [element.attributes.Table, element.attributes.Column].filter(Boolean).map(unbracket).join('.');
+}
+
+/**
+ * Format the table and index a showplan operator reads, e.g. dbo.Orders (IX_Date)
+ * @param {Object} element - Object element
+ * @returns {string|null}
+ */
+function showplanObject(element) {
+  const { Schema, Table, Index } = element.attributes;
+  const name = [Schema, Table].filter(Boolean).map(unbracket).join('.');
+  if (Index) {
+    return `${name} (${unbracket(Index)})`;
+  }
+  return name || null;
+}
+
+/**
+ * Describe the entries of a showplan Warnings element
+ * @param {Object} element - Warnings element
+ * @returns {string[]} e.g. 'NoJoinPredicate', 'SpillToTempDb (SpillLevel=1)'
+ */
+function showplanWarnings(element) {
+  const warnings = Object.keys(element.attributes)
+    .filter(name => element.attributes[name] === 'true' || element.attributes[name] === '1');
+
+  for (const child of element.children) {
+    const details = Object.keys(child.attributes).map(name => `${name}=${child.attributes[name]}`);
+    const columns = findElements(child, 'ColumnReference').map(showplanColumn);
+    warnings.push(child.name
+      + (details.length > 0 ? ` (${details.join(', ')})` : '')
+      + (columns.length > 0 ? `: ${columns.join(', ')}` : ''));
+  }
+
+  return warnings;
+}
+
+/**
+ * Describe the expressions of a showplan predicate element
+ * @param {Object} element - Predicate, SeekPredicates or ProbeResidual element
+ * @returns {string[]} e.g. 'SeekPredicates: Orders.CustomerId = [@1]'
+ */
+function showplanPredicates(element) {
+  if (element.name === 'SeekPredicates') {
+    return findElements(element, SHOWPLAN_SEEK_KEYS).map((key) => {
+      const columns = findElements(key, 'ColumnReference').map(showplanColumn);
+      const values = findElements(key, 'ScalarOperator').map(operator => operator.attributes.ScalarString);
+      const comparison = SHOWPLAN_SCAN_TYPES[key.attributes.ScanType] || key.attributes.ScanType;
+      return `${element.name}: ${columns.join(', ')} ${comparison} ${values.join(', ')}`;
+    });
+  }
+
+  return findElements(element, 'ScalarOperator')
+    .filter(operator => operator.attributes.ScalarString)
+    .map(operator => `${element.name}: ${operator.attributes.ScalarString}`);
+}
+
+/**
+ * Convert a showplan RelOp element and the operators below it to plan nodes
+ * Actual rows are summed over the per-thread run-time counters.
+ *
+ * @param {Object} relOp - RelOp element
+ * @returns {Object} Plan node (see plan.js)
+ */
+function showplanNode(relOp) {
+  const { PhysicalOp, LogicalOp, EstimateRows, EstimatedTotalSubtreeCost } = relOp.attributes;
+  const node = planNode({
+    operator: LogicalOp && LogicalOp !== PhysicalOp ? `${PhysicalOp} (${LogicalOp})` : PhysicalOp,
+    estimatedRows: EstimateRows,
+    cost: EstimatedTotalSubtreeCost
+  });
+
+  const visit = (element) => {
+    for (const child of element.children) {
+      if (child.name === 'RelOp') {
+        node.children.push(showplanNode(child));
+      } else if (child.name === 'RunTimeInformation') {
+        node.actualRows = findElements(child, 'RunTimeCountersPerThread')
+          .reduce((total, counters) => total + Number(counters.attributes.ActualRows || 0), 0);
+      } else if (child.name === 'Warnings') {
+        node.warnings.push(...showplanWarnings(child));
+      } else if (SHOWPLAN_PREDICATES.has(child.name)) {
+        node.predicates.push(...showplanPredicates(child));
+      } else {
+        if (child.name === 'Object' && !node.object) {
+          node.object = showplanObject(child);
+        }
+        visit(child);
+      }
+    }
+  };
+  visit(relOp);
+
+  return node;
+}
+
+/**
+ * Convert a showplan document to plan statements
+ * Statements without a query plan (DECLARE, SET, ...) are left out.
+ *
+ * @param {string} xml - Showplan XML document
+ * @returns {Array<Object>} { text, root } per statement
+ */
+function showplanStatements(xml) {
+  return findElements(parseXml(xml), new Set(['StmtSimple', 'StmtCursor'])).flatMap((statement) => {
+    const queryPlan = findElements(statement, 'QueryPlan')[0];
+    if (!queryPlan) {
+      return [];
+    }
+
+    const attributes = statement.attributes;
+    const children = queryPlan.children.filter(child => child.name === 'RelOp').map(showplanNode);
+    const warnings = queryPlan.children.filter(child => child.name === 'Warnings').flatMap(showplanWarnings);
+    return [{
+      text: (attributes.StatementText || '').trim(),
+      root: planNode({
+        operator: attributes.StatementType || 'Statement',
+        estimatedRows: attributes.StatementEstRows,
+        actualRows: children.length === 1 ? children[0].actualRows : null,
+        cost: attributes.StatementSubTreeCost,
+        warnings: warnings,
+        children: children
+      })
+    }];
+  });
+}
+
+/**
+ * mssql Request parent that always hands out one checked-out pool connection
+ *
+ * Requests created with `new sql.Request(pinned)` acquire and release through
+ * their parent, so every request of a session runs on the same tedious
+ * connection while the pool keeps it borrowed.
+ */
+class PinnedConnection {
+  /**
+   * @param {sql.ConnectionPool} pool - Pool the connection was acquired from
+   * @param {Object} connection - Acquired tedious connection
+   */
+  constructor(pool, connection) {
+    this.pool = pool;
+    this.connection = connection;
+  }
+
+  get config() {
+    return this.pool.config;
+  }
+
+  get connected() {
+    return this.pool.connected;
+  }
+
+  get collation() {
+    return this.pool.collation;
+  }
+
+  acquire(request, callback) {
+    setImmediate(callback, null, this.connection, this.pool.config);
+    return this;
+  }
+
+  release() {
+    return this;
+  }
 }
 
 /**
  * SqlServerDriver - SQL Server database driver using mssql package
  *
  * Provides native SQL Server connectivity with:
- * - Connection pooling
+ * - Connection pooling (one ConnectionPool per driver instance)
  * - Multi-result set support (native)
  * - Structured errors with line numbers
  * - Rich column metadata (types, nullable, precision)
  *
  * Authentication modes:
- * - Windows: Uses msnodesqlv8 with ODBC driver
+ * - Windows: Uses msnodesqlv8 with ODBC driver. When msnodesqlv8 cannot be
+ *   loaded, falls back to mssql/tedious signing in over NTLM, which needs
+ *   auth.username (DOMAIN\user) and auth.password.
  * - SQL: Uses mssql/tedious with username/password
  */
 class SqlServerDriver extends BaseDriver {
@@ -38,25 +345,51 @@ class SqlServerDriver extends BaseDriver {
    * @param {string} [config.server.database] - Database name (default: master)
    * @param {Object} config.auth - Authentication details
    * @param {string} config.auth.type - "windows" or "sql"
-   * @param {string} [config.auth.username] - SQL auth username
+   * @param {string} [config.auth.username] - SQL auth username (Windows auth over NTLM: DOMAIN\user)
    * @param {string} [config.auth.password] - SQL auth password
    * @param {Object} [config.options] - Additional options
    * @param {string} [config.options.odbc_driver] - ODBC driver name
    * @param {boolean} [config.options.trust_server_certificate] - Trust cert (default: true)
+   * @param {number} [config.options.query_timeout_ms] - Default query timeout (default: none)
+   * @param {Object} [config.options.pool] - Pool limits and timeouts (see connection-options.js)
+   * @param {Object} [config.options.socket] - packet_size and app_name (tedious keeps alive every 30 s)
+   * @throws {Error} If a pool or socket setting is invalid
    */
   constructor(config) {
     super(config);
-    this.useNativeDriver = config.auth && config.auth.type === 'windows';
+    this.windowsAuth = !!(config.auth && config.auth.type === 'windows');
+    this.useNativeDriver = this.windowsAuth && loadNativeModule() !== null;
     this.odbcConnectionString = null;
     this.tediousConfig = null;
+    this.connecting = null;
 
     if (this.useNativeDriver) {
       this.odbcConnectionString = this.buildOdbcConnectionString(config);
     } else {
+      if (this.windowsAuth) {
+        ssnsLog('[sqlserver] msnodesqlv8 unavailable, using tedious with NTLM for Windows auth', 'info');
+      }
       this.tediousConfig = this.buildTediousConfig(config);
     }
   }
 
+  /**
+   * Check whether msnodesqlv8 (Windows auth through ODBC) can be loaded
+   * @returns {boolean}
+   */
+  static isNativeAvailable() {
+    return loadNativeModule() !== null;
+  }
+
+  /**
+   * Why msnodesqlv8 could not be loaded
+   * @returns {string|null}
+   */
+  static nativeUnavailableReason() {
+    loadNativeModule();
+    return nativeLoadError ? String(nativeLoadError.message).split('\n')[0] : null;
+  }
+
   /**
    * Escape a value for use in ODBC connection string
    * ODBC values containing special chars must be wrapped in braces
@@ -125,8 +458,10 @@ class SqlServerDriver extends BaseDriver {
       parts.push('TrustServerCertificate=yes');
     }
 
-    // Application name (shown in Activity Monitor/sp_who2)
-    parts.push(`APP=${this.escapeOdbcValue(getAppName())}`);
+    // Application name (shown in Activity Monitor/sp_who2). The native driver
+    // holds a single connection, so only socket.app_name applies here
+    const { socket } = readConnectionOptions(config);
+    parts.push(`APP=${this.escapeOdbcValue(socket.appName)}`);
 
     const connectionString = parts.join(';') + ';';
 
@@ -137,13 +472,18 @@ class SqlServerDriver extends BaseDriver {
   /**
    * Build tedious/mssql config from connection config for SQL Authentication
    *
+   * Windows auth without msnodesqlv8 signs in over NTLM: a DOMAIN\user
+   * username is split into mssql's domain and user.
+   *
    * @param {Object} config - Connection configuration
    * @returns {Object} mssql config object
+   * @throws {Error} If a pool or socket setting is invalid
    */
   buildTediousConfig(config) {
     const server = config.server || {};
     const auth = config.auth || {};
     const options = config.options || {};
+    const { pool, socket } = readConnectionOptions(config);
 
     // Build server hostname
     let host = server.host || 'localhost';
@@ -160,15 +500,35 @@ class SqlServerDriver extends BaseDriver {
         trustServerCertificate: options.trust_server_certificate !== false,
         enableArithAbort: true,
         encrypt: options.ssl === true,
-        appName: getAppName(), // Shown in Activity Monitor/sp_who2
+        appName: socket.appName, // Shown in Activity Monitor/sp_who2
       },
+      requestTimeout: this.queryTimeout(), // Connection default, 0 = no timeout
+      connectionTimeout: pool.connectTimeoutMs,
       pool: {
-        max: 10,
-        min: 0,
-        idleTimeoutMillis: 30000
+        max: pool.max,
+        idleTimeoutMillis: pool.idleTimeoutMs,
+        acquireTimeoutMillis: pool.acquireTimeoutMs
       }
     };
 
+    if (pool.min !== null) {
+      tediousConfig.pool.min = pool.min;
+    }
+
+    if (socket.packetSize !== null) {
+      tediousConfig.options.packetSize = socket.packetSize;
+    }
+
+    if (this.windowsAuth) {
+      const separator = tediousConfig.user.indexOf('\\');
+      if (separator !== -1) {
+        tediousConfig.domain = tediousConfig.user.slice(0, separator);
+        tediousConfig.user = tediousConfig.user.slice(separator + 1);
+      } else {
+        tediousConfig.domain = '';
+      }
+    }
+
     // Add instance name if present (for tedious, it goes in options)
     if (server.instance) {
       tediousConfig.options.instanceName = server.instance;
@@ -179,16 +539,22 @@ class SqlServerDriver extends BaseDriver {
       tediousConfig.port = server.port;
     }
 
-    ssnsLog(`[sqlserver] Built tedious config: ${JSON.stringify(tediousConfig, null, 2)}`);
+    // Logged without the password rather than relying on redaction
+    const { password, ...loggedConfig } = tediousConfig;
+    ssnsLog(`[sqlserver] Built tedious config: ${JSON.stringify(loggedConfig, null, 2)}`);
     return tediousConfig;
   }
 
   /**
    * Establish connection pool
+   *
+   * SQL auth opens a ConnectionPool owned by this driver, so drivers for
+   * different servers never share or replace each other's pool. Concurrent
+   * callers wait on the same connect attempt.
    */
   async connect() {
     ssnsLog('[sqlserver] connect() called');
-    if (this.isConnected && this.connection) {
+    if (this.isConnected && (this.connection || this.pool)) {
       ssnsLog('[sqlserver] Already connected');
       return; // Already connected
     }
@@ -198,63 +564,160 @@ class SqlServerDriver extends BaseDriver {
       ssnsLog('[sqlserver] Connecting with msnodesqlv8 (Windows auth)');
       ssnsLog(`[sqlserver] Connection string: ${this.odbcConnectionString}`);
       return new Promise((resolve, reject) => {
-        msnodesqlv8.open(this.odbcConnectionString, (err, conn) => {
+        loadNativeModule().open(this.odbcConnectionString, (err, conn) => {
           if (err) {
             this.isConnected = false;
-            ssnsLog(`[sqlserver] Connection error: ${err}`);
-            ssnsLog(`[sqlserver] Error details: ${JSON.stringify(err, null, 2)}`);
+            this.recordHealthError(err, 'error');
+            ssnsLog(`[sqlserver] Connection error: ${err}`, 'error');
+            ssnsLog(`[sqlserver] Error details: ${JSON.stringify(err, null, 2)}`, 'error');
             reject(new Error(`SQL Server Windows Auth connection failed: ${err.message || err}\nConnection string: ${this.odbcConnectionString}`));
             return;
           }
 
           this.connection = conn;
           this.isConnected = true;
-          ssnsLog('[sqlserver] Successfully connected with msnodesqlv8');
+          this.recordHealthConnected();
+          ssnsLog('[sqlserver] Successfully connected with msnodesqlv8', 'info');
           resolve();
         });
       });
     } else {
       // Use tedious for SQL Server authentication (promise-based API)
-      ssnsLog('[sqlserver] Connecting with tedious (SQL auth)');
-      try {
-        this.pool = await sql.connect(this.tediousConfig);
-        this.isConnected = true;
-        ssnsLog('[sqlserver] Successfully connected with tedious');
-      } catch (err) {
-        this.isConnected = false;
-        ssnsLog(`[sqlserver] Connection failed: ${err.message}`);
-        throw new Error(`SQL Server connection failed: ${err.message}`);
+      if (this.windowsAuth && !this.tediousConfig.user) {
+        // tedious cannot sign in as the current Windows user, only with given credentials
+        const error = new Error(
+          'SQL Server driver unavailable: Windows authentication needs msnodesqlv8 ' +
+          `(npm install msnodesqlv8 in rplugin/node/ssns-db): ${SqlServerDriver.nativeUnavailableReason()}. ` +
+          'Or set auth.username (DOMAIN\\user) and auth.password to sign in over NTLM.'
+        );
+        error.code = 'EDRIVERUNAVAILABLE';
+        error.driverType = 'sqlserver';
+        error.moduleName = 'msnodesqlv8';
+        this.recordHealthError(error, 'error');
+        throw error;
       }
+      ssnsLog(`[sqlserver] Connecting with tedious (${this.windowsAuth ? 'Windows auth over NTLM' : 'SQL auth'})`);
+      if (!this.connecting) {
+        this.connecting = this.openPool().finally(() => {
+          this.connecting = null;
+        });
+      }
+      return this.connecting;
     }
   }
 
+  /**
+   * Open a dedicated mssql ConnectionPool for this driver (SQL auth)
+   */
+  async openPool() {
+    const pool = new sql.ConnectionPool(this.tediousConfig);
+
+    // Without a listener, a failed acquire would be an unhandled 'error' event
+    pool.on('error', (err) => {
+      if (pool !== this.pool) return;
+      ssnsLog(`[sqlserver] Pool error: ${err.message}`, 'error');
+      this.recordHealthError(err, 'degraded');
+    });
+
+    this.setHealthState('connecting');
+    try {
+      await pool.connect();
+    } catch (err) {
+      this.isConnected = false;
+      this.recordHealthError(err, 'error');
+      ssnsLog(`[sqlserver] Connection failed: ${err.message}`, 'error');
+      throw new Error(`SQL Server connection failed: ${err.message}`);
+    }
+
+    this.pool = pool;
+    this.isConnected = true;
+    this.recordHealthConnected();
+    ssnsLog('[sqlserver] Successfully connected with tedious', 'info');
+  }
+
   /**
    * Close connection pool
+   * Only this driver's pool (or msnodesqlv8 connection) is closed.
    */
   async disconnect() {
     if (this.useNativeDriver && this.connection) {
-      // Close msnodesqlv8 connection
-      this.connection.close(() => {
-        this.connection = null;
-        this.isConnected = false;
-      });
+      // Close msnodesqlv8 connection; detach first so a reconnect is not undone
+      const connection = this.connection;
+      this.connection = null;
+      this.isConnected = false;
+      connection.close(() => {});
     } else if (this.pool) {
-      // Close tedious pool
-      await this.pool.close();
+      // Close tedious pool; detach first so its error events are ignored
+      const pool = this.pool;
       this.pool = null;
       this.isConnected = false;
+      await pool.close();
     }
+    this.setHealthState('disconnected');
+  }
+
+  /**
+   * Describe the state of this driver's connection
+   * @returns {Object} { state, connected, connectedAt, lastError, errorCount }
+   *   plus pool counters (healthy, size, available, pending, borrowed) for SQL auth
+   */
+  getHealth() {
+    // mssql marks the pool healthy again after the next successful acquire
+    if (this.pool && this.health.state === 'degraded' && this.pool.healthy) {
+      this.setHealthState('connected');
+    }
+
+    const health = super.getHealth();
+
+    if (this.pool) {
+      Object.assign(health, {
+        healthy: this.pool.healthy,
+        size: this.pool.size,
+        available: this.pool.available,
+        pending: this.pool.pending,
+        borrowed: this.pool.borrowed
+      });
+    }
+
+    return health;
+  }
+
+  /**
+   * Check whether an error means the connection itself is gone
+   * Adds ODBC's connection exception SQLSTATEs (08xxx) and the messages of a
+   * dropped TCP connection to the base checks.
+   *
+   * @param {Error|Object} err - Thrown error, or the error object of a result
+   * @returns {boolean}
+   */
+  isConnectionError(err) {
+    if (super.isConnectionError(err)) {
+      return true;
+    }
+    return !!err && (/^08/.test(err.sqlstate || '') || /Communication link failure|TCP Provider/i.test(err.message || ''));
   }
 
   /**
    * Execute SQL query with structured result sets
    *
+   * SQL auth queries are collected from the streaming path: a buffered mssql
+   * request drops the recordsets it completed when a later statement fails.
+   * Scripts with GO separators and options.collectStats also run there (see
+   * executeStream).
+   *
    * @param {string} query - SQL query to execute
-   * @param {Object} options - Execution options
+   * @param {Object} options - Execution options (maxRows: see executeCollected)
    * @returns {Promise<Object>} Structured result object
    */
   async execute(query, options = {}) {
-    ssnsLog(`[sqlserver] execute() called with query: ${query}`);
+    ssnsLog(`[sqlserver] execute() called with query: ${formatQuery(query)}`);
+
+    // Row-limited, SQL auth, multi-batch and statistics results are collected from the streaming path
+    const batches = splitBatches(query);
+    if (options.maxRows > 0 || !this.useNativeDriver || batches.length > 1 || batches[0].count > 1 || options.collectStats) {
+      return this.executeCollected(query, options);
+    }
+
     const startTime = Date.now();
 
     try {
@@ -264,33 +727,23 @@ class SqlServerDriver extends BaseDriver {
         await this.connect();
       }
 
-      // Use different execution based on driver
-      if (this.useNativeDriver) {
-        ssnsLog('[sqlserver] Using msnodesqlv8 for execution');
-        return await this.executeWithMsnodesqlv8(query, startTime);
-      } else {
-        ssnsLog('[sqlserver] Using tedious for execution');
-        return await this.executeWithTedious(query, startTime);
-      }
+      ssnsLog('[sqlserver] Using msnodesqlv8 for execution');
+      return await this.executeWithMsnodesqlv8(query, startTime, options);
 
     } catch (err) {
       const endTime = Date.now();
       const executionTime = endTime - startTime;
-      ssnsLog(`[sqlserver] execute() error: ${err && err.stack ? err.stack : err}`);
+      const error = this.formatError(err, options);
+      ssnsLog(`[sqlserver] execute() error: ${err && err.stack ? err.stack : err}`, 'error');
       return {
         resultSets: [],
         metadata: {
           executionTime: executionTime,
           rowsAffected: []
         },
-        error: {
-          message: err.message || 'Unknown error',
-          code: err.number || err.code || null,
-          lineNumber: err.lineNumber || null,
-          procName: err.procName || null,
-          state: err.state || null,
-          class: err.class || null
-        }
+        messages: [],
+        errors: [error],
+        error: error
       };
     }
   }
@@ -299,95 +752,48 @@ class SqlServerDriver extends BaseDriver {
    * Execute query using msnodesqlv8 (Windows auth)
    *
    * Uses queryRaw to handle multiple result sets properly.
-   * The callback is invoked once per result set, with 'more' parameter
-   * indicating if there are additional result sets.
+   * The callback is invoked once per result set and once per error, with
+   * 'more' parameter indicating if there are additional results. Errors do
+   * not end the batch, so every error and result set is collected.
+   * The returned query handle is tracked so cancel() can call cancelQuery on it.
+   * The timeout is passed as the ODBC query timeout (whole seconds).
+   * Parameters are bound through sp_executesql (see buildNativeParamQuery).
+   * PRINT and other informational messages arrive as 'info' events.
    */
-  async executeWithMsnodesqlv8(query, startTime) {
+  async executeWithMsnodesqlv8(query, startTime, options = {}) {
+    const requestId = options.requestId;
+
     return new Promise((resolve) => {
       const allResultSets = [];
-      let hasError = false;
-      let errorInfo = null;
+      const messages = [];
+      const errors = [];
+
+      const finish = (result) => {
+        this.untrackRequest(requestId);
+        resolve(result);
+      };
+
+      const bound = this.buildNativeParamQuery(query, options.params);
 
       // Use queryRaw for multi-result set support
-      this.connection.queryRaw(query, (err, results, more) => {
-        // Check for errors
+      const q = this.nativeConnection(options).queryRaw(this.buildNativeQuery(bound.text, options), bound.values, (err, results, more) => {
         if (err) {
-          hasError = true;
-          errorInfo = err;
-
-          // If error, don't wait for more results - resolve immediately
-          if (!more) {
-            const endTime = Date.now();
-            const executionTime = endTime - startTime;
-
-            resolve({
-              resultSets: [],
-              metadata: {
-                executionTime: executionTime,
-                rowsAffected: []
-              },
-              error: {
-                message: err.message || 'Unknown error',
-                code: err.code || null,
-                lineNumber: err.lineNumber || null,
-                procName: err.procName || null,
-                state: err.state || null,
-                class: err.class || null
-              }
-            });
-          }
-          return;
-        }
-
-        // Process this result set
-        if (results && results.rows) {
+          errors.push(err);
+        } else if (results && results.rows) {
+          // Process this result set
           // queryRaw returns { meta, rows }
           // meta contains column metadata
           // rows is array of arrays (not objects!)
 
-          const columns = {};
           const meta = results.meta || [];
 
           // Generate unique column keys to handle duplicate/empty column names
-          const columnKeys = [];
-          const seenNames = {};
-          meta.forEach((colMeta) => {
-            const baseName = colMeta.name || '(No column name)';
-            if (seenNames[baseName] === undefined) {
-              seenNames[baseName] = 0;
-              columnKeys.push(baseName);
-            } else {
-              seenNames[baseName]++;
-              columnKeys.push(`${baseName}_${seenNames[baseName]}`);
-            }
-          });
-
-          // Build column metadata from meta array using unique keys
-          meta.forEach((colMeta, index) => {
-            const key = columnKeys[index];
-            columns[key] = {
-              index: index,
-              name: colMeta.name || '(No column name)',
-              type: this.mapSqlType(colMeta.sqlType) || 'unknown',
-              nullable: colMeta.nullable !== false,
-              size: colMeta.size
-            };
-          });
+          const columnKeys = this.uniqueColumnKeys(meta);
+          const columns = this.buildNativeColumns(meta, columnKeys);
 
           // Convert rows from array of arrays to array of objects
-          // Also convert Date objects to ISO strings for JSON serialization
-          const rowObjects = results.rows.map(rowArray => {
-            const rowObj = {};
-            meta.forEach((colMeta, index) => {
-              const value = rowArray[index];
-              const key = columnKeys[index];
-              // Convert Date to SQL Server format (YYYY-MM-DD HH:mm:ss.SSS) for display
-              rowObj[key] = value instanceof Date
-                ? value.toISOString().replace('T', ' ').slice(0, -1)
-                : value;
-            });
-            return rowObj;
-          });
+          // Also convert Date objects to strings for JSON serialization
+          const rowObjects = results.rows.map(rowArray => this.buildRowFromArray(rowArray, columnKeys));
 
           allResultSets.push({
             columns: columns,
@@ -400,142 +806,697 @@ class SqlServerDriver extends BaseDriver {
         if (!more) {
           const endTime = Date.now();
           const executionTime = endTime - startTime;
+          const formattedErrors = this.formatErrors(errors, options);
 
-          resolve({
+          finish({
             resultSets: allResultSets,
             metadata: {
               executionTime: executionTime,
               rowsAffected: allResultSets.map(rs => rs.rowCount)
             },
-            error: null
+            messages: messages,
+            errors: formattedErrors,
+            error: formattedErrors.length > 0 ? formattedErrors[formattedErrors.length - 1] : null
           });
         }
       });
+      q.on('info', (info) => messages.push(this.formatInfoMessage(info, options)));
+
+      this.trackRequest(requestId, () => new Promise((resolveCancel) => {
+        q.cancelQuery((cancelErr) => {
+          if (cancelErr) {
+            ssnsLog(`[sqlserver] cancelQuery error: ${cancelErr.message || cancelErr}`, 'error');
+          }
+          resolveCancel();
+        });
+      }));
     });
   }
 
   /**
-   * Execute query using tedious (SQL auth)
+   * Execute SQL query, delivering rows in batches as the driver receives them
+   *
+   * Scripts are split at GO separators (see splitBatches) and the batches run
+   * one after another on the same connection, so temp tables and SET options
+   * carry over. Each batch gets its own timeout. A batch that raises an error
+   * stops the script unless options.continueOnError is set. Error and message
+   * line numbers are lines of the whole script.
+   *
+   * With options.collectStats, SET STATISTICS IO, TIME ON is set on the
+   * connection first and the messages it produces are summed up in
+   * metadata.stats (they stay in messages too). Without a session, a
+   * dedicated connection is used so the setting cannot reach other queries.
+   *
+   * @param {string} query - SQL query to execute
+   * @param {Object} handlers - { onColumns, onRows, onMessage } (see BaseDriver.executeStream)
+   * @param {Object} options - Execution options
+   * @param {boolean} [options.continueOnError] - Run the remaining batches after
+   *   a batch fails (default: false)
+   * @returns {Promise<Object>} { resultSets, metadata, messages, errors, error };
+   *   scripts with several batches add metadata.batches, holding
+   *   { batchNumber, iteration, startLine, resultSetStart, resultSetCount,
+   *   rowsAffected, executionTime, errors } per batch run; collectStats adds
+   *   metadata.stats (see stats.js)
    */
-  async executeWithTedious(query, startTime) {
+  async executeStream(query, handlers, options = {}) {
+    ssnsLog(`[sqlserver] executeStream() called with query: ${formatQuery(query)}`);
+    const startTime = Date.now();
+    const stream = new ResultStream(handlers, options);
+    const batches = splitBatches(query);
+    const batchRuns = [];
+    const errors = [];
+    let session = null;
+    let result = null;
+
     try {
-      // Execute query
-      const result = await this.pool.request().query(query);
+      // Ensure connection
+      if (!this.isConnected) {
+        await this.connect();
+      }
 
-      const endTime = Date.now();
-      const executionTime = endTime - startTime;
+      // Pin a pooled connection so every batch runs in the same session, and a
+      // dedicated one for statistics so the SET does not outlive the query
+      const multiBatch = batches.length > 1 || batches[0].count > 1;
+      if (!options.session && ((multiBatch && !this.useNativeDriver) || options.collectStats)) {
+        session = await this.beginSession();
+      }
+      if (options.collectStats) {
+        await this.setStatistics(session || options.session, true);
+      }
 
-      // Handle multiple result sets (native support!)
-      const resultSets = Array.isArray(result.recordsets)
-        ? result.recordsets
-        : [result.recordset];
-
-      // Format result sets with column metadata
-      const formattedResultSets = resultSets
-        .filter(rs => rs !== undefined) // Filter out undefined result sets
-        .map(rs => {
-          // Get column metadata from result set, sorted by index
-          const columns = {};
-          const columnKeys = [];
-          const seenNames = {};
-
-          if (rs.columns) {
-            // Sort columns by index to ensure correct order
-            const sortedCols = Object.values(rs.columns).sort((a, b) => a.index - b.index);
-
-            // Generate unique column keys to handle duplicate/empty column names
-            sortedCols.forEach((col) => {
-              const baseName = col.name || '(No column name)';
-              if (seenNames[baseName] === undefined) {
-                seenNames[baseName] = 0;
-                columnKeys.push(baseName);
-              } else {
-                seenNames[baseName]++;
-                columnKeys.push(`${baseName}_${seenNames[baseName]}`);
-              }
-            });
-
-            // Build column metadata using unique keys
-            sortedCols.forEach((col, index) => {
-              const key = columnKeys[index];
-              columns[key] = {
-                index: col.index,
-                name: col.name || '(No column name)',
-                length: col.length,
-                type: this.mapSqlType(col.type),
-                nullable: col.nullable !== false,
-                caseSensitive: col.caseSensitive,
-                identity: col.identity || false,
-                readOnly: col.readOnly || false
-              };
-            });
+      for (const [index, batch] of batches.entries()) {
+        for (let iteration = 1; iteration <= batch.count; iteration++) {
+          if (this.isCancelled(options.requestId) || stream.error) {
+            break;
           }
 
-          // Convert rows to plain objects with Date → string conversion for JSON serialization
-          // Use columnKeys to map values correctly for duplicate column names
-          const rowObjects = (rs || []).map(row => {
-            const rowObj = {};
-            if (columnKeys.length > 0) {
-              // Use column keys for proper ordering
-              columnKeys.forEach((key, index) => {
-                const originalName = columns[key].name;
-                const value = row[originalName];
-                // Convert Date to SQL Server format (YYYY-MM-DD HH:mm:ss.SSS) for display
-                rowObj[key] = value instanceof Date
-                  ? value.toISOString().replace('T', ' ').slice(0, -1)
-                  : value;
-              });
-            } else {
-              // Fallback for when we don't have column metadata
-              for (const colName in row) {
-                const value = row[colName];
-                // Convert Date to SQL Server format (YYYY-MM-DD HH:mm:ss.SSS) for display
-                rowObj[colName] = value instanceof Date
-                  ? value.toISOString().replace('T', ' ').slice(0, -1)
-                  : value;
-              }
-            }
-            return rowObj;
+          const batchStart = Date.now();
+          const resultSetStart = stream.resultSetIndex + 1;
+          const batchOptions = Object.assign({}, options, {
+            session: session || options.session,
+            lineOffset: batch.startLine - 1
           });
 
-          return {
-            columns: columns,
-            rows: rowObjects,
-            rowCount: rowObjects.length
-          };
-        });
+          result = this.useNativeDriver
+            ? await this.streamWithMsnodesqlv8(batch.text, stream, batchOptions)
+            : await this.streamWithTedious(batch.text, stream, batchOptions);
+          if (result.watchdog) {
+            result.watchdog.clear();
+          }
+
+          const batchErrors = this.formatErrors(result.errors, batchOptions, result.watchdog);
+          const rowCounts = stream.rowCounts.slice(resultSetStart);
+          errors.push(...batchErrors);
+          batchRuns.push({
+            batchNumber: index + 1,
+            iteration: iteration,
+            startLine: batch.startLine,
+            resultSetStart: resultSetStart,
+            resultSetCount: rowCounts.length,
+            rowsAffected: batchErrors.length > 0 ? rowCounts : (result.rowsAffected || rowCounts),
+            executionTime: Date.now() - batchStart,
+            errors: batchErrors
+          });
+
+          if (batchErrors.length > 0 && !options.continueOnError) {
+            break;
+          }
+        }
+
+        if (errors.length > 0 && !options.continueOnError) {
+          break;
+        }
+      }
+
+      // Cancelled between batches, before the next one could report it
+      if (this.isCancelled(options.requestId) && !errors.some(error => error.code === 'ECANCEL')) {
+        errors.push(this.cancelledError());
+      }
+
+      await stream.end();
+
+      const metadata = {
+        executionTime: Date.now() - startTime,
+        rowsAffected: batchRuns.flatMap(run => run.rowsAffected)
+      };
+      if (multiBatch) {
+        metadata.batches = batchRuns;
+      }
+      if (options.collectStats) {
+        metadata.stats = statisticsStats(stream.messages);
+      }
 
       return {
-        resultSets: formattedResultSets,
-        metadata: {
-          executionTime: executionTime,
-          rowsAffected: result.rowsAffected || []
-        },
-        error: null
+        resultSets: stream.summaries(),
+        metadata: metadata,
+        messages: stream.messages,
+        errors: errors,
+        error: errors.length > 0 ? errors[errors.length - 1] : null
       };
 
     } catch (err) {
-      const endTime = Date.now();
-      const executionTime = endTime - startTime;
+      ssnsLog(`[sqlserver] executeStream() error: ${err && err.stack ? err.stack : err}`, 'error');
+      const error = this.formatError(err, options, result && result.watchdog);
+      await stream.end().catch(() => {});
+
+      const metadata = {
+        executionTime: Date.now() - startTime,
+        rowsAffected: []
+      };
+      if (options.collectStats) {
+        metadata.stats = Object.assign(statisticsStats(stream.messages), { error: error.message });
+      }
 
       return {
-        resultSets: [],
-        metadata: {
-          executionTime: executionTime,
-          rowsAffected: []
-        },
-        error: {
-          message: err.message || 'Unknown error',
-          code: err.number || err.code || null,
-          lineNumber: err.lineNumber || null,
-          procName: err.procName || null,
-          state: err.state || null,
-          class: err.class || null
-        }
+        resultSets: stream.summaries(),
+        metadata: metadata,
+        messages: stream.messages,
+        errors: errors.concat([error]),
+        error: error
       };
+    } finally {
+      this.untrackRequest(options.requestId);
+      if (result && result.watchdog) {
+        result.watchdog.clear();
+      }
+      if (session) {
+        await this.releaseSession(session).catch((err) => {
+          ssnsLog(`[sqlserver] Failed to release batch session: ${err.message || err}`, 'error');
+        });
+      } else if (options.collectStats && options.session) {
+        await this.setStatistics(options.session, false).catch((err) => {
+          ssnsLog(`[sqlserver] Failed to turn statistics off: ${err.message || err}`, 'error');
+        });
+      }
     }
   }
 
+  /**
+   * Turn SET STATISTICS IO and TIME on or off for a session's connection
+   * @param {Object} session - Handle from beginSession()
+   * @param {boolean} on - Whether to turn them on
+   */
+  async setStatistics(session, on) {
+    const result = await this.execute(`SET STATISTICS IO, TIME ${on ? 'ON' : 'OFF'}`, { session });
+    if (result.error) {
+      throw new Error(`Failed to set statistics ${on ? 'on' : 'off'}: ${result.error.message}`);
+    }
+  }
+
+  /**
+   * Stream a query through an mssql Request in stream mode (SQL auth)
+   *
+   * @param {string} query - SQL query to execute
+   * @param {ResultStream} stream - Stream receiving columns and rows
+   * @param {Object} options - Execution options
+   * @returns {Promise<Object>} { rowsAffected, errors, watchdog } once the request is done
+   */
+  streamWithTedious(query, stream, options = {}) {
+    return new Promise((resolve) => {
+      const request = this.createRequest(options);
+      request.stream = true;
+      request.arrayRowMode = true;
+      this.bindTediousParams(request, options.params);
+
+      this.trackRequest(options.requestId, () => request.cancel());
+      const watchdog = this.startTediousWatchdog(request, options);
+      stream.setSource(() => request.pause(), () => request.resume());
+
+      let columnKeys = [];
+      const errors = [];
+
+      request.on('recordset', (columns) => {
+        columnKeys = this.uniqueColumnKeys(columns);
+        stream.columns(this.buildTediousColumns(columns, columnKeys));
+      });
+      request.on('row', (row) => {
+        stream.row(this.buildRowFromArray(row, columnKeys));
+      });
+      request.on('info', (info) => {
+        stream.message(this.formatInfoMessage(info, options));
+      });
+      request.on('error', (err) => {
+        errors.push(err);
+      });
+      request.on('done', (result) => {
+        resolve({ rowsAffected: result && result.rowsAffected, errors: errors, watchdog: watchdog });
+      });
+
+      request.query(query);
+    });
+  }
+
+  /**
+   * Stream a query through msnodesqlv8 query events (Windows auth)
+   *
+   * Rows arrive one column at a time; a row is complete when its last column
+   * has been received. Large values may arrive in several chunks (more=true).
+   *
+   * @param {string} query - SQL query to execute
+   * @param {ResultStream} stream - Stream receiving columns and rows
+   * @param {Object} options - Execution options
+   * @returns {Promise<Object>} { rowsAffected, errors } once the query is done
+   */
+  streamWithMsnodesqlv8(query, stream, options = {}) {
+    return new Promise((resolve) => {
+      let columnKeys = [];
+      let currentRow = null;
+      let chunkedColumn = null;
+      const errors = [];
+      let settled = false;
+
+      const finish = () => {
+        if (settled) return;
+        settled = true;
+        resolve({ rowsAffected: null, errors: errors });
+      };
+
+      const bound = this.buildNativeParamQuery(query, options.params);
+      const q = this.nativeConnection(options).query(this.buildNativeQuery(bound.text, options), bound.values);
+
+      this.trackRequest(options.requestId, () => new Promise((resolveCancel) => {
+        q.cancelQuery(() => resolveCancel());
+      }));
+      stream.setSource(() => q.pauseQuery(), () => q.resumeQuery());
+
+      q.on('meta', (meta) => {
+        columnKeys = this.uniqueColumnKeys(meta);
+        if (meta.length > 0) {
+          stream.columns(this.buildNativeColumns(meta, columnKeys));
+        }
+      });
+      q.on('row', () => {
+        currentRow = {};
+      });
+      q.on('column', (index, value, more) => {
+        const key = columnKeys[index];
+        currentRow[key] = chunkedColumn === index ? currentRow[key] + value : this.toDisplayValue(value);
+        chunkedColumn = more ? index : null;
+
+        if (!more && index === columnKeys.length - 1) {
+          stream.row(currentRow);
+        }
+      });
+      q.on('info', (info) => {
+        stream.message(this.formatInfoMessage(info, options));
+      });
+      q.on('error', (err) => {
+        errors.push(err);
+      });
+      q.on('done', finish);
+      q.on('free', finish);
+    });
+  }
+
+  /**
+   * Get the msnodesqlv8 connection a query runs on (Windows auth)
+   * @param {Object} options - Execution options
+   * @returns {Object} The session's dedicated connection, or the shared one
+   */
+  nativeConnection(options = {}) {
+    return options.session ? options.session.connection : this.connection;
+  }
+
+  /**
+   * Create an mssql Request on the session's pinned connection or the pool (SQL auth)
+   * @param {Object} options - Execution options
+   * @returns {sql.Request}
+   */
+  createRequest(options = {}) {
+    return options.session ? new sql.Request(options.session.parent) : this.pool.request();
+  }
+
+  /**
+   * Check out a dedicated connection for a session
+   *
+   * SQL auth borrows a connection from this driver's pool until the session
+   * ends; Windows auth opens a separate msnodesqlv8 connection.
+   *
+   * @returns {Promise<Object>} { connection, parent } (parent: PinnedConnection, SQL auth only)
+   */
+  async beginSession() {
+    if (!this.isConnected) {
+      await this.connect();
+    }
+
+    if (this.useNativeDriver) {
+      const connection = await new Promise((resolve, reject) => {
+        loadNativeModule().open(this.odbcConnectionString, (err, conn) => {
+          if (err) {
+            reject(new Error(`SQL Server session connection failed: ${err.message || err}`));
+            return;
+          }
+          resolve(conn);
+        });
+      });
+      return { connection: connection, parent: null };
+    }
+
+    const pool = this.pool;
+    const connection = await pool.acquire(this);
+    return { connection: connection, parent: new PinnedConnection(pool, connection) };
+  }
+
+  /**
+   * Read @@TRANCOUNT and XACT_STATE() on the session's connection
+   * @param {Object} session - Handle from beginSession()
+   * @returns {Promise<Object>} { transactionCount, inTransaction, failed }
+   */
+  async getSessionState(session) {
+    const result = await this.execute('SELECT @@TRANCOUNT AS transactionCount, XACT_STATE() AS xactState', { session });
+    if (result.error) {
+      throw new Error(`Failed to read session state: ${result.error.message}`);
+    }
+
+    const row = result.resultSets[0].rows[0];
+    return {
+      transactionCount: row.transactionCount,
+      inTransaction: row.transactionCount > 0,
+      // XACT_STATE() -1: the transaction is doomed and can only be rolled back
+      failed: row.xactState === -1
+    };
+  }
+
+  /**
+   * Get the statement that ends every nesting level of the open transaction
+   * @param {string} action - 'commit' or 'rollback'
+   * @returns {string} SQL statement
+   */
+  sessionEndStatement(action) {
+    return action === 'commit'
+      ? 'WHILE @@TRANCOUNT > 0 COMMIT TRANSACTION'
+      : 'IF @@TRANCOUNT > 0 ROLLBACK TRANSACTION';
+  }
+
+  /**
+   * Close a session's msnodesqlv8 connection, or reset and return its pooled one
+   * @param {Object} session - Handle from beginSession()
+   */
+  async releaseSession(session) {
+    if (this.useNativeDriver) {
+      await new Promise(resolve => session.connection.close(() => resolve()));
+      return;
+    }
+
+    // Reset so temp tables and SET options do not leak into pooled queries
+    await new Promise(resolve => session.connection.reset(() => resolve()));
+    session.parent.pool.release(session.connection);
+  }
+
+  /**
+   * Build the msnodesqlv8 query description, carrying the ODBC query timeout
+   * @param {string} query - SQL query to execute
+   * @param {Object} options - Execution options
+   * @returns {Object} { query_str, query_timeout } (timeout in seconds, 0 = none)
+   */
+  buildNativeQuery(query, options = {}) {
+    return {
+      query_str: query,
+      query_timeout: Math.ceil(this.queryTimeout(options) / 1000)
+    };
+  }
+
+  /**
+   * Declare parameters on an mssql Request
+   * Named parameters keep their names (@name in SQL); positional ones are
+   * bound as @p1, @p2, ...
+   *
+   * @param {Request} request - mssql Request
+   * @param {Array|Object} [params] - options.params
+   */
+  bindTediousParams(request, params) {
+    const { list } = normalizeParams(params);
+
+    list.forEach((param, index) => {
+      const name = param.name || `p${index + 1}`;
+      if (param.type) {
+        request.input(name, this.resolveMssqlType(param.type), param.value);
+      } else {
+        request.input(name, param.value);
+      }
+    });
+  }
+
+  /**
+   * Resolve a type hint (e.g. 'nvarchar(50)', 'decimal(18,2)') to an mssql type
+   * @param {string} typeName - Type name as reported by mapSqlType()
+   * @returns {Object} mssql type
+   * @throws {Error} If the type is not an mssql type
+   */
+  resolveMssqlType(typeName) {
+    const match = /^\s*([A-Za-z0-9]+)\s*(?:\((.*)\))?\s*$/.exec(typeName);
+    const key = match && Object.keys(sql.TYPES).find(name => name.toLowerCase() === match[1].toLowerCase());
+    if (!key) {
+      throw new Error(`Unknown SQL Server parameter type: ${typeName}`);
+    }
+
+    const type = sql.TYPES[key];
+    if (!match[2]) {
+      return type;
+    }
+
+    const args = match[2].split(',').map(arg => (arg.trim().toLowerCase() === 'max' ? sql.MAX : parseInt(arg, 10)));
+    return type(...args);
+  }
+
+  /**
+   * Wrap a parameterized query in sp_executesql for msnodesqlv8
+   *
+   * ODBC only binds positional ? markers, so @name parameters are declared
+   * through sp_executesql and their values passed as ? arguments. Positional
+   * parameters are declared as @p1, @p2, ...
+   *
+   * @param {string} query - SQL query using @name placeholders
+   * @param {Array|Object} [params] - options.params
+   * @returns {Object} { text, values } to pass to msnodesqlv8
+   */
+  buildNativeParamQuery(query, params) {
+    const { list } = normalizeParams(params);
+    if (list.length === 0) {
+      return { text: query, values: [] };
+    }
+
+    const declarations = list.map((param, index) => {
+      const name = param.name || `p${index + 1}`;
+      return `@${name} ${this.declaredParamType(param)}`;
+    });
+    const literal = (text) => `N'${text.replace(/'/g, "''")}'`;
+
+    return {
+      text: `EXEC sp_executesql ${literal(query)}, ${literal(declarations.join(', '))}${list.map(() => ', ?').join('')}`,
+      values: list.map(param => param.value)
+    };
+  }
+
+  /**
+   * Get the T-SQL type declared for a parameter passed through sp_executesql
+   * @param {Object} param - Normalized parameter { value, type }
+   * @returns {string} Declared type, e.g. 'int' or 'nvarchar(max)'
+   * @throws {Error} If the type hint is not a plain type name
+   */
+  declaredParamType(param) {
+    if (param.type) {
+      if (!DECLARED_TYPE_PATTERN.test(param.type)) {
+        throw new Error(`Invalid SQL Server parameter type: ${param.type}`);
+      }
+      return param.type;
+    }
+
+    const value = param.value;
+    if (typeof value === 'boolean') return 'bit';
+    if (typeof value === 'number') {
+      if (!Number.isInteger(value)) return 'float';
+      return Math.abs(value) <= 2147483647 ? 'int' : 'bigint';
+    }
+    if (Buffer.isBuffer(value)) return 'varbinary(max)';
+    return 'nvarchar(max)';
+  }
+
+  /**
+   * Cancel a tedious request once it outlives a per-query timeoutMs
+   * Without an override the pool's requestTimeout applies and no watchdog is armed.
+   *
+   * @param {Request} request - mssql Request
+   * @param {Object} options - Execution options
+   * @returns {Object} Watchdog from startWatchdog()
+   */
+  startTediousWatchdog(request, options = {}) {
+    const timeoutMs = this.hasTimeoutOverride(options) ? this.queryTimeout(options) : 0;
+    return this.startWatchdog(timeoutMs, () => request.cancel());
+  }
+
+  /**
+   * Build the error object for a failed query
+   *
+   * @param {Error} err - Error raised by mssql/tedious or msnodesqlv8
+   * @param {Object} options - Execution options
+   * @param {Object} [watchdog] - Timeout watchdog from startWatchdog()
+   * @returns {Object} Structured error
+   */
+  formatError(err, options = {}, watchdog = null) {
+    if (this.isCancelled(options.requestId)) {
+      return this.cancelledError();
+    }
+
+    // tedious raises RequestError ETIMEOUT, ODBC reports SQLSTATE HYT00
+    const nativeTimeout = (err.name === 'RequestError' && err.code === 'ETIMEOUT') || err.sqlstate === 'HYT00';
+    if ((watchdog && watchdog.timedOut) || nativeTimeout) {
+      return this.timeoutError(this.queryTimeout(options));
+    }
+
+    return {
+      message: err.message || 'Unknown error',
+      code: err.number || err.code || null,
+      severity: err.class || err.severity || null,
+      state: err.state || null,
+      lineNumber: this.scriptLine(err.lineNumber, err.procName, options),
+      column: null,
+      procName: err.procName || null,
+      class: err.class || null
+    };
+  }
+
+  /**
+   * Build the errors list of a batch
+   * A cancelled or timed out batch reports that alone, not the errors
+   * raised by the abort.
+   *
+   * @param {Array<Error>} errs - Errors in the order they were raised
+   * @param {Object} options - Execution options
+   * @param {Object} [watchdog] - Timeout watchdog from startWatchdog()
+   * @returns {Array<Object>} Structured errors
+   */
+  formatErrors(errs = [], options = {}, watchdog = null) {
+    const errors = errs.map(err => this.formatError(err, options, watchdog));
+    const aborted = errors.find(error => error.code === 'ECANCEL' || error.code === 'ETIMEOUT');
+    return aborted ? [aborted] : errors;
+  }
+
+  /**
+   * Build a result message from an informational message (PRINT, RAISERROR
+   * with severity 10 or lower)
+   *
+   * @param {Object} info - mssql 'info' event ({ message, number, class, lineNumber, procName })
+   *   or msnodesqlv8 'info' event ({ message, code, severity, lineNumber, procName })
+   * @param {Object} [options] - Execution options (lineOffset: see scriptLine)
+   * @returns {Object} Message from serverMessage()
+   */
+  formatInfoMessage(info, options = {}) {
+    // ODBC prefixes the text with its component chain: [Microsoft][ODBC Driver 18 for SQL Server][SQL Server]
+    const text = String(info.message || '').replace(/^(\[[^\]]*\])+/, '');
+    return this.serverMessage(text, 'info', this.scriptLine(info.lineNumber, info.procName, options), info.procName);
+  }
+
+  /**
+   * Convert a line reported by the server to a line of the submitted script
+   *
+   * Lines are relative to the batch, or to the routine named by procName.
+   * Batch lines are moved by options.lineOffset, the lines before the batch
+   * in a GO-separated script.
+   *
+   * @param {number} [lineNumber] - Reported line
+   * @param {string} [procName] - Routine the line belongs to
+   * @param {Object} [options] - Execution options
+   * @returns {number|null} Line, null when none was reported
+   */
+  scriptLine(lineNumber, procName, options = {}) {
+    if (!lineNumber) {
+      return null;
+    }
+    return procName ? lineNumber : lineNumber + (options.lineOffset || 0);
+  }
+
+  /**
+   * Generate unique column keys to handle duplicate/empty column names
+   * @param {Array<{name: string}>} columns - Columns in ordinal order
+   * @returns {string[]} Keys, e.g. ['id', 'name', 'id_1']
+   */
+  uniqueColumnKeys(columns) {
+    const columnKeys = [];
+    const seenNames = {};
+
+    columns.forEach((col) => {
+      const baseName = col.name || '(No column name)';
+      if (seenNames[baseName] === undefined) {
+        seenNames[baseName] = 0;
+        columnKeys.push(baseName);
+      } else {
+        seenNames[baseName]++;
+        columnKeys.push(`${baseName}_${seenNames[baseName]}`);
+      }
+    });
+
+    return columnKeys;
+  }
+
+  /**
+   * Build column metadata from msnodesqlv8 meta entries
+   * @param {Array} meta - msnodesqlv8 column metadata
+   * @param {string[]} columnKeys - Keys from uniqueColumnKeys()
+   * @returns {Object} Column metadata keyed by column key
+   */
+  buildNativeColumns(meta, columnKeys) {
+    const columns = {};
+    meta.forEach((colMeta, index) => {
+      columns[columnKeys[index]] = {
+        index: index,
+        name: colMeta.name || '(No column name)',
+        type: this.mapSqlType(colMeta.sqlType) || 'unknown',
+        nullable: colMeta.nullable !== false,
+        size: colMeta.size
+      };
+    });
+    return columns;
+  }
+
+  /**
+   * Build column metadata from mssql (tedious) column descriptions
+   * @param {Array} sortedCols - mssql columns in ordinal order
+   * @param {string[]} columnKeys - Keys from uniqueColumnKeys()
+   * @returns {Object} Column metadata keyed by column key
+   */
+  buildTediousColumns(sortedCols, columnKeys) {
+    const columns = {};
+    sortedCols.forEach((col, index) => {
+      columns[columnKeys[index]] = {
+        index: col.index,
+        name: col.name || '(No column name)',
+        length: col.length,
+        type: this.mapSqlType(col.type),
+        nullable: col.nullable !== false,
+        caseSensitive: col.caseSensitive,
+        identity: col.identity || false,
+        readOnly: col.readOnly || false
+      };
+    });
+    return columns;
+  }
+
+  /**
+   * Convert a positional row into an object keyed by unique column keys
+   * @param {Array} rowArray - Values in ordinal order
+   * @param {string[]} columnKeys - Keys from uniqueColumnKeys()
+   * @returns {Object} Row object
+   */
+  buildRowFromArray(rowArray, columnKeys) {
+    const rowObj = {};
+    columnKeys.forEach((key, index) => {
+      rowObj[key] = this.toDisplayValue(rowArray[index]);
+    });
+    return rowObj;
+  }
+
+  /**
+   * Convert Date to SQL Server format (YYYY-MM-DD HH:mm:ss.SSS) for display
+   * @param {*} value - Value from the driver
+   * @returns {*} Value safe for JSON/msgpack serialization
+   */
+  toDisplayValue(value) {
+    return value instanceof Date
+      ? value.toISOString().replace('T', ' ').slice(0, -1)
+      : value;
+  }
+
   /**
    * Map SQL Server data types to display strings
    * @param {Object} sqlType - mssql type object
@@ -583,7 +1544,7 @@ class SqlServerDriver extends BaseDriver {
    * @param {string} objectType - 'table', 'view', 'procedure', 'function'
    * @param {string} objectName - Object name
    * @param {string} schemaName - Schema name (default: dbo)
-   * @returns {Promise<Object>} Rich metadata object
+   * @returns {Promise<Object>} Normalized metadata (see metadata.js)
    */
   async getMetadata(objectType, objectName, schemaName = 'dbo') {
     ssnsLog(`[sqlserver] getMetadata() called with objectType: ${objectType}, objectName: ${objectName}, schemaName: ${schemaName}`);
@@ -594,81 +1555,485 @@ class SqlServerDriver extends BaseDriver {
       }
 
       if (objectType === 'table' || objectType === 'view') {
-        // Query system catalogs for column metadata
-        const query = `
-          SELECT
-            c.COLUMN_NAME as name,
-            c.DATA_TYPE as type,
-            c.CHARACTER_MAXIMUM_LENGTH as maxLength,
-            c.NUMERIC_PRECISION as precision,
-            c.NUMERIC_SCALE as scale,
-            c.IS_NULLABLE as nullable,
-            c.COLUMN_DEFAULT as defaultValue,
-            CASE WHEN pk.COLUMN_NAME IS NOT NULL THEN 1 ELSE 0 END as isPrimaryKey,
-            CASE WHEN fk.COLUMN_NAME IS NOT NULL THEN 1 ELSE 0 END as isForeignKey,
-            fk.FK_TABLE as foreignKeyTable,
-            fk.FK_SCHEMA as foreignKeySchema
-          FROM INFORMATION_SCHEMA.COLUMNS c
-          LEFT JOIN (
-            SELECT ku.TABLE_SCHEMA, ku.TABLE_NAME, ku.COLUMN_NAME
-            FROM INFORMATION_SCHEMA.TABLE_CONSTRAINTS tc
-            JOIN INFORMATION_SCHEMA.KEY_COLUMN_USAGE ku
-              ON tc.CONSTRAINT_TYPE = 'PRIMARY KEY'
-              AND tc.CONSTRAINT_NAME = ku.CONSTRAINT_NAME
-              AND tc.TABLE_SCHEMA = ku.TABLE_SCHEMA
-              AND tc.TABLE_NAME = ku.TABLE_NAME
-          ) pk ON c.TABLE_SCHEMA = pk.TABLE_SCHEMA
-             AND c.TABLE_NAME = pk.TABLE_NAME
-             AND c.COLUMN_NAME = pk.COLUMN_NAME
-          LEFT JOIN (
-            SELECT
-              ku.TABLE_SCHEMA,
-              ku.TABLE_NAME,
-              ku.COLUMN_NAME,
-              cu.TABLE_NAME as FK_TABLE,
-              cu.TABLE_SCHEMA as FK_SCHEMA
-            FROM INFORMATION_SCHEMA.REFERENTIAL_CONSTRAINTS rc
-            JOIN INFORMATION_SCHEMA.KEY_COLUMN_USAGE ku
-              ON rc.CONSTRAINT_NAME = ku.CONSTRAINT_NAME
-              AND rc.CONSTRAINT_SCHEMA = ku.CONSTRAINT_SCHEMA
-            JOIN INFORMATION_SCHEMA.CONSTRAINT_COLUMN_USAGE cu
-              ON rc.UNIQUE_CONSTRAINT_NAME = cu.CONSTRAINT_NAME
-              AND rc.UNIQUE_CONSTRAINT_SCHEMA = cu.CONSTRAINT_SCHEMA
-          ) fk ON c.TABLE_SCHEMA = fk.TABLE_SCHEMA
-             AND c.TABLE_NAME = fk.TABLE_NAME
-             AND c.COLUMN_NAME = fk.COLUMN_NAME
-          WHERE c.TABLE_SCHEMA = '${schemaName}'
-            AND c.TABLE_NAME = '${objectName}'
-          ORDER BY c.ORDINAL_POSITION
-        `;
-
-        ssnsLog(`[sqlserver] getMetadata() running query: ${query}`);
-        const result = await this.pool.request().query(query);
-        ssnsLog(`[sqlserver] getMetadata() query result: ${JSON.stringify(result.recordset)}`);
-
-        return {
-          columns: result.recordset.map(row => ({
+        return await this.getRelationMetadata(objectType, objectName, schemaName);
+      }
+      if (objectType === 'procedure' || objectType === 'function') {
+        return await this.getRoutineMetadata(objectType, objectName, schemaName);
+      }
+
+      ssnsLog(`[sqlserver] getMetadata() unsupported objectType ${objectType}, returning empty metadata`);
+      return buildMetadata(objectType, schemaName, objectName);
+
+    } catch (err) {
+      ssnsLog(`[sqlserver] getMetadata() error: ${err && err.stack ? err.stack : err}`, 'error');
+      throw new Error(`Failed to get metadata: ${err.message}`);
+    }
+  }
+
+  /**
+   * Run a catalog batch with @schemaName/@objectName bound
+   * @param {string} query - Catalog query (may return several result sets)
+   * @param {string} objectName - Object name
+   * @param {string} schemaName - Schema name
+   * @returns {Promise<Array<Array<Object>>>} Rows of each result set
+   * @throws {Error} If the query fails
+   */
+  async runCatalogQuery(query, objectName, schemaName) {
+    ssnsLog(`[sqlserver] getMetadata() running query: ${formatQuery(query)}`);
+    const result = await this.executeParameterized(query, {
+      schemaName: { value: schemaName, type: 'nvarchar(128)' },
+      objectName: { value: objectName, type: 'nvarchar(128)' }
+    });
+    if (result.error) {
+      throw new Error(result.error.message);
+    }
+    return result.resultSets.map(resultSet => resultSet.rows);
+  }
+
+  /**
+   * Get columns, indexes, constraints and definition of a table or view
+   * Everything is read in one batch: one result set per part.
+   */
+  async getRelationMetadata(objectType, objectName, schemaName) {
+    const query = `
+      DECLARE @objectId int = OBJECT_ID(QUOTENAME(@schemaName) + N'.' + QUOTENAME(@objectName));
+
+      SELECT
+        c.COLUMN_NAME as name,
+        c.DATA_TYPE as type,
+        c.CHARACTER_MAXIMUM_LENGTH as maxLength,
+        c.NUMERIC_PRECISION as precision,
+        c.NUMERIC_SCALE as scale,
+        c.IS_NULLABLE as nullable,
+        c.COLUMN_DEFAULT as defaultValue,
+        CASE WHEN pk.COLUMN_NAME IS NOT NULL THEN 1 ELSE 0 END as isPrimaryKey,
+        CASE WHEN fk.COLUMN_NAME IS NOT NULL THEN 1 ELSE 0 END as isForeignKey,
+        fk.FK_TABLE as foreignKeyTable,
+        fk.FK_SCHEMA as foreignKeySchema
+      FROM INFORMATION_SCHEMA.COLUMNS c
+      LEFT JOIN (
+        SELECT ku.TABLE_SCHEMA, ku.TABLE_NAME, ku.COLUMN_NAME
+        FROM INFORMATION_SCHEMA.TABLE_CONSTRAINTS tc
+        JOIN INFORMATION_SCHEMA.KEY_COLUMN_USAGE ku
+          ON tc.CONSTRAINT_TYPE = 'PRIMARY KEY'
+          AND tc.CONSTRAINT_NAME = ku.CONSTRAINT_NAME
+          AND tc.TABLE_SCHEMA = ku.TABLE_SCHEMA
+          AND tc.TABLE_NAME = ku.TABLE_NAME
+      ) pk ON c.TABLE_SCHEMA = pk.TABLE_SCHEMA
+         AND c.TABLE_NAME = pk.TABLE_NAME
+         AND c.COLUMN_NAME = pk.COLUMN_NAME
+      LEFT JOIN (
+        SELECT
+          ku.TABLE_SCHEMA,
+          ku.TABLE_NAME,
+          ku.COLUMN_NAME,
+          cu.TABLE_NAME as FK_TABLE,
+          cu.TABLE_SCHEMA as FK_SCHEMA
+        FROM INFORMATION_SCHEMA.REFERENTIAL_CONSTRAINTS rc
+        JOIN INFORMATION_SCHEMA.KEY_COLUMN_USAGE ku
+          ON rc.CONSTRAINT_NAME = ku.CONSTRAINT_NAME
+          AND rc.CONSTRAINT_SCHEMA = ku.CONSTRAINT_SCHEMA
+        JOIN INFORMATION_SCHEMA.CONSTRAINT_COLUMN_USAGE cu
+          ON rc.UNIQUE_CONSTRAINT_NAME = cu.CONSTRAINT_NAME
+          AND rc.UNIQUE_CONSTRAINT_SCHEMA = cu.CONSTRAINT_SCHEMA
+      ) fk ON c.TABLE_SCHEMA = fk.TABLE_SCHEMA
+         AND c.TABLE_NAME = fk.TABLE_NAME
+         AND c.COLUMN_NAME = fk.COLUMN_NAME
+      WHERE c.TABLE_SCHEMA = @schemaName
+        AND c.TABLE_NAME = @objectName
+      ORDER BY c.ORDINAL_POSITION;
+
+      SELECT
+        i.name AS indexName,
+        c.name AS columnName,
+        i.is_unique AS isUnique,
+        i.is_primary_key AS isPrimary,
+        CASE WHEN i.type = 1 THEN 1 ELSE 0 END AS isClustered,
+        i.type_desc AS indexType
+      FROM sys.indexes i
+      JOIN sys.index_columns ic ON ic.object_id = i.object_id AND ic.index_id = i.index_id
+      JOIN sys.columns c ON c.object_id = ic.object_id AND c.column_id = ic.column_id
+      WHERE i.object_id = @objectId
+        AND i.type > 0
+        AND ic.is_included_column = 0
+      ORDER BY i.index_id, ic.key_ordinal;
+
+      SELECT constraintName, constraintType, columnName, referencedSchema, referencedTable, referencedColumn, checkClause
+      FROM (
+        SELECT
+          kc.name AS constraintName,
+          CASE kc.type WHEN 'PK' THEN 'PRIMARY KEY' ELSE 'UNIQUE' END AS constraintType,
+          c.name AS columnName,
+          NULL AS referencedSchema,
+          NULL AS referencedTable,
+          NULL AS referencedColumn,
+          NULL AS checkClause,
+          ic.key_ordinal AS position
+        FROM sys.key_constraints kc
+        JOIN sys.index_columns ic ON ic.object_id = kc.parent_object_id AND ic.index_id = kc.unique_index_id
+        JOIN sys.columns c ON c.object_id = ic.object_id AND c.column_id = ic.column_id
+        WHERE kc.parent_object_id = @objectId
+        UNION ALL
+        SELECT
+          fk.name,
+          'FOREIGN KEY',
+          pc.name,
+          OBJECT_SCHEMA_NAME(fk.referenced_object_id),
+          OBJECT_NAME(fk.referenced_object_id),
+          rc.name,
+          NULL,
+          fkc.constraint_column_id
+        FROM sys.foreign_keys fk
+        JOIN sys.foreign_key_columns fkc ON fkc.constraint_object_id = fk.object_id
+        JOIN sys.columns pc ON pc.object_id = fkc.parent_object_id AND pc.column_id = fkc.parent_column_id
+        JOIN sys.columns rc ON rc.object_id = fkc.referenced_object_id AND rc.column_id = fkc.referenced_column_id
+        WHERE fk.parent_object_id = @objectId
+        UNION ALL
+        SELECT
+          cc.name,
+          'CHECK',
+          COL_NAME(cc.parent_object_id, NULLIF(cc.parent_column_id, 0)),
+          NULL,
+          NULL,
+          NULL,
+          cc.definition,
+          1
+        FROM sys.check_constraints cc
+        WHERE cc.parent_object_id = @objectId
+      ) constraints
+      ORDER BY constraintName, position;
+
+      SELECT OBJECT_DEFINITION(@objectId) AS definition;
+    `;
+
+    const [columnRows = [], indexRows = [], constraintRows = [], definitionRows = []] =
+      await this.runCatalogQuery(query, objectName, schemaName);
+
+    return buildMetadata(objectType, schemaName, objectName, {
+      columns: columnRows.map(row => ({
+        name: row.name,
+        type: row.type,
+        maxLength: row.maxLength,
+        precision: row.precision,
+        scale: row.scale,
+        nullable: row.nullable === 'YES',
+        defaultValue: row.defaultValue,
+        isPrimaryKey: row.isPrimaryKey === 1,
+        isForeignKey: row.isForeignKey === 1,
+        foreignKeyTable: row.foreignKeyTable,
+        foreignKeySchema: row.foreignKeySchema
+      })),
+      indexes: groupIndexRows(indexRows),
+      constraints: groupConstraintRows(constraintRows),
+      definition: definitionRows.length > 0 ? definitionRows[0].definition : null
+    });
+  }
+
+  /**
+   * Get parameters, return type and definition of a procedure or function
+   *
+   * sys.parameters only reports defaults of CLR modules, so T-SQL defaults
+   * are read from the definition (see parseParameterDefaults).
+   */
+  async getRoutineMetadata(objectType, objectName, schemaName) {
+    const query = `
+      DECLARE @objectId int = OBJECT_ID(QUOTENAME(@schemaName) + N'.' + QUOTENAME(@objectName));
+
+      SELECT
+        p.name AS name,
+        TYPE_NAME(p.user_type_id) AS type,
+        p.max_length AS maxLength,
+        p.[precision] AS [precision],
+        p.scale AS scale,
+        p.is_output AS isOutput,
+        p.has_default_value AS hasDefault,
+        p.default_value AS defaultValue,
+        p.parameter_id AS ordinalPosition
+      FROM sys.parameters p
+      WHERE p.object_id = @objectId
+      ORDER BY p.parameter_id;
+
+      SELECT o.type AS objectKind, OBJECT_DEFINITION(o.object_id) AS definition
+      FROM sys.objects o
+      WHERE o.object_id = @objectId;
+    `;
+
+    const [parameterRows = [], objectRows = []] = await this.runCatalogQuery(query, objectName, schemaName);
+    const object = objectRows[0] || {};
+    const definedDefaults = this.parseParameterDefaults(object.definition);
+
+    // Scalar functions report their return type as parameter 0
+    const returnRow = parameterRows.find(row => row.ordinalPosition === 0);
+    const tableValued = object.objectKind === 'IF' || object.objectKind === 'TF' || object.objectKind === 'FT';
+
+    return buildMetadata(objectType, schemaName, objectName, {
+      parameters: parameterRows
+        .filter(row => row.ordinalPosition > 0)
+        .map((row) => {
+          const definedDefault = definedDefaults.get(row.name.toLowerCase());
+          return buildParameter({
             name: row.name,
             type: row.type,
+            direction: row.isOutput ? 'OUT' : 'IN',
+            defaultValue: row.hasDefault ? row.defaultValue : (definedDefault !== undefined ? definedDefault : null),
+            hasDefault: !!row.hasDefault || definedDefault !== undefined,
+            ordinalPosition: row.ordinalPosition,
             maxLength: row.maxLength,
             precision: row.precision,
-            scale: row.scale,
-            nullable: row.nullable === 'YES',
-            defaultValue: row.defaultValue,
-            isPrimaryKey: row.isPrimaryKey === 1,
-            isForeignKey: row.isForeignKey === 1,
-            foreignKeyTable: row.foreignKeyTable,
-            foreignKeySchema: row.foreignKeySchema
-          }))
-        };
+            scale: row.scale
+          });
+        }),
+      returnType: tableValued ? 'TABLE' : (returnRow ? returnRow.type : null),
+      definition: object.definition
+    });
+  }
+
+  /**
+   * Read parameter defaults from the header of a T-SQL CREATE PROCEDURE/FUNCTION
+   *
+   * The header runs from the module name to AS, WITH or FOR (procedures) or
+   * to the closing parenthesis of the parameter list (functions). Parameters
+   * are split on top-level commas; strings and comments are masked first.
+   *
+   * @param {string|null} definition - OBJECT_DEFINITION() text
+   * @returns {Map<string, string>} Default expression by lowercased parameter name (with @)
+   */
+  parseParameterDefaults(definition) {
+    const defaults = new Map();
+    if (!definition) {
+      return defaults;
+    }
+
+    const masked = maskSql(definition, { brackets: true });
+    const header = /\b(PROC|PROCEDURE|FUNCTION)\b/i.exec(masked);
+    if (!header) {
+      return defaults;
+    }
+
+    const segments = [];
+    let depth = 0;
+    let baseDepth = null;
+    let segmentStart = null;
+    let i = header.index + header[0].length;
+
+    for (; i < masked.length; i++) {
+      const ch = masked[i];
+
+      if (ch === '(') {
+        depth++;
+      } else if (ch === ')') {
+        depth--;
+        if (baseDepth !== null && depth < baseDepth) break;
+      } else if (ch === '@' && segmentStart === null && (baseDepth === null || depth === baseDepth)) {
+        baseDepth = depth;
+        segmentStart = i;
+      } else if (ch === ',' && segmentStart !== null && depth === baseDepth) {
+        segments.push([segmentStart, i]);
+        segmentStart = null;
+      } else if (/[A-Za-z]/.test(ch) && !/[\w@#$]/.test(masked[i - 1] || '') && depth === (baseDepth === null ? 0 : baseDepth)) {
+        const word = /^[A-Za-z_]\w*/.exec(masked.slice(i))[0];
+        const upper = word.toUpperCase();
+        // "@p AS int": AS right after a parameter name belongs to the parameter
+        const typeAs = upper === 'AS' && segmentStart !== null && /^@\w+\s+$/.test(masked.slice(segmentStart, i));
+        if ((upper === 'AS' && !typeAs) || upper === 'WITH' || upper === 'FOR' || upper === 'RETURNS') break;
+        i += word.length - 1;
       }
+    }
+    if (segmentStart !== null) {
+      segments.push([segmentStart, i]);
+    }
 
-      ssnsLog('[sqlserver] getMetadata() objectType not table/view, returning empty columns');
-      return { columns: [] };
+    for (const [from, to] of segments) {
+      const maskedSegment = masked.slice(from, to);
+      const name = /^@\w+/.exec(maskedSegment);
+      const equals = maskedSegment.indexOf('=');
+      if (!name || equals === -1) continue;
+
+      // Drop trailing OUT/OUTPUT/READONLY from the default expression
+      let end = maskedSegment.length;
+      let trailing;
+      while ((trailing = /\b(OUT|OUTPUT|READONLY)\s*$/i.exec(maskedSegment.slice(0, end))) !== null && trailing.index > equals) {
+        end = trailing.index;
+      }
+
+      defaults.set(name[0].toLowerCase(), definition.slice(from + equals + 1, from + end).trim());
+    }
+
+    return defaults;
+  }
+
+  /**
+   * Get a schema snapshot of a database (see BaseDriver.getSchemaSnapshot)
+   *
+   * Catalog views are addressed with three-part names ([db].sys.objects), so
+   * any database on the server can be read without changing the pool's
+   * database context. The fingerprint combines the object count, the latest
+   * modify_date (bumped by ALTER) and a checksum over object ids and dates.
+   */
+  async getSchemaSnapshot(database, schemas = null, knownFingerprint = null) {
+    try {
+      if (!this.isConnected) {
+        await this.connect();
+      }
+
+      const prefix = database ? `[${String(database).replace(/]/g, ']]')}].` : '';
+      const params = {};
+      let schemaFilter = '';
+      if (schemas && schemas.length > 0) {
+        const names = schemas.map((schema, index) => {
+          params[`schema${index}`] = { value: schema, type: 'nvarchar(128)' };
+          return `@schema${index}`;
+        });
+        schemaFilter = `AND s.name IN (${names.join(', ')})`;
+      }
+
+      const [fingerprintRows = []] = await this.runSnapshotQuery(`
+        SELECT COUNT(*) AS objectCount, MAX(o.modify_date) AS lastModified,
+               CHECKSUM_AGG(CHECKSUM(o.object_id, o.name, o.modify_date)) AS objectChecksum
+        FROM ${prefix}sys.objects o
+        JOIN ${prefix}sys.schemas s ON s.schema_id = o.schema_id
+        WHERE o.is_ms_shipped = 0 ${schemaFilter};
+      `, params);
+      const stats = fingerprintRows[0] || {};
+      const fingerprint = schemaFingerprint([stats.objectCount, stats.lastModified, stats.objectChecksum]);
+
+      if (knownFingerprint && knownFingerprint === fingerprint) {
+        return unchangedSnapshot(database, fingerprint);
+      }
+
+      const [relations = [], columns = [], keys = [], routines = [], synonyms = []] = await this.runSnapshotQuery(`
+        SELECT s.name AS [schema], o.name AS name,
+               CASE o.type WHEN 'V' THEN 'view' ELSE 'table' END AS type
+        FROM ${prefix}sys.objects o
+        JOIN ${prefix}sys.schemas s ON s.schema_id = o.schema_id
+        WHERE o.type IN ('U', 'V') AND o.is_ms_shipped = 0 ${schemaFilter}
+        ORDER BY s.name, o.name;
+
+        SELECT s.name AS [schema], o.name AS [table], c.name AS name, t.name AS type, c.is_nullable AS nullable
+        FROM ${prefix}sys.columns c
+        JOIN ${prefix}sys.objects o ON o.object_id = c.object_id
+        JOIN ${prefix}sys.schemas s ON s.schema_id = o.schema_id
+        JOIN ${prefix}sys.types t ON t.user_type_id = c.user_type_id
+        WHERE o.type IN ('U', 'V') AND o.is_ms_shipped = 0 ${schemaFilter}
+        ORDER BY s.name, o.name, c.column_id;
+
+        SELECT s.name AS [schema], o.name AS [table], kc.name AS constraintName,
+               'PRIMARY KEY' AS constraintType, c.name AS columnName,
+               NULL AS referencedSchema, NULL AS referencedTable, NULL AS referencedColumn,
+               ic.key_ordinal AS position
+        FROM ${prefix}sys.key_constraints kc
+        JOIN ${prefix}sys.objects o ON o.object_id = kc.parent_object_id
+        JOIN ${prefix}sys.schemas s ON s.schema_id = o.schema_id
+        JOIN ${prefix}sys.index_columns ic ON ic.object_id = kc.parent_object_id AND ic.index_id = kc.unique_index_id
+        JOIN ${prefix}sys.columns c ON c.object_id = ic.object_id AND c.column_id = ic.column_id
+        WHERE kc.type = 'PK' AND o.is_ms_shipped = 0 ${schemaFilter}
+        UNION ALL
+        SELECT s.name, o.name, fk.name, 'FOREIGN KEY', c.name, rs.name, ro.name, rc.name, fkc.constraint_column_id
+        FROM ${prefix}sys.foreign_keys fk
+        JOIN ${prefix}sys.objects o ON o.object_id = fk.parent_object_id
+        JOIN ${prefix}sys.schemas s ON s.schema_id = o.schema_id
+        JOIN ${prefix}sys.foreign_key_columns fkc ON fkc.constraint_object_id = fk.object_id
+        JOIN ${prefix}sys.columns c ON c.object_id = fkc.parent_object_id AND c.column_id = fkc.parent_column_id
+        JOIN ${prefix}sys.objects ro ON ro.object_id = fk.referenced_object_id
+        JOIN ${prefix}sys.schemas rs ON rs.schema_id = ro.schema_id
+        JOIN ${prefix}sys.columns rc ON rc.object_id = fkc.referenced_object_id AND rc.column_id = fkc.referenced_column_id
+        WHERE o.is_ms_shipped = 0 ${schemaFilter}
+        ORDER BY 1, 2, 3, 9;
+
+        SELECT s.name AS [schema], o.name AS name,
+               CASE WHEN o.type IN ('P', 'PC') THEN 'procedure' ELSE 'function' END AS type,
+               CASE WHEN o.type IN ('IF', 'TF', 'FT') THEN 'TABLE' ELSE t.name END AS returnType
+        FROM ${prefix}sys.objects o
+        JOIN ${prefix}sys.schemas s ON s.schema_id = o.schema_id
+        LEFT JOIN ${prefix}sys.parameters p ON p.object_id = o.object_id AND p.parameter_id = 0
+        LEFT JOIN ${prefix}sys.types t ON t.user_type_id = p.user_type_id
+        WHERE o.type IN ('P', 'PC', 'FN', 'FS', 'IF', 'TF', 'FT') AND o.is_ms_shipped = 0 ${schemaFilter}
+        ORDER BY s.name, o.name;
+
+        SELECT s.name AS [schema], sn.name AS name, sn.base_object_name AS target
+        FROM ${prefix}sys.synonyms sn
+        JOIN ${prefix}sys.schemas s ON s.schema_id = sn.schema_id
+        WHERE 1 = 1 ${schemaFilter}
+        ORDER BY s.name, sn.name;
+      `, params);
+
+      return buildSnapshot(database, fingerprint, { relations, columns, keys, routines, synonyms });
 
     } catch (err) {
-      ssnsLog(`[sqlserver] getMetadata() error: ${err && err.stack ? err.stack : err}`);
-      throw new Error(`Failed to get metadata: ${err.message}`);
+      ssnsLog(`[sqlserver] getSchemaSnapshot() error: ${err && err.stack ? err.stack : err}`, 'error');
+      throw new Error(`Failed to get schema snapshot: ${err.message}`);
+    }
+  }
+
+  /**
+   * Run a snapshot catalog batch
+   * @param {string} query - Catalog query (may return several result sets)
+   * @param {Object} params - Named parameters (schema filter)
+   * @returns {Promise<Array<Array<Object>>>} Rows of each result set
+   * @throws {Error} If the query fails
+   */
+  async runSnapshotQuery(query, params) {
+    ssnsLog(`[sqlserver] getSchemaSnapshot() running query: ${formatQuery(query)}`);
+    const result = await this.executeParameterized(query, params);
+    if (result.error) {
+      throw new Error(result.error.message);
+    }
+    return result.resultSets.map(resultSet => resultSet.rows);
+  }
+
+  /**
+   * Get the execution plan of a query (see BaseDriver.explain)
+   *
+   * Runs on a session of its own. SET SHOWPLAN_XML compiles each batch
+   * without running it; SET STATISTICS XML returns a plan result set after
+   * every statement it runs. raw holds one showplan document per plan result
+   * set, ready to be saved as a .sqlplan file.
+   *
+   * @param {string} query - SQL query to explain
+   * @param {Object} [options] - { actual }
+   * @returns {Promise<Object>} Plan (see plan.js)
+   */
+  async explain(query, options = {}) {
+    const session = await this.beginSession();
+    const run = async (text) => {
+      const result = await this.execute(text, { session });
+      if (result.error) {
+        throw new Error(result.error.message);
+      }
+      return result;
+    };
+
+    try {
+      let result;
+      if (options.actual) {
+        await run('BEGIN TRANSACTION');
+        await run('SET STATISTICS XML ON');
+        result = await run(query);
+      } else {
+        await run('SET SHOWPLAN_XML ON');
+        result = await run(query);
+      }
+
+      const documents = [];
+      for (const resultSet of result.resultSets) {
+        const key = Object.keys(resultSet.columns)
+          .find(name => SHOWPLAN_COLUMN_PATTERN.test(resultSet.columns[name].name || name));
+        if (key) {
+          documents.push(...resultSet.rows.map(row => row[key]).filter(Boolean));
+        }
+      }
+
+      return buildPlan('showplan-xml', options.actual, documents.flatMap(showplanStatements), documents);
+    } catch (err) {
+      ssnsLog(`[sqlserver] explain() error: ${err && err.stack ? err.stack : err}`, 'error');
+      throw new Error(`Failed to get execution plan: ${err.message}`);
+    } finally {
+      if (options.actual) {
+        await this.execute(this.sessionEndStatement('rollback'), { session });
+      }
+      await this.releaseSession(session).catch((err) => {
+        ssnsLog(`[sqlserver] Failed to release explain session: ${err.message || err}`, 'error');
+      });
     }
   }
 
@@ -682,3 +2047,4 @@ class SqlServerDriver extends BaseDriver {
 }
 
 module.exports = SqlServerDriver;
+module.exports.splitBatches = splitBatches;
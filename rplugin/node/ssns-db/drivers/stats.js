@@ -0,0 +1,90 @@
+/**
+ * Execution statistics returned as metadata.stats with the collectStats option
+ *
+ * Every driver that supports them returns the same shape, whatever the
+ * database measures:
+ * {
+ *   source: 'statistics-io-time' | 'pg_stat_statements' | 'session-status',
+ *   cpuTime: number | null (ms of server CPU spent executing),
+ *   elapsedTime: number | null (ms of execution measured by the server),
+ *   compileCpuTime: number | null (ms of CPU spent parsing and planning),
+ *   compileElapsedTime: number | null (ms spent parsing and planning),
+ *   logicalReads: number | null (pages read, from cache or disk),
+ *   physicalReads: number | null (pages read from disk),
+ *   tables: [{ name, scanCount, logicalReads, physicalReads, ... }] (per-table reads),
+ *   statements: [{ query, calls, elapsedTime, counters }] (per-statement deltas),
+ *   counters: { name: delta } (the database's own counters, summed),
+ *   error: string | null (why the statistics could not be collected)
+ * }
+ * Fields a database does not measure are null or empty.
+ */
+
+/**
+ * Build the stats object, filling everything not given with empty values
+ * @param {string} source - Where the statistics come from
+ * @param {Object} [fields] - Any of the stats fields
+ * @returns {Object} Stats
+ */
+function buildStats(source, fields = {}) {
+  return {
+    source: source,
+    cpuTime: numberOrNull(fields.cpuTime),
+    elapsedTime: numberOrNull(fields.elapsedTime),
+    compileCpuTime: numberOrNull(fields.compileCpuTime),
+    compileElapsedTime: numberOrNull(fields.compileElapsedTime),
+    logicalReads: numberOrNull(fields.logicalReads),
+    physicalReads: numberOrNull(fields.physicalReads),
+    tables: fields.tables || [],
+    statements: fields.statements || [],
+    counters: fields.counters || {},
+    error: fields.error || null
+  };
+}
+
+/**
+ * Subtract counter snapshots taken before and after a query
+ *
+ * Reading the counters may itself move them; pass the change between two
+ * back-to-back snapshots as overhead to take it out again. Deltas are rounded
+ * to microsecond precision (time counters are fractional ms) and never negative.
+ *
+ * @param {Object} before - { name: value } read before the query
+ * @param {Object} after - { name: value } read after the query
+ * @param {Object} [overhead] - { name: value } moved by reading the counters once
+ * @returns {Object} { name: delta } for every numeric counter in after
+ */
+function counterDeltas(before, after, overhead = {}) {
+  const deltas = {};
+  for (const [name, value] of Object.entries(after)) {
+    const delta = Number(value) - Number(before[name] || 0) - Number(overhead[name] || 0);
+    if (Number.isFinite(delta)) {
+      deltas[name] = Math.max(0, Math.round(delta * 1000) / 1000);
+    }
+  }
+  return deltas;
+}
+
+/**
+ * Sum a field over a list
+ * @param {Array<Object>} items - Objects holding the field
+ * @param {string} field - Field name
+ * @returns {number|null} Sum, or null when no item has the field
+ */
+function sumField(items, field) {
+  const values = items.map(item => item[field]).filter(value => typeof value === 'number');
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) : null;
+}
+
+/**
+ * @param {*} value - Number or nothing
+ * @returns {number|null}
+ */
+function numberOrNull(value) {
+  return typeof value === 'number' && Number.isFinite(value) ? value : null;
+}
+
+module.exports = {
+  buildStats,
+  counterDeltas,
+  sumField
+};
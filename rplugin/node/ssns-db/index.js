@@ -1,10 +1,41 @@
 
+const crypto = require('crypto');
 const DriverFactory = require('./drivers/factory');
-const { ssnsLog } = require('./ssns-log');
+const { buildMetadata } = require('./drivers/metadata');
+const { buildPlan } = require('./drivers/plan');
+const { ssnsLog, configureLogging, envInteger } = require('./ssns-log');
 
-// Driver registry - reuse drivers for same connections
+// Driver registry - reuse drivers for same connections, least recently used
+// first - { driver, fingerprint, lastUsedAt }
 const drivers = new Map();
 
+// Drivers taken out of the registry while still in use, closed once idle
+const retiredDrivers = new Set();
+
+// A driver unused this long is closed (0 = never); SSNS_DRIVER_IDLE_TIMEOUT_MS,
+// set by the Lua side before the host starts
+const DRIVER_IDLE_TIMEOUT_MS = envInteger('SSNS_DRIVER_IDLE_TIMEOUT_MS', 10 * 60 * 1000);
+// Drivers kept open at once; beyond it the least recently used idle ones are
+// closed (0 = no cap); SSNS_DRIVER_MAX_LIVE
+const DRIVER_MAX_LIVE = envInteger('SSNS_DRIVER_MAX_LIVE', 8);
+// How often idle and retired drivers are looked for
+const DRIVER_SWEEP_INTERVAL_MS = 60 * 1000;
+
+// In-flight async queries by callback id - { driver, cancelled, pageCredits, resumeStream }
+const inflightQueries = new Map();
+
+// A streamed query whose next page is not requested this long is cancelled:
+// Lua has dropped its callback (timeout, closed buffer) without cancelling
+const STREAM_PAGE_IDLE_TIMEOUT_MS = 10 * 60 * 1000;
+
+// Open sessions by session id - { driver, session, queue }
+const sessions = new Map();
+let nextSessionId = 1;
+
+// Pushes driver connection state changes to Lua - (key, config, event) => void,
+// set when the plugin starts
+let connectionStateListener = null;
+
 /**
  * Generate a connection key from config for driver registry
  * @param {Object} config - Connection configuration object
@@ -28,27 +59,148 @@ function generateConnectionKey(config) {
   return parts.join(':');
 }
 
+/**
+ * Fingerprint every connection-relevant field of a config
+ *
+ * The connection key only names the server, database and user; the
+ * fingerprint also covers the password, SSL and other options, so changing
+ * any of them gets a new driver. Key order does not matter.
+ *
+ * @param {Object} config - Connection configuration object
+ * @returns {string} Hex digest of type, server, auth and options
+ */
+function configFingerprint(config) {
+  const canonical = (value) => {
+    if (Array.isArray(value)) {
+      return value.map(canonical);
+    }
+    if (value && typeof value === 'object') {
+      return Object.keys(value).sort().map(name => [name, canonical(value[name])]);
+    }
+    return value;
+  };
+  const relevant = { type: config.type, server: config.server, auth: config.auth, options: config.options };
+  return crypto.createHash('sha1').update(JSON.stringify(canonical(relevant))).digest('hex');
+}
+
 /**
  * Get or create driver instance for connection config
+ *
+ * A config whose fingerprint changed replaces the driver of its key. Creating
+ * a driver may close the least recently used ones (see enforceDriverCap).
+ *
  * @param {Object} config - Connection configuration object
  * @returns {BaseDriver} Driver instance
  */
 function getDriverInstance(config) {
   const key = generateConnectionKey(config);
+  const fingerprint = configFingerprint(config);
+  const entry = drivers.get(key);
 
-  // Check if driver already exists in registry
-  if (drivers.has(key)) {
-    return drivers.get(key);
+  // Reuse the driver, moving it to the most recently used end
+  if (entry && entry.fingerprint === fingerprint) {
+    drivers.delete(key);
+    entry.lastUsedAt = Date.now();
+    drivers.set(key, entry);
+    return entry.driver;
+  }
+  if (entry) {
+    retireDriver(key, 'connection config changed');
   }
 
   // Use factory to create appropriate driver
   const driver = DriverFactory.getDriver(config);
+  driver.onStateChange((event) => {
+    if (connectionStateListener) {
+      connectionStateListener(key, config, event);
+    }
+  });
 
   // Store in registry for reuse
-  drivers.set(key, driver);
+  drivers.set(key, { driver: driver, fingerprint: fingerprint, lastUsedAt: Date.now() });
+  enforceDriverCap(key);
   return driver;
 }
 
+/**
+ * Check whether a driver is in use: running an operation or query, or
+ * holding an open session
+ * @param {BaseDriver} driver - Driver to check
+ * @returns {boolean}
+ */
+function isDriverBusy(driver) {
+  if (driver.runningOperations > 0 || driver.activeRequests.size > 0) {
+    return true;
+  }
+  for (const entry of sessions.values()) {
+    if (entry.driver === driver) return true;
+  }
+  for (const inflight of inflightQueries.values()) {
+    if (inflight.driver === driver) return true;
+  }
+  return false;
+}
+
+/**
+ * Take a driver out of the registry and close it once it is not in use
+ * @param {string} key - Connection key
+ * @param {string} reason - Logged reason
+ */
+function retireDriver(key, reason) {
+  const entry = drivers.get(key);
+  if (!entry) return;
+  drivers.delete(key);
+  ssnsLog(`[index] Closing driver ${key}: ${reason}`, 'info');
+  retiredDrivers.add(entry.driver);
+  closeRetiredDrivers();
+}
+
+/**
+ * Close the retired drivers no longer in use
+ * They are closed quietly: Lua is not told of a state change.
+ */
+function closeRetiredDrivers() {
+  for (const driver of retiredDrivers) {
+    if (isDriverBusy(driver)) continue;
+    retiredDrivers.delete(driver);
+    driver.onStateChange(null);
+    driver.disconnect().catch((err) => {
+      ssnsLog(`[index] Failed to close driver: ${err && err.stack ? err.stack : err}`, 'error');
+    });
+  }
+}
+
+/**
+ * Close the least recently used idle drivers beyond DRIVER_MAX_LIVE
+ * @param {string} keep - Key of the driver just created, never closed here
+ */
+function enforceDriverCap(keep) {
+  if (DRIVER_MAX_LIVE <= 0) return;
+  for (const [key, entry] of drivers) {
+    if (drivers.size <= DRIVER_MAX_LIVE) break;
+    if (key !== keep && !isDriverBusy(entry.driver)) {
+      retireDriver(key, `more than ${DRIVER_MAX_LIVE} drivers open`);
+    }
+  }
+}
+
+/**
+ * Close drivers unused for DRIVER_IDLE_TIMEOUT_MS, and retired drivers that
+ * finished their work (run every DRIVER_SWEEP_INTERVAL_MS)
+ */
+function sweepDrivers() {
+  if (DRIVER_IDLE_TIMEOUT_MS > 0) {
+    const now = Date.now();
+    for (const [key, entry] of drivers) {
+      const idleMs = now - Math.max(entry.lastUsedAt, entry.driver.lastUsedAt);
+      if (idleMs >= DRIVER_IDLE_TIMEOUT_MS && !isDriverBusy(entry.driver)) {
+        retireDriver(key, `idle for ${Math.round(idleMs / 1000)} s`);
+      }
+    }
+  }
+  closeRetiredDrivers();
+}
+
 /**
  * Parse config from JSON string or return as-is if already object
  * @param {string|Object} configInput - JSON string or config object
@@ -61,13 +213,142 @@ function parseConfig(configInput) {
   return configInput;
 }
 
+/**
+ * Parse execute options from JSON string or return as-is if already object
+ * @param {string|Object} [optionsInput] - JSON string or options object
+ * @returns {Object} Parsed options ({} when absent)
+ */
+function parseOptions(optionsInput) {
+  if (!optionsInput) {
+    return {};
+  }
+  return parseConfig(optionsInput);
+}
+
+/**
+ * Wait until Lua asks for the next page of a streamed query (SSNSStreamNext)
+ * Requests that arrive before the wait are banked as credits. Without a
+ * request for STREAM_PAGE_IDLE_TIMEOUT_MS the query is cancelled, so an
+ * abandoned stream does not keep its driver busy.
+ * @param {Object} inflight - Entry from inflightQueries
+ * @param {string} callbackId - Id the query was started with
+ * @returns {Promise<void>}
+ * @throws {Error} If the wait timed out
+ */
+function waitForNextPage(inflight, callbackId) {
+  if (inflight.cancelled) {
+    return Promise.resolve();
+  }
+  if (inflight.pageCredits > 0) {
+    inflight.pageCredits--;
+    return Promise.resolve();
+  }
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      inflight.resumeStream = null;
+      inflight.cancelled = true;
+      ssnsLog(`[index] Stream ${callbackId} idle for ${STREAM_PAGE_IDLE_TIMEOUT_MS} ms, cancelling`, 'info');
+      if (inflight.driver) {
+        inflight.driver.cancel(callbackId).catch((err) => {
+          ssnsLog(`[index] Cancelling idle stream ${callbackId} failed: ${err.message}`, 'error');
+        });
+      }
+      reject(new Error(`No page requested for ${STREAM_PAGE_IDLE_TIMEOUT_MS} ms, stream cancelled`));
+    }, STREAM_PAGE_IDLE_TIMEOUT_MS);
+
+    inflight.resumeStream = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+  });
+}
+
+/**
+ * Release a streamed query waiting in waitForNextPage()
+ * @param {Object} inflight - Entry from inflightQueries
+ */
+function resumeStream(inflight) {
+  const resume = inflight.resumeStream;
+  if (resume) {
+    inflight.resumeStream = null;
+    resume();
+  } else {
+    inflight.pageCredits++;
+  }
+}
+
+/**
+ * Run work on a session after its earlier calls have finished
+ * A session is one connection, so its queries must not overlap.
+ * @param {Object} entry - Entry from sessions
+ * @param {Function} work - () => Promise
+ * @returns {Promise} Result of work
+ */
+function runInSession(entry, work) {
+  const run = entry.queue.then(work);
+  entry.queue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Roll back and end every open session of a driver (before it disconnects)
+ * @param {BaseDriver} driver - Driver being closed
+ */
+async function endDriverSessions(driver) {
+  for (const [sessionId, entry] of sessions) {
+    if (entry.driver !== driver) continue;
+    sessions.delete(sessionId);
+    try {
+      await runInSession(entry, () => driver.endSession(entry.session, 'rollback'));
+    } catch (err) {
+      ssnsLog(`[index] Failed to end session ${sessionId}: ${err && err.stack ? err.stack : err}`, 'error');
+    }
+  }
+}
+
 /**
  * Neovim remote plugin entry point
  * @param {Object} plugin - Neovim plugin instance
  */
 
 module.exports = (plugin) => {
-  ssnsLog('[SSNS] Plugin initializing...');
+  ssnsLog('[SSNS] Plugin initializing...', 'info');
+
+  /**
+   * Push a streaming event (columns, rows or a message) to the Lua async RPC handler
+   * @param {string} callbackId - Callback ID of the async query
+   * @param {Object} event - { type, resultSetIndex, columns|rows } or { type: 'message', message }
+   * @returns {Promise}
+   */
+  const sendStreamEvent = (callbackId, event) => plugin.nvim.call('luaeval', [
+    'require("nvim-ssns.async.rpc").handle_stream(_A.id, _A.event)',
+    { id: callbackId, event: event }
+  ]);
+
+  // Close idle drivers in the background; the timer does not keep the host alive
+  setInterval(sweepDrivers, DRIVER_IDLE_TIMEOUT_MS > 0
+    ? Math.min(DRIVER_SWEEP_INTERVAL_MS, DRIVER_IDLE_TIMEOUT_MS)
+    : DRIVER_SWEEP_INTERVAL_MS).unref();
+
+  // Tell Lua when a driver loses, regains or gives up on its connection
+  connectionStateListener = (key, config, event) => {
+    const server = config.server || {};
+    plugin.nvim.call('luaeval', [
+      'require("nvim-ssns.connection").handle_state_change(_A)',
+      {
+        key: key,
+        type: config.type,
+        host: server.host || null,
+        instance: server.instance || null,
+        port: server.port || null,
+        database: server.database || null,
+        state: event.state,
+        error: event.error
+      }
+    ]).catch((err) => {
+      ssnsLog(`[index] Failed to send connection state: ${err && err.stack ? err.stack : err}`, 'error');
+    });
+  };
 
   // Wrap in try-catch to catch any errors during registration
   try {
@@ -75,21 +356,24 @@ module.exports = (plugin) => {
    * SSNSExecuteQuery - Execute SQL query and return structured results
    *
    * Usage from Lua:
-   *   vim.fn['remote#host#FunctionCall']('node', 'SSNSExecuteQuery', {config_json, query})
+   *   vim.fn['remote#host#FunctionCall']('node', 'SSNSExecuteQuery', {config_json, query, options_json})
    *
-   * @param {Array} args - [configJson, query]
-   * @returns {Promise<Object>} Result object with resultSets, metadata, error
+   * @param {Array} args - [configJson, query, optionsJson?] (options: { maxRows, timeoutMs, collectStats })
+   * @returns {Promise<Object>} Result object with resultSets, metadata, messages, errors, error
    */
   plugin.registerFunction('SSNSExecuteQuery', async (args) => {
     try {
       // Handle double-wrapped array from Neovim
       const configInput = Array.isArray(args[0]) ? args[0][0] : args[0];
       const query = Array.isArray(args[0]) ? args[0][1] : args[1];
+      const optionsInput = Array.isArray(args[0]) ? args[0][2] : args[2];
 
       if (!configInput || !query) {
         return {
           resultSets: [],
           metadata: {},
+          messages: [],
+          errors: [],
           error: {
             message: 'Missing required parameters: config and query',
             code: null,
@@ -105,16 +389,83 @@ module.exports = (plugin) => {
       // Get driver for this connection
       const driver = getDriverInstance(config);
 
-      // Execute query
-      const result = await driver.execute(query);
+      // Execute query (reconnecting first if the connection was lost)
+      const options = parseOptions(optionsInput);
+      const result = await driver.withReconnect(() => driver.execute(query, options));
 
       return result;
 
     } catch (err) {
-      ssnsLog(`[SSNSExecuteQuery] Error: ${err && err.stack ? err.stack : err}`);
+      ssnsLog(`[SSNSExecuteQuery] Error: ${err && err.stack ? err.stack : err}`, 'error');
       return {
         resultSets: [],
         metadata: {},
+        messages: [],
+        errors: [],
+        error: {
+          message: err.message || 'Unknown error occurred',
+          code: err.code || null,
+          lineNumber: err.lineNumber || null,
+          procName: err.procName || null
+        }
+      };
+    }
+  }, { sync: true });
+
+  /**
+   * SSNSExecuteParameterized - Execute SQL query with bound parameters
+   *
+   * Parameters are positional (a list) or named (a table keyed by name) and
+   * bound natively by the driver. Placeholders per database:
+   *   sqlserver: @name, positional values bind to @p1, @p2, ...
+   *   postgres:  :name, positional $1, $2, ...
+   *   mysql:     :name, positional ?
+   *   sqlite:    :name / @name / $name, positional ?
+   * Any value may be { value = ..., type = 'int' } to give a type hint.
+   *
+   * Usage from Lua:
+   *   vim.fn.SSNSExecuteParameterized({config_json, query, params_json, options_json})
+   *
+   * @param {Array} args - [configJson, query, paramsJson, optionsJson?] (options as SSNSExecuteQuery)
+   * @returns {Promise<Object>} Result object with resultSets, metadata, messages, errors, error
+   */
+  plugin.registerFunction('SSNSExecuteParameterized', async (args) => {
+    try {
+      // Handle double-wrapped array from Neovim
+      const configInput = Array.isArray(args[0]) ? args[0][0] : args[0];
+      const query = Array.isArray(args[0]) ? args[0][1] : args[1];
+      const paramsInput = Array.isArray(args[0]) ? args[0][2] : args[2];
+      const optionsInput = Array.isArray(args[0]) ? args[0][3] : args[3];
+
+      if (!configInput || !query) {
+        return {
+          resultSets: [],
+          metadata: {},
+          messages: [],
+          errors: [],
+          error: {
+            message: 'Missing required parameters: config and query',
+            code: null,
+            lineNumber: null,
+            procName: null
+          }
+        };
+      }
+
+      const config = parseConfig(configInput);
+      const params = typeof paramsInput === 'string' ? JSON.parse(paramsInput) : (paramsInput || []);
+
+      const driver = getDriverInstance(config);
+      const options = parseOptions(optionsInput);
+      return await driver.withReconnect(() => driver.executeParameterized(query, params, options));
+
+    } catch (err) {
+      ssnsLog(`[SSNSExecuteParameterized] Error: ${err && err.stack ? err.stack : err}`, 'error');
+      return {
+        resultSets: [],
+        metadata: {},
+        messages: [],
+        errors: [],
         error: {
           message: err.message || 'Unknown error occurred',
           code: err.code || null,
@@ -132,21 +483,20 @@ module.exports = (plugin) => {
    *   vim.fn['remote#host#FunctionCall']('node', 'SSNSGetMetadata', {config_json, object_type, object_name, schema_name})
    *
    * @param {Array} args - [configJson, objectType, objectName, schemaName]
-   * @returns {Promise<Object>} Metadata object with columns, indexes, constraints
+   * @returns {Promise<Object>} Normalized metadata (see drivers/metadata.js), plus error on failure
    */
   plugin.registerFunction('SSNSGetMetadata', async (args) => {
-    try {
-      // Handle double-wrapped array from Neovim
-      const configInput = Array.isArray(args[0]) ? args[0][0] : args[0];
-      const objectType = Array.isArray(args[0]) ? args[0][1] : args[1];
-      const objectName = Array.isArray(args[0]) ? args[0][2] : args[2];
-      const schemaName = Array.isArray(args[0]) ? args[0][3] : args[3];
+    // Handle double-wrapped array from Neovim
+    const configInput = Array.isArray(args[0]) ? args[0][0] : args[0];
+    const objectType = Array.isArray(args[0]) ? args[0][1] : args[1];
+    const objectName = Array.isArray(args[0]) ? args[0][2] : args[2];
+    const schemaName = Array.isArray(args[0]) ? args[0][3] : args[3];
 
+    try {
       if (!configInput || !objectType || !objectName) {
-        return {
-          columns: [],
+        return Object.assign(buildMetadata(objectType, schemaName, objectName), {
           error: 'Missing required parameters: config, objectType, and objectName'
-        };
+        });
       }
 
       // Parse config from JSON
@@ -155,17 +505,171 @@ module.exports = (plugin) => {
       // Get driver for this connection
       const driver = getDriverInstance(config);
 
-      // Get metadata
-      const metadata = await driver.getMetadata(objectType, objectName, schemaName);
+      // Get metadata (an empty schema falls back to the driver's default schema)
+      const metadata = await driver.withReconnect(
+        () => driver.getMetadata(objectType, objectName, schemaName || undefined),
+        { retry: true }
+      );
 
       return metadata;
 
     } catch (err) {
-      ssnsLog(`[SSNSGetMetadata] Error: ${err && err.stack ? err.stack : err}`);
-      return {
-        columns: [],
+      ssnsLog(`[SSNSGetMetadata] Error: ${err && err.stack ? err.stack : err}`, 'error');
+      return Object.assign(buildMetadata(objectType, schemaName, objectName), {
         error: err.message || 'Unknown error occurred'
-      };
+      });
+    }
+  }, { sync: true });
+
+  /**
+   * SSNSGetSchemaSnapshot - Get all tables, views, columns, keys, routines and synonyms at once
+   *
+   * Usage from Lua:
+   *   vim.fn.SSNSGetSchemaSnapshot({config_json, database, schemas_json, known_fingerprint})
+   *
+   * Pass the fingerprint of a cached snapshot to skip the download when the
+   * schema has not changed (the reply then only has { unchanged: true }).
+   *
+   * @param {Array} args - [configJson, database?, schemasJson?, knownFingerprint?]
+   * @returns {Promise<Object>} Snapshot (see drivers/metadata.js), plus error on failure
+   */
+  plugin.registerFunction('SSNSGetSchemaSnapshot', async (args) => {
+    // Handle double-wrapped array from Neovim
+    const configInput = Array.isArray(args[0]) ? args[0][0] : args[0];
+    const database = (Array.isArray(args[0]) ? args[0][1] : args[1]) || null;
+    const schemasInput = Array.isArray(args[0]) ? args[0][2] : args[2];
+    const knownFingerprint = (Array.isArray(args[0]) ? args[0][3] : args[3]) || null;
+
+    try {
+      if (!configInput) {
+        return { database: database, fingerprint: null, unchanged: false, error: 'Missing required parameter: config' };
+      }
+
+      const schemas = typeof schemasInput === 'string' ? JSON.parse(schemasInput) : schemasInput;
+      if (schemas !== undefined && schemas !== null && !Array.isArray(schemas)) {
+        throw new Error('schemas must be a list of schema names');
+      }
+
+      const driver = getDriverInstance(parseConfig(configInput));
+      const snapshot = await driver.withReconnect(
+        () => driver.getSchemaSnapshot(database, schemas && schemas.length > 0 ? schemas : null, knownFingerprint),
+        { retry: true }
+      );
+      ssnsLog(`[SSNSGetSchemaSnapshot] ${snapshot.unchanged ? 'Unchanged' : `${snapshot.tables.length} relations`} (fingerprint ${snapshot.fingerprint})`);
+
+      return snapshot;
+
+    } catch (err) {
+      ssnsLog(`[SSNSGetSchemaSnapshot] Error: ${err && err.stack ? err.stack : err}`, 'error');
+      return { database: database, fingerprint: null, unchanged: false, error: err.message || 'Unknown error occurred' };
+    }
+  }, { sync: true });
+
+  /**
+   * SSNSExplain - Get the execution plan of a query
+   *
+   * Usage from Lua:
+   *   vim.fn.SSNSExplain({config_json, query, options_json})
+   *
+   * With { actual: true } the query is run (inside a transaction that is
+   * rolled back) so the plan carries actual row counts.
+   *
+   * @param {Array} args - [configJson, query, optionsJson?]
+   * @returns {Promise<Object>} Plan (see drivers/plan.js), plus error on failure
+   */
+  plugin.registerFunction('SSNSExplain', async (args) => {
+    // Handle double-wrapped array from Neovim
+    const configInput = Array.isArray(args[0]) ? args[0][0] : args[0];
+    const query = Array.isArray(args[0]) ? args[0][1] : args[1];
+    const optionsInput = Array.isArray(args[0]) ? args[0][2] : args[2];
+
+    try {
+      if (!configInput || !query) {
+        return Object.assign(buildPlan(null, false), { error: 'Missing required parameters: config and query' });
+      }
+
+      const options = parseOptions(optionsInput);
+      const driver = getDriverInstance(parseConfig(configInput));
+      // An actual plan runs the query, so it is not repeated after a reconnect
+      const plan = await driver.withReconnect(
+        () => driver.explain(query, { actual: !!options.actual }),
+        { retry: !options.actual }
+      );
+      ssnsLog(`[SSNSExplain] ${plan.actual ? 'Actual' : 'Estimated'} ${plan.format} plan, ${plan.statements.length} statement(s)`);
+
+      return plan;
+
+    } catch (err) {
+      ssnsLog(`[SSNSExplain] Error: ${err && err.stack ? err.stack : err}`, 'error');
+      return Object.assign(buildPlan(null, false), { error: err.message || 'Unknown error occurred' });
+    }
+  }, { sync: true });
+
+  /**
+   * SSNSGetSupportedTypes - List the database types drivers are registered for
+   *
+   * Usage from Lua:
+   *   vim.fn.SSNSGetSupportedTypes({})
+   *
+   * Includes drivers loaded from the configured driver directories and
+   * packages, and the modules among them that failed to load.
+   *
+   * @returns {Promise<Object>} { types: [{ type, aliases, source }], errors: [{ source, message }] },
+   *   plus error on failure
+   */
+  plugin.registerFunction('SSNSGetSupportedTypes', async () => {
+    try {
+      return DriverFactory.getDriverInfo();
+    } catch (err) {
+      ssnsLog(`[SSNSGetSupportedTypes] Error: ${err && err.stack ? err.stack : err}`, 'error');
+      return { types: [], errors: [], error: err.message || 'Unknown error occurred' };
+    }
+  }, { sync: true });
+
+  /**
+   * SSNSDriverStatus - Report whether each driver and its optional modules load
+   *
+   * Usage from Lua:
+   *   vim.fn.SSNSDriverStatus({})
+   *
+   * Drivers are otherwise loaded when a connection of their type is first
+   * created; this loads them all to check for missing packages.
+   *
+   * @returns {Promise<Object>} {
+   *   drivers: [{ type, aliases, source, state ('loaded' | 'unavailable'), error, moduleName,
+   *     dependencies: [{ module, usedFor, available, error }] }],
+   *   errors: [{ source, message }]
+   * }, plus error on failure
+   */
+  plugin.registerFunction('SSNSDriverStatus', async () => {
+    try {
+      return DriverFactory.getDriverStatus();
+    } catch (err) {
+      ssnsLog(`[SSNSDriverStatus] Error: ${err && err.stack ? err.stack : err}`, 'error');
+      return { drivers: [], errors: [], error: err.message || 'Unknown error occurred' };
+    }
+  }, { sync: true });
+
+  /**
+   * SSNSConfigureLogging - Change the backend log settings while it runs
+   *
+   * Usage from Lua:
+   *   vim.fn.SSNSConfigureLogging({ { level = "debug", maxQueryLength = 0 } })
+   *
+   * @param {Array} args - [{ level?, maxQueryLength?, maxFileSize?, maxFiles? }] (see configureLogging)
+   * @returns {Promise<Object>} { settings } now in effect, plus error on failure
+   */
+  plugin.registerFunction('SSNSConfigureLogging', async (args) => {
+    // Handle double-wrapped array from Neovim
+    const options = Array.isArray(args[0]) ? args[0][0] : args[0];
+
+    try {
+      const settings = configureLogging(options || {});
+      ssnsLog(`[SSNSConfigureLogging] Settings: ${JSON.stringify(settings)}`, 'info');
+      return { settings: settings };
+    } catch (err) {
+      ssnsLog(`[SSNSConfigureLogging] Error: ${err && err.stack ? err.stack : err}`, 'error');
+      return { error: err.message || 'Unknown error occurred' };
     }
   }, { sync: true });
 
@@ -176,11 +680,10 @@ module.exports = (plugin) => {
    *   vim.fn['remote#host#FunctionCall']('node', 'SSNSTestConnection', {config_json})
    *
    * @param {Array} args - [configJson]
-   * @returns {Promise<Object>} { success: boolean, message: string }
+   * @returns {Promise<Object>} { success: boolean, message: string, health?: Object (see getHealth) }
    */
   plugin.registerFunction('SSNSTestConnection', async (args) => {
     ssnsLog('[index] SSNSTestConnection called');
-    ssnsLog(`[index] args: ${JSON.stringify(args)}`);
 
     try {
       // If Neovim double-wraps the array, unwrap it
@@ -207,14 +710,15 @@ module.exports = (plugin) => {
       // Test connection
       await driver.connect();
 
-      ssnsLog('[index] Connection successful!');
+      ssnsLog('[index] Connection successful!', 'info');
       return {
         success: true,
-        message: 'Connection successful'
+        message: 'Connection successful',
+        health: driver.getHealth()
       };
 
     } catch (err) {
-      ssnsLog(`[index] Connection failed: ${err.message}`);
+      ssnsLog(`[index] Connection failed: ${err.message}`, 'error');
       return {
         success: false,
         message: err.message || 'Connection failed'
@@ -227,11 +731,19 @@ module.exports = (plugin) => {
    *
    * This function returns immediately and calls back to Lua when the query completes.
    * The callback is invoked via plugin.nvim.call() to the Lua function SSNSAsyncCallback.
+   * The result carries status 'success', 'error' or 'cancelled' (see SSNSCancelQuery).
+   *
+   * With options.stream, rows are not buffered: column metadata, row batches
+   * (options.batchSize rows each) and server messages (PRINT output, notices)
+   * are pushed to handle_stream as they arrive, and each batch waits for
+   * SSNSStreamNext before the next one is produced.
+   * The final callback then carries per-result-set row counts instead of rows.
+   * options.maxRows caps the rows kept per result set in either mode.
    *
    * Usage from Lua:
-   *   vim.fn.SSNSExecuteQueryAsync({config_json, query, callback_id})
+   *   vim.fn.SSNSExecuteQueryAsync({config_json, query, callback_id, options_json})
    *
-   * @param {Array} args - [configJson, query, callbackId]
+   * @param {Array} args - [configJson, query, callbackId, optionsJson?]
    * @returns {Object} { started: true } immediately
    */
   plugin.registerFunction('SSNSExecuteQueryAsync', async (args) => {
@@ -239,6 +751,7 @@ module.exports = (plugin) => {
     const configInput = Array.isArray(args[0]) ? args[0][0] : args[0];
     const query = Array.isArray(args[0]) ? args[0][1] : args[1];
     const callbackId = Array.isArray(args[0]) ? args[0][2] : args[2];
+    const optionsInput = Array.isArray(args[0]) ? args[0][3] : args[3];
 
     if (!configInput || !query || !callbackId) {
       // Return error immediately for missing params
@@ -248,17 +761,57 @@ module.exports = (plugin) => {
       };
     }
 
+    // Track before returning so SSNSCancelQuery can find it immediately
+    const inflight = { driver: null, cancelled: false, pageCredits: 0, resumeStream: null };
+    inflightQueries.set(callbackId, inflight);
+
     // Return immediately - query runs in background
     setImmediate(async () => {
       try {
-        // Parse config from JSON
+        // Parse config and execute options from JSON
         const config = parseConfig(configInput);
+        const options = Object.assign(parseOptions(optionsInput), { requestId: callbackId });
 
         // Get driver for this connection
         const driver = getDriverInstance(config);
+        inflight.driver = driver;
+
+        // Execute query (skipped if cancelled before it could start)
+        let result;
+        if (inflight.cancelled) {
+          const error = driver.cancelledError();
+          result = { resultSets: [], metadata: {}, messages: [], errors: [error], error: error };
+        } else if (options.stream) {
+          result = await driver.withReconnect(() => driver.executeStream(query, {
+            onColumns: (columns, resultSetIndex) => sendStreamEvent(callbackId, {
+              type: 'columns',
+              resultSetIndex: resultSetIndex,
+              columns: columns
+            }),
+            onRows: async (rows, resultSetIndex) => {
+              await sendStreamEvent(callbackId, {
+                type: 'rows',
+                resultSetIndex: resultSetIndex,
+                rows: rows
+              });
+              await waitForNextPage(inflight, callbackId);
+            },
+            onMessage: (message) => sendStreamEvent(callbackId, {
+              type: 'message',
+              message: message
+            })
+          }, options));
+          result.streamed = true;
+        } else {
+          result = await driver.withReconnect(() => driver.execute(query, options));
+        }
 
-        // Execute query
-        const result = await driver.execute(query);
+        if (inflight.cancelled) {
+          result.status = 'cancelled';
+        } else {
+          result.status = result.error ? 'error' : 'success';
+        }
+        inflightQueries.delete(callbackId);
 
         // Call back to Lua with result
         try {
@@ -267,17 +820,21 @@ module.exports = (plugin) => {
             { id: callbackId, result: result }
           ]);
         } catch (callbackErr) {
-          ssnsLog(`[SSNSExecuteQueryAsync] Callback error: ${callbackErr}`);
+          ssnsLog(`[SSNSExecuteQueryAsync] Callback error: ${callbackErr}`, 'error');
         }
 
       } catch (err) {
-        ssnsLog(`[SSNSExecuteQueryAsync] Error: ${err && err.stack ? err.stack : err}`);
+        ssnsLog(`[SSNSExecuteQueryAsync] Error: ${err && err.stack ? err.stack : err}`, 'error');
+        inflightQueries.delete(callbackId);
 
         // Call back to Lua with error
         try {
           const errorResult = {
+            status: 'error',
             resultSets: [],
             metadata: {},
+            messages: [],
+            errors: [],
             error: {
               message: err.message || 'Unknown error occurred',
               code: err.code || null,
@@ -290,7 +847,7 @@ module.exports = (plugin) => {
             { id: callbackId, result: errorResult, err: err.message }
           ]);
         } catch (callbackErr) {
-          ssnsLog(`[SSNSExecuteQueryAsync] Error callback failed: ${callbackErr}`);
+          ssnsLog(`[SSNSExecuteQueryAsync] Error callback failed: ${callbackErr}`, 'error');
         }
       }
     });
@@ -299,6 +856,188 @@ module.exports = (plugin) => {
     return { started: true };
   }, { sync: true });  // sync:true so we can return { started: true } immediately
 
+  /**
+   * SSNSCancelQuery - Abort a query started with SSNSExecuteQueryAsync
+   *
+   * The statement is aborted in the driver (not just ignored), and the pending
+   * async callback is still invoked with status 'cancelled'.
+   *
+   * Usage from Lua:
+   *   vim.fn.SSNSCancelQuery({callback_id})
+   *
+   * @param {Array} args - [callbackId]
+   * @returns {Promise<Object>} { cancelled: boolean }
+   */
+  plugin.registerFunction('SSNSCancelQuery', async (args) => {
+    // Handle double-wrapped array from Neovim
+    const callbackId = Array.isArray(args[0]) ? args[0][0] : args[0];
+
+    const inflight = inflightQueries.get(callbackId);
+    if (!inflight) {
+      return { cancelled: false };
+    }
+
+    inflight.cancelled = true;
+    // Let a streamed query waiting for SSNSStreamNext reach the driver abort
+    resumeStream(inflight);
+    if (inflight.driver) {
+      // Not awaited: the abort may need a new server connection, and this sync
+      // call would block Neovim until it is made
+      inflight.driver.cancel(callbackId).catch((err) => {
+        ssnsLog(`[SSNSCancelQuery] Error: ${err && err.stack ? err.stack : err}`, 'error');
+      });
+    }
+
+    return { cancelled: true };
+  }, { sync: true });
+
+  /**
+   * SSNSStreamNext - Request the next row batch of a streamed async query
+   *
+   * Usage from Lua:
+   *   vim.fn.SSNSStreamNext({callback_id})
+   *
+   * @param {Array} args - [callbackId]
+   * @returns {Object} { resumed: boolean }
+   */
+  plugin.registerFunction('SSNSStreamNext', async (args) => {
+    // Handle double-wrapped array from Neovim
+    const callbackId = Array.isArray(args[0]) ? args[0][0] : args[0];
+
+    const inflight = inflightQueries.get(callbackId);
+    if (!inflight) {
+      return { resumed: false };
+    }
+
+    resumeStream(inflight);
+    return { resumed: true };
+  }, { sync: true });
+
+  /**
+   * SSNSBeginSession - Open a session pinned to one dedicated connection
+   *
+   * Queries run with SSNSExecuteInSession share the connection, so a
+   * transaction can span several calls until SSNSEndSession.
+   *
+   * Usage from Lua:
+   *   vim.fn.SSNSBeginSession({config_json})
+   *
+   * @param {Array} args - [configJson]
+   * @returns {Promise<Object>} { sessionId, state: { transactionCount, inTransaction, failed }, error }
+   */
+  plugin.registerFunction('SSNSBeginSession', async (args) => {
+    try {
+      // Handle double-wrapped array from Neovim
+      const configInput = Array.isArray(args[0]) ? args[0][0] : args[0];
+
+      if (!configInput) {
+        return { sessionId: null, state: null, error: { message: 'Missing required parameter: config' } };
+      }
+
+      const driver = getDriverInstance(parseConfig(configInput));
+      const session = await driver.withReconnect(() => driver.beginSession());
+      const sessionId = String(nextSessionId++);
+      sessions.set(sessionId, { driver: driver, session: session, queue: Promise.resolve() });
+
+      return { sessionId: sessionId, state: await driver.getSessionState(session), error: null };
+
+    } catch (err) {
+      ssnsLog(`[SSNSBeginSession] Error: ${err && err.stack ? err.stack : err}`, 'error');
+      return { sessionId: null, state: null, error: { message: err.message || 'Unknown error occurred' } };
+    }
+  }, { sync: true });
+
+  /**
+   * SSNSExecuteInSession - Execute SQL on a session's connection
+   *
+   * Usage from Lua:
+   *   vim.fn.SSNSExecuteInSession({session_id, query, options_json})
+   *
+   * @param {Array} args - [sessionId, query, optionsJson?] (options as SSNSExecuteQuery, plus params)
+   * @returns {Promise<Object>} Result object with resultSets, metadata, messages, errors, error, plus
+   *   session: { transactionCount, inTransaction, failed } after the query
+   */
+  plugin.registerFunction('SSNSExecuteInSession', async (args) => {
+    try {
+      // Handle double-wrapped array from Neovim
+      const sessionId = Array.isArray(args[0]) ? args[0][0] : args[0];
+      const query = Array.isArray(args[0]) ? args[0][1] : args[1];
+      const optionsInput = Array.isArray(args[0]) ? args[0][2] : args[2];
+
+      const entry = sessions.get(String(sessionId));
+      if (!entry || !query) {
+        return {
+          resultSets: [],
+          metadata: {},
+          messages: [],
+          errors: [],
+          error: {
+            message: entry ? 'Missing required parameter: query' : `Unknown session: ${sessionId}`,
+            code: null,
+            lineNumber: null,
+            procName: null
+          }
+        };
+      }
+
+      const options = Object.assign(parseOptions(optionsInput), { session: entry.session });
+      return await runInSession(entry, async () => {
+        const result = await entry.driver.execute(query, options);
+        result.session = await entry.driver.getSessionState(entry.session);
+        return result;
+      });
+
+    } catch (err) {
+      ssnsLog(`[SSNSExecuteInSession] Error: ${err && err.stack ? err.stack : err}`, 'error');
+      return {
+        resultSets: [],
+        metadata: {},
+        messages: [],
+        errors: [],
+        error: {
+          message: err.message || 'Unknown error occurred',
+          code: err.code || null,
+          lineNumber: err.lineNumber || null,
+          procName: err.procName || null
+        }
+      };
+    }
+  }, { sync: true });
+
+  /**
+   * SSNSEndSession - Commit or roll back a session's transaction and release its connection
+   *
+   * Usage from Lua:
+   *   vim.fn.SSNSEndSession({session_id, 'commit'|'rollback'})
+   *
+   * @param {Array} args - [sessionId, action?] (default: rollback)
+   * @returns {Promise<Object>} { success: boolean, error }
+   */
+  plugin.registerFunction('SSNSEndSession', async (args) => {
+    try {
+      // Handle double-wrapped array from Neovim
+      const sessionId = Array.isArray(args[0]) ? args[0][0] : args[0];
+      const action = (Array.isArray(args[0]) ? args[0][1] : args[1]) || 'rollback';
+
+      if (action !== 'commit' && action !== 'rollback') {
+        return { success: false, error: { message: `Invalid session end action: ${action} (expected commit or rollback)` } };
+      }
+
+      const entry = sessions.get(String(sessionId));
+      if (!entry) {
+        return { success: false, error: { message: `Unknown session: ${sessionId}` } };
+      }
+
+      sessions.delete(String(sessionId));
+      const result = await runInSession(entry, () => entry.driver.endSession(entry.session, action));
+      return { success: !result.error, error: result.error };
+
+    } catch (err) {
+      ssnsLog(`[SSNSEndSession] Error: ${err && err.stack ? err.stack : err}`, 'error');
+      return { success: false, error: { message: err.message || 'Unknown error occurred' } };
+    }
+  }, { sync: true });
+
   /**
    * SSNSCloseConnection - Close database connection
    *
@@ -322,10 +1061,14 @@ module.exports = (plugin) => {
       const key = generateConnectionKey(config);
 
       // Get driver from registry
-      const driver = drivers.get(key);
-      if (driver) {
-        await driver.disconnect();
+      const entry = drivers.get(key);
+      if (entry) {
+        const driver = entry.driver;
+        // Closed on request: not a state change to report
+        driver.onStateChange(null);
         drivers.delete(key);
+        await endDriverSessions(driver);
+        await driver.disconnect();
       }
 
       return { success: true };
@@ -338,7 +1081,21 @@ module.exports = (plugin) => {
   ssnsLog('[index] All functions registered successfully');
 
   } catch (err) {
-    ssnsLog(`[index] ERROR during plugin initialization: ${err && err.stack ? err.stack : err}`);
+    ssnsLog(`[index] ERROR during plugin initialization: ${err && err.stack ? err.stack : err}`, 'error');
     throw err;
   }
 };
+
+// Module internals, exposed for tests
+module.exports.internals = {
+  drivers,
+  retiredDrivers,
+  configFingerprint,
+  getDriverInstance,
+  sweepDrivers,
+  waitForNextPage,
+  resumeStream,
+  DRIVER_IDLE_TIMEOUT_MS,
+  DRIVER_MAX_LIVE,
+  STREAM_PAGE_IDLE_TIMEOUT_MS
+};
@@ -0,0 +1,205 @@
+const BaseDriver = require('../drivers/base');
+
+/**
+ * Driver whose connects and queries are scripted by the test
+ * connectResults: errors to throw from the next connect() calls (null = succeed)
+ * executeResult: () => what execute() resolves to
+ */
+class StubDriver extends BaseDriver {
+  constructor() {
+    super({ type: 'stub', server: {}, auth: {} });
+    this.connectResults = [];
+    this.connectCalls = 0;
+    this.executeResult = () => Promise.resolve({ resultSets: [], error: null });
+    this.executeCalls = [];
+  }
+
+  async connect() {
+    this.connectCalls++;
+    const err = this.connectResults.shift();
+    if (err) {
+      throw err;
+    }
+    this.isConnected = true;
+    this.recordHealthConnected();
+  }
+
+  async disconnect() {
+    this.isConnected = false;
+  }
+
+  async execute(query, options = {}) {
+    this.executeCalls.push({ query, options });
+    return this.executeResult();
+  }
+
+  async getMetadata() { return {}; }
+
+  getType() { return 'stub'; }
+}
+
+/**
+ * Build an error with a code
+ * @param {string} message - Error message
+ * @param {string} [code] - Error code
+ * @returns {Error}
+ */
+function codedError(message, code) {
+  return Object.assign(new Error(message), { code: code });
+}
+
+/**
+ * Build a connected driver recording its state changes
+ * @returns {Promise<StubDriver>} Driver with a states array
+ */
+async function connectedDriver() {
+  const driver = new StubDriver();
+  await driver.connect();
+  driver.states = [];
+  driver.onStateChange(event => driver.states.push(event.state));
+  return driver;
+}
+
+describe('isConnectionError', () => {
+  const driver = new StubDriver();
+
+  test('recognizes socket and dropped-connection codes', () => {
+    expect(driver.isConnectionError(codedError('read ECONNRESET', 'ECONNRESET'))).toBe(true);
+    expect(driver.isConnectionError(codedError('Connection lost: The server closed the connection.', 'PROTOCOL_CONNECTION_LOST'))).toBe(true);
+    expect(driver.isConnectionError({ message: 'Connection is closed.', code: null })).toBe(true);
+  });
+
+  test('does not count query errors', () => {
+    expect(driver.isConnectionError(codedError("Invalid object name 'x'.", 'EREQUEST'))).toBe(false);
+    expect(driver.isConnectionError(null)).toBe(false);
+  });
+});
+
+describe('ping', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('runs SELECT 1 with the ping timeout', async () => {
+    const driver = await connectedDriver();
+    await driver.ping();
+    expect(driver.executeCalls).toEqual([{ query: 'SELECT 1', options: { timeoutMs: 5000 } }]);
+  });
+
+  test('fails with the query error', async () => {
+    const driver = await connectedDriver();
+    driver.executeResult = () => Promise.resolve({ error: { message: 'Connection is closed.' } });
+    await expect(driver.ping()).rejects.toEqual({ message: 'Connection is closed.' });
+  });
+
+  test('times out when the server does not answer', async () => {
+    jest.useFakeTimers();
+    const driver = await connectedDriver();
+    driver.executeResult = () => new Promise(() => {});
+
+    const ping = driver.ping();
+    jest.advanceTimersByTime(5000);
+
+    await expect(ping).rejects.toMatchObject({ code: 'ETIMEDOUT', message: 'Ping timed out after 5000 ms' });
+  });
+});
+
+describe('reconnect', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('connects again and reports the state changes', async () => {
+    const driver = await connectedDriver();
+    await driver.reconnect();
+
+    expect(driver.connectCalls).toBe(2);
+    expect(driver.connectionGeneration).toBe(2);
+    expect(driver.states).toEqual(['reconnecting', 'connected']);
+  });
+
+  test('retries a failed connect once after the backoff', async () => {
+    jest.useFakeTimers();
+    const driver = await connectedDriver();
+    driver.connectResults = [codedError('connect ECONNREFUSED', 'ECONNREFUSED')];
+
+    const reconnect = driver.reconnect();
+    await jest.advanceTimersByTimeAsync(1000);
+    await reconnect;
+
+    expect(driver.connectCalls).toBe(3);
+    expect(driver.isConnected).toBe(true);
+  });
+
+  test('gives up after the second failure', async () => {
+    jest.useFakeTimers();
+    const driver = await connectedDriver();
+    driver.connectResults = [codedError('connect ECONNREFUSED', 'ECONNREFUSED'), codedError('connect ECONNREFUSED', 'ECONNREFUSED')];
+
+    const reconnect = driver.reconnect();
+    const failed = expect(reconnect).rejects.toThrow('connect ECONNREFUSED');
+    await jest.advanceTimersByTimeAsync(1000);
+    await failed;
+
+    expect(driver.getHealth()).toMatchObject({ state: 'error', connected: false, errorCount: 1 });
+  });
+
+  test('shares one attempt between concurrent callers', async () => {
+    const driver = await connectedDriver();
+    await Promise.all([driver.reconnect(), driver.reconnect()]);
+    expect(driver.connectCalls).toBe(2);
+  });
+});
+
+describe('withReconnect', () => {
+  test('returns the result of a working connection', async () => {
+    const driver = await connectedDriver();
+    await expect(driver.withReconnect(() => Promise.resolve('rows'))).resolves.toBe('rows');
+    expect(driver.connectCalls).toBe(1);
+    expect(driver.runningOperations).toBe(0);
+  });
+
+  test('reconnects after a lost connection and rethrows unless told to retry', async () => {
+    const driver = await connectedDriver();
+    const lost = codedError('read ECONNRESET', 'ECONNRESET');
+
+    await expect(driver.withReconnect(() => Promise.reject(lost))).rejects.toBe(lost);
+    expect(driver.connectCalls).toBe(2);
+    expect(driver.isConnected).toBe(true);
+    expect(driver.states).toEqual(['disconnected', 'reconnecting', 'connected']);
+  });
+
+  test('runs a retryable operation again on the new connection', async () => {
+    const driver = await connectedDriver();
+    const work = jest.fn()
+      .mockResolvedValueOnce({ error: { message: 'Connection lost: The server closed the connection.' } })
+      .mockResolvedValueOnce({ error: null });
+
+    await expect(driver.withReconnect(work, { retry: true })).resolves.toEqual({ error: null });
+    expect(work).toHaveBeenCalledTimes(2);
+  });
+
+  test('does not reconnect for query errors', async () => {
+    const driver = await connectedDriver();
+    const err = codedError('Syntax error', 'EREQUEST');
+
+    await expect(driver.withReconnect(() => Promise.reject(err), { retry: true })).rejects.toBe(err);
+    expect(driver.connectCalls).toBe(1);
+  });
+
+  test('pings a connection left idle and reconnects when the ping fails', async () => {
+    const driver = await connectedDriver();
+    driver.lastUsedAt = Date.now() - 61000;
+    driver.executeResult = () => Promise.resolve({ error: { message: 'Connection is closed.' } });
+
+    await expect(driver.withReconnect(() => Promise.resolve('rows'))).resolves.toBe('rows');
+    expect(driver.executeCalls.map(call => call.query)).toEqual(['SELECT 1']);
+    expect(driver.connectCalls).toBe(2);
+  });
+
+  test('does not ping a connection used recently', async () => {
+    const driver = await connectedDriver();
+    await driver.withReconnect(() => Promise.resolve('rows'));
+    expect(driver.executeCalls).toEqual([]);
+  });
+});
@@ -0,0 +1,64 @@
+const { readConnectionOptions, defaultAppName } = require('../drivers/connection-options');
+
+describe('readConnectionOptions', () => {
+  test('fills defaults when nothing is set', () => {
+    expect(readConnectionOptions({})).toEqual({
+      pool: {
+        min: null,
+        max: 10,
+        idleTimeoutMs: 30000,
+        acquireTimeoutMs: 30000,
+        connectTimeoutMs: 15000,
+        keepAlive: true
+      },
+      socket: {
+        packetSize: null,
+        keepAliveDelayMs: null,
+        appName: defaultAppName()
+      }
+    });
+  });
+
+  test('treats empty Lua tables as unset', () => {
+    expect(readConnectionOptions({ options: { pool: [], socket: [] } }).pool.max).toBe(10);
+  });
+
+  test('reads the given settings', () => {
+    const { pool, socket } = readConnectionOptions({
+      options: {
+        pool: { min: 2, max: 4, idle_timeout_ms: 1000, acquire_timeout_ms: 2000, connect_timeout_ms: 3000, keepalive: false },
+        socket: { packet_size: 8192, keepalive_delay_ms: 0, app_name: 'reports' }
+      }
+    });
+    expect(pool).toEqual({
+      min: 2,
+      max: 4,
+      idleTimeoutMs: 1000,
+      acquireTimeoutMs: 2000,
+      connectTimeoutMs: 3000,
+      keepAlive: false
+    });
+    expect(socket).toEqual({ packetSize: 8192, keepAliveDelayMs: 0, appName: 'reports' });
+  });
+
+  test('rejects zero timeouts', () => {
+    for (const name of ['idle_timeout_ms', 'acquire_timeout_ms', 'connect_timeout_ms']) {
+      expect(() => readConnectionOptions({ options: { pool: { [name]: 0 } } }))
+        .toThrow(`Invalid config.options.pool.${name}: expected an integer >= 1, got 0`);
+    }
+  });
+
+  test('rejects values of the wrong type or range', () => {
+    expect(() => readConnectionOptions({ options: { pool: { max: 0 } } })).toThrow('pool.max');
+    expect(() => readConnectionOptions({ options: { pool: { max: '5' } } })).toThrow('pool.max');
+    expect(() => readConnectionOptions({ options: { pool: { min: 5, max: 2 } } })).toThrow('min (5) is larger than max (2)');
+    expect(() => readConnectionOptions({ options: { pool: { keepalive: 1 } } })).toThrow('pool.keepalive');
+    expect(() => readConnectionOptions({ options: { socket: { packet_size: 100 } } })).toThrow('from 512 to 32767');
+    expect(() => readConnectionOptions({ options: { socket: { app_name: ' ' } } })).toThrow('socket.app_name');
+  });
+
+  test('rejects unknown keys and malformed blocks', () => {
+    expect(() => readConnectionOptions({ options: { pool: { maximum: 5 } } })).toThrow('Unknown config.options.pool setting: maximum');
+    expect(() => readConnectionOptions({ options: { socket: 'fast' } })).toThrow('expected a table of settings');
+  });
+});
@@ -0,0 +1,27 @@
+const { lineColumnAt, statementOffsets, findNearText } = require('../drivers/errors');
+
+describe('lineColumnAt', () => {
+  test('converts an offset into a 1-based line and column', () => {
+    expect(lineColumnAt('SELECT 1;\nSELECT x', 17)).toEqual({ lineNumber: 2, column: 8 });
+  });
+});
+
+describe('statementOffsets', () => {
+  test('splits at semicolons outside strings and comments', () => {
+    const sql = "SELECT ';';\n-- a; b\nSELECT 2;  ";
+    expect(statementOffsets(sql)).toEqual([0, 20]);
+  });
+
+  test('honors backslash escapes when asked (MySQL)', () => {
+    const sql = "SELECT 'a\\';b'; SELECT 2";
+    expect(statementOffsets(sql)).toEqual([0, 12]);
+    expect(statementOffsets(sql, { backslashEscapes: true })).toEqual([0, 16]);
+  });
+});
+
+describe('findNearText', () => {
+  test('locates the text quoted by the error message', () => {
+    const sql = 'SELECT 1;\nSELEC 2';
+    expect(findNearText(sql, 10, "You have an error in your SQL syntax near 'SELEC 2' at line 1")).toBe(10);
+  });
+});
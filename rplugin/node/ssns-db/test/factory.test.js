@@ -0,0 +1,174 @@
+// Modules mocked by the current test
+const mocked = [];
+
+/**
+ * Load a fresh factory (the registry is module state)
+ * Drivers are required lazily, so modules are reset rather than isolated:
+ * later requires must see the same BaseDriver as the factory.
+ * @param {Object} [mocks] - Module name => jest.doMock factory
+ * @returns {Object} Factory module
+ */
+function loadFactory(mocks = {}) {
+  jest.resetModules();
+  for (const [name, mockFactory] of Object.entries(mocks)) {
+    jest.doMock(name, mockFactory);
+    mocked.push(name);
+  }
+  return require('../drivers/factory');
+}
+
+// better-sqlite3 as installed without its compiled binding: require() works,
+// opening a database throws
+const missingBinding = () => class Database {
+  constructor() {
+    throw new Error('Could not locate the bindings file. Tried:\n → build/better_sqlite3.node');
+  }
+};
+
+afterEach(() => {
+  mocked.splice(0).forEach(name => jest.dontMock(name));
+});
+
+describe('SQLite engine selection', () => {
+  test('falls back to sql.js when the better-sqlite3 binding does not load', () => {
+    const factory = loadFactory({ 'better-sqlite3': missingBinding });
+    const driver = factory.getDriver({ type: 'sqlite', server: { database: ':memory:' }, options: { sqlite_engine: 'native' } });
+
+    expect(driver.constructor.name).toBe('SQLiteDriver');
+  });
+
+  test('rejects an unknown engine', () => {
+    const factory = loadFactory();
+    expect(() => factory.getDriver({ type: 'sqlite', server: {}, options: { sqlite_engine: 'wasm' } }))
+      .toThrow('Invalid sqlite_engine: wasm');
+  });
+});
+
+describe('getDriverStatus', () => {
+  test('reports an optional module whose binding fails to load as unavailable, with the reason', () => {
+    const factory = loadFactory({ 'better-sqlite3': missingBinding });
+    const sqlite = factory.getDriverStatus().drivers.find(driver => driver.type === 'sqlite');
+
+    expect(sqlite.state).toBe('loaded');
+    expect(sqlite.dependencies).toEqual([{
+      module: 'better-sqlite3',
+      usedFor: expect.any(String),
+      available: false,
+      error: 'Could not locate the bindings file. Tried:'
+    }]);
+  });
+
+  test('reports a driver whose package is missing as unavailable, naming the package', () => {
+    const factory = loadFactory({
+      'mysql2/promise': () => {
+        const err = new Error("Cannot find module 'mysql2/promise'");
+        err.code = 'MODULE_NOT_FOUND';
+        throw err;
+      }
+    });
+    const mysql = factory.getDriverStatus().drivers.find(driver => driver.type === 'mysql');
+
+    expect(mysql).toMatchObject({ state: 'unavailable', moduleName: 'mysql2' });
+    expect(mysql.error).toContain('npm install mysql2');
+  });
+});
+
+/**
+ * Build a driver class implementing every required method
+ * @param {Function} BaseDriver - BaseDriver of the loaded factory
+ * @returns {Function} Driver class
+ */
+function stubDriverClass(BaseDriver) {
+  return class StubDriver extends BaseDriver {
+    async connect() {}
+    async disconnect() {}
+    async execute() { return { resultSets: [] }; }
+    async getMetadata() { return {}; }
+    getType() { return 'stub'; }
+  };
+}
+
+describe('driver registry', () => {
+  test('accepts built-in aliases in any case', () => {
+    const factory = loadFactory();
+
+    expect(factory.isSupported('MSSQL')).toBe(true);
+    expect(factory.isSupported('postgresql')).toBe(true);
+    expect(factory.isSupported('oracle')).toBe(false);
+    expect(factory.getSupportedTypes()).toEqual(['sqlserver', 'mysql', 'sqlite', 'postgres']);
+  });
+
+  test('creates registered drivers by type or alias', () => {
+    const factory = loadFactory();
+    const StubDriver = stubDriverClass(require('../drivers/base'));
+    factory.registerDriver('Stub', ['stubdb'], StubDriver, { source: 'test' });
+
+    expect(factory.getDriver({ type: 'STUBDB' })).toBeInstanceOf(StubDriver);
+    expect(factory.getDriverInfo().types).toContainEqual({ type: 'stub', aliases: ['stubdb'], source: 'test' });
+  });
+
+  test('refuses an alias owned by another type', () => {
+    const factory = loadFactory();
+    const StubDriver = stubDriverClass(require('../drivers/base'));
+
+    expect(() => factory.registerDriver('stub', ['mssql'], StubDriver))
+      .toThrow('Driver name mssql is already registered for sqlserver');
+    expect(factory.isSupported('stub')).toBe(false);
+  });
+
+  test('rejects classes that do not extend BaseDriver', () => {
+    const factory = loadFactory();
+    expect(() => factory.registerDriver('stub', [], class {})).toThrow('Driver for stub must be a class extending BaseDriver');
+  });
+
+  test('rejects classes leaving required methods out', () => {
+    const factory = loadFactory();
+    const BaseDriver = require('../drivers/base');
+    const Partial = class extends BaseDriver {
+      async connect() {}
+      async execute() {}
+    };
+
+    expect(() => factory.registerDriver('stub', [], Partial))
+      .toThrow('Driver for stub does not implement: disconnect, getMetadata, getType');
+  });
+
+  test('requires built-in drivers on first use only', () => {
+    const load = jest.fn();
+    const factory = loadFactory({
+      '../drivers/mysql': () => {
+        load();
+        return stubDriverClass(require('../drivers/base'));
+      }
+    });
+
+    expect(factory.isSupported('mysql')).toBe(true);
+    factory.getDriverInfo();
+    expect(load).not.toHaveBeenCalled();
+
+    factory.getDriver({ type: 'mysql' });
+    factory.getDriver({ type: 'mysql' });
+    expect(load).toHaveBeenCalledTimes(1);
+  });
+
+  test('raises EDRIVERUNAVAILABLE naming the missing package', () => {
+    const factory = loadFactory({
+      pg: () => {
+        const err = new Error("Cannot find module 'pg'");
+        err.code = 'MODULE_NOT_FOUND';
+        throw err;
+      }
+    });
+
+    let error = null;
+    try {
+      factory.getDriver({ type: 'postgresql' });
+    } catch (err) {
+      error = err;
+    }
+    expect(error).toMatchObject({ code: 'EDRIVERUNAVAILABLE', driverType: 'postgres', moduleName: 'pg' });
+    expect(error.message).toContain('npm install pg');
+    // Other types still work
+    expect(factory.getDriver({ type: 'sqlite', server: {} }).constructor.name).toBe('SQLiteDriver');
+  });
+});
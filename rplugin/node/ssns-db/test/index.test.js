@@ -0,0 +1,174 @@
+const { internals } = require('../index');
+const BaseDriver = require('../drivers/base');
+const DriverFactory = require('../drivers/factory');
+
+// Driver whose disconnect() is recorded, registered as type 'stub'
+class StubDriver extends BaseDriver {
+  constructor(config) {
+    super(config);
+    // Per instance, so each driver's closing can be checked
+    this.disconnect = jest.fn(() => Promise.resolve());
+  }
+
+  async connect() {}
+  async disconnect() {}
+  async execute() { return { resultSets: [] }; }
+  async getMetadata() { return {}; }
+  getType() { return 'stub'; }
+}
+
+DriverFactory.registerDriver('stub', [], StubDriver, { source: 'test' });
+
+/**
+ * Build a stub connection config
+ * @param {string} host - Server host (part of the connection key)
+ * @param {Object} [auth] - Auth settings
+ * @returns {Object}
+ */
+function stubConfig(host, auth = { type: 'sql', username: 'sa', password: 'one' }) {
+  return { type: 'stub', server: { host: host, database: 'db' }, auth: auth, options: {} };
+}
+
+/**
+ * Build an inflightQueries entry whose driver records cancel() calls
+ * @returns {Object}
+ */
+function inflightEntry() {
+  return {
+    driver: { cancel: jest.fn(() => Promise.resolve(true)) },
+    cancelled: false,
+    pageCredits: 0,
+    resumeStream: null
+  };
+}
+
+describe('streamed query paging', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('a page request banked before the wait is used right away', async () => {
+    const inflight = inflightEntry();
+    internals.resumeStream(inflight);
+
+    await expect(internals.waitForNextPage(inflight, 'rpc_1')).resolves.toBeUndefined();
+    expect(inflight.pageCredits).toBe(0);
+  });
+
+  test('SSNSStreamNext releases a waiting stream', async () => {
+    const inflight = inflightEntry();
+    const wait = internals.waitForNextPage(inflight, 'rpc_1');
+
+    internals.resumeStream(inflight);
+    await expect(wait).resolves.toBeUndefined();
+
+    jest.advanceTimersByTime(internals.STREAM_PAGE_IDLE_TIMEOUT_MS);
+    expect(inflight.driver.cancel).not.toHaveBeenCalled();
+  });
+
+  test('an abandoned stream is cancelled after the idle timeout', async () => {
+    const inflight = inflightEntry();
+    const wait = internals.waitForNextPage(inflight, 'rpc_1');
+
+    jest.advanceTimersByTime(internals.STREAM_PAGE_IDLE_TIMEOUT_MS);
+
+    await expect(wait).rejects.toThrow('stream cancelled');
+    expect(inflight.cancelled).toBe(true);
+    expect(inflight.resumeStream).toBeNull();
+    expect(inflight.driver.cancel).toHaveBeenCalledWith('rpc_1');
+  });
+});
+
+describe('configFingerprint', () => {
+  test('ignores key order', () => {
+    const config = stubConfig('a');
+    const reordered = { options: {}, auth: { password: 'one', username: 'sa', type: 'sql' }, server: { database: 'db', host: 'a' }, type: 'stub' };
+    expect(internals.configFingerprint(reordered)).toBe(internals.configFingerprint(config));
+  });
+
+  test('changes with fields the connection key leaves out', () => {
+    const config = stubConfig('a');
+    const fingerprint = internals.configFingerprint(config);
+
+    expect(internals.configFingerprint(stubConfig('a', { type: 'sql', username: 'sa', password: 'two' }))).not.toBe(fingerprint);
+    expect(internals.configFingerprint(Object.assign({}, config, { options: { ssl: true } }))).not.toBe(fingerprint);
+  });
+});
+
+describe('driver cache', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+    internals.drivers.clear();
+    internals.retiredDrivers.clear();
+  });
+
+  test('reuses the driver of an unchanged config', () => {
+    const driver = internals.getDriverInstance(stubConfig('a'));
+    expect(internals.getDriverInstance(stubConfig('a'))).toBe(driver);
+    expect(internals.drivers.size).toBe(1);
+  });
+
+  test('retires the driver when its config changes', () => {
+    const driver = internals.getDriverInstance(stubConfig('a'));
+    const replacement = internals.getDriverInstance(stubConfig('a', { type: 'sql', username: 'sa', password: 'two' }));
+
+    expect(replacement).not.toBe(driver);
+    expect(driver.disconnect).toHaveBeenCalledTimes(1);
+    expect(driver.stateListener).toBeNull();
+    expect(internals.drivers.size).toBe(1);
+  });
+
+  test('keeps a retired driver open until its running query ends', () => {
+    const driver = internals.getDriverInstance(stubConfig('a'));
+    driver.activeRequests.set('rpc_1', () => {});
+    internals.getDriverInstance(stubConfig('a', { type: 'sql', username: 'sa', password: 'two' }));
+    expect(driver.disconnect).not.toHaveBeenCalled();
+
+    driver.activeRequests.clear();
+    internals.sweepDrivers();
+    expect(driver.disconnect).toHaveBeenCalledTimes(1);
+    expect(internals.retiredDrivers.size).toBe(0);
+  });
+
+  test('closes the least recently used idle driver beyond the cap', () => {
+    const opened = [];
+    for (let i = 0; i < internals.DRIVER_MAX_LIVE; i++) {
+      opened.push(internals.getDriverInstance(stubConfig(`host${i}`)));
+    }
+    // Using the first driver again makes the second the least recently used;
+    // the third is busy, so the fourth is closed next
+    internals.getDriverInstance(stubConfig('host0'));
+    opened[2].runningOperations = 1;
+
+    internals.getDriverInstance(stubConfig('extra1'));
+    expect(opened[1].disconnect).toHaveBeenCalledTimes(1);
+    expect(opened[0].disconnect).not.toHaveBeenCalled();
+
+    internals.getDriverInstance(stubConfig('extra2'));
+    expect(opened[2].disconnect).not.toHaveBeenCalled();
+    expect(opened[3].disconnect).toHaveBeenCalledTimes(1);
+    expect(internals.drivers.size).toBe(internals.DRIVER_MAX_LIVE);
+  });
+
+  test('closes drivers left idle for the idle timeout', () => {
+    jest.useFakeTimers();
+    const idle = internals.getDriverInstance(stubConfig('a'));
+    const busy = internals.getDriverInstance(stubConfig('b'));
+    const recent = internals.getDriverInstance(stubConfig('c'));
+    busy.activeRequests.set('rpc_1', () => {});
+
+    jest.advanceTimersByTime(internals.DRIVER_IDLE_TIMEOUT_MS - 1000);
+    recent.lastUsedAt = Date.now();
+    jest.advanceTimersByTime(1000);
+    internals.sweepDrivers();
+
+    expect(idle.disconnect).toHaveBeenCalledTimes(1);
+    expect(busy.disconnect).not.toHaveBeenCalled();
+    expect(recent.disconnect).not.toHaveBeenCalled();
+    expect(Array.from(internals.drivers.keys())).toEqual(['stub:b:db:sql:sa', 'stub:c:db:sql:sa']);
+  });
+});
@@ -0,0 +1,218 @@
+const {
+  buildMetadata,
+  groupIndexRows,
+  groupConstraintRows,
+  buildParameter,
+  schemaFingerprint,
+  buildSnapshot,
+  unchangedSnapshot
+} = require('../drivers/metadata');
+const SqlServerDriver = require('../drivers/sqlserver');
+
+describe('buildMetadata', () => {
+  test('fills every part not given with an empty value', () => {
+    expect(buildMetadata('procedure', '', 'usp_run')).toEqual({
+      objectType: 'procedure',
+      schema: null,
+      name: 'usp_run',
+      columns: [],
+      indexes: [],
+      constraints: [],
+      parameters: [],
+      returnType: null,
+      definition: null
+    });
+  });
+
+  test('keeps the parts given', () => {
+    const columns = [{ name: 'id' }];
+    const metadata = buildMetadata('function', 'dbo', 'fn_total', { columns: columns, returnType: 'int', definition: 'RETURN 1' });
+    expect(metadata).toMatchObject({ schema: 'dbo', columns: columns, returnType: 'int', definition: 'RETURN 1' });
+  });
+});
+
+describe('groupIndexRows', () => {
+  test('collects the columns of each index in row order', () => {
+    const indexes = groupIndexRows([
+      { indexName: 'PK_t', columnName: 'id', isUnique: 1, isPrimary: 1, isClustered: 1, indexType: 'CLUSTERED' },
+      { indexName: 'IX_t_name', columnName: 'last', isUnique: 0, isPrimary: 0, isClustered: 0 },
+      { indexName: 'IX_t_name', columnName: 'first' }
+    ]);
+
+    expect(indexes).toEqual([
+      { name: 'PK_t', columns: ['id'], isUnique: true, isPrimary: true, isClustered: true, indexType: 'CLUSTERED' },
+      { name: 'IX_t_name', columns: ['last', 'first'], isUnique: false, isPrimary: false, isClustered: false, indexType: null }
+    ]);
+  });
+
+  test('keeps expression indexes without named columns', () => {
+    expect(groupIndexRows([{ indexName: 'ix_lower', columnName: null }])[0].columns).toEqual([]);
+  });
+});
+
+describe('groupConstraintRows', () => {
+  test('pairs foreign key columns with the columns they reference', () => {
+    const [constraint] = groupConstraintRows([
+      { constraintName: 'FK_line_order', constraintType: 'FOREIGN KEY', columnName: 'order_id', referencedSchema: 'sales', referencedTable: 'orders', referencedColumn: 'id' },
+      { constraintName: 'FK_line_order', constraintType: 'FOREIGN KEY', columnName: 'order_rev', referencedSchema: 'sales', referencedTable: 'orders', referencedColumn: 'rev' }
+    ]);
+
+    expect(constraint).toEqual({
+      name: 'FK_line_order',
+      type: 'FOREIGN KEY',
+      columns: ['order_id', 'order_rev'],
+      referencedSchema: 'sales',
+      referencedTable: 'orders',
+      referencedColumns: ['id', 'rev'],
+      checkClause: null
+    });
+  });
+
+  test('leaves references out of other constraint types', () => {
+    const constraints = groupConstraintRows([
+      { constraintName: 'PK_t', constraintType: 'PRIMARY KEY', columnName: 'id', referencedTable: 'ignored' },
+      { constraintName: 'CK_t_qty', constraintType: 'CHECK', columnName: null, checkClause: '([qty]>(0))' }
+    ]);
+
+    expect(constraints).toEqual([
+      { name: 'PK_t', type: 'PRIMARY KEY', columns: ['id'], referencedSchema: null, referencedTable: null, referencedColumns: null, checkClause: null },
+      { name: 'CK_t_qty', type: 'CHECK', columns: [], referencedSchema: null, referencedTable: null, referencedColumns: null, checkClause: '([qty]>(0))' }
+    ]);
+  });
+});
+
+describe('buildParameter', () => {
+  test('defaults to an IN parameter without a default', () => {
+    expect(buildParameter({ name: '@id', type: 'int' })).toEqual({
+      name: '@id',
+      type: 'int',
+      direction: 'IN',
+      defaultValue: null,
+      hasDefault: false,
+      ordinalPosition: null,
+      maxLength: null,
+      precision: null,
+      scale: null
+    });
+  });
+
+  test('normalizes the direction', () => {
+    expect(buildParameter({ name: 'a', direction: 'inout' }).direction).toBe('INOUT');
+    expect(buildParameter({ name: 'a', direction: 'out' }).direction).toBe('OUT');
+    expect(buildParameter({ name: 'a', direction: 'VARIADIC' }).direction).toBe('IN');
+  });
+
+  test('derives hasDefault from the default unless given', () => {
+    expect(buildParameter({ name: 'a', defaultValue: '0' }).hasDefault).toBe(true);
+    // A catalog may say a default exists without giving its value
+    expect(buildParameter({ name: 'a', hasDefault: 1 })).toMatchObject({ hasDefault: true, defaultValue: null });
+  });
+});
+
+describe('schemaFingerprint', () => {
+  test('is stable for equal catalog values and changes with any of them', () => {
+    const modified = new Date('2024-05-01T10:00:00Z');
+    const fingerprint = schemaFingerprint([12, modified, 'abc']);
+
+    expect(fingerprint).toMatch(/^[0-9a-f]{16}$/);
+    expect(schemaFingerprint([12, new Date(modified.getTime()), 'abc'])).toBe(fingerprint);
+    expect(schemaFingerprint([13, modified, 'abc'])).not.toBe(fingerprint);
+    expect(schemaFingerprint([12, new Date('2024-05-01T10:00:01Z'), 'abc'])).not.toBe(fingerprint);
+  });
+});
+
+describe('buildSnapshot', () => {
+  test('attaches columns and keys to their relations', () => {
+    const snapshot = buildSnapshot('shop', 'f1', {
+      relations: [
+        { schema: 'dbo', name: 'orders', type: 'table' },
+        { schema: 'dbo', name: 'lines', type: 'table' },
+        { schema: 'dbo', name: 'open_orders', type: 'view' }
+      ],
+      columns: [
+        { schema: 'dbo', table: 'orders', name: 'id', type: 'int', nullable: 0 },
+        { schema: 'dbo', table: 'lines', name: 'order_id', type: 'int', nullable: 'NO' },
+        { schema: 'dbo', table: 'lines', name: 'note', type: 'text', nullable: 'YES' },
+        { schema: 'dbo', table: 'open_orders', name: 'id', type: 'int', nullable: true },
+        { schema: 'other', table: 'orders', name: 'ignored', type: 'int', nullable: true }
+      ],
+      keys: [
+        { schema: 'dbo', table: 'orders', constraintName: 'PK_orders', constraintType: 'PRIMARY KEY', columnName: 'id' },
+        { schema: 'dbo', table: 'lines', constraintName: 'FK_lines_orders', constraintType: 'FOREIGN KEY', columnName: 'order_id',
+          referencedSchema: 'dbo', referencedTable: 'orders', referencedColumn: 'id' }
+      ]
+    });
+
+    expect(snapshot).toMatchObject({ database: 'shop', fingerprint: 'f1', unchanged: false, routines: [], synonyms: [] });
+    expect(snapshot.tables).toEqual([
+      {
+        schema: 'dbo', name: 'orders', type: 'table',
+        columns: [{ name: 'id', type: 'int', nullable: false }],
+        primaryKey: ['id'],
+        foreignKeys: []
+      },
+      {
+        schema: 'dbo', name: 'lines', type: 'table',
+        columns: [{ name: 'order_id', type: 'int', nullable: false }, { name: 'note', type: 'text', nullable: true }],
+        primaryKey: null,
+        foreignKeys: [{ name: 'FK_lines_orders', columns: ['order_id'], referencedSchema: 'dbo', referencedTable: 'orders', referencedColumns: ['id'] }]
+      },
+      {
+        schema: 'dbo', name: 'open_orders', type: 'view',
+        columns: [{ name: 'id', type: 'int', nullable: true }],
+        primaryKey: null,
+        foreignKeys: []
+      }
+    ]);
+  });
+
+  test('lists routines and synonyms', () => {
+    const snapshot = buildSnapshot(null, 'f1', {
+      relations: [],
+      columns: [],
+      routines: [{ schema: 'dbo', name: 'usp_run', type: 'procedure' }, { schema: 'dbo', name: 'fn_total', type: 'function', returnType: 'int' }],
+      synonyms: [{ schema: 'dbo', name: 'customers', target: '[crm].[dbo].[customers]' }]
+    });
+
+    expect(snapshot.routines).toEqual([
+      { schema: 'dbo', name: 'usp_run', type: 'procedure', returnType: null },
+      { schema: 'dbo', name: 'fn_total', type: 'function', returnType: 'int' }
+    ]);
+    expect(snapshot.synonyms).toEqual([{ schema: 'dbo', name: 'customers', target: '[crm].[dbo].[customers]' }]);
+  });
+});
+
+describe('unchangedSnapshot', () => {
+  test('only carries the database and fingerprint', () => {
+    expect(unchangedSnapshot('shop', 'f1')).toEqual({ database: 'shop', fingerprint: 'f1', unchanged: true });
+  });
+});
+
+describe('SqlServerDriver.parseParameterDefaults', () => {
+  const driver = new SqlServerDriver({
+    type: 'sqlserver',
+    server: { host: 'localhost' },
+    auth: { type: 'sql', username: 'sa', password: 'secret' }
+  });
+
+  test('reads defaults from a procedure header', () => {
+    const defaults = driver.parseParameterDefaults(
+      "CREATE PROCEDURE dbo.usp_find @Name nvarchar(50) = N'a, b', @Limit int = 10 OUTPUT, @Flag AS bit\nAS\nSELECT @Limit = 1"
+    );
+    expect(Array.from(defaults)).toEqual([['@name', "N'a, b'"], ['@limit', '10']]);
+  });
+
+  test('reads defaults from a function parameter list', () => {
+    const defaults = driver.parseParameterDefaults(
+      'CREATE FUNCTION dbo.fn_pad (@Text varchar(10), @Width int = (2 * 4)) RETURNS varchar(20) AS BEGIN RETURN @Text END'
+    );
+    expect(Array.from(defaults)).toEqual([['@width', '(2 * 4)']]);
+  });
+
+  test('ignores parameters named in comments and the body', () => {
+    const defaults = driver.parseParameterDefaults(
+      'CREATE PROC p -- @Hidden int = 1\n  @Id int\nWITH RECOMPILE AS DECLARE @Local int = 5'
+    );
+    expect(defaults.size).toBe(0);
+  });
+});
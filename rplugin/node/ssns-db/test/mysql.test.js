@@ -0,0 +1,124 @@
+const MySQLDriver = require('../drivers/mysql');
+
+/**
+ * Build a driver that is never connected
+ * @returns {MySQLDriver}
+ */
+function createDriver() {
+  return new MySQLDriver({
+    type: 'mysql',
+    server: { host: 'localhost', database: 'shop' },
+    auth: { username: 'app', password: 'secret' }
+  });
+}
+
+describe('MySQLDriver result columns', () => {
+  test('reads nullability, source column and keys from the field flags', () => {
+    const columns = createDriver().formatColumns([
+      // NOT_NULL | PRI_KEY | AUTO_INCREMENT
+      { name: 'id', type: 3, flags: 1 | 2 | 512, schema: 'shop', table: 'o', orgTable: 'orders', orgName: 'id' },
+      // UNIQUE_KEY
+      { name: 'ref', type: 253, flags: 4, schema: 'shop', table: 'o', orgTable: 'orders', orgName: 'reference' },
+      { name: 'total', type: 246, flags: 0, schema: '', table: '', orgTable: '', orgName: '' }
+    ]);
+
+    expect(columns.id).toMatchObject({
+      type: 'long',
+      nullable: false,
+      sourceSchema: 'shop',
+      sourceTable: 'orders',
+      sourceColumn: 'id',
+      isPrimaryKey: true,
+      isUnique: false,
+      identity: true
+    });
+    expect(columns.ref).toMatchObject({ nullable: true, sourceColumn: 'reference', isPrimaryKey: false, isUnique: true, identity: false });
+    expect(columns.total).toMatchObject({
+      type: 'newdecimal',
+      nullable: true,
+      sourceSchema: null,
+      sourceTable: null,
+      sourceColumn: null,
+      isPrimaryKey: null,
+      isUnique: null
+    });
+  });
+});
+
+describe('MySQLDriver warnings', () => {
+  const warningRows = [
+    { Level: 'Warning', Code: 1265, Message: "Data truncated for column 'name' at row 1" },
+    { Level: 'Note', Code: 1051, Message: "Unknown table 'shop.tmp'" }
+  ];
+
+  /**
+   * Build a connection whose SHOW WARNINGS returns the given rows
+   * @param {Array<Object>|Error} rows - Rows, or an error to reject with
+   * @returns {Object} { query: jest.fn }
+   */
+  function warningConnection(rows) {
+    return {
+      query: jest.fn(() => (rows instanceof Error ? Promise.reject(rows) : Promise.resolve([rows, []])))
+    };
+  }
+
+  test('skips SHOW WARNINGS when every statement reported no warnings', async () => {
+    const connection = warningConnection(warningRows);
+    const messages = await createDriver().fetchWarnings(connection, [{ warningStatus: 0 }, { warningStatus: 0 }], 2);
+
+    expect(messages).toEqual([]);
+    expect(connection.query).not.toHaveBeenCalled();
+  });
+
+  test('reads warnings and notes with their severity and code', async () => {
+    const connection = warningConnection(warningRows);
+    const messages = await createDriver().fetchWarnings(connection, [{ warningStatus: 1 }], 1);
+
+    expect(connection.query).toHaveBeenCalledWith('SHOW WARNINGS');
+    expect(messages).toEqual([
+      { text: "Data truncated for column 'name' at row 1 (1265)", severity: 'warning', lineNumber: null, procName: null, timestamp: expect.any(String) },
+      { text: "Unknown table 'shop.tmp' (1051)", severity: 'info', lineNumber: null, procName: null, timestamp: expect.any(String) }
+    ]);
+  });
+
+  test('asks when a statement returned a result set, whose warning count is unknown', async () => {
+    const connection = warningConnection([]);
+    await createDriver().fetchWarnings(connection, [], 1);
+    expect(connection.query).toHaveBeenCalledTimes(1);
+  });
+
+  test('ignores a failure to read the warnings', async () => {
+    const connection = warningConnection(new Error('Connection lost'));
+    await expect(createDriver().fetchWarnings(connection, [{ warningStatus: 2 }], 1)).resolves.toEqual([]);
+  });
+});
+
+describe('MySQLDriver error positions', () => {
+  const syntaxError = (statementIndex, near) => Object.assign(
+    new Error(`You have an error in your SQL syntax; check the manual that corresponds to your MySQL server version for the right syntax to use near '${near}' at line 1`),
+    { errno: 1064, code: 'ER_PARSE_ERROR', sqlState: '42000', statementIndex: statementIndex }
+  );
+
+  test('finds the quoted text inside the failing statement', () => {
+    const query = "SELECT 'FORM t';\nSELECT id\n  FORM t";
+    const error = createDriver().formatError(syntaxError(1, 'FORM t'), {}, query);
+
+    expect(error).toMatchObject({ code: 1064, state: '42000', lineNumber: 3, column: 3 });
+  });
+
+  test('skips statement separators inside backslash-escaped strings', () => {
+    const query = "SELECT 'it\\'s; fine';\nSELEC 1";
+    expect(createDriver().getErrorPosition(syntaxError(1, 'SELEC 1'), query)).toEqual({ lineNumber: 2, column: 1 });
+  });
+
+  test('offsets the reported line by where the statement starts', () => {
+    const query = 'SELECT 1;\nCALL load_orders()';
+    const err = Object.assign(new Error("Unknown column 'x' in 'field list' at line 4"), { statementIndex: 1 });
+    expect(createDriver().getErrorPosition(err, query)).toEqual({ lineNumber: 5, column: null });
+  });
+
+  test('has no position for errors not tied to a statement', () => {
+    const err = Object.assign(new Error('Access denied'), { errno: 1045 });
+    expect(createDriver().getErrorPosition(err, 'SELECT 1')).toEqual({ lineNumber: null, column: null });
+  });
+});
@@ -0,0 +1,79 @@
+const { maskSql, replaceNamedPlaceholders, countPositionalPlaceholders, normalizeParams } = require('../drivers/params');
+
+const toDollar = (indexes) => (name) => (indexes[name] ? `$${indexes[name]}` : null);
+
+describe('maskSql', () => {
+  test('keeps the length of the text', () => {
+    const sql = "SELECT 'a;b' -- c\n/* d */ FROM t";
+    expect(maskSql(sql)).toHaveLength(sql.length);
+  });
+
+  test('blanks strings, identifiers and comments but keeps newlines', () => {
+    const masked = maskSql("SELECT 'x', \"y\", `z` -- note\nFROM t /* a /* nested */ b */");
+    expect(masked).not.toMatch(/[xyz]|note|nested/);
+    expect(masked).toContain('\nFROM t');
+  });
+
+  test('blanks dollar-quoted bodies', () => {
+    expect(maskSql('SELECT $body$ :id $body$, :other')).toMatch(/^SELECT\s+, :other$/);
+  });
+
+  test('blanks [identifiers] only when asked', () => {
+    expect(maskSql('SELECT [a b]')).toContain('[a b]');
+    expect(maskSql('SELECT [a b]', { brackets: true })).not.toContain('a b');
+  });
+
+  test('reads backslash as an escape only in E strings by default', () => {
+    expect(maskSql("SELECT E'a\\'b', :id")).toMatch(/, :id$/);
+    expect(maskSql("SELECT 'a\\', :id")).toMatch(/, :id$/);
+  });
+
+  test('reads backslash as an escape in every string with backslashEscapes', () => {
+    const options = { backslashEscapes: true };
+    expect(maskSql("SELECT 'a\\'b', :id", options)).toMatch(/, :id$/);
+    expect(maskSql('SELECT "a\\"b", :id', options)).toMatch(/, :id$/);
+  });
+});
+
+describe('replaceNamedPlaceholders', () => {
+  test('replaces placeholders outside strings and comments', () => {
+    const sql = "SELECT :id, ':id' -- :id\nWHERE x = :name";
+    expect(replaceNamedPlaceholders(sql, ':', toDollar({ id: 1, name: 2 })))
+      .toBe("SELECT $1, ':id' -- :id\nWHERE x = $2");
+  });
+
+  test('leaves casts, slices and unknown names alone', () => {
+    const sql = 'SELECT :id::int, arr[1:n], :missing';
+    expect(replaceNamedPlaceholders(sql, ':', toDollar({ id: 1, n: 2 })))
+      .toBe('SELECT $1::int, arr[1:n], :missing');
+  });
+
+  test('finds placeholders after a backslash-escaped quote with backslashEscapes', () => {
+    const sql = "SELECT 'a\\'b', :id";
+    expect(replaceNamedPlaceholders(sql, ':', toDollar({ id: 1 }), { backslashEscapes: true }))
+      .toBe("SELECT 'a\\'b', $1");
+  });
+});
+
+describe('countPositionalPlaceholders', () => {
+  test('counts bare and numbered placeholders outside strings', () => {
+    expect(countPositionalPlaceholders("SELECT ?, '?', ?")).toBe(2);
+    expect(countPositionalPlaceholders('SELECT ?3, ?')).toBe(4);
+  });
+});
+
+describe('normalizeParams', () => {
+  test('strips placeholder prefixes and coerces type hints', () => {
+    expect(normalizeParams({ '@id': { value: '7', type: 'int' }, name: 'x' })).toEqual({
+      named: true,
+      list: [
+        { name: 'id', value: 7, type: 'int' },
+        { name: 'name', value: 'x', type: null }
+      ]
+    });
+  });
+
+  test('rejects invalid names', () => {
+    expect(() => normalizeParams({ 'a-b': 1 })).toThrow('Invalid parameter name: a-b');
+  });
+});
@@ -0,0 +1,39 @@
+const { planNode, buildPlan, toNumber, parseXml, findElements } = require('../drivers/plan');
+
+describe('planNode', () => {
+  test('fills fields not given and converts numbers', () => {
+    expect(planNode({ operator: 'Seq Scan', estimatedRows: '12', cost: 'n/a' })).toEqual({
+      operator: 'Seq Scan',
+      estimatedRows: 12,
+      actualRows: null,
+      cost: null,
+      object: null,
+      predicates: [],
+      warnings: [],
+      children: []
+    });
+  });
+});
+
+describe('buildPlan', () => {
+  test('wraps statements and the raw plan', () => {
+    expect(buildPlan('sqlite-rows', 0, [], [])).toEqual({ format: 'sqlite-rows', actual: false, statements: [], raw: [] });
+  });
+});
+
+describe('toNumber', () => {
+  test('keeps finite numbers only', () => {
+    expect(toNumber('1.5')).toBe(1.5);
+    expect(toNumber('')).toBeNull();
+    expect(toNumber('abc')).toBeNull();
+  });
+});
+
+describe('parseXml', () => {
+  test('reads elements and decoded attributes, dropping namespace prefixes', () => {
+    const root = parseXml('<?xml version="1.0"?><p:Plan a="x &amp; y"><!-- c --><Op n="1"/><Op n="&#50;"></Op></p:Plan>');
+    expect(root.name).toBe('Plan');
+    expect(root.attributes).toEqual({ a: 'x & y' });
+    expect(findElements(root, 'Op').map(op => op.attributes.n)).toEqual(['1', '2']);
+  });
+});
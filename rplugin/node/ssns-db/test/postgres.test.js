@@ -0,0 +1,216 @@
+const PostgresDriver = require('../drivers/postgres');
+
+/**
+ * Build a driver that is never connected
+ * @returns {PostgresDriver}
+ */
+function createDriver() {
+  return new PostgresDriver({
+    type: 'postgres',
+    server: { host: 'localhost', database: 'app' },
+    auth: { username: 'app', password: 'secret' }
+  });
+}
+
+/**
+ * Build a client whose queries return the given rows
+ * @param {Array<Object>|Error} rows - Rows, or an error to reject with
+ * @returns {Object} { query: jest.fn }
+ */
+function catalogClient(rows) {
+  return {
+    query: jest.fn(() => (rows instanceof Error ? Promise.reject(rows) : Promise.resolve({ rows: rows })))
+  };
+}
+
+describe('PostgresDriver type names', () => {
+  test('maps built-in OIDs and shows unknown ones by number', () => {
+    const driver = createDriver();
+
+    expect(driver.mapPostgresType(23)).toBe('integer');
+    expect(driver.mapPostgresType(1184)).toBe('timestamptz');
+    expect(driver.mapPostgresType(1007)).toBe('integer[]');
+    expect(driver.mapPostgresType(16384)).toBe('oid(16384)');
+  });
+
+  test('looks up only OIDs that are neither built in nor cached', () => {
+    const driver = createDriver();
+    driver.typeNames.set(16390, 'mood');
+
+    const fields = [{ dataTypeID: 23 }, { dataTypeID: 16390 }, { dataTypeID: 16400 }, { dataTypeID: 16400 }];
+    expect(driver.missingTypeOids(fields)).toEqual([16400]);
+  });
+
+  test('names enums, domains and their arrays from pg_type', async () => {
+    const driver = createDriver();
+    const client = catalogClient([
+      { oid: '16390', name: 'mood', schema: 'public', element: '0', category: 'E' },
+      { oid: '16395', name: '_mood', schema: 'public', element: '16390', category: 'A' },
+      { oid: '16401', name: 'email', schema: 'crm', element: '0', category: 'S' },
+      { oid: '16402', name: '_email', schema: 'crm', element: '16401', category: 'A' }
+    ]);
+
+    await driver.resolveTypeNames(client, [16390, 16395, 16402]);
+
+    expect(client.query).toHaveBeenCalledWith(expect.stringContaining('pg_catalog.pg_type'), [[16390, 16395, 16402]]);
+    expect(driver.mapPostgresType(16390)).toBe('mood');
+    expect(driver.mapPostgresType(16395)).toBe('mood[]');
+    expect(driver.mapPostgresType(16402)).toBe('crm.email[]');
+  });
+
+  test('leaves types unnamed when the catalog cannot be read', async () => {
+    const driver = createDriver();
+    await driver.resolveTypeNames(catalogClient(new Error('permission denied')), [16390]);
+    expect(driver.mapPostgresType(16390)).toBe('oid(16390)');
+  });
+});
+
+describe('PostgresDriver display values', () => {
+  const parse = (oid, value) => createDriver().pgConfig.types.getTypeParser(oid, 'text')(value);
+
+  test('parses booleans and small numbers', () => {
+    expect(parse(16, 't')).toBe(true);
+    expect(parse(23, '42')).toBe(42);
+    expect(parse(701, '1.5')).toBe(1.5);
+  });
+
+  test('keeps the server text of dates, bigints, numerics, json and arrays', () => {
+    expect(parse(1184, '2024-05-01 10:00:00+02')).toBe('2024-05-01 10:00:00+02');
+    expect(parse(1114, '2024-05-01 10:00:00')).toBe('2024-05-01 10:00:00');
+    expect(parse(20, '9007199254740993')).toBe('9007199254740993');
+    expect(parse(1700, '1.10')).toBe('1.10');
+    expect(parse(3802, '{"a": 1}')).toBe('{"a": 1}');
+    expect(parse(1007, '{1,2,3}')).toBe('{1,2,3}');
+    expect(parse(1186, '1 day 02:00:00')).toBe('1 day 02:00:00');
+  });
+
+  test('shows bytea as 0x-prefixed hex', () => {
+    expect(parse(17, '\\x00ff10')).toBe('0x00FF10');
+  });
+});
+
+describe('PostgresDriver result columns', () => {
+  const fields = [
+    { name: 'id', tableID: 16500, columnID: 1, dataTypeID: 23 },
+    { name: 'email', tableID: 16500, columnID: 3, dataTypeID: 25 },
+    { name: 'total', tableID: 0, columnID: 0, dataTypeID: 1700 }
+  ];
+  const sourceRows = [
+    { table_id: 16500, column_id: 1, schema: 'crm', table_name: 'customers', column_name: 'id', not_null: true, is_primary_key: true },
+    { table_id: 16500, column_id: 3, schema: 'crm', table_name: 'customers', column_name: 'email', not_null: false, is_primary_key: false }
+  ];
+
+  test('looks up each uncached source column once and skips computed fields', () => {
+    const driver = createDriver();
+    driver.sourceColumns.set('16500:3', {});
+
+    const missing = driver.missingSourceFields(fields.concat([{ name: 'id2', tableID: 16500, columnID: 1 }]));
+    expect(missing).toEqual([expect.objectContaining({ tableID: 16500, columnID: 1 })]);
+  });
+
+  test('reports nullability, source column and primary key membership', async () => {
+    const driver = createDriver();
+    const client = catalogClient(sourceRows);
+    await driver.resolveSourceColumns(client, driver.missingSourceFields(fields));
+
+    expect(client.query).toHaveBeenCalledWith(expect.stringContaining('pg_catalog.pg_attribute'), [[16500, 16500], [1, 3]]);
+
+    const columns = driver.formatColumns(fields);
+    expect(columns.id).toMatchObject({
+      type: 'integer', nullable: false, sourceSchema: 'crm', sourceTable: 'customers', sourceColumn: 'id', isPrimaryKey: true
+    });
+    expect(columns.email).toMatchObject({ nullable: true, sourceColumn: 'email', isPrimaryKey: false });
+    expect(columns.total).toMatchObject({
+      type: 'numeric', nullable: true, sourceSchema: null, sourceTable: null, sourceColumn: null, isPrimaryKey: null
+    });
+  });
+
+  test('describes fields inside a savepoint of an open transaction', async () => {
+    const driver = createDriver();
+    driver.pool = {};
+    const client = catalogClient(sourceRows);
+    client.getTransactionStatus = () => 'T';
+
+    await driver.describeFields(fields, client);
+
+    const statements = client.query.mock.calls.map(call => call[0].trim().split(/\s+/).slice(0, 2).join(' '));
+    expect(statements).toEqual(['SAVEPOINT ssns_describe_fields', 'SELECT a.attrelid', 'RELEASE SAVEPOINT']);
+    expect(driver.formatColumns(fields).id.isPrimaryKey).toBe(true);
+  });
+
+  test('does not read the catalog in a failed transaction', async () => {
+    const driver = createDriver();
+    driver.pool = {};
+    const client = catalogClient(sourceRows);
+    client.getTransactionStatus = () => 'E';
+
+    await driver.describeFields(fields, client);
+
+    expect(client.query).not.toHaveBeenCalled();
+    expect(driver.formatColumns(fields).id).toMatchObject({ nullable: true, sourceTable: null });
+  });
+});
+
+describe('PostgresDriver notices', () => {
+  test('reads the routine and line of a RAISE inside a function', () => {
+    const message = createDriver().formatNotice({
+      message: 'processing order 42',
+      severity: 'NOTICE',
+      where: 'PL/pgSQL function crm.process_order(integer) line 7 at RAISE\nSQL statement "SELECT crm.process_order(42)"'
+    });
+
+    expect(message).toEqual({
+      text: 'processing order 42',
+      severity: 'notice',
+      lineNumber: 7,
+      procName: 'crm.process_order',
+      timestamp: expect.any(String)
+    });
+  });
+
+  test('leaves the routine out for DO blocks', () => {
+    const message = createDriver().formatNotice({
+      message: 'done',
+      severity: 'WARNING',
+      where: 'PL/pgSQL function inline_code_block line 3 at RAISE'
+    });
+
+    expect(message).toMatchObject({ severity: 'warning', lineNumber: 3, procName: null });
+  });
+
+  test('reports notices raised outside PL/pgSQL without a position', () => {
+    const message = createDriver().formatNotice({ message: 'table "tmp" does not exist, skipping' });
+    expect(message).toMatchObject({ severity: 'notice', lineNumber: null, procName: null });
+  });
+});
+
+describe('PostgresDriver errors', () => {
+  test('turns the error position into line and column of the submitted text', () => {
+    const query = 'SELECT 1;\nSELECT id,\n       nme FROM customers';
+    const err = Object.assign(new Error('column "nme" does not exist'), {
+      code: '42703', severity: 'ERROR', position: String(query.indexOf('nme') + 1), hint: 'Perhaps you meant "name".'
+    });
+
+    expect(createDriver().formatError(err, query)).toEqual({
+      message: 'column "nme" does not exist',
+      code: '42703',
+      severity: 'ERROR',
+      state: '42703',
+      lineNumber: 3,
+      column: 8,
+      procName: null,
+      detail: null,
+      hint: 'Perhaps you meant "name".'
+    });
+  });
+
+  test('leaves the position empty when the server gives none', () => {
+    const err = Object.assign(new Error('division by zero'), { code: '22012' });
+    expect(createDriver().formatError(err, 'SELECT 1/0')).toMatchObject({ lineNumber: null, column: null });
+  });
+
+  test('reports statement_timeout as a timeout', () => {
+    const err = Object.assign(new Error('canceling statement due to statement timeout'), { code: '57014' });
+    expect(createDriver().formatError(err, 'SELECT pg_sleep(10)', { timeoutMs: 500 }).code).toBe('ETIMEOUT');
+  });
+});
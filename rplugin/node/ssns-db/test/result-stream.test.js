@@ -0,0 +1,73 @@
+const ResultStream = require('../drivers/result-stream');
+
+function collector() {
+  const events = [];
+  return {
+    events,
+    handlers: {
+      onColumns: (columns, index) => { events.push(['columns', index, columns]); },
+      onRows: (rows, index) => { events.push(['rows', index, rows.length]); },
+      onMessage: (message) => { events.push(['message', message.text]); }
+    }
+  };
+}
+
+describe('ResultStream', () => {
+  test('delivers rows in batches, in order with messages', async () => {
+    const { events, handlers } = collector();
+    const stream = new ResultStream(handlers, { batchSize: 2 });
+
+    stream.columns({ a: {} });
+    [1, 2, 3].forEach(value => stream.row({ a: value }));
+    stream.message({ text: 'done' });
+
+    expect(await stream.end()).toEqual([3]);
+    expect(events).toEqual([
+      ['columns', 0, { a: {} }],
+      ['rows', 0, 2],
+      ['rows', 0, 1],
+      ['message', 'done']
+    ]);
+  });
+
+  test('counts rows past maxRows without keeping them', async () => {
+    const { handlers } = collector();
+    const stream = new ResultStream(handlers, { maxRows: 2 });
+
+    stream.columns({});
+    [1, 2, 3, 4].forEach(value => stream.row({ value }));
+    await stream.end();
+
+    expect(stream.summaries()).toEqual([{ rowCount: 2, totalRowsSeen: 4, truncated: true }]);
+  });
+
+  test('holds rows back and pauses the source while columns resolve', async () => {
+    const { events, handlers } = collector();
+    const stream = new ResultStream(handlers, { batchSize: 1 });
+    const source = { paused: false };
+    stream.setSource(() => { source.paused = true; }, () => { source.paused = false; });
+
+    let resolveColumns;
+    stream.columns(new Promise((resolve) => { resolveColumns = resolve; }));
+    stream.row({ a: 1 });
+
+    await Promise.resolve();
+    expect(source.paused).toBe(true);
+    expect(events).toEqual([]);
+
+    resolveColumns({ a: { type: 'int' } });
+    await stream.end();
+    expect(source.paused).toBe(false);
+    expect(events).toEqual([['columns', 0, { a: { type: 'int' } }], ['rows', 0, 1]]);
+  });
+
+  test('reports the first consumer error from end()', async () => {
+    const stream = new ResultStream({
+      onColumns: () => { throw new Error('consumer gone'); },
+      onRows: () => {}
+    });
+
+    stream.columns({});
+    await expect(stream.end()).rejects.toThrow('consumer gone');
+  });
+});
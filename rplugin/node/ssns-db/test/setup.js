@@ -0,0 +1,2 @@
+// Keep test runs from writing to the backend debug log
+process.env.SSNS_LOG_LEVEL = 'off';
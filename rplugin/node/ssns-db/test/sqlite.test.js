@@ -0,0 +1,344 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SQLiteDriver = require('../drivers/sqlite');
+const { splitStatements } = require('../drivers/sqlite-native');
+
+describe('splitStatements', () => {
+  test('splits on semicolons outside strings, identifiers and comments', () => {
+    const sql = "SELECT 'a;b'; SELECT \"c;d\" -- e;f\n; /* g; */ SELECT 1";
+    expect(splitStatements(sql)).toEqual(["SELECT 'a;b';", ' SELECT "c;d" -- e;f\n;', ' /* g; */ SELECT 1']);
+  });
+
+  test('keeps the BEGIN ... END body of a trigger in one statement', () => {
+    const trigger = 'CREATE TRIGGER trg AFTER INSERT ON t BEGIN\n' +
+      '  UPDATE t SET n = CASE WHEN n > 0 THEN n ELSE 0 END;\n' +
+      '  INSERT INTO log VALUES (new.id);\n' +
+      'END;';
+    expect(splitStatements(`${trigger}\nSELECT 1;`)).toEqual([trigger, '\nSELECT 1;']);
+  });
+
+  test('recognises temporary triggers', () => {
+    const trigger = 'CREATE TEMP TRIGGER trg BEFORE DELETE ON t BEGIN SELECT 1; SELECT 2; END;';
+    expect(splitStatements(trigger)).toEqual([trigger]);
+  });
+
+  test('does not nest BEGIN outside trigger bodies', () => {
+    expect(splitStatements('BEGIN; INSERT INTO t VALUES (1); END;')).toEqual([
+      'BEGIN;',
+      ' INSERT INTO t VALUES (1);',
+      ' END;'
+    ]);
+  });
+
+  test('drops statements holding only whitespace or comments', () => {
+    expect(splitStatements(';; -- nothing\n; SELECT 1;\n')).toEqual([' SELECT 1;']);
+  });
+});
+
+describe('SQLiteDriver', () => {
+  let driver;
+
+  beforeEach(async () => {
+    driver = new SQLiteDriver({ server: { database: ':memory:' } });
+    await driver.connect();
+    await driver.execute('CREATE TABLE t (id INTEGER PRIMARY KEY, name TEXT)');
+  });
+
+  afterEach(async () => {
+    await driver.disconnect();
+  });
+
+  test('binds positional parameters across statements in order', async () => {
+    const inserted = await driver.execute(
+      'INSERT INTO t (id, name) VALUES (?, ?); INSERT INTO t (id, name) VALUES (?, ?)',
+      { params: [1, 'a', 2, 'b'] }
+    );
+    expect(inserted.error).toBeNull();
+
+    const result = await driver.execute('SELECT id, name FROM t ORDER BY id');
+    expect(result.resultSets[0].rows).toEqual([{ id: 1, name: 'a' }, { id: 2, name: 'b' }]);
+  });
+
+  test('reports missing positional values', async () => {
+    const result = await driver.execute('INSERT INTO t (id, name) VALUES (?, ?)', { params: [1] });
+    expect(result.error.message).toMatch(/Not enough parameter values/);
+  });
+
+  test('binds named parameters with any prefix', async () => {
+    await driver.execute("INSERT INTO t VALUES (1, 'a'), (2, 'b'), (3, 'c')");
+
+    const result = await driver.execute(
+      'SELECT name FROM t WHERE id = :first OR id = @second OR id = $first ORDER BY id',
+      { params: { first: 1, second: { value: '3', type: 'int' } } }
+    );
+    expect(result.resultSets[0].rows).toEqual([{ name: 'a' }, { name: 'c' }]);
+  });
+});
+
+describe('SQLiteDriver result columns', () => {
+  let driver;
+
+  beforeEach(async () => {
+    driver = new SQLiteDriver({ server: { database: ':memory:' } });
+    await driver.connect();
+    await driver.execute(`
+      CREATE TABLE items (id INTEGER NOT NULL PRIMARY KEY, name VARCHAR(40), price DECIMAL(8, 2), data BLOB);
+      CREATE TABLE tags (item_id INTEGER, tag TEXT NOT NULL);
+      INSERT INTO items VALUES (1, 'pen', 1.5, x'00FF10');
+      INSERT INTO tags VALUES (1, 'office');
+    `);
+  });
+
+  afterEach(async () => {
+    await driver.disconnect();
+  });
+
+  const columnTypes = result => Object.values(result.resultSets[0].columns)
+    .map(column => [column.name, column.type, column.nullable]);
+
+  test('reports declared types of columns taken from tables', async () => {
+    const result = await driver.execute('SELECT i.id, i.name AS label, t.tag FROM items AS i JOIN tags t ON t.item_id = i.id');
+    expect(columnTypes(result)).toEqual([
+      ['id', 'INTEGER', false],
+      ['label', 'VARCHAR(40)', true],
+      ['tag', 'TEXT', false]
+    ]);
+
+    const star = await driver.execute('SELECT * FROM "items"');
+    expect(columnTypes(star).map(([name, type]) => [name, type])).toEqual([
+      ['id', 'INTEGER'],
+      ['name', 'VARCHAR(40)'],
+      ['price', 'DECIMAL(8, 2)'],
+      ['data', 'BLOB']
+    ]);
+  });
+
+  test('infers the types of expressions from their values', async () => {
+    const result = await driver.execute("SELECT COUNT(*) AS n, AVG(price) * 1.1 AS avg, 'x' || name AS tagged, NULL AS empty FROM items");
+    expect(columnTypes(result)).toEqual([
+      ['n', 'integer', true],
+      ['avg', 'real', true],
+      ['tagged', 'text', true],
+      ['empty', 'unknown', true]
+    ]);
+  });
+
+  test('returns blobs as 0x-prefixed hex and accepts them back as parameters', async () => {
+    const result = await driver.execute('SELECT data FROM items');
+    expect(result.resultSets[0].rows).toEqual([{ data: '0x00FF10' }]);
+
+    const matched = await driver.execute('SELECT id FROM items WHERE data = ?', { params: [{ value: '0x00ff10', type: 'blob' }] });
+    expect(matched.resultSets[0].rows).toEqual([{ id: 1 }]);
+  });
+});
+
+describe('SQLiteDriver.getMetadata', () => {
+  let driver;
+
+  beforeEach(async () => {
+    driver = new SQLiteDriver({ server: { database: ':memory:' } });
+    await driver.connect();
+    await driver.execute(`
+      CREATE TABLE orders (id INTEGER PRIMARY KEY, code VARCHAR(20) UNIQUE, total DECIMAL(10, 2) DEFAULT 0);
+      CREATE TABLE "order ""lines""" (
+        order_id INTEGER NOT NULL REFERENCES orders (id),
+        line INTEGER NOT NULL,
+        note TEXT,
+        PRIMARY KEY (order_id, line)
+      ) WITHOUT ROWID;
+      CREATE INDEX "ix note" ON "order ""lines""" (note) WHERE note IS NOT NULL;
+      CREATE TRIGGER trg_lines AFTER INSERT ON "order ""lines""" BEGIN SELECT 1; END;
+    `);
+  });
+
+  afterEach(async () => {
+    await driver.disconnect();
+  });
+
+  test('reads columns, keys and triggers of a table whose name needs quoting', async () => {
+    const metadata = await driver.getMetadata('table', 'order "lines"');
+
+    expect(metadata.columns.map(column => [column.name, column.nullable, column.isPrimaryKey, column.isForeignKey, column.foreignKeyTable]))
+      .toEqual([
+        ['order_id', false, true, true, 'orders'],
+        ['line', false, true, false, null],
+        ['note', true, false, false, null]
+      ]);
+    expect(metadata.definition).toMatch(/^CREATE TABLE "order ""lines"""/);
+    expect(metadata.triggers.map(trigger => trigger.name)).toEqual(['trg_lines']);
+  });
+
+  test('reports indexes and constraints', async () => {
+    const lines = await driver.getMetadata('table', 'order "lines"');
+    expect(lines.indexes).toEqual([
+      { name: 'ix note', columns: ['note'], isUnique: false, isPrimary: false, isClustered: false, indexType: 'partial' },
+      { name: 'sqlite_autoindex_order "lines"_1', columns: ['order_id', 'line'], isUnique: true, isPrimary: true, isClustered: true, indexType: 'btree' }
+    ]);
+    expect(lines.constraints).toEqual([
+      { name: 'pk_order "lines"', type: 'PRIMARY KEY', columns: ['order_id', 'line'], referencedSchema: null, referencedTable: null, referencedColumns: null, checkClause: null },
+      { name: 'fk_order "lines"_0', type: 'FOREIGN KEY', columns: ['order_id'], referencedSchema: 'main', referencedTable: 'orders', referencedColumns: ['id'], checkClause: null }
+    ]);
+
+    const orders = await driver.getMetadata('table', 'orders');
+    expect(orders.constraints.map(constraint => [constraint.type, constraint.columns])).toEqual([
+      ['PRIMARY KEY', ['id']],
+      ['UNIQUE', ['code']]
+    ]);
+    expect(orders.columns.find(column => column.name === 'code')).toMatchObject({ maxLength: 20 });
+    expect(orders.columns.find(column => column.name === 'total')).toMatchObject({ precision: 10, scale: 2, defaultValue: '0' });
+  });
+
+  test('returns empty metadata for unknown objects and routines', async () => {
+    const missing = await driver.getMetadata('table', 'nope');
+    expect(missing).toMatchObject({ schema: 'main', name: 'nope', columns: [], definition: null });
+
+    const routine = await driver.getMetadata('procedure', 'usp_run');
+    expect(routine).toMatchObject({ objectType: 'procedure', parameters: [], returnType: null });
+  });
+});
+
+describe('SQLiteDriver.getSchemaSnapshot', () => {
+  let driver;
+
+  beforeEach(async () => {
+    driver = new SQLiteDriver({ server: { database: ':memory:' } });
+    await driver.connect();
+    await driver.execute(`
+      CREATE TABLE orders (id INTEGER PRIMARY KEY, placed TEXT NOT NULL);
+      CREATE TABLE lines (order_id INTEGER REFERENCES orders (id), line INTEGER, PRIMARY KEY (order_id, line));
+      CREATE VIEW recent AS SELECT id FROM orders;
+    `);
+  });
+
+  afterEach(async () => {
+    await driver.disconnect();
+  });
+
+  test('returns tables, views, columns and keys', async () => {
+    const snapshot = await driver.getSchemaSnapshot(null);
+
+    expect(snapshot.unchanged).toBe(false);
+    expect(snapshot.tables.map(table => [table.name, table.type])).toEqual([['lines', 'table'], ['orders', 'table'], ['recent', 'view']]);
+
+    const [lines, orders] = snapshot.tables;
+    expect(orders.columns).toEqual([
+      { name: 'id', type: 'INTEGER', nullable: true },
+      { name: 'placed', type: 'TEXT', nullable: false }
+    ]);
+    expect(orders.primaryKey).toEqual(['id']);
+    expect(lines.primaryKey).toEqual(['order_id', 'line']);
+    expect(lines.foreignKeys).toEqual([{
+      name: 'fk_lines_0',
+      columns: ['order_id'],
+      referencedSchema: 'main',
+      referencedTable: 'orders',
+      referencedColumns: ['id']
+    }]);
+  });
+
+  test('skips the download while the fingerprint matches', async () => {
+    const { fingerprint } = await driver.getSchemaSnapshot(null);
+
+    expect(await driver.getSchemaSnapshot(null, null, fingerprint)).toEqual({ database: ':memory:', fingerprint: fingerprint, unchanged: true });
+
+    await driver.execute('CREATE INDEX ix_orders_placed ON orders (placed)');
+    const changed = await driver.getSchemaSnapshot(null, null, fingerprint);
+    expect(changed.unchanged).toBe(false);
+    expect(changed.fingerprint).not.toBe(fingerprint);
+  });
+});
+
+describe('SQLiteDriver errors', () => {
+  let driver;
+
+  beforeEach(async () => {
+    driver = new SQLiteDriver({ server: { database: ':memory:' } });
+    await driver.connect();
+  });
+
+  afterEach(async () => {
+    await driver.disconnect();
+  });
+
+  test('points at the token a syntax error quotes', async () => {
+    const result = await driver.execute('SELECT 1;\nSELECT 2\n  FROM WHERE x');
+
+    expect(result.error).toMatchObject({ message: 'near "WHERE": syntax error', lineNumber: 3, column: 8 });
+    expect(result.errors).toEqual([result.error]);
+  });
+
+  test('keeps the result sets of the statements before the failing one', async () => {
+    const result = await driver.execute("SELECT 1 AS a;\nSELECT 'b' AS b;\nSELECT * FROM missing");
+
+    expect(result.resultSets.map(resultSet => resultSet.rows)).toEqual([[{ a: 1 }], [{ b: 'b' }]]);
+    expect(result.error).toMatchObject({ message: 'no such table: missing', lineNumber: 3, column: 1 });
+  });
+});
+
+describe('SQLiteDriver sessions', () => {
+  let dir;
+  let dbPath;
+
+  const readNames = async () => {
+    const reader = new SQLiteDriver({ server: { database: dbPath } });
+    await reader.connect();
+    const result = await reader.execute('SELECT name FROM t ORDER BY id');
+    reader.db.close();
+    return result.resultSets[0].rows.map(row => row.name);
+  };
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ssns-sqlite-'));
+    dbPath = path.join(dir, 'test.db');
+    const setup = new SQLiteDriver({ server: { database: dbPath } });
+    await setup.connect();
+    await setup.execute('CREATE TABLE t (id INTEGER PRIMARY KEY, name TEXT)');
+    await setup.disconnect();
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('writes changes to the file once their transaction commits', async () => {
+    const driver = new SQLiteDriver({ server: { database: dbPath } });
+    const session = await driver.beginSession();
+
+    await driver.execute("BEGIN; INSERT INTO t VALUES (1, 'a')");
+    expect(await driver.getSessionState(session)).toMatchObject({ inTransaction: true, transactionCount: 1 });
+    expect(await readNames()).toEqual([]);
+
+    await driver.execute('COMMIT');
+    expect(await driver.getSessionState(session)).toMatchObject({ inTransaction: false, transactionCount: 0 });
+    expect(await readNames()).toEqual(['a']);
+
+    await driver.releaseSession(session);
+    await driver.disconnect();
+  });
+
+  test('allows one session at a time', async () => {
+    const driver = new SQLiteDriver({ server: { database: dbPath } });
+    const session = await driver.beginSession();
+
+    await expect(driver.beginSession()).rejects.toThrow(/already open/);
+    await driver.releaseSession(session);
+    await expect(driver.beginSession()).resolves.toHaveProperty('db');
+
+    await driver.disconnect();
+  });
+
+  test('keeps rows written before a transaction unsaved until it ends', async () => {
+    const driver = new SQLiteDriver({ server: { database: dbPath } });
+    const session = await driver.beginSession();
+
+    await driver.execute("INSERT INTO t VALUES (1, 'a'); BEGIN; INSERT INTO t VALUES (2, 'b')");
+    expect(await readNames()).toEqual([]);
+
+    await driver.execute('ROLLBACK');
+    await driver.releaseSession(session);
+    expect(await readNames()).toEqual(['a']);
+
+    await driver.disconnect();
+  });
+});
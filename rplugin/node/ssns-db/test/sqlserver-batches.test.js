@@ -0,0 +1,31 @@
+const { splitBatches } = require('../drivers/sqlserver');
+
+describe('splitBatches', () => {
+  test('returns text without separators as one batch', () => {
+    expect(splitBatches('SELECT 1')).toEqual([{ text: 'SELECT 1', startLine: 1, count: 1 }]);
+  });
+
+  test('splits at GO lines and records the line each batch starts on', () => {
+    // A batch starts with the line break ending the GO line before it
+    const batches = splitBatches('SELECT 1\nGO\nSELECT 2\n  go  \nSELECT 3');
+    expect(batches.map(batch => batch.text)).toEqual(['SELECT 1\n', '\nSELECT 2\n', '\nSELECT 3']);
+    expect(batches.map(batch => batch.startLine)).toEqual([1, 2, 4]);
+  });
+
+  test('reads a repeat count after GO', () => {
+    const batches = splitBatches('INSERT INTO t DEFAULT VALUES\nGO 5\nSELECT 1\nGO 0');
+    expect(batches.map(batch => batch.count)).toEqual([5, 1]);
+  });
+
+  test('ignores GO inside strings, identifiers, comments and other text', () => {
+    const sql = "SELECT 'a\nGO\nb'\n/*\nGO\n*/\nSELECT [x\nGO\ny]\nSELECT 1 -- GO\nGOTO label";
+    expect(splitBatches(sql)).toEqual([{ text: sql, startLine: 1, count: 1 }]);
+  });
+
+  test('drops batches holding only whitespace or comments', () => {
+    const batches = splitBatches('GO\n-- nothing\nGO\r\nSELECT 1\r\nGO\n');
+    expect(batches).toHaveLength(1);
+    expect(batches[0].text.trim()).toBe('SELECT 1');
+    expect(batches[0].startLine).toBe(3);
+  });
+});
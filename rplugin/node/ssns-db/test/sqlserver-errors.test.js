@@ -0,0 +1,52 @@
+const SqlServerDriver = require('../drivers/sqlserver');
+
+describe('SqlServerDriver batch errors', () => {
+  const driver = new SqlServerDriver({
+    type: 'sqlserver',
+    server: { host: 'localhost' },
+    auth: { type: 'sql', username: 'sa', password: 'secret' }
+  });
+
+  /**
+   * Build an error as tedious raises it
+   * @param {Object} fields - number, class, state, lineNumber, procName
+   * @returns {Error}
+   */
+  function requestError(message, fields) {
+    return Object.assign(new Error(message), { name: 'RequestError' }, fields);
+  }
+
+  test('reports every error of a batch in the order raised', () => {
+    const errors = driver.formatErrors([
+      requestError("Invalid column name 'nme'.", { number: 207, class: 16, state: 1, lineNumber: 2 }),
+      requestError("Invalid column name 'ag'.", { number: 207, class: 16, state: 1, lineNumber: 3 }),
+      requestError('Conversion failed.', { number: 245, class: 16, state: 1, lineNumber: 4, procName: 'usp_load' })
+    ], { lineOffset: 5 });
+
+    expect(errors).toEqual([
+      { message: "Invalid column name 'nme'.", code: 207, severity: 16, state: 1, lineNumber: 7, column: null, procName: null, class: 16 },
+      { message: "Invalid column name 'ag'.", code: 207, severity: 16, state: 1, lineNumber: 8, column: null, procName: null, class: 16 },
+      { message: 'Conversion failed.', code: 245, severity: 16, state: 1, lineNumber: 4, column: null, procName: 'usp_load', class: 16 }
+    ]);
+  });
+
+  test('reports a timed out batch as the timeout alone', () => {
+    const errors = driver.formatErrors([
+      requestError('Timeout: Request failed to complete in 1000ms', { code: 'ETIMEOUT' }),
+      requestError('Transaction rolled back', { number: 3998, class: 16 })
+    ], { timeoutMs: 1000 });
+
+    expect(errors).toHaveLength(1);
+    expect(errors[0].code).toBe('ETIMEOUT');
+  });
+
+  test('reports a cancelled batch as the cancel alone', async () => {
+    driver.trackRequest('rpc_1', () => {});
+    await driver.cancel('rpc_1');
+
+    const errors = driver.formatErrors([requestError('Canceled.', { code: 'ECANCEL' })], { requestId: 'rpc_1' });
+    driver.untrackRequest('rpc_1');
+
+    expect(errors).toEqual([expect.objectContaining({ code: 'ECANCEL', message: 'Query cancelled by user' })]);
+  });
+});
@@ -0,0 +1,27 @@
+const SqlServerDriver = require('../drivers/sqlserver');
+
+describe('SqlServerDriver info messages', () => {
+  const driver = new SqlServerDriver({
+    type: 'sqlserver',
+    server: { host: 'localhost' },
+    auth: { type: 'sql', username: 'sa', password: 'secret' }
+  });
+
+  test('turns PRINT output into an info message', () => {
+    const message = driver.formatInfoMessage({ message: 'Step 1 done', number: 0, class: 0, lineNumber: 3, procName: '' });
+    expect(message).toEqual({ text: 'Step 1 done', severity: 'info', lineNumber: 3, procName: null, timestamp: expect.any(String) });
+  });
+
+  test('strips the ODBC component prefix from msnodesqlv8 messages', () => {
+    const message = driver.formatInfoMessage({ message: '[Microsoft][ODBC Driver 18 for SQL Server][SQL Server]Step 2 done', code: 0 });
+    expect(message.text).toBe('Step 2 done');
+  });
+
+  test('moves batch lines by the lines before the batch, but not routine lines', () => {
+    const options = { lineOffset: 10 };
+
+    expect(driver.formatInfoMessage({ message: 'batch', lineNumber: 2 }, options).lineNumber).toBe(12);
+    expect(driver.formatInfoMessage({ message: 'proc', lineNumber: 2, procName: 'usp_load' }, options))
+      .toMatchObject({ lineNumber: 2, procName: 'usp_load' });
+  });
+});
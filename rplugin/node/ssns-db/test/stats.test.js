@@ -0,0 +1,33 @@
+const { buildStats, counterDeltas, sumField } = require('../drivers/stats');
+
+describe('buildStats', () => {
+  test('fills fields not given with empty values', () => {
+    expect(buildStats('session-status', { cpuTime: 4, logicalReads: 'x' })).toEqual({
+      source: 'session-status',
+      cpuTime: 4,
+      elapsedTime: null,
+      compileCpuTime: null,
+      compileElapsedTime: null,
+      logicalReads: null,
+      physicalReads: null,
+      tables: [],
+      statements: [],
+      counters: {},
+      error: null
+    });
+  });
+});
+
+describe('counterDeltas', () => {
+  test('subtracts the snapshot and the overhead, never going negative', () => {
+    expect(counterDeltas({ a: 1, b: 5 }, { a: 4, b: 5, c: 0.0004 }, { a: 1, b: 2 }))
+      .toEqual({ a: 2, b: 0, c: 0 });
+  });
+});
+
+describe('sumField', () => {
+  test('sums numeric fields and returns null when none has one', () => {
+    expect(sumField([{ reads: 2 }, { reads: 3 }, {}], 'reads')).toBe(5);
+    expect(sumField([{}], 'reads')).toBeNull();
+  });
+});